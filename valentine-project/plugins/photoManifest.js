@@ -0,0 +1,245 @@
+// ============================================
+// VITE PLUGIN: photoManifest.js
+// ============================================
+// PURPOSE: Turn every image in src/assets/photos into the app's
+//          bundled photos - no hard-coded paths in the model
+// FEATURES: Hashed assets in several widths (srcset), grid thumbnail,
+//           inline blurred placeholder, optional sidecar captions,
+//           date taken from EXIF
+// USAGE: import photoManifest from "virtual:photo-manifest";
+// ============================================
+
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import sharp from "sharp";
+import { readExif } from "../src/services/exif.js";
+
+const VIRTUAL_ID = "virtual:photo-manifest";
+const RESOLVED_ID = "\0" + VIRTUAL_ID; // "\0" = not a real file
+
+/**
+ * Dev server path for generated images (build emits real files)
+ */
+const DEV_PREFIX = "/@photo-manifest/";
+
+const IMAGE_PATTERN = /\.(jpe?g|png|webp|gif)$/i;
+
+/**
+ * Same limit as Transformers.sanitizeCaption
+ */
+const CAPTION_MAX_LENGTH = 200;
+
+/**
+ * Photo manifest plugin
+ *
+ * Each image "Name.jpg" becomes a photo with id "Name". A "Name.txt"
+ * next to it holds the caption (placeholders like {name} work).
+ * Photos are listed in file name order.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Photos folder (relative to the root)
+ * @param {number[]} [options.widths] - Responsive widths (px)
+ * @param {number} [options.thumbnailSize] - Thumbnail short side (px)
+ * @param {number} [options.placeholderSize] - Placeholder long side (px)
+ * @param {number} [options.quality] - WebP quality (1-100)
+ * @returns {import("vite").Plugin}
+ */
+export default function photoManifest({
+  dir = "src/assets/photos",
+  widths = [640, 1280, 2048],
+  thumbnailSize = 320,
+  placeholderSize = 24,
+  quality = 80,
+} = {}) {
+  let config;
+  let photosDir;
+  const devImages = new Map(); // Dev only: file name → WebP buffer
+
+  /**
+   * Resize & re-encode one photo
+   * .rotate() applies EXIF orientation; sharp drops EXIF (GPS) on output
+   * @param {string} file - Absolute path
+   * @returns {Promise<Object>} {width, height, sizes, thumbnail,
+   *   placeholder, takenAt}
+   */
+  const processPhoto = async (file) => {
+    const input = await readFile(file);
+    const { exif } = await sharp(input).metadata();
+    const { takenAt } = exif
+      ? readExif(
+          exif.buffer.slice(exif.byteOffset, exif.byteOffset + exif.length),
+        )
+      : { takenAt: "" };
+    const upright = await sharp(input)
+      .rotate()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = upright.info;
+
+    // Never upscale: the original width is the biggest size we make
+    const targetWidths = [
+      ...new Set(widths.map((w) => Math.min(w, width))),
+    ].sort((a, b) => a - b);
+
+    const sizes = await Promise.all(
+      targetWidths.map(async (targetWidth) => ({
+        width: targetWidth,
+        source: await sharp(upright.data)
+          .resize({ width: targetWidth })
+          .webp({ quality })
+          .toBuffer(),
+      })),
+    );
+
+    const thumbnail = await sharp(upright.data)
+      .resize(thumbnailSize, thumbnailSize, {
+        fit: "outside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality })
+      .toBuffer();
+
+    const placeholder = await sharp(upright.data)
+      .resize(placeholderSize, placeholderSize, { fit: "inside" })
+      .blur()
+      .webp({ quality: 50 })
+      .toBuffer();
+
+    return {
+      width: sizes[sizes.length - 1].width,
+      height: Math.round((height * sizes[sizes.length - 1].width) / width),
+      sizes,
+      thumbnail,
+      placeholder,
+      takenAt,
+    };
+  };
+
+  /**
+   * Read an optional "Name.txt" caption
+   * @param {string} file - Absolute image path
+   * @returns {Promise<string>}
+   */
+  const readCaption = async (file) => {
+    const sidecar = file.replace(IMAGE_PATTERN, ".txt");
+    try {
+      const caption = (await readFile(sidecar, "utf8")).trim();
+      return caption.slice(0, CAPTION_MAX_LENGTH) || "💕";
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return "💕";
+    }
+  };
+
+  /**
+   * Make an image available and return JS code for its URL
+   * Build: emitted as a hashed asset (works with base: "./")
+   * Dev: served from memory by the middleware below
+   * @param {Object} context - Rollup plugin context
+   * @param {string} fileName - e.g. "Tabian-640.webp"
+   * @param {Buffer} source
+   * @returns {string} JS expression
+   */
+  const emitImage = (context, fileName, source) => {
+    if (config.command === "serve") {
+      devImages.set(fileName, source);
+      const url = `${config.base}${DEV_PREFIX.slice(1)}${fileName}`;
+      return JSON.stringify(url);
+    }
+
+    const referenceId = context.emitFile({
+      type: "asset",
+      name: fileName,
+      source,
+    });
+    return `import.meta.ROLLUP_FILE_URL_${referenceId}`;
+  };
+
+  /**
+   * Generate the manifest module
+   * @param {Object} context - Rollup plugin context
+   * @returns {Promise<string>}
+   */
+  const buildManifest = async (context) => {
+    const files = (await readdir(photosDir))
+      .filter((name) => IMAGE_PATTERN.test(name))
+      .sort();
+
+    const entries = [];
+    for (const name of files) {
+      // One at a time: big photos use a lot of memory while resizing
+      const file = path.join(photosDir, name);
+      const id = name.replace(IMAGE_PATTERN, "");
+      const photo = await processPhoto(file);
+      context.addWatchFile(file);
+
+      const sizeUrls = photo.sizes.map(({ width, source }) => ({
+        width,
+        url: emitImage(context, `${id}-${width}.webp`, source),
+      }));
+      const thumbnailUrl = emitImage(
+        context,
+        `${id}-thumb.webp`,
+        photo.thumbnail,
+      );
+      const placeholderUrl =
+        "data:image/webp;base64," + photo.placeholder.toString("base64");
+
+      entries.push(`  {
+    id: ${JSON.stringify(id)},
+    url: ${sizeUrls[sizeUrls.length - 1].url},
+    srcSet: [${sizeUrls
+      .map(({ width, url }) => `${url} + " ${width}w"`)
+      .join(", ")}].join(", "),
+    thumbnailUrl: ${thumbnailUrl},
+    placeholderUrl: ${JSON.stringify(placeholderUrl)},
+    width: ${photo.width},
+    height: ${photo.height},
+    caption: ${JSON.stringify(await readCaption(file))},
+    takenAt: ${JSON.stringify(photo.takenAt)},
+  }`);
+    }
+
+    return `export default [\n${entries.join(",\n")}\n];\n`;
+  };
+
+  return {
+    name: "photo-manifest",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+      photosDir = path.resolve(config.root, dir);
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      return id === RESOLVED_ID ? buildManifest(this) : null;
+    },
+
+    /**
+     * Dev: serve generated images and rebuild when the folder changes
+     */
+    configureServer(server) {
+      server.watcher.add(photosDir);
+
+      const refresh = (file) => {
+        if (path.dirname(file) !== photosDir) return;
+        const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+        if (module) server.moduleGraph.invalidateModule(module);
+        server.ws.send({ type: "full-reload" });
+      };
+      ["add", "change", "unlink"].forEach((event) =>
+        server.watcher.on(event, refresh),
+      );
+
+      server.middlewares.use(DEV_PREFIX, (req, res, next) => {
+        const image = devImages.get(decodeURIComponent(req.url.slice(1)));
+        if (!image) return next();
+        res.setHeader("Content-Type", "image/webp");
+        res.end(image);
+      });
+    },
+  };
+}
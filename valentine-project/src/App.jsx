@@ -6,22 +6,53 @@
 // THIS IS WHERE MVC PATTERN COMES TOGETHER
 // ============================================
 
-import React, { useState, useEffect, useRef } from "react";
+import React from "react";
 import "./App.css";
 
-// ===== IMPORT MODELS =====
-import { createInitialState } from "./models/ValentineModel.js";
-
-// ===== IMPORT CONTROLLER =====
-import ValentineController from "./controllers/ValentineController.js";
+// ===== IMPORT MODELS & SELECTORS =====
+import { LOCKABLE_VIEWS, isLocked } from "./models/TimeLock.js";
+import {
+  selectCurrentMessage,
+  selectGridPhotos,
+  selectMessagePacks,
+  selectMostLikedPhoto,
+  selectPlaylist,
+  selectQuizzes,
+  selectTimeline,
+  selectTracks,
+} from "./store/selectors.js";
 
 // ===== IMPORT VIEWS =====
 import HomePage from "./views/HomePage.jsx";
 import GalleryView from "./views/GalleryView.jsx";
+import PhotoGridView from "./views/PhotoGridView.jsx";
 import NaughtyCardView from "./views/NaughtyCardView.jsx";
+import UploadView from "./views/UploadView.jsx";
+import SetupWizardView from "./views/SetupWizardView.jsx";
+import QuizView from "./views/QuizView.jsx";
+import TrophyView from "./views/TrophyView.jsx";
+import TimelineView from "./views/TimelineView.jsx";
+import NeutralView from "./views/NeutralView.jsx";
+import ParticleCanvas from "./views/ParticleCanvas.jsx";
+import UndoBar from "./views/UndoBar.jsx";
+import TimeTravelSlider from "./views/TimeTravelSlider.jsx";
+import MusicPanel from "./views/MusicPanel.jsx";
+import CountdownView from "./views/CountdownView.jsx";
+import AdventCalendarView from "./views/AdventCalendarView.jsx";
+import LettersView from "./views/LettersView.jsx";
+import LetterReaderView from "./views/LetterReaderView.jsx";
 
 // ===== IMPORT HOOKS =====
-import useLocalStorage from "./hooks/useLocalStorage.js";
+import useValentineStore from "./hooks/useValentineStore.js";
+import useAchievementToasts from "./hooks/useAchievementToasts.js";
+import useHashRouter from "./hooks/useHashRouter.js";
+import usePanicShortcut from "./hooks/usePanicShortcut.js";
+import useUndoShortcuts from "./hooks/useUndoShortcuts.js";
+import useAudioManager from "./hooks/useAudioManager.js";
+import useTimeLocks from "./hooks/useTimeLocks.js";
+
+// ===== IMPORT SERVICES =====
+import { systemClock } from "./services/clock.js";
 
 /**
  * App Component
@@ -33,63 +64,114 @@ import useLocalStorage from "./hooks/useLocalStorage.js";
  *
  * DATA FLOW:
  * User Action → View → Controller → Model (state) → View (re-render)
+ *
+ * PROPS:
+ * @param {Clock} [clock] - Where "now" comes from (time locks); pass
+ *   a fixed/offset clock (services/clock.js) to try out other dates
  */
-function App() {
+function App({ clock = systemClock }) {
   // ============================================
   // STATE MANAGEMENT
   // ============================================
 
   /**
-   * Main App State
-   * Using custom useLocalStorage hook to persist data
-   * Alternative: Use regular useState if you don't want persistence
+   * App State + Controller
+   * The store (store/) holds the state; every change goes through
+   * its reducer, and middleware saves it (IndexedDB + schema
+   * migrations, see services/persistence.js)
+   * The controller is the store's facade: views call its methods
    */
-  const [state, setState] = useLocalStorage(
-    "valentine-app-state", // localStorage key
-    createInitialState(), // Initial value from model
-  );
+  const { state, controller, storage } = useValentineStore(clock);
+
+  // ============================================
+  // TIME LOCKS
+  // ============================================
 
   /**
-   * Controller Instance
-   * useRef: Keeps same controller instance across re-renders
-   * WHY? Controller needs to maintain reference to state
+   * Current time for time locks; changes only when something opens,
+   * and reveals it (fireworks 🎆) right then. Countdowns tick on
+   * their own (CountdownView), so the app doesn't re-render each second
    */
-  const controller = useRef(null);
-
-  // ===== INITIALIZE CONTROLLER =====
-  useEffect(() => {
-    // Create controller instance on mount
-    controller.current = new ValentineController(state, setState);
-
-    // Optional: Load saved state from localStorage
-    // controller.current.loadFromStorage();
-
-    console.log("🚀 Valentine App Initialized!");
-  }, []); // Empty array = run once on mount
-
-  // ===== UPDATE CONTROLLER STATE ON CHANGES =====
-  useEffect(() => {
-    if (controller.current) {
-      controller.current.state = state;
-    }
-  }, [state]);
+  const now = useTimeLocks(
+    state,
+    controller,
+    clock,
+    !storage.isLoading && !state.panicMode,
+  );
 
   // ============================================
   // VIEW ROUTING
   // ============================================
 
+  /**
+   * Keep the URL (#/gallery/3) in sync with state.currentView
+   * Gives us a working back button, refresh & shareable links
+   */
+  useHashRouter(state, controller, !storage.isLoading);
+
   /**
    * Render current view based on state.currentView
    * This is a simple router (no React Router needed for small apps)
    */
   const renderView = () => {
+    // Panic! Nothing but the decoy screen
+    if (state.panicMode) {
+      return <NeutralView onExit={() => controller.exitPanic()} />;
+    }
+
+    // First run: ask who this is for before showing anything personal
+    if (state.currentView === "home" && !state.setupComplete) {
+      return renderSetupWizard();
+    }
+
+    // Locked page: a countdown until it opens
+    const viewUnlockAt = state.viewLocks[state.currentView];
+    if (isLocked(viewUnlockAt, now)) {
+      return (
+        <CountdownView
+          title={LOCKABLE_VIEWS[state.currentView]}
+          unlockAt={viewUnlockAt}
+          clock={clock}
+          onClose={() => controller.goBack()}
+        />
+      );
+    }
+
     switch (state.currentView) {
       case "home":
         return (
           <HomePage
-            onStart={() => controller.current.navigateTo("gallery")}
+            onStart={() => controller.navigateTo("gallery")}
+            onOpenSetup={() => controller.navigateTo("setup")}
+            onOpenTrophies={() => controller.navigateTo("trophies")}
+            onOpenTimeline={() => controller.navigateTo("timeline")}
+            onOpenCalendar={() => controller.navigateTo("calendar")}
+            onOpenLetters={() => controller.navigateTo("letters")}
             naughtyLevel={state.naughtyLevel}
             heartClicks={state.heartClicks}
+            profile={state.profile}
+            packs={selectMessagePacks(state)}
+            activePackId={state.activePackId}
+            onChangePack={(packId) => controller.setMessagePack(packId)}
+            onImportPack={(pack) => controller.importMessagePack(pack)}
+            safeMode={state.safeMode}
+            onEnableSafeMode={(maxTier, pin) =>
+              controller.enableSafeMode(maxTier, pin)
+            }
+            onDisableSafeMode={(pin) => controller.disableSafeMode(pin)}
+            timedMessages={state.timedMessages}
+            viewLocks={state.viewLocks}
+            now={now}
+            clock={clock}
+            onAddTimedMessage={(message) =>
+              controller.addTimedMessage(message)
+            }
+            onRemoveTimedMessage={(messageId) =>
+              controller.removeTimedMessage(messageId)
+            }
+            onSetViewLock={(view, unlockAt) =>
+              controller.setViewLock(view, unlockAt)
+            }
           />
         );
 
@@ -97,15 +179,51 @@ function App() {
         return (
           <GalleryView
             photos={state.photos}
+            profile={state.profile}
             currentIndex={state.currentPhotoIndex}
-            onNext={() => controller.current.changePhoto("next")}
-            onPrev={() => controller.current.changePhoto("prev")}
-            onLike={(photoId) => controller.current.likePhoto(photoId)}
+            onNext={() => controller.changePhoto("next")}
+            onPrev={() => controller.changePhoto("prev")}
+            onShuffle={() => controller.changePhoto("shuffle")}
+            onLike={(photoId, origin) =>
+              controller.likePhoto(photoId, origin)
+            }
             onToggleFavorite={(photoId) =>
-              controller.current.toggleFavorite(photoId)
+              controller.toggleFavorite(photoId)
+            }
+            onClose={() => controller.goBack()}
+            onOpenNaughty={() => controller.navigateTo("naughty")}
+            onOpenUpload={() => controller.navigateTo("upload")}
+            onOpenGrid={() => controller.navigateTo("grid")}
+            isBlurred={state.blurPhotos}
+            onUnblur={() => controller.setPhotosBlurred(false)}
+            slideshow={state.slideshow}
+            onChangeSlideshow={(settings) =>
+              controller.setSlideshowSettings(settings)
             }
-            onClose={() => controller.current.navigateTo("home")}
-            onOpenNaughty={() => controller.current.navigateTo("naughty")}
+            onUpdatePhoto={(photoId, details) =>
+              controller.updatePhotoDetails(photoId, details)
+            }
+            now={now}
+            clock={clock}
+          />
+        );
+
+      case "grid":
+        return (
+          <PhotoGridView
+            entries={selectGridPhotos(state)}
+            gridOptions={state.gridOptions}
+            currentIndex={state.currentPhotoIndex}
+            mostLikedPhotoId={selectMostLikedPhoto(state)?.id ?? null}
+            profile={state.profile}
+            isBlurred={state.blurPhotos}
+            now={now}
+            onOpenPhoto={(photoId) => controller.openPhoto(photoId)}
+            onChangeOptions={(options) =>
+              controller.setGridOptions(options)
+            }
+            onOpenUpload={() => controller.navigateTo("upload")}
+            onClose={() => controller.goBack()}
           />
         );
 
@@ -113,61 +231,279 @@ function App() {
         return (
           <NaughtyCardView
             naughtyLevel={state.naughtyLevel}
-            onClose={() => controller.current.navigateTo("gallery")}
+            packId={state.activePackId}
+            message={selectCurrentMessage(state)}
+            profile={state.profile}
+            onClose={() => controller.goBack()}
             onIncreaseNaughty={(amount) =>
-              controller.current.increaseNaughtyLevel(amount)
+              controller.increaseNaughtyLevel(amount)
+            }
+            onReveal={() => controller.revealMessage()}
+            onDealMessage={() => controller.dealMessage()}
+            onHeartClick={(origin) =>
+              controller.handleHeartClick(origin)
+            }
+            onOpenQuiz={() => controller.navigateTo("quiz")}
+          />
+        );
+
+      case "quiz":
+        return (
+          <QuizView
+            quizzes={selectQuizzes(state)}
+            activeQuiz={state.activeQuiz}
+            quizHistory={state.quizHistory}
+            naughtyLevel={state.naughtyLevel}
+            profile={state.profile}
+            onStart={(quizId) => controller.startQuiz(quizId)}
+            onAnswer={(optionIndex) =>
+              controller.answerQuiz(optionIndex)
             }
-            onHeartClick={() => controller.current.handleHeartClick()}
+            onQuit={() => controller.quitQuiz()}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "trophies":
+        return (
+          <TrophyView
+            achievements={state.achievements}
+            stats={state.stats}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "timeline":
+        return (
+          <TimelineView
+            groups={selectTimeline(state)}
+            profile={state.profile}
+            isBlurred={state.blurPhotos}
+            now={now}
+            onOpenPhoto={(photoId) => controller.openPhoto(photoId)}
+            onOpenSetup={() => controller.navigateTo("setup")}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "calendar":
+        return (
+          <AdventCalendarView
+            progress={state.advent}
+            photos={state.photos}
+            profile={state.profile}
+            now={now}
+            clock={clock}
+            isBlurred={state.blurPhotos}
+            onOpenDay={(day) => controller.openAdventDay(day)}
+            onVisit={() => controller.visitAdventCalendar()}
+            onClose={() => controller.goBack()}
           />
         );
 
+      case "letters":
+        return (
+          <LettersView
+            letters={state.letters}
+            draft={state.letterDraft}
+            profile={state.profile}
+            onStartLetter={(letterId) => controller.startLetter(letterId)}
+            onSaveDraft={(fields) => controller.saveLetterDraft(fields)}
+            onPublish={() => controller.publishLetter()}
+            onDiscardDraft={() => controller.discardLetterDraft()}
+            onOpenLetter={(letterId) => controller.openLetter(letterId)}
+            onDeleteLetter={(letterId) => controller.deleteLetter(letterId)}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "letter":
+        return (
+          <LetterReaderView
+            key={state.currentLetterId}
+            letter={
+              state.letters.find(
+                (letter) => letter.id === state.currentLetterId,
+              ) ?? null
+            }
+            profile={state.profile}
+            onEdit={(letterId) => {
+              if (controller.startLetter(letterId)) {
+                controller.navigateTo("letters");
+              }
+            }}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "upload":
+        return (
+          <UploadView
+            onAddPhoto={(photoData) => controller.addPhoto(photoData)}
+            onDone={() => controller.goBack()}
+            onClose={() => controller.goBack()}
+          />
+        );
+
+      case "setup":
+        return renderSetupWizard();
+
       default:
         return (
-          <HomePage onStart={() => controller.current.navigateTo("gallery")} />
+          <HomePage onStart={() => controller.navigateTo("gallery")} />
         );
     }
   };
 
+  /**
+   * Setup wizard (first run, or "Personalize" from the home page)
+   * key: restart the wizard's draft if the saved profile changes
+   */
+  const renderSetupWizard = () => (
+    <SetupWizardView
+      key={JSON.stringify(state.profile)}
+      profile={state.profile}
+      onSave={(profile) => controller.saveProfile(profile)}
+      onSkip={() => controller.skipSetup()}
+    />
+  );
+
   // ============================================
-  // CONFETTI ANIMATION
+  // PANIC SHORTCUT
   // ============================================
 
   /**
-   * Show confetti when showConfetti state is true
-   * Auto-hide after animation completes
+   * Esc / three-finger tap → neutral screen, from any view
    */
-  useEffect(() => {
-    if (state.showConfetti) {
-      // Hide after 3 seconds
-      const timer = setTimeout(() => {
-        controller.current.hideConfetti();
-      }, 3000);
-
-      // Cleanup: clear timeout if component unmounts
-      return () => clearTimeout(timer);
-    }
-  }, [state.showConfetti]);
+  usePanicShortcut(
+    () => controller.panic(),
+    !storage.isLoading && !state.panicMode,
+  );
+
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (see models/ActionLog.js for what's undoable)
+   */
+  useUndoShortcuts(
+    () => controller.undo(),
+    () => controller.redo(),
+    !storage.isLoading && !state.panicMode,
+  );
+
+  // ============================================
+  // MUSIC & SOUND EFFECTS
+  // ============================================
+
+  /**
+   * Background playlist + sounds for likes, hearts, reveals, confetti
+   * Starts on the first tap; silent on the panic screen
+   */
+  useAudioManager(controller, {
+    playlist: selectPlaylist(state),
+    muted: state.audio.muted,
+    isPaused: storage.isLoading || state.panicMode,
+  });
+
+  // ============================================
+  // ACHIEVEMENT TOASTS
+  // ============================================
+
+  /**
+   * Toasts for achievements unlocked this session
+   */
+  const { toasts, dismissToast } = useAchievementToasts(
+    state.achievements,
+    !storage.isLoading,
+  );
 
   // ============================================
   // RENDER
   // ============================================
 
+  // Saved state (and photos) load asynchronously
+  if (storage.isLoading) {
+    return (
+      <div className="app">
+        <div className="loading-screen" role="status">
+          <span className="heart-icon" aria-hidden="true">
+            💕
+          </span>
+          <p>Loading your memories...</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="app">
+      {/* STORAGE WARNING (quota full, private mode...) */}
+      {storage.storageWarning && (
+        <div className="storage-warning" role="alert">
+          <p>⚠️ {storage.storageWarning}</p>
+          <button
+            onClick={storage.dismissWarning}
+            className="btn btn-ghost"
+            aria-label="Dismiss warning">
+            ✕
+          </button>
+        </div>
+      )}
+
       {/* MAIN CONTENT */}
       <main className="app-main">{renderView()}</main>
 
-      {/* CONFETTI OVERLAY */}
-      {state.showConfetti && (
-        <div className="confetti-overlay">
-          <div className="confetti">🎉</div>
-          <div className="confetti">💕</div>
-          <div className="confetti">✨</div>
-          <div className="confetti">💖</div>
-          <div className="confetti">🎉</div>
+      {/* ACHIEVEMENT TOASTS */}
+      {toasts.length > 0 && !state.panicMode && (
+        <div className="toast-stack" role="status" aria-live="polite">
+          {toasts.map((achievement) => (
+            <button
+              key={achievement.id}
+              className="toast fade-in"
+              onClick={() => {
+                dismissToast(achievement.id);
+                controller.navigateTo("trophies");
+              }}>
+              <span className="toast-icon">{achievement.icon}</span>
+              <span>
+                <strong>Achievement unlocked!</strong>
+                <br />
+                {achievement.title}
+              </span>
+            </button>
+          ))}
         </div>
       )}
 
+      {/* UNDO / REDO */}
+      {!state.panicMode && (
+        <UndoBar
+          actionLog={state.actionLog}
+          onUndo={() => controller.undo()}
+          onRedo={() => controller.redo()}
+        />
+      )}
+
+      {/* MUSIC: mute switch & playlist */}
+      {!state.panicMode && (
+        <MusicPanel
+          audio={state.audio}
+          tracks={selectTracks(state)}
+          onToggleMute={() => controller.toggleMute()}
+          onChangePlaylist={(trackIds) => controller.setPlaylist(trackIds)}
+          onAddTrack={(trackData) => controller.addTrack(trackData)}
+          onRemoveTrack={(trackId) => controller.removeTrack(trackId)}
+        />
+      )}
+
+      {/* PARTICLE EFFECTS (hearts, fireworks...) */}
+      <ParticleCanvas
+        effects={state.effects}
+        onEffectsStarted={(ids) => controller.clearEffects(ids)}
+      />
+
       {/* DEBUG INFO (Remove in production) */}
       {process.env.NODE_ENV === "development" && (
         <div className="debug-panel">
@@ -178,6 +514,14 @@ function App() {
           <p>
             Photo Index: {state.currentPhotoIndex + 1}/{state.photos.length}
           </p>
+
+          {/* TIME TRAVEL: replay the app up to any action */}
+          {controller.store.history && (
+            <TimeTravelSlider
+              history={controller.store.history}
+              onTravel={(position) => controller.timeTravel(position)}
+            />
+          )}
         </div>
       )}
     </div>
@@ -208,33 +552,33 @@ export default App;
  *    useRef:
  *    - Persists between renders
  *    - Changing it doesn't trigger re-render
- *    - Use for: controller instance, DOM refs, timers
+ *    - Use for: DOM refs, timers
  *
  *    useState:
  *    - Triggers re-render on change
  *    - Use for: UI data, anything visual
  *
- * 3. CONTROLLER PATTERN:
- *    const controller = useRef(new Controller())
- *    - Single controller instance
- *    - Encapsulates all business logic
+ * 3. STORE + CONTROLLER FACADE:
+ *    const { state, controller } = useValentineStore()
+ *    - Single store, single controller (created before first render)
  *    - Views call controller methods
- *    - Controller updates state
- *    - State change triggers re-render
+ *    - Controller dispatches actions, the reducer updates state
+ *    - Store change triggers re-render
  *
  * 4. PROPS DRILLING:
  *    App → View → SubView → Component
  *    - Passing props down multiple levels
  *    - Can get messy with deep nesting
- *    - Solutions: Context API, State Management (Redux)
+ *    - Solutions: Context API, a store (like ours, or Redux)
  *
  * 5. ROUTING (Simple):
  *    switch (currentView) { case 'home': return <Home /> }
  *    - No library needed for simple apps
+ *    - useHashRouter mirrors currentView into the URL (#/naughty)
  *    - For complex apps: React Router
  *
  * 6. CONDITIONAL RENDERING:
- *    {showConfetti && <Confetti />}
+ *    {storage.storageWarning && <div>⚠️ ...</div>}
  *    - && operator: renders if true
  *    - Common pattern for optional elements
  *
@@ -253,16 +597,16 @@ export default App;
  *    - Clear timers, listeners, subscriptions
  *
  * 9. ARROW FUNCTIONS IN JSX:
- *    onClick={() => controller.current.method()}
+ *    onClick={() => controller.method()}
  *    - Creates new function on each render
  *    - OK for small apps
  *    - Use useCallback for optimization
  *
  * 10. STATE UPDATES:
- *     setState(prevState => ({ ...prevState, newValue }))
- *     - Use functional update for derived values
- *     - Ensures you have latest state
- *     - Prevents stale closures
+ *     dispatch(action) → reducer(state, action) → new state
+ *     - The reducer always gets the latest state
+ *     - Derived values come from memoized selectors
+ *       (selectQuizzes(state)), never from old snapshots
  *
  * ============================================
  *
@@ -274,11 +618,13 @@ export default App;
  *    ↓
  * 3. App passes to: controller.likePhoto(photoId)
  *    ↓
- * 4. Controller updates: setState({ ...state, photos: updated })
+ * 4. Controller dispatches: likePhoto(photoId) action
  *    ↓
- * 5. State change triggers: React re-render
+ * 5. Middleware + reducer: new state (logged, saved, undoable)
  *    ↓
- * 6. View receives new props and updates UI
+ * 6. Store change triggers: React re-render
+ *    ↓
+ * 7. View receives new props and updates UI
  *
  * ============================================
  *
@@ -288,19 +634,55 @@ export default App;
  * │   VIEWS (Presentation)              │
  * │   - HomePage.jsx                    │
  * │   - GalleryView.jsx                 │
+ * │   - PhotoGridView.jsx               │
+ * │   - SlideshowView.jsx               │
  * │   - NaughtyCardView.jsx             │
+ * │   - UploadView.jsx                  │
+ * │   - SetupWizardView.jsx             │
+ * │   - QuizView.jsx                    │
+ * │   - TrophyView.jsx                  │
+ * │   - TimelineView.jsx                │
+ * │   - CountdownView.jsx               │
+ * │   - SealedMessages.jsx              │
+ * │   - TimeLockPanel.jsx               │
+ * │   - AdventCalendarView.jsx          │
+ * │   - AdventSurprise.jsx              │
+ * │   - LettersView.jsx                 │
+ * │   - LetterComposer.jsx              │
+ * │   - LetterReaderView.jsx            │
+ * │   - LetterBody.jsx                  │
+ * │   - UndoBar.jsx                     │
+ * │   - MusicPanel.jsx                  │
  * └──────────────┬──────────────────────┘
  *                │ User Actions (Props)
  * ┌──────────────▼──────────────────────┐
- * │   CONTROLLERS (Business Logic)      │
+ * │   CONTROLLERS (Facade)              │
  * │   - ValentineController.js          │
- * │   - Handles all state changes       │
+ * │   - Validates & dispatches actions  │
+ * │   - Emits events (achievements,     │
+ * │     sounds)                         │
+ * └──────────────┬──────────────────────┘
+ *                │ Actions
+ * ┌──────────────▼──────────────────────┐
+ * │   STORE (State Changes)             │
+ * │   - reducer.js: every state change  │
+ * │   - middleware.js: log, side        │
+ * │     effects, persistence            │
+ * │   - selectors.js: derived values    │
  * └──────────────┬──────────────────────┘
- *                │ Updates
+ *                │ Uses
  * ┌──────────────▼──────────────────────┐
  * │   MODELS (Data)                     │
  * │   - ValentineModel.js               │
  * │   - NaughtyMessages.js              │
+ * │   - MessagePacks.js (+ packs/*.json)│
+ * │   - ShuffleDeck.js, QuizEngine.js   │
+ * │   - Achievements.js, ActionLog.js   │
+ * │   - PhotoGrid.js, Slideshow.js      │
+ * │   - Audio.js, Timeline.js           │
+ * │   - TimeLock.js, AdventCalendar.js  │
+ * │     (+ advent/schedule.json)        │
+ * │   - Letters.js                      │
  * └─────────────────────────────────────┘
  *
  * ============================================
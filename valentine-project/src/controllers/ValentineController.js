@@ -1,45 +1,176 @@
 // ============================================
 // CONTROLLER: ValentineController.js
 // ============================================
-// PURPOSE: Handles ALL business logic and state changes
-// This is the "brain" - it decides WHAT happens WHEN
-// Views call controller methods, controller updates model
+// PURPOSE: The API views call - "what the user wants to do"
+// A thin facade over the store: each method checks its input,
+// dispatches an action (see store/actions.js) and announces events.
+// The state changes themselves live in store/reducer.js
 // ============================================
 
-import { ValidationRules } from "../models/ValentineModel.js";
 import {
-  getMessageByLevel,
-  getRandomEmoji,
-} from "../models/NaughtyMessages.js";
+  Transformers,
+  ValidationRules,
+  createPhoto,
+} from "../models/ValentineModel.js";
+import { getMessageByLevel, getQuiz } from "../models/NaughtyMessages.js";
+import {
+  hasMessagePack,
+  isBundledPack,
+  registerMessagePack,
+  MESSAGE_TIERS,
+} from "../models/MessagePacks.js";
+import { hashPin, isValidPin, verifyPin } from "../models/SafeMode.js";
+import { isValidGridOptions } from "../models/PhotoGrid.js";
+import { isValidSlideshowSettings } from "../models/Slideshow.js";
+import { drawIndex } from "../models/ShuffleDeck.js";
+import {
+  AudioUploadLimits,
+  createTrack,
+  isValidTrack,
+} from "../models/Audio.js";
+import {
+  LOCKABLE_VIEWS,
+  TimedMessageLimits,
+  createTimedMessage,
+  getTimeLocks,
+  getUnlockedKeys,
+  isValidTimedMessage,
+  isValidUnlockAt,
+} from "../models/TimeLock.js";
+import { getAdventDoors } from "../models/AdventCalendar.js";
+import {
+  LetterLimits,
+  createLetter,
+  createLetterDraft,
+  isValidLetter,
+  isValidLetterDraft,
+} from "../models/Letters.js";
+import { toLocalDateString } from "../models/Personalization.js";
+import { systemClock } from "../services/clock.js";
+import {
+  loadPersistedState,
+  clearPersistedState,
+} from "../services/persistence.js";
+import * as actions from "../store/actions.js";
+import {
+  selectCurrentMessage,
+  selectFavoritePhotos,
+  selectMostLikedPhoto,
+  selectNaughtyCategory,
+  selectTracks,
+} from "../store/selectors.js";
 
 /**
  * ValentineController Class
  *
  * RESPONSIBILITIES:
  * 1. Handle user interactions (button clicks, swipes, etc.)
- * 2. Validate data before updating state
- * 3. Execute business logic (rules like "naughty level can't exceed 100")
- * 4. Trigger view updates via setState callback
+ * 2. Validate data before dispatching
+ * 3. Turn calls into actions for the store (the reducer applies rules
+ *    like "naughty level can't exceed 100")
+ * 4. Announce what happened via events (see on/emit below)
  *
  * WHY A CLASS?
- * - Encapsulates related logic together
- * - Maintains reference to state & updater
- * - Easy to test methods independently
+ * - One object views can call, whatever the store looks like inside
+ * - Keeps event listeners together
+ * - Easy to test methods independently (pass in any store)
  */
 class ValentineController {
   /**
    * Constructor
-   * @param {Object} initialState - Starting state from model
-   * @param {Function} setState - React setState function to trigger re-renders
+   * @param {Store} store - From store/index.js (createValentineStore)
+   * @param {Object} [options]
+   * @param {Clock} [options.clock] - "Now" for time locks & the advent
+   *   calendar (see services/clock.js); tests pass a fake one
    *
    * EXPLANATION:
-   * - We receive the state & setState from React component
-   * - This connects our controller to React's rendering system
-   * - When we call this.setState(), React re-renders the view
+   * - The store owns the state; we only read it (getState) and
+   *   send it actions (dispatch)
+   * - The store tells React when to re-render (useValentineStore)
+   */
+  constructor(store, { clock = systemClock } = {}) {
+    this.store = store;
+    this.clock = clock;
+    this.listeners = new Map(); // Event name → Set of listeners
+  }
+
+  /**
+   * Latest state (read straight from the store, never stale)
+   * @returns {Object}
+   */
+  get state() {
+    return this.store.getState();
+  }
+
+  /**
+   * Send an action to the store
+   * @param {Action} action - From store/actions.js
+   * @returns {Action}
+   */
+  dispatch(action) {
+    return this.store.dispatch(action);
+  }
+
+  // ============================================
+  // EVENTS
+  // ============================================
+
+  /**
+   * Listen for a controller event
+   * @param {string} event - e.g. "photoLiked", or "*" for every event
+   * @param {Function} listener - Called with (payload, eventName)
+   * @returns {Function} Unsubscribe
+   *
+   * USE CASE: Achievements react to actions without the action
+   * methods knowing about them
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.listeners.get(event).delete(listener);
+  }
+
+  /**
+   * Tell listeners something happened
+   * Called by action methods AFTER they dispatch
+   * @param {string} event
+   * @param {Object} [payload]
    */
-  constructor(initialState, setState) {
-    this.state = initialState; // Current state snapshot
-    this.setState = setState; // Function to update React state
+  emit(event, payload = {}) {
+    [event, "*"].forEach((name) => {
+      this.listeners.get(name)?.forEach((listener) => listener(payload, event));
+    });
+  }
+
+  // ============================================
+  // UNDO / REDO
+  // ============================================
+
+  /**
+   * Take back the latest logged action (see models/ActionLog.js)
+   * TRIGGERED BY: Ctrl+Z, undo button
+   */
+  undo() {
+    this.dispatch(actions.undo());
+  }
+
+  /**
+   * Apply the latest undone action again
+   * TRIGGERED BY: Ctrl+Shift+Z / Ctrl+Y, redo button
+   */
+  redo() {
+    this.dispatch(actions.redo());
+  }
+
+  /**
+   * Replay the app up to any dispatched action (debug panel slider,
+   * development only - see store/history.js)
+   * @param {number} position - 0 = before the first action
+   */
+  timeTravel(position) {
+    this.dispatch(actions.timeTravel(position));
   }
 
   // ============================================
@@ -48,40 +179,45 @@ class ValentineController {
 
   /**
    * Navigate to a different view
-   * @param {string} viewName - 'home' | 'gallery' | 'naughty'
+   * @param {string} viewName - 'home' | 'gallery' | 'naughty' | 'upload'
    *
    * PURPOSE: Change which page/component is shown
    * TRIGGERS: Button clicks, back navigation
    */
   navigateTo(viewName) {
-    // Validate view name
-    const validViews = ["home", "gallery", "naughty"];
-    if (!validViews.includes(viewName)) {
+    if (!ValidationRules.isValidView(viewName)) {
       console.error(`Invalid view: ${viewName}`);
       return;
     }
-
-    // Update state
-    this.setState((prevState) => ({
-      ...prevState, // Keep all other state
-      currentView: viewName, // Only update currentView
-    }));
+    this.dispatch(actions.navigateTo(viewName));
   }
 
   /**
    * Go back to previous view
-   * Simple back navigation logic
+   * Uses real browser history when the previous entry is inside the app,
+   * otherwise goes to the view's parent (see services/router.js)
    */
   goBack() {
-    this.setState((prevState) => {
-      // Determine previous view based on current
-      let previousView = "home";
-      if (prevState.currentView === "naughty") {
-        previousView = "gallery";
-      }
+    if (window.history.state?.appIndex > 0) {
+      window.history.back(); // popstate → useHashRouter → applyRoute
+      return;
+    }
+    this.dispatch(actions.goBack());
+  }
 
-      return { ...prevState, currentView: previousView };
-    });
+  /**
+   * Show the view (and photo or letter) described by a URL route
+   * @param {Object} route - {view, photoId?, letterId?} from
+   *   router.parseHash
+   *
+   * TRIGGERS: Page load, browser back/forward (via useHashRouter)
+   */
+  applyRoute(route) {
+    if (!ValidationRules.isValidView(route.view)) {
+      console.error(`Invalid route view: ${route.view}`);
+      return;
+    }
+    this.dispatch(actions.applyRoute(route));
   }
 
   // ============================================
@@ -89,34 +225,13 @@ class ValentineController {
   // ============================================
 
   /**
-   * Like a photo (increment likes counter)
+   * Like a photo (+1 like, +5 naughty level, heart burst)
    * @param {string} photoId - Photo identifier
-   *
-   * EXPLANATION:
-   * - We find the photo by ID
-   * - Increment its likes count
-   * - Update state with new array
-   */
-  likePhoto(photoId) {
-    this.setState((prevState) => {
-      // Map over photos array, update matching photo
-      const updatedPhotos = prevState.photos.map(
-        (photo) =>
-          photo.id === photoId
-            ? { ...photo, likes: photo.likes + 1 } // Create new object with updated likes
-            : photo, // Keep unchanged
-      );
-
-      // Also increase naughty level (more interactions = more playful)
-      const newNaughtyLevel = Math.min(prevState.naughtyLevel + 5, 100);
-
-      return {
-        ...prevState,
-        photos: updatedPhotos,
-        naughtyLevel: newNaughtyLevel,
-        heartClicks: prevState.heartClicks + 1,
-      };
-    });
+   * @param {{x: number, y: number}} [origin] - Where the like happened
+   */
+  likePhoto(photoId, origin) {
+    this.dispatch(actions.likePhoto(photoId, origin));
+    this.emit("photoLiked", { photoId });
   }
 
   /**
@@ -124,60 +239,135 @@ class ValentineController {
    * @param {string} photoId
    */
   toggleFavorite(photoId) {
-    this.setState((prevState) => ({
-      ...prevState,
-      photos: prevState.photos.map((photo) =>
-        photo.id === photoId
-          ? { ...photo, isFavorite: !photo.isFavorite }
-          : photo,
-      ),
-    }));
+    const target = this.state.photos.find((photo) => photo.id === photoId);
+
+    this.dispatch(actions.toggleFavorite(photoId));
+
+    // Only count adding a favorite (not removing one)
+    if (target && !target.isFavorite) {
+      this.emit("photoFavorited", { photoId });
+    }
   }
 
   /**
-   * Navigate through gallery photos
-   * @param {string} direction - 'next' | 'prev'
+   * Edit a photo's caption and/or details
+   * Text is trimmed & tags cleaned up (see Transformers) before checking
+   * @param {string} photoId
+   * @param {Object} details - Any of {caption, takenAt, location, tags,
+   *   note, unlockAt}
+   * @returns {boolean} false if the photo is missing or a value is invalid
    */
-  changePhoto(direction) {
-    this.setState((prevState) => {
-      const totalPhotos = prevState.photos.length;
-      let newIndex = prevState.currentPhotoIndex;
-
-      if (direction === "next") {
-        newIndex = (newIndex + 1) % totalPhotos; // Loop to start
-      } else if (direction === "prev") {
-        newIndex = (newIndex - 1 + totalPhotos) % totalPhotos; // Loop to end
-      }
+  updatePhotoDetails(photoId, details) {
+    const target = this.state.photos.find((photo) => photo.id === photoId);
+    if (!target) {
+      console.error(`Unknown photo: ${photoId}`);
+      return false;
+    }
 
-      return { ...prevState, currentPhotoIndex: newIndex };
+    const cleaned = {};
+    if (typeof details.caption === "string") {
+      // An empty caption falls back to the default, like new photos
+      cleaned.caption = Transformers.sanitizeCaption(details.caption) || "💕";
+    }
+    ["takenAt", "unlockAt"].forEach((field) => {
+      if (typeof details[field] === "string") cleaned[field] = details[field];
+    });
+    ["location", "note"].forEach((field) => {
+      if (typeof details[field] === "string") {
+        cleaned[field] = details[field].trim();
+      }
     });
+    if (Array.isArray(details.tags)) {
+      cleaned.tags = Transformers.sanitizeTags(details.tags);
+    }
+
+    if (!ValidationRules.isValidPhotoDetails({ ...target, ...cleaned })) {
+      console.error("Invalid photo details", details);
+      return false;
+    }
+
+    this.dispatch(actions.updatePhoto(photoId, cleaned));
+    this.emit("photoEdited", { photoId });
+    return true;
+  }
+
+  /**
+   * Navigate through gallery photos (loops around)
+   * @param {string} direction - 'next' | 'prev' | 'shuffle'
+   *
+   * 'shuffle' deals from a photo deck (see ShuffleDeck.js):
+   * every photo is shown once before any repeats
+   */
+  changePhoto(direction) {
+    if (direction !== "shuffle") {
+      this.dispatch(actions.changePhoto(direction));
+      return;
+    }
+
+    const { photos, currentPhotoIndex } = this.state;
+    let index = drawIndex("photos", photos.length);
+    // A fresh deck may start with the photo already showing
+    if (index === currentPhotoIndex && photos.length > 1) {
+      index = drawIndex("photos", photos.length);
+    }
+    this.dispatch(actions.changePhoto(direction, index));
+  }
+
+  /**
+   * Open one photo in the single-photo gallery
+   * @param {string} photoId
+   *
+   * TRIGGERED BY: Tapping a photo in the grid or the timeline
+   */
+  openPhoto(photoId) {
+    this.dispatch(actions.openPhoto(photoId));
+  }
+
+  /**
+   * Change the grid's filter and/or sort order
+   * @param {Partial<GridOptions>} options - {filter?, sort?}
+   */
+  setGridOptions(options) {
+    const gridOptions = { ...this.state.gridOptions, ...options };
+    if (!isValidGridOptions(gridOptions)) {
+      console.error("Invalid grid options", options);
+      return;
+    }
+    this.dispatch(actions.setGridOptions(options));
+  }
+
+  /**
+   * Change slideshow timing, transition or order
+   * @param {Partial<SlideshowSettings>} settings
+   */
+  setSlideshowSettings(settings) {
+    const slideshow = { ...this.state.slideshow, ...settings };
+    if (!isValidSlideshowSettings(slideshow)) {
+      console.error("Invalid slideshow settings", settings);
+      return;
+    }
+    this.dispatch(actions.setSlideshowSettings(settings));
   }
 
   /**
    * Add new photo to gallery
    * @param {Object} photoData - {url, caption}
+   * @returns {Photo|null} The added photo, or null if it was invalid
    *
-   * USE CASE: If you want to add photos dynamically
+   * USE CASE: Upload screen adds photos picked by the user
    */
   addPhoto(photoData) {
-    // Validate photo data
-    const newPhoto = {
-      id: Date.now().toString(), // Simple unique ID
-      url: photoData.url,
-      caption: photoData.caption || "💕",
-      likes: 0,
-      isFavorite: false,
-    };
+    // Build & validate photo data (caption is sanitized by the factory)
+    const newPhoto = createPhoto(photoData);
 
     if (!ValidationRules.isValidPhoto(newPhoto)) {
       console.error("Invalid photo data");
-      return;
+      return null;
     }
 
-    this.setState((prevState) => ({
-      ...prevState,
-      photos: [...prevState.photos, newPhoto], // Append to array
-    }));
+    this.dispatch(actions.addPhoto(newPhoto));
+    this.emit("photoUploaded", { photoId: newPhoto.id });
+    return newPhoto;
   }
 
   // ============================================
@@ -189,31 +379,38 @@ class ValentineController {
    * @param {number} amount - How much to increase
    *
    * TRIGGERED BY: Button clicks, interactions
+   * Capped at 100, or lower while safe mode is on
    */
   increaseNaughtyLevel(amount = 10) {
-    this.setState((prevState) => {
-      const newLevel = Math.min(prevState.naughtyLevel + amount, 100);
+    this.dispatch(actions.increaseNaughtyLevel(amount));
+    this.emit("naughtyIncreased", { amount });
+  }
 
-      // Trigger confetti at certain milestones
-      const showConfetti = newLevel >= 50 && prevState.naughtyLevel < 50;
+  /**
+   * Deal the next naughty card for the current level
+   * Drawing moves the shuffle deck on (saved via syncDecks), so this
+   * is a method, not a selector
+   * @returns {string} The message dealt
+   */
+  dealMessage() {
+    const message = getMessageByLevel(this.state.naughtyLevel);
+    this.dispatch(actions.dealMessage(message));
+    return message;
+  }
 
-      return {
-        ...prevState,
-        naughtyLevel: newLevel,
-        showConfetti,
-      };
-    });
+  /**
+   * Reveal the hidden naughty message (rewarded with +10)
+   */
+  revealMessage() {
+    this.increaseNaughtyLevel(10);
+    this.emit("messageRevealed");
   }
 
   /**
    * Reset naughty level (cooldown)
    */
   resetNaughtyLevel() {
-    this.setState((prevState) => ({
-      ...prevState,
-      naughtyLevel: 0,
-      showConfetti: false,
-    }));
+    this.dispatch(actions.resetNaughtyLevel());
   }
 
   // ============================================
@@ -222,38 +419,494 @@ class ValentineController {
 
   /**
    * Handle heart button click
-   * Central handler for the main interaction
+   * +1 click, +3 naughty level, hearts (emoji rain every 10th click)
+   * @param {{x: number, y: number}} [origin] - Where the click happened
+   */
+  handleHeartClick(origin) {
+    this.dispatch(actions.handleHeartClick(origin));
+    this.emit("heartClicked");
+  }
+
+  /**
+   * Play a named particle effect
+   * @param {string} name - Preset name (see services/particlePresets.js)
+   * @param {{x: number, y: number}} [origin] - Where it starts (default: center)
+   */
+  triggerEffect(name, origin) {
+    this.dispatch(actions.triggerEffect(name, origin));
+  }
+
+  /**
+   * Remove effects the particle canvas has started playing
+   * Announced as "effectsPlayed" (sounds for fireworks, sparkles...)
+   * @param {string[]} effectIds
+   */
+  clearEffects(effectIds) {
+    const names = this.state.effects
+      .filter((effect) => effectIds.includes(effect.id))
+      .map((effect) => effect.name);
+
+    this.dispatch(actions.clearEffects(effectIds));
+    if (names.length > 0) this.emit("effectsPlayed", { names });
+  }
+
+  // ============================================
+  // MUSIC & SOUND METHODS
+  // ============================================
+
+  /**
+   * Turn all music and sound effects off or back on
+   */
+  toggleMute() {
+    this.dispatch(actions.setMuted(!this.state.audio.muted));
+  }
+
+  /**
+   * Choose which tracks play, in order
+   * @param {string[]} trackIds - Bundled or uploaded track ids
+   */
+  setPlaylist(trackIds) {
+    const knownIds = selectTracks(this.state).map((track) => track.id);
+    if (
+      !Array.isArray(trackIds) ||
+      !trackIds.every((id) => knownIds.includes(id))
+    ) {
+      console.error("Invalid playlist", trackIds);
+      return;
+    }
+    this.dispatch(actions.setPlaylist([...new Set(trackIds)]));
+  }
+
+  /**
+   * Add an uploaded song (it joins the end of the playlist)
+   * @param {Object} trackData - {title, url}
+   * @returns {Track|null} The added track, or null if invalid / too many
+   */
+  addTrack(trackData) {
+    if (this.state.tracks.length >= AudioUploadLimits.maxTracks) {
+      console.error("Too many uploaded tracks");
+      return null;
+    }
+
+    const track = createTrack(trackData);
+    if (!isValidTrack(track)) {
+      console.error("Invalid track data");
+      return null;
+    }
+
+    this.dispatch(actions.addTrack(track));
+    return track;
+  }
+
+  /**
+   * Delete an uploaded song (bundled tracks can only leave the playlist)
+   * @param {string} trackId
+   */
+  removeTrack(trackId) {
+    this.dispatch(actions.removeTrack(trackId));
+  }
+
+  // ============================================
+  // TIME LOCK METHODS
+  // ============================================
+
+  /**
+   * Hide a whole view behind a countdown until a time
+   * @param {string} view - One of LOCKABLE_VIEWS
+   * @param {string} unlockAt - "YYYY-MM-DDTHH:mm", "" = remove the lock
+   * @returns {boolean} false if the view or time is invalid
+   */
+  setViewLock(view, unlockAt) {
+    if (!Object.hasOwn(LOCKABLE_VIEWS, view) || !isValidUnlockAt(unlockAt)) {
+      console.error("Invalid view lock", view, unlockAt);
+      return false;
+    }
+    this.dispatch(actions.setViewLock(view, unlockAt));
+    return true;
+  }
+
+  /**
+   * Add a sealed message (opens at its unlock time)
+   * @param {Object} messageData - {title, text, unlockAt}
+   * @returns {TimedMessage|null} null if invalid or too many
+   */
+  addTimedMessage(messageData) {
+    if (this.state.timedMessages.length >= TimedMessageLimits.maxMessages) {
+      console.error("Too many sealed messages");
+      return null;
+    }
+
+    const message = createTimedMessage(messageData, this.clock.now());
+    if (!isValidTimedMessage(message)) {
+      console.error("Invalid sealed message", messageData);
+      return null;
+    }
+
+    this.dispatch(actions.addTimedMessage(message));
+    return message;
+  }
+
+  /**
+   * @param {string} messageId
+   */
+  removeTimedMessage(messageId) {
+    this.dispatch(actions.removeTimedMessage(messageId));
+  }
+
+  /**
+   * Reveal everything whose unlock time has passed (fireworks for
+   * anything that just opened), going by this.clock
+   * Announced as "contentUnlocked"
    *
-   * BUSINESS LOGIC:
-   * - Increment heart clicks
-   * - Increase naughty level
-   * - Trigger animations based on thresholds
-   */
-  handleHeartClick() {
-    this.setState((prevState) => {
-      const newClicks = prevState.heartClicks + 1;
-      const newNaughtyLevel = Math.min(prevState.naughtyLevel + 3, 100);
-
-      // Every 10 clicks = confetti celebration
-      const showConfetti = newClicks % 10 === 0;
-
-      return {
-        ...prevState,
-        heartClicks: newClicks,
-        naughtyLevel: newNaughtyLevel,
-        showConfetti,
-      };
-    });
+   * TRIGGERED BY: useTimeLocks, when a countdown reaches zero and
+   * after loading
+   */
+  revealUnlocked() {
+    const keys = getUnlockedKeys(getTimeLocks(this.state), this.clock.now());
+    const { revealedLocks } = this.state;
+    const newKeys = keys.filter((key) => !revealedLocks.includes(key));
+    if (newKeys.length === 0 && keys.length === revealedLocks.length) return;
+
+    // Also drops keys of locks that were moved or deleted
+    this.dispatch(actions.revealLocks(keys));
+    if (newKeys.length > 0) this.emit("contentUnlocked", { keys: newKeys });
+  }
+
+  // ============================================
+  // ADVENT CALENDAR METHODS
+  // ============================================
+
+  /**
+   * Open a calendar door (sparkles ✨), going by this.clock
+   * Opening one again is fine: it just stays open
+   * @param {number} day - 1-14
+   * @returns {boolean} false if there's no such door or it's too early
+   */
+  openAdventDay(day) {
+    const now = this.clock.now();
+    const door = getAdventDoors(this.state.advent.openedDays, now).find(
+      (adventDoor) => adventDoor.day === day,
+    );
+    if (!door || door.status === "locked") {
+      console.error(`Advent day ${day} can't be opened yet`);
+      return false;
+    }
+    if (door.status === "opened") return true;
+
+    this.dispatch(actions.openAdventDay(door.date));
+    this.emit("adventDayOpened", { day });
+    return true;
+  }
+
+  /**
+   * Count today's calendar visit towards the daily streak
+   * (once a day - calling it again the same day does nothing)
+   *
+   * TRIGGERED BY: AdventCalendarView when it opens
+   */
+  visitAdventCalendar() {
+    const today = toLocalDateString(new Date(this.clock.now()));
+    if (this.state.advent.lastVisit === today) return;
+    this.dispatch(actions.recordAdventVisit(today));
+  }
+
+  // ============================================
+  // LOVE LETTER METHODS
+  // ============================================
+
+  /**
+   * Open the composer on a new letter, or on a copy of a saved one
+   * Only one draft at a time: finish or discard it first
+   * @param {string|null} [letterId] - Letter to edit
+   * @returns {boolean} false if a draft is open or the letter is gone
+   */
+  startLetter(letterId = null) {
+    if (this.state.letterDraft) {
+      console.error("Finish or discard the open letter draft first");
+      return false;
+    }
+
+    const letter = letterId
+      ? this.state.letters.find((saved) => saved.id === letterId)
+      : null;
+    if (letterId && !letter) {
+      console.error(`Unknown letter: ${letterId}`);
+      return false;
+    }
+
+    this.dispatch(actions.saveLetterDraft(createLetterDraft(letter)));
+    return true;
+  }
+
+  /**
+   * Autosave the draft as it's typed
+   * @param {Object} fields - {title?, body?, envelope?}
+   * @returns {boolean} false if there's no draft or a field is invalid
+   */
+  saveLetterDraft(fields) {
+    const { letterDraft } = this.state;
+    const draft = {
+      ...letterDraft,
+      title: fields.title ?? letterDraft?.title,
+      body: fields.body ?? letterDraft?.body,
+      envelope: fields.envelope ?? letterDraft?.envelope,
+    };
+
+    if (!letterDraft || !isValidLetterDraft(draft)) {
+      console.error("Invalid letter draft", fields);
+      return false;
+    }
+    this.dispatch(actions.saveLetterDraft(draft));
+    return true;
+  }
+
+  discardLetterDraft() {
+    this.dispatch(actions.discardLetterDraft());
+  }
+
+  /**
+   * Turn the draft into a letter (or update the letter it edits)
+   * Announced as "letterSaved"
+   * @returns {Letter|null} null if the title or text is missing, or
+   *   there are too many letters
+   */
+  publishLetter() {
+    const draft = this.state.letterDraft;
+    if (!draft) return null;
+
+    const now = this.clock.now();
+    const existing = this.state.letters.find(
+      (letter) => letter.id === draft.letterId,
+    );
+    if (!existing && this.state.letters.length >= LetterLimits.maxLetters) {
+      console.error("Too many letters");
+      return null;
+    }
+
+    const letter = existing
+      ? {
+          ...existing,
+          title: draft.title.trim(),
+          body: draft.body.trim(),
+          envelope: draft.envelope,
+          updatedAt: now,
+        }
+      : createLetter(draft, now);
+    if (!isValidLetter(letter)) {
+      console.error("A letter needs a title and some text");
+      return null;
+    }
+
+    this.dispatch(actions.publishLetter(letter));
+    this.emit("letterSaved", { letterId: letter.id });
+    return letter;
+  }
+
+  /**
+   * @param {string} letterId
+   */
+  deleteLetter(letterId) {
+    this.dispatch(actions.deleteLetter(letterId));
+  }
+
+  /**
+   * Show a letter in the reader
+   * @param {string} letterId
+   */
+  openLetter(letterId) {
+    if (!this.state.letters.some((letter) => letter.id === letterId)) {
+      console.error(`Unknown letter: ${letterId}`);
+      return;
+    }
+    this.dispatch(actions.openLetter(letterId));
+  }
+
+  // ============================================
+  // PERSONALIZATION METHODS
+  // ============================================
+
+  /**
+   * Save the setup wizard's answers and go to the home page
+   * @param {Profile} profile - {recipientName, nickname, senderName, anniversary, pronouns}
+   * @returns {boolean} Was the profile valid?
+   */
+  saveProfile(profile) {
+    const cleanProfile = {
+      ...profile,
+      recipientName: profile.recipientName.trim(),
+      nickname: profile.nickname.trim(),
+      senderName: profile.senderName.trim(),
+    };
+
+    if (!ValidationRules.isValidProfile(cleanProfile)) {
+      console.error("Invalid profile data");
+      return false;
+    }
+
+    this.dispatch(actions.saveProfile(cleanProfile));
+    return true;
   }
 
   /**
-   * Dismiss confetti animation
+   * Close the first-run wizard without filling it in
+   * Messages fall back to generic names (see TEMPLATE_FALLBACKS)
    */
-  hideConfetti() {
-    this.setState((prevState) => ({
-      ...prevState,
-      showConfetti: false,
-    }));
+  skipSetup() {
+    this.dispatch(actions.skipSetup());
+  }
+
+  // ============================================
+  // MESSAGE PACK METHODS
+  // ============================================
+
+  /**
+   * Switch which message pack the app reads from
+   * @param {string} packId - Id of a bundled or imported pack
+   */
+  setMessagePack(packId) {
+    if (!hasMessagePack(packId)) {
+      console.error(`Unknown message pack: ${packId}`);
+      return;
+    }
+    this.dispatch(actions.setMessagePack(packId));
+  }
+
+  /**
+   * Add a pack the user loaded from a JSON file, and switch to it
+   * @param {MessagePack} pack - Already parsed JSON
+   * @returns {string[]} Problems with the pack (empty = imported)
+   */
+  importMessagePack(pack) {
+    if (isBundledPack(pack?.id)) {
+      return [`"${pack.id}" is a built-in pack, please use a different id`];
+    }
+
+    const errors = registerMessagePack(pack);
+    if (errors.length > 0) return errors;
+
+    this.dispatch(actions.importMessagePack(pack));
+    return [];
+  }
+
+  // ============================================
+  // SAFE MODE METHODS
+  // ============================================
+
+  /**
+   * Turn safe mode on: cap spiciness at a tier, locked with a PIN
+   * @param {string} maxTier - Spiciest tier allowed (see MESSAGE_TIERS)
+   * @param {string} pin - 4-8 digits, needed to turn it off again
+   * @returns {boolean} Was it enabled?
+   */
+  enableSafeMode(maxTier, pin) {
+    if (!MESSAGE_TIERS.includes(maxTier) || !isValidPin(pin)) {
+      console.error("Invalid safe mode tier or PIN");
+      return false;
+    }
+
+    // Only the hash goes in the action (actions are logged)
+    this.dispatch(actions.enableSafeMode(maxTier, hashPin(pin)));
+    return true;
+  }
+
+  /**
+   * Turn safe mode off
+   * @param {string} pin - Must match the PIN it was locked with
+   * @returns {boolean} Was the PIN right?
+   */
+  disableSafeMode(pin) {
+    if (!verifyPin(pin, this.state.safeMode)) return false;
+
+    this.dispatch(actions.disableSafeMode());
+    return true;
+  }
+
+  /**
+   * PANIC: hide everything behind a neutral screen right now
+   * Gallery photos stay blurred afterwards until unblurred
+   */
+  panic() {
+    this.dispatch(actions.panic());
+  }
+
+  /**
+   * Leave the neutral screen
+   */
+  exitPanic() {
+    this.dispatch(actions.exitPanic());
+  }
+
+  /**
+   * Blur or unblur gallery photos
+   * @param {boolean} blurred
+   */
+  setPhotosBlurred(blurred) {
+    this.dispatch(actions.setPhotosBlurred(blurred));
+  }
+
+  // ============================================
+  // QUIZ METHODS
+  // ============================================
+
+  /**
+   * Start (or restart) a quiz from the active pack and open it
+   * @param {string} quizId
+   */
+  startQuiz(quizId) {
+    const quiz = getQuiz(quizId);
+    if (!quiz) {
+      console.error(`Unknown quiz: ${quizId}`);
+      return;
+    }
+    this.dispatch(actions.startQuiz(quiz));
+  }
+
+  /**
+   * Answer the current quiz question
+   * Applies the option's naughty change; a finished run is added to
+   * quizHistory (and stays in activeQuiz for the summary screen)
+   * @param {number} optionIndex
+   */
+  answerQuiz(optionIndex) {
+    const run = this.state.activeQuiz;
+    const quiz = run && getQuiz(run.quizId);
+    if (!quiz) return;
+
+    this.dispatch(actions.answerQuiz(quiz, optionIndex));
+    this.emit("quizAnswered", { optionIndex });
+  }
+
+  /**
+   * Leave the quiz (an unfinished run is thrown away)
+   */
+  quitQuiz() {
+    this.dispatch(actions.quitQuiz());
+  }
+
+  // ============================================
+  // SHUFFLE DECK METHODS
+  // ============================================
+
+  /**
+   * Store the latest deck positions in state (so they get saved)
+   * Called whenever a message, emoji or question is dealt
+   * @param {DeckState} decks
+   */
+  syncDecks(decks) {
+    this.dispatch(actions.syncDecks(decks));
+  }
+
+  /**
+   * Fix the shuffle order so a sequence can be reproduced
+   * Reshuffles every deck
+   * @param {number|null} seed - null = truly random again
+   */
+  setShuffleSeed(seed) {
+    if (seed !== null && !Number.isFinite(seed)) {
+      console.error(`Invalid shuffle seed: ${seed}`);
+      return;
+    }
+    this.dispatch(actions.setShuffleSeed(seed));
   }
 
   // ============================================
@@ -261,65 +914,60 @@ class ValentineController {
   // ============================================
 
   /**
-   * Save current state to localStorage
+   * Save current state
    * PURPOSE: Persist data between sessions
+   * NOTE: The store already saves automatically (persistence
+   *       middleware); this is for saving on demand. It goes through
+   *       the same middleware, so it saves the store's live state and
+   *       can't be overtaken by an older save still in progress
+   * @returns {Promise<void>}
    */
   saveToStorage() {
-    try {
-      const stateToSave = {
-        photos: this.state.photos,
-        naughtyLevel: this.state.naughtyLevel,
-        heartClicks: this.state.heartClicks,
-      };
-      localStorage.setItem("valentine-state", JSON.stringify(stateToSave));
-      console.log("State saved successfully!");
-    } catch (error) {
-      console.error("Failed to save state:", error);
-    }
+    return this.dispatch(actions.saveNow())
+      .then(() => console.log("State saved successfully!"))
+      .catch((error) => console.error("Failed to save state:", error));
   }
 
   /**
-   * Load state from localStorage
-   * @returns {Object|null} Saved state or null
+   * Load saved state (migrated & validated)
+   * @returns {Promise<Object|null>} Saved state or null
    */
   loadFromStorage() {
-    try {
-      const saved = localStorage.getItem("valentine-state");
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        this.setState((prevState) => ({
-          ...prevState,
-          ...parsed,
-        }));
+    return loadPersistedState(this.clock)
+      .then(({ state, status }) => {
+        if (status === "fresh") return null;
+        this.dispatch(actions.loadState(state));
         console.log("State loaded successfully!");
-        return parsed;
-      }
-    } catch (error) {
-      console.error("Failed to load state:", error);
-    }
-    return null;
+        return state;
+      })
+      .catch((error) => {
+        console.error("Failed to load state:", error);
+        return null;
+      });
   }
 
   /**
-   * Clear saved data
+   * Clear saved data and start over
+   * State is reset too - otherwise auto-save would write it right back
+   * @returns {Promise<void>}
    */
   clearStorage() {
-    localStorage.removeItem("valentine-state");
-    console.log("Storage cleared!");
+    this.dispatch(actions.resetState(this.clock.now()));
+    return clearPersistedState()
+      .then(() => console.log("Storage cleared!"))
+      .catch((error) => console.error("Failed to clear storage:", error));
   }
 
   // ============================================
-  // COMPUTED/DERIVED VALUES
+  // COMPUTED/DERIVED VALUES (see store/selectors.js)
   // ============================================
 
   /**
-   * Get current message based on naughty level
+   * Get the naughty card on show (see dealMessage)
    * @returns {string} Contextual message
-   *
-   * PURPOSE: Dynamic content based on state
    */
   getCurrentMessage() {
-    return getMessageByLevel(this.state.naughtyLevel);
+    return selectCurrentMessage(this.state);
   }
 
   /**
@@ -327,10 +975,7 @@ class ValentineController {
    * @returns {string} 'sweet' | 'spicy' | 'extra-spicy'
    */
   getNaughtyCategory() {
-    const level = this.state.naughtyLevel;
-    if (level < 33) return "sweet";
-    if (level < 66) return "spicy";
-    return "extra-spicy";
+    return selectNaughtyCategory(this.state);
   }
 
   /**
@@ -338,7 +983,7 @@ class ValentineController {
    * @returns {Array} Filtered photo array
    */
   getFavoritePhotos() {
-    return this.state.photos.filter((photo) => photo.isFavorite);
+    return selectFavoritePhotos(this.state);
   }
 
   /**
@@ -346,10 +991,7 @@ class ValentineController {
    * @returns {Object|null} Photo with highest likes
    */
   getMostLikedPhoto() {
-    if (this.state.photos.length === 0) return null;
-    return this.state.photos.reduce((max, photo) =>
-      photo.likes > max.likes ? photo : max,
-    );
+    return selectMostLikedPhoto(this.state);
   }
 }
 
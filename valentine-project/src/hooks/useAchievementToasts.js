@@ -0,0 +1,90 @@
+// ============================================
+// CUSTOM HOOK: useAchievementToasts.js
+// ============================================
+// PURPOSE: Pop up a toast whenever an achievement unlocks
+// WHY: Unlocks happen inside the controller/state - this hook
+//      notices NEW ids in state.achievements and shows them
+// ============================================
+
+import { useState, useEffect, useRef } from "react";
+import { getAchievement } from "../models/Achievements.js";
+
+// How long a toast stays on screen (ms)
+const TOAST_DURATION = 4000;
+
+/**
+ * useAchievementToasts Hook
+ *
+ * @param {Object} achievements - state.achievements (id → unlock time)
+ * @param {boolean} isReady - false while saved state is loading
+ *   (achievements unlocked in earlier sessions don't get a toast)
+ * @returns {{toasts: Achievement[], dismissToast: Function}}
+ *
+ * USAGE EXAMPLE:
+ * const { toasts, dismissToast } = useAchievementToasts(state.achievements, true);
+ */
+function useAchievementToasts(achievements, isReady) {
+  const [toasts, setToasts] = useState([]);
+
+  // Achievements we've already seen (null = not loaded yet)
+  const seen = useRef(null);
+
+  // ===== DETECT NEW UNLOCKS =====
+  useEffect(() => {
+    if (!isReady) return;
+
+    if (seen.current === null) {
+      seen.current = achievements;
+      return;
+    }
+
+    const newIds = Object.keys(achievements).filter(
+      (id) => !seen.current[id],
+    );
+    seen.current = achievements;
+
+    const unlocked = newIds.map(getAchievement).filter(Boolean);
+    if (unlocked.length > 0) {
+      setToasts((prevToasts) => [...prevToasts, ...unlocked]);
+    }
+  }, [achievements, isReady]);
+
+  // ===== AUTO-HIDE THE OLDEST TOAST =====
+  useEffect(() => {
+    if (toasts.length === 0) return;
+
+    const timer = setTimeout(() => {
+      setToasts((prevToasts) => prevToasts.slice(1));
+    }, TOAST_DURATION);
+
+    return () => clearTimeout(timer);
+  }, [toasts]);
+
+  const dismissToast = (id) => {
+    setToasts((prevToasts) => prevToasts.filter((toast) => toast.id !== id));
+  };
+
+  return { toasts, dismissToast };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useAchievementToasts;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DIFFING WITH A REF:
+ *    useRef keeps the previous achievements between renders
+ *    - Compare old vs new to find what JUST unlocked
+ *    - Updating a ref doesn't cause a re-render
+ *
+ * 2. A QUEUE OF TOASTS:
+ *    Several achievements can unlock at once
+ *    - Each waits its turn; the oldest hides first
+ *
+ * ============================================
+ */
@@ -0,0 +1,103 @@
+// ============================================
+// CUSTOM HOOK: useAudioManager.js
+// ============================================
+// PURPOSE: Play background music & sound effects for the whole app
+// - One AudioManager for the app's lifetime
+// - Audio starts on the first tap/click/key press (autoplay rules)
+// - Controller events → sound effects (services/soundTracker.js)
+// ============================================
+
+import { useEffect, useState } from "react";
+import AudioManager from "../services/AudioManager.js";
+import { trackSounds } from "../services/soundTracker.js";
+
+// Gestures browsers accept for starting audio
+const UNLOCK_EVENTS = ["pointerdown", "keydown", "touchend"];
+
+/**
+ * useAudioManager Hook
+ *
+ * @param {ValentineController} controller - Its events trigger sounds
+ * @param {Object} options
+ * @param {Track[]} options.playlist - Tracks to loop (selectPlaylist)
+ * @param {boolean} options.muted - state.audio.muted
+ * @param {boolean} options.isPaused - Silence everything (panic screen,
+ *   still loading)
+ *
+ * USAGE EXAMPLE:
+ * useAudioManager(controller, {
+ *   playlist: selectPlaylist(state),
+ *   muted: state.audio.muted,
+ *   isPaused: state.panicMode,
+ * });
+ */
+function useAudioManager(controller, { playlist, muted, isPaused }) {
+  const [audioManager] = useState(() => new AudioManager());
+
+  // ===== UNLOCK ON USER GESTURES =====
+  // Kept listening: a phone call or locked screen can suspend audio
+  // again, and the next tap resumes it
+  useEffect(() => {
+    const handleGesture = () => audioManager.unlock();
+
+    UNLOCK_EVENTS.forEach((type) =>
+      window.addEventListener(type, handleGesture, { passive: true }),
+    );
+
+    return () => {
+      UNLOCK_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleGesture),
+      );
+    };
+  }, [audioManager]);
+
+  // ===== SOUND EFFECTS FROM CONTROLLER EVENTS =====
+  useEffect(
+    () => trackSounds(controller, audioManager),
+    [controller, audioManager],
+  );
+
+  // ===== KEEP THE MANAGER IN SYNC WITH STATE =====
+  useEffect(() => {
+    audioManager.setPlaylist(playlist);
+  }, [audioManager, playlist]);
+
+  useEffect(() => {
+    audioManager.setMuted(muted);
+  }, [audioManager, muted]);
+
+  useEffect(() => {
+    audioManager.setPaused(isPaused);
+  }, [audioManager, isPaused]);
+
+  // ===== RELEASE THE AUDIO HARDWARE =====
+  useEffect(() => () => audioManager.destroy(), [audioManager]);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useAudioManager;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. AUTOPLAY POLICY:
+ *    Browsers only allow sound after the user interacts with the page
+ *    - An AudioContext made earlier starts "suspended"
+ *    - So it's created (or resumed) inside a gesture event handler
+ *
+ * 2. IMPERATIVE OBJECTS IN REACT:
+ *    AudioManager isn't React - it owns <audio> elements and timers
+ *    - useState(() => new AudioManager()) makes exactly one
+ *    - Small effects push each piece of state into it
+ *
+ * 3. EVENTS INSTEAD OF CALLS:
+ *    controller.likePhoto() never mentions audio
+ *    - The controller emits "photoLiked"; trackSounds() listens
+ *    - Removing sound = removing one line here
+ *
+ * ============================================
+ */
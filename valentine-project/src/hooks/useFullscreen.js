@@ -0,0 +1,82 @@
+// ============================================
+// CUSTOM HOOK: useFullscreen.js
+// ============================================
+// PURPOSE: Show one element fullscreen (slideshow on a TV or laptop)
+// USES: Fullscreen API
+// ============================================
+
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * useFullscreen Hook
+ *
+ * Leaves fullscreen when the component unmounts (e.g. the panic
+ * shortcut swaps the whole screen out)
+ *
+ * @param {Object} elementRef - Ref to the element to show fullscreen
+ * @returns {{isSupported: boolean, isFullscreen: boolean, toggle: Function}}
+ *
+ * USAGE EXAMPLE:
+ * const { isFullscreen, toggle } = useFullscreen(stageRef);
+ */
+function useFullscreen(elementRef) {
+  const isSupported =
+    typeof document !== "undefined" && Boolean(document.fullscreenEnabled);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  // Also catches leaving with the browser's own Esc / F11
+  useEffect(() => {
+    const handleChange = () => {
+      setIsFullscreen(
+        Boolean(elementRef.current) &&
+          document.fullscreenElement === elementRef.current,
+      );
+    };
+
+    document.addEventListener("fullscreenchange", handleChange);
+    return () => {
+      document.removeEventListener("fullscreenchange", handleChange);
+      if (
+        elementRef.current &&
+        document.fullscreenElement === elementRef.current
+      ) {
+        document.exitFullscreen().catch(() => {});
+      }
+    };
+  }, [elementRef]);
+
+  const toggle = useCallback(async () => {
+    try {
+      if (document.fullscreenElement) {
+        await document.exitFullscreen();
+      } else {
+        await elementRef.current?.requestFullscreen();
+      }
+    } catch (error) {
+      console.warn("Fullscreen request failed:", error.message);
+    }
+  }, [elementRef]);
+
+  return { isSupported, isFullscreen, toggle };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useFullscreen;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. USER GESTURE REQUIRED:
+ *    requestFullscreen() only works from a click or key handler
+ *    - That's why there's a button instead of starting fullscreen
+ *
+ * 2. LISTEN, DON'T ASSUME:
+ *    The user can leave fullscreen without our button
+ *    - fullscreenchange keeps isFullscreen honest
+ *
+ * ============================================
+ */
@@ -0,0 +1,357 @@
+// ============================================
+// CUSTOM HOOK: useGestures.js
+// ============================================
+// PURPOSE: One set of Pointer Events handlers for touch, mouse & pen
+// GESTURES: swipe (with release speed & flicks), tap, double-tap,
+//           long-press, drag with live offsets (follow the finger)
+// The thresholds & maths live in models/Gestures.js
+// ============================================
+
+import { useEffect, useRef, useState } from "react";
+import {
+  GESTURE_DEFAULTS,
+  SWIPE_CALLBACKS,
+  applyAxisLock,
+  getReleaseVelocity,
+  getSwipeDirection,
+  isDoubleTap,
+  lockAxis,
+  trimSamples,
+} from "../models/Gestures.js";
+
+const NO_OFFSET = { x: 0, y: 0 };
+
+/**
+ * useGestures Hook
+ *
+ * @param {Object} callbacks - All optional:
+ *   onTap({x, y}), onDoubleTap({x, y}), onLongPress({x, y}),
+ *   onSwipe(DragInfo), onSwipeLeft/Right/Up/Down(DragInfo),
+ *   onDragStart(DragInfo), onDrag(DragInfo), onDragEnd(DragInfo)
+ * @param {Object} [options] - Overrides for GESTURE_DEFAULTS (axis,
+ *   tapSlop, minSwipeDistance, flickVelocity, doubleTapDelay, ...)
+ * @returns {{handlers: Object, offset: {x: number, y: number},
+ *   isDragging: boolean}} Spread handlers onto the element; offset is
+ *   how far the current drag has moved (0,0 when not dragging)
+ *
+ * USAGE:
+ * const { handlers, offset } = useGestures({
+ *   onSwipeLeft: onNext,
+ *   onDoubleTap: ({ x, y }) => like(x, y),
+ * });
+ * <div {...handlers} style={{ transform: `translateX(${offset.x}px)` }}>
+ *
+ * NOTES:
+ * - With onDoubleTap set, onTap waits doubleTapDelay to be sure it
+ *   wasn't the first half of a double tap
+ * - A second finger cancels the gesture (pinches belong to someone
+ *   else)
+ * - The element needs `touch-action: none` (or pan-x / pan-y to match
+ *   the axis), or the browser takes over the drag and cancels it
+ */
+function useGestures(callbacks = {}, options = {}) {
+  const settings = { ...GESTURE_DEFAULTS, ...options };
+
+  // ===== STATE (drives follow-the-finger rendering) =====
+  const [offset, setOffset] = useState(NO_OFFSET);
+  const [isDragging, setIsDragging] = useState(false);
+
+  // ===== REFS (tracking that mustn't re-render) =====
+  const press = useRef(null); // The pointer being tracked, if any
+  const activePointers = useRef(new Set());
+  const lastTap = useRef(null);
+  const tapTimer = useRef(null);
+  const longPressTimer = useRef(null);
+  const isClickBlocked = useRef(false);
+
+  // Timers call back later - always use the latest callbacks
+  const latestCallbacks = useRef(callbacks);
+  latestCallbacks.current = callbacks;
+
+  /**
+   * Clear pending timers on unmount
+   */
+  useEffect(
+    () => () => {
+      clearTimeout(tapTimer.current);
+      clearTimeout(longPressTimer.current);
+    },
+    [],
+  );
+
+  // ===== HELPERS =====
+
+  const toSample = (e) => ({
+    x: e.clientX,
+    y: e.clientY,
+    time: e.timeStamp,
+  });
+
+  /**
+   * Everything callbacks hear about a drag so far
+   * @returns {DragInfo}
+   */
+  const getDragInfo = (current, sample) => {
+    const moved = applyAxisLock(
+      sample.x - current.start.x,
+      sample.y - current.start.y,
+      current.lockedAxis,
+    );
+    const velocity = getReleaseVelocity(
+      current.samples,
+      settings.velocityWindow,
+    );
+    return {
+      dx: moved.x,
+      dy: moved.y,
+      velocity,
+      duration: sample.time - current.start.time,
+      direction: getSwipeDirection(
+        moved,
+        velocity,
+        current.lockedAxis,
+        settings,
+      ),
+    };
+  };
+
+  /**
+   * Stop tracking the current press (no swipe, no tap)
+   */
+  const cancelPress = () => {
+    clearTimeout(longPressTimer.current);
+    const current = press.current;
+    press.current = null;
+    if (!current?.isDragging) return;
+
+    setOffset(NO_OFFSET);
+    setIsDragging(false);
+    callbacks.onDragEnd?.({
+      ...getDragInfo(current, current.samples[current.samples.length - 1]),
+      direction: null,
+    });
+  };
+
+  const handleTap = (tap) => {
+    const isSecondTap = isDoubleTap(lastTap.current, tap, settings);
+    if (callbacks.onDoubleTap && isSecondTap) {
+      clearTimeout(tapTimer.current);
+      lastTap.current = null;
+      callbacks.onDoubleTap({ x: tap.x, y: tap.y });
+      return;
+    }
+
+    lastTap.current = tap;
+    if (!callbacks.onDoubleTap) {
+      callbacks.onTap?.({ x: tap.x, y: tap.y });
+      return;
+    }
+
+    // Might be the first half of a double tap - wait and see
+    clearTimeout(tapTimer.current);
+    tapTimer.current = setTimeout(
+      () => latestCallbacks.current.onTap?.({ x: tap.x, y: tap.y }),
+      settings.doubleTapDelay,
+    );
+  };
+
+  // ===== POINTER HANDLERS =====
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === "mouse" && e.button !== 0) return; // Left only
+
+    // A primary pointer means no other is down: ids left over from a
+    // lost pointerup (nothing captures before a drag) are stale
+    if (e.isPrimary) activePointers.current.clear();
+    activePointers.current.add(e.pointerId);
+    if (activePointers.current.size > 1) {
+      cancelPress(); // Second finger: a pinch, not ours
+      return;
+    }
+
+    const start = toSample(e);
+    press.current = {
+      pointerId: e.pointerId,
+      start,
+      samples: [start],
+      lockedAxis: null,
+      isDragging: false,
+      isLongPress: false,
+    };
+    isClickBlocked.current = false;
+
+    if (callbacks.onLongPress) {
+      clearTimeout(longPressTimer.current);
+      longPressTimer.current = setTimeout(() => {
+        if (!press.current) return;
+        press.current.isLongPress = true;
+        isClickBlocked.current = true; // Lifting mustn't click too
+        latestCallbacks.current.onLongPress?.({ x: start.x, y: start.y });
+      }, settings.longPressDelay);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const current = press.current;
+    if (!current || e.pointerId !== current.pointerId) return;
+
+    const sample = toSample(e);
+    current.samples = trimSamples(
+      [...current.samples, sample],
+      settings.velocityWindow,
+    );
+    const dx = sample.x - current.start.x;
+    const dy = sample.y - current.start.y;
+
+    // ===== STILL A TAP? =====
+    if (!current.isDragging) {
+      if (Math.hypot(dx, dy) < settings.tapSlop) return;
+      clearTimeout(longPressTimer.current);
+      if (current.isLongPress) return; // Held, then moved: not a drag
+
+      current.lockedAxis = lockAxis(dx, dy, settings.axis);
+      if (!current.lockedAxis) {
+        press.current = null; // Wrong axis: let the page scroll
+        return;
+      }
+
+      // ===== DRAG STARTS =====
+      current.isDragging = true;
+      isClickBlocked.current = true;
+      // Keep receiving moves even outside the element
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      setIsDragging(true);
+      callbacks.onDragStart?.(getDragInfo(current, sample));
+    }
+
+    const info = getDragInfo(current, sample);
+    setOffset({ x: info.dx, y: info.dy });
+    callbacks.onDrag?.(info);
+  };
+
+  const handlePointerUp = (e) => {
+    activePointers.current.delete(e.pointerId);
+    const current = press.current;
+    if (!current || e.pointerId !== current.pointerId) return;
+
+    press.current = null;
+    clearTimeout(longPressTimer.current);
+
+    const sample = toSample(e);
+    if (current.isDragging) {
+      current.samples = [...current.samples, sample];
+      const info = getDragInfo(current, sample);
+      setOffset(NO_OFFSET);
+      setIsDragging(false);
+      callbacks.onDragEnd?.(info);
+      if (info.direction) {
+        callbacks.onSwipe?.(info);
+        callbacks[SWIPE_CALLBACKS[info.direction]]?.(info);
+      }
+      return;
+    }
+
+    if (!current.isLongPress) handleTap(sample);
+  };
+
+  const handlePointerCancel = (e) => {
+    activePointers.current.delete(e.pointerId);
+    if (press.current?.pointerId === e.pointerId) cancelPress();
+  };
+
+  /**
+   * The browser still sends a click after a drag - swallow it, so a
+   * swipe that starts on a button doesn't press it
+   */
+  const handleClickCapture = (e) => {
+    if (!isClickBlocked.current) return;
+    isClickBlocked.current = false;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // ===== RETURN =====
+  return {
+    handlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerUp,
+      onPointerCancel: handlePointerCancel,
+      onClickCapture: handleClickCapture,
+    },
+    offset,
+    isDragging,
+  };
+}
+
+// ============================================
+// UTILITY: Several handler sets on one element
+// ============================================
+
+/**
+ * Merge event handler objects - handlers for the same event all run,
+ * in the order given
+ * @param {...Object} handlerSets - e.g. useGestures & usePinchZoom
+ * @returns {Object}
+ *
+ * USAGE:
+ * <div {...combineHandlers(gestures.handlers, zoom.handlers)}>
+ */
+export function combineHandlers(...handlerSets) {
+  const combined = {};
+  handlerSets.forEach((handlers) =>
+    Object.entries(handlers).forEach(([name, handler]) => {
+      const previous = combined[name];
+      combined[name] = previous
+        ? (e) => {
+            previous(e);
+            handler(e);
+          }
+        : handler;
+    }),
+  );
+  return combined;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default useGestures;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. POINTER EVENTS:
+ *    One event family for mouse, touch & pen - no more keeping
+ *    touchstart and mousedown versions of the same logic in step
+ *    - e.pointerId: which finger (several can be down at once)
+ *    - e.pointerType: "mouse" | "touch" | "pen"
+ *    - pointercancel: the browser took over (scrolling, a call...)
+ *
+ * 2. POINTER CAPTURE:
+ *    setPointerCapture sends every later move/up for that pointer to
+ *    this element, even when the finger leaves it. It's only set once
+ *    a drag starts - capturing on pointerdown would steal the click
+ *    from buttons inside the element
+ *
+ * 3. touch-action:
+ *    Tells the browser which gestures it may handle itself. Without
+ *    it, the browser scrolls/zooms and cancels our pointers
+ *
+ * 4. TAP SLOP:
+ *    Fingers wobble - a press that moves less than a few pixels is
+ *    still a tap. Past that, it's a drag and can never be a tap
+ *
+ * 5. RELEASE VELOCITY:
+ *    Only the last ~100ms count: distance travelled / time taken.
+ *    A slow drag that ends in a quick flick is a swipe; one that
+ *    stops before lifting isn't
+ *
+ * 6. REFS FOR TRACKING, STATE FOR RENDERING:
+ *    Positions change on every move - refs keep them without
+ *    re-rendering; only the offset (what the user sees) is state
+ *
+ * ============================================
+ */
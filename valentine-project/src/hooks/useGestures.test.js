@@ -0,0 +1,82 @@
+import { createElement } from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import { describe, expect, it, vi } from "vitest";
+import useGestures from "./useGestures.js";
+
+// Lets act() flush state updates without warnings
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * Mount a component using the hook
+ * @returns {{handlers: Object}} Always the latest render's result
+ */
+const mountGestures = (callbacks) => {
+  const result = {};
+  const Probe = () => {
+    Object.assign(result, useGestures(callbacks));
+    return null;
+  };
+  act(() => {
+    TestRenderer.create(createElement(Probe));
+  });
+  return result;
+};
+
+/**
+ * A touch pointer event at (x, 0)
+ */
+const touch = (pointerId, x, time, isPrimary = true) => ({
+  pointerId,
+  isPrimary,
+  pointerType: "touch",
+  clientX: x,
+  clientY: 0,
+  timeStamp: time,
+  currentTarget: { setPointerCapture: () => {} },
+});
+
+/**
+ * Fire one handler inside act()
+ */
+const fire = (gestures, name, event) => {
+  act(() => gestures.handlers[name](event));
+};
+
+/**
+ * Slow drag from x=200 to x=100 (a swipe left by distance)
+ */
+const swipeLeft = (gestures, pointerId, isPrimary = true) => {
+  fire(gestures, "onPointerDown", touch(pointerId, 200, 0, isPrimary));
+  fire(gestures, "onPointerMove", touch(pointerId, 150, 200, isPrimary));
+  fire(gestures, "onPointerMove", touch(pointerId, 100, 400, isPrimary));
+  fire(gestures, "onPointerUp", touch(pointerId, 100, 600, isPrimary));
+};
+
+describe("useGestures", () => {
+  it("swipes left", () => {
+    const onSwipeLeft = vi.fn();
+    const gestures = mountGestures({ onSwipeLeft });
+    swipeLeft(gestures, 1);
+    expect(onSwipeLeft).toHaveBeenCalledTimes(1);
+    expect(gestures.offset).toEqual({ x: 0, y: 0 });
+  });
+
+  it("still swipes after a pointerup was lost", () => {
+    const onSwipeLeft = vi.fn();
+    const gestures = mountGestures({ onSwipeLeft });
+    // Lifted outside the window: no pointerup for pointer 1
+    fire(gestures, "onPointerDown", touch(1, 200, 0));
+    swipeLeft(gestures, 2);
+    expect(onSwipeLeft).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets a second finger cancel the swipe", () => {
+    const onSwipeLeft = vi.fn();
+    const gestures = mountGestures({ onSwipeLeft });
+    fire(gestures, "onPointerDown", touch(1, 200, 0));
+    swipeLeft(gestures, 2, false);
+    fire(gestures, "onPointerMove", touch(1, 100, 500));
+    fire(gestures, "onPointerUp", touch(1, 100, 600));
+    expect(onSwipeLeft).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+// ============================================
+// CUSTOM HOOK: useHashRouter.js
+// ============================================
+// PURPOSE: Keep the URL hash and app state in sync (both ways)
+// WHY: Browser back/forward, refresh & shareable links (#/gallery/3)
+// ============================================
+
+import { useEffect, useRef } from "react";
+import {
+  parseHash,
+  buildHash,
+  getRouteFromState,
+  routeMatchesState,
+} from "../services/router.js";
+
+/**
+ * useHashRouter Hook
+ *
+ * HOW IT WORKS:
+ * 1. URL → STATE: On start & on back/forward (popstate),
+ *    the hash is parsed and handed to controller.applyRoute()
+ * 2. STATE → URL: When currentView changes, a history entry is pushed.
+ *    Changing photos inside the gallery only replaces the entry
+ *    (so back doesn't step through every swipe)
+ *
+ * Each entry we push stores { appIndex } in history.state,
+ * so the controller's goBack() knows if history.back() stays in the app
+ *
+ * @param {Object} state - Current app state
+ * @param {ValentineController} controller
+ * @param {boolean} isReady - False while saved state is still loading
+ */
+function useHashRouter(state, controller, isReady) {
+  // Route we're applying from the URL - don't write the URL until state catches up
+  const pendingRoute = useRef(null);
+
+  // Latest state for event listeners (avoids stale closures)
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // ===== URL → STATE =====
+  useEffect(() => {
+    if (!isReady) return;
+
+    const applyUrl = () => {
+      const route = parseHash(window.location.hash) ?? { view: "home" };
+      if (routeMatchesState(route, stateRef.current)) return;
+
+      pendingRoute.current = route;
+      controller.applyRoute(route);
+    };
+
+    // Refresh / shared link: the URL wins over the saved view
+    applyUrl();
+
+    window.addEventListener("popstate", applyUrl);
+    window.addEventListener("hashchange", applyUrl); // Manually edited URLs
+
+    return () => {
+      window.removeEventListener("popstate", applyUrl);
+      window.removeEventListener("hashchange", applyUrl);
+    };
+  }, [isReady]);
+
+  // ===== STATE → URL =====
+  const route = getRouteFromState(state);
+  // Built here so the effect runs whenever any part of the URL changes
+  const hash = buildHash(route);
+
+  useEffect(() => {
+    if (!isReady) return;
+
+    let replace = false;
+    if (pendingRoute.current) {
+      // Still waiting for applyRoute's state change to render
+      if (!routeMatchesState(pendingRoute.current, state)) return;
+      pendingRoute.current = null;
+      replace = true; // Canonicalize the URL, don't add an entry
+    }
+
+    if (hash === window.location.hash) return;
+
+    const currentRoute = parseHash(window.location.hash);
+    const appIndex = window.history.state?.appIndex ?? 0;
+
+    if (replace || currentRoute?.view === route.view) {
+      window.history.replaceState({ appIndex }, "", hash);
+    } else {
+      window.history.pushState({ appIndex: appIndex + 1 }, "", hash);
+    }
+  }, [isReady, hash]);
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default useHashRouter;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. HASH ROUTING:
+ *    example.com/#/gallery/3
+ *    - Everything after # never reaches the server
+ *    - Works on any static host (no rewrite rules)
+ *
+ * 2. HISTORY API:
+ *    pushState(data, "", url)    → new entry (back button returns here)
+ *    replaceState(data, "", url) → change current entry in place
+ *    popstate event              → user pressed back/forward
+ *
+ * 3. TWO-WAY SYNC WITHOUT LOOPS:
+ *    URL → state → URL could ping-pong forever
+ *    - Only write the URL when it differs from the state's hash
+ *    - While applying a URL, wait until state matches it
+ *
+ * ============================================
+ */
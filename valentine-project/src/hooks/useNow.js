@@ -0,0 +1,60 @@
+// ============================================
+// CUSTOM HOOK: useNow.js
+// ============================================
+// PURPOSE: The current time, updated every second
+// Only countdowns use it (CountdownView), so only they re-render
+// every second - the rest of the app gets `now` from useTimeLocks,
+// which changes only when something unlocks
+// ============================================
+
+import { useEffect, useState } from "react";
+
+// How often countdowns update (ms)
+const TICK_MS = 1000;
+
+/**
+ * useNow Hook
+ *
+ * @param {Clock} clock - Where "now" comes from (services/clock.js)
+ * @param {boolean} [isTicking] - false = stop updating
+ * @returns {number} Now (ms)
+ *
+ * USAGE EXAMPLE:
+ * const now = useNow(clock);
+ * const timeLeft = getTimeLeft(unlockAt, now);
+ */
+function useNow(clock, isTicking = true) {
+  const [now, setNow] = useState(() => clock.now());
+
+  useEffect(() => {
+    if (!isTicking) return;
+
+    setNow(clock.now()); // Catch up after a pause (or a new clock)
+    const intervalId = setInterval(() => setNow(clock.now()), TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [clock, isTicking]);
+
+  return now;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default useNow;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. KEEP FAST STATE LOW IN THE TREE:
+ *    State that changes every second re-renders the component that
+ *    owns it and everything below. Held in App, the whole app would
+ *    redraw each second; held in a countdown, only the digits do
+ *
+ * 2. setInterval CLEANUP:
+ *    The effect returns clearInterval, so the timer stops when the
+ *    countdown unmounts (its content unlocked, or you left the page)
+ *
+ * ============================================
+ */
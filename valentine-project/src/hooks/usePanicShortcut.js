@@ -0,0 +1,77 @@
+// ============================================
+// CUSTOM HOOK: usePanicShortcut.js
+// ============================================
+// PURPOSE: Hide the app instantly when someone walks by 🙈
+// TRIGGERS: Escape key (desktop) or a three-finger tap (mobile)
+// ============================================
+
+import { useEffect, useRef } from "react";
+
+// Fingers needed on screen at once for the panic gesture
+const PANIC_TOUCH_COUNT = 3;
+
+/**
+ * usePanicShortcut Hook
+ *
+ * @param {Function} onPanic - Called when the shortcut/gesture fires
+ * @param {boolean} [enabled=true] - Turn listening off (e.g. already hidden)
+ *
+ * USAGE EXAMPLE:
+ * usePanicShortcut(() => controller.panic(), !state.panicMode);
+ */
+function usePanicShortcut(onPanic, enabled = true) {
+  // Latest callback without re-adding listeners every render
+  const onPanicRef = useRef(onPanic);
+  onPanicRef.current = onPanic;
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onPanicRef.current();
+    };
+
+    const handleTouchStart = (e) => {
+      if (e.touches.length >= PANIC_TOUCH_COUNT) {
+        e.preventDefault(); // No pinch-zoom on the way out
+        onPanicRef.current();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    // passive: false so preventDefault() is allowed
+    window.addEventListener("touchstart", handleTouchStart, { passive: false });
+
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("touchstart", handleTouchStart);
+    };
+  }, [enabled]);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default usePanicShortcut;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. WINDOW-LEVEL LISTENERS:
+ *    The shortcut must work on every view
+ *    - Listen on window, not on one element
+ *    - Always remove listeners in the cleanup
+ *
+ * 2. "LATEST CALLBACK" REF:
+ *    onPanicRef.current = onPanic on every render
+ *    - The effect only re-runs when `enabled` changes
+ *    - But it always calls the newest callback
+ *
+ * 3. PASSIVE LISTENERS:
+ *    Browsers make touch listeners passive by default
+ *    - { passive: false } is needed to call preventDefault()
+ *
+ * ============================================
+ */
@@ -0,0 +1,350 @@
+// ============================================
+// CUSTOM HOOK: usePinchZoom.js
+// ============================================
+// PURPOSE: Zoom & pan a photo inside its frame
+// - Pinch with two fingers (zooms around the fingers)
+// - Mouse wheel on desktop (zooms around the cursor)
+// - zoomTo / toggleZoom for double-taps, reset for a button
+// - Pan with one finger, then it glides on (momentum)
+// One-finger drags & taps come from useGestures (see GalleryView);
+// this hook only watches for the second finger
+// The maths lives in models/Zoom.js
+// ============================================
+
+import { useEffect, useRef, useState } from "react";
+import {
+  NO_ZOOM,
+  ZOOM_SETTINGS,
+  clampTransform,
+  getPinch,
+  isZoomedIn,
+  stepMomentum,
+  zoomAround,
+} from "../models/Zoom.js";
+
+const prefersReducedMotion = () =>
+  window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+
+// Wheel deltas in lines (Firefox) → pixels
+const LINE_HEIGHT = 16;
+
+/**
+ * usePinchZoom Hook
+ *
+ * @param {React.RefObject} frameRef - Element the photo fills; it is
+ *   measured, never transformed (transform the photo inside it)
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - false = no zooming (and zoom out)
+ * @param {*} [options.resetKey] - Zoom out whenever this changes
+ *   (e.g. the photo id)
+ * @returns {Object} transform {scale, x, y}, isZoomed, isMoving
+ *   (a finger or momentum is moving it - skip CSS transitions),
+ *   handlers (spread onto the element that gets the touches),
+ *   zoomTo, toggleZoom, reset, startPan, panBy, endPan
+ *
+ * USAGE:
+ * const zoom = usePinchZoom(frameRef, { resetKey: photo.id });
+ * <img style={{ transform:
+ *   `translate(${zoom.transform.x}px, ${zoom.transform.y}px)
+ *    scale(${zoom.transform.scale})` }} />
+ */
+function usePinchZoom(frameRef, { enabled = true, resetKey } = {}) {
+  // ===== STATE =====
+  const [transform, setTransformState] = useState(NO_ZOOM);
+  const [isMoving, setIsMoving] = useState(false);
+
+  // ===== REFS =====
+  // Several pointer events can arrive before the next render - they
+  // all read & write the ref
+  const current = useRef(NO_ZOOM);
+  const pointers = useRef(new Map()); // pointerId → {x, y}
+  const pinch = useRef(null); // Start of the current pinch
+  const panStart = useRef(null); // Transform when the pan started
+  const momentumFrame = useRef(null);
+
+  const setTransform = (next) => {
+    current.current = next;
+    setTransformState(next);
+  };
+
+  // ===== HELPERS =====
+
+  /**
+   * Frame size & center (null if there's no photo showing)
+   */
+  const measureFrame = () => {
+    const frame = frameRef.current;
+    if (!frame) return null;
+    const rect = frame.getBoundingClientRect();
+    return {
+      size: { width: frame.offsetWidth, height: frame.offsetHeight },
+      center: { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 },
+    };
+  };
+
+  // Screen point → point measured from the frame's center
+  const toFramePoint = (point, frame) => ({
+    x: point.x - frame.center.x,
+    y: point.y - frame.center.y,
+  });
+
+  const stopMomentum = () => {
+    cancelAnimationFrame(momentumFrame.current);
+    momentumFrame.current = null;
+  };
+
+  const startMomentum = (velocity) => {
+    const frame = measureFrame();
+    if (!frame || prefersReducedMotion()) {
+      setIsMoving(false);
+      return;
+    }
+
+    let speed = velocity;
+    let lastTime = performance.now();
+    const step = (time) => {
+      const result = stepMomentum(
+        current.current,
+        speed,
+        time - lastTime,
+        frame.size,
+      );
+      lastTime = time;
+      speed = result.velocity;
+      setTransform(result.transform);
+
+      if (result.isDone) {
+        momentumFrame.current = null;
+        setIsMoving(false);
+      } else {
+        momentumFrame.current = requestAnimationFrame(step);
+      }
+    };
+    momentumFrame.current = requestAnimationFrame(step);
+  };
+
+  // ===== ZOOM =====
+
+  const reset = () => {
+    stopMomentum();
+    pinch.current = null;
+    panStart.current = null;
+    setIsMoving(false);
+    setTransform(NO_ZOOM);
+  };
+
+  /**
+   * Zoom to a scale, keeping the point under `point` in place
+   * @param {{x: number, y: number}} point - Screen point (clientX/Y)
+   * @param {number} scale
+   */
+  const zoomTo = (point, scale) => {
+    const frame = measureFrame();
+    if (!enabled || !frame) return;
+
+    stopMomentum();
+    const at = toFramePoint(point, frame);
+    setTransform(zoomAround(current.current, at, at, scale, frame.size));
+  };
+
+  /**
+   * Double-tap: zoom in on that spot, or back out
+   * @param {{x: number, y: number}} point
+   */
+  const toggleZoom = (point) => {
+    if (isZoomedIn(current.current)) {
+      reset();
+    } else {
+      zoomTo(point, ZOOM_SETTINGS.doubleTapScale);
+    }
+  };
+
+  // ===== PAN (fed by useGestures' drag callbacks) =====
+
+  const startPan = () => {
+    stopMomentum();
+    panStart.current = current.current;
+    setIsMoving(true);
+  };
+
+  /**
+   * @param {DragInfo} drag - dx/dy since the pan started
+   */
+  const panBy = (drag) => {
+    const frame = measureFrame();
+    if (!panStart.current || !frame) return;
+
+    setTransform(
+      clampTransform(
+        {
+          ...panStart.current,
+          x: panStart.current.x + drag.dx,
+          y: panStart.current.y + drag.dy,
+        },
+        frame.size,
+      ),
+    );
+  };
+
+  /**
+   * @param {DragInfo} drag - Its release velocity keeps the photo going
+   */
+  const endPan = (drag) => {
+    panStart.current = null;
+    // A second finger ended the pan: the pinch takes over
+    if (pointers.current.size > 1) return;
+    startMomentum(drag.velocity);
+  };
+
+  // ===== PINCH (pointer handlers) =====
+
+  const handlePointerDown = (e) => {
+    if (!enabled) return;
+    // A primary pointer means no other is down: entries left over from
+    // a lost pointerup are stale and would start a pinch
+    if (e.isPrimary) {
+      pointers.current.clear();
+      if (pinch.current) {
+        pinch.current = null;
+        setIsMoving(false);
+      }
+    }
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.current.size !== 2) return;
+
+    const frame = measureFrame();
+    if (!frame) return;
+
+    stopMomentum();
+    const [a, b] = pointers.current.values();
+    const start = getPinch(a, b);
+    pinch.current = {
+      distance: start.distance,
+      center: toFramePoint(start.center, frame),
+      transform: current.current,
+    };
+    setIsMoving(true);
+    // Both fingers keep reporting even if they leave the element
+    pointers.current.forEach((point, pointerId) =>
+      e.currentTarget.setPointerCapture?.(pointerId),
+    );
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    const start = pinch.current;
+    const frame = measureFrame();
+    if (!start || !frame || start.distance === 0) return;
+
+    const [a, b] = pointers.current.values();
+    const now = getPinch(a, b);
+    setTransform(
+      zoomAround(
+        start.transform,
+        start.center,
+        toFramePoint(now.center, frame),
+        (start.transform.scale * now.distance) / start.distance,
+        frame.size,
+      ),
+    );
+  };
+
+  const handlePointerEnd = (e) => {
+    pointers.current.delete(e.pointerId);
+    if (pinch.current && pointers.current.size < 2) {
+      pinch.current = null;
+      setIsMoving(false);
+    }
+  };
+
+  // ===== EFFECTS =====
+
+  /**
+   * Start from "not zoomed" for every photo, and when zooming is off
+   */
+  useEffect(() => {
+    reset();
+  }, [enabled, resetKey]);
+
+  /**
+   * Mouse wheel - added by hand because React's onWheel is passive
+   * (it can't stop the page from scrolling)
+   */
+  useEffect(() => {
+    const frame = frameRef.current;
+    if (!enabled || !frame) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * LINE_HEIGHT : e.deltaY;
+      zoomTo(
+        { x: e.clientX, y: e.clientY },
+        current.current.scale * Math.exp(-delta * ZOOM_SETTINGS.wheelSpeed),
+      );
+    };
+
+    frame.addEventListener("wheel", handleWheel, { passive: false });
+    return () => frame.removeEventListener("wheel", handleWheel);
+  }, [enabled]);
+
+  /**
+   * No gliding after unmount
+   */
+  useEffect(() => stopMomentum, []);
+
+  // ===== RETURN =====
+  return {
+    transform,
+    isZoomed: isZoomedIn(transform),
+    isMoving,
+    handlers: {
+      onPointerDown: handlePointerDown,
+      onPointerMove: handlePointerMove,
+      onPointerUp: handlePointerEnd,
+      onPointerCancel: handlePointerEnd,
+    },
+    zoomTo,
+    toggleZoom,
+    reset,
+    startPan,
+    panBy,
+    endPan,
+  };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default usePinchZoom;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. PINCH = TWO POINTERS:
+ *    Pointer Events give every finger its own pointerId; a Map of
+ *    id → position always holds where each finger is. Zoom = how far
+ *    apart they are now ÷ how far apart they started
+ *
+ * 2. ZOOMING AROUND A POINT:
+ *    Scaling alone grows the photo from its center; shifting it too
+ *    keeps the spot under your fingers (or cursor) where it was
+ *
+ * 3. CLAMPING:
+ *    The photo may never show an edge inside its frame - at 2x it can
+ *    move half its size each way, at 1x not at all
+ *
+ * 4. MOMENTUM WITH requestAnimationFrame:
+ *    After letting go, each frame moves the photo by speed × time
+ *    and loses a little speed (friction), until it's too slow to see
+ *
+ * 5. NON-PASSIVE LISTENERS:
+ *    Browsers treat wheel & touch listeners as passive for smooth
+ *    scrolling. To call preventDefault, add the listener yourself
+ *    with { passive: false }
+ *
+ * ============================================
+ */
@@ -0,0 +1,83 @@
+import { createElement } from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import usePinchZoom from "./usePinchZoom.js";
+
+// Lets act() flush state updates without warnings
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// A 400×300 frame at the top left of the screen
+const frameRef = {
+  current: {
+    offsetWidth: 400,
+    offsetHeight: 300,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 400, height: 300 }),
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  },
+};
+
+/**
+ * Mount a component using the hook
+ * @returns {Object} Always the latest render's result
+ */
+const mountZoom = () => {
+  const result = {};
+  const Probe = () => {
+    Object.assign(result, usePinchZoom(frameRef));
+    return null;
+  };
+  act(() => {
+    TestRenderer.create(createElement(Probe));
+  });
+  return result;
+};
+
+/**
+ * A touch pointer event
+ */
+const touch = (pointerId, x, y, isPrimary = true) => ({
+  pointerId,
+  isPrimary,
+  clientX: x,
+  clientY: y,
+  currentTarget: { setPointerCapture: () => {} },
+});
+
+/**
+ * Fire one handler inside act()
+ */
+const fire = (zoom, name, event) => {
+  act(() => zoom.handlers[name](event));
+};
+
+describe("usePinchZoom", () => {
+  beforeEach(() => {
+    vi.stubGlobal("window", {});
+    vi.stubGlobal("requestAnimationFrame", () => 0);
+    vi.stubGlobal("cancelAnimationFrame", () => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("zooms in as two fingers spread", () => {
+    const zoom = mountZoom();
+    fire(zoom, "onPointerDown", touch(1, 150, 150));
+    fire(zoom, "onPointerDown", touch(2, 250, 150, false));
+    fire(zoom, "onPointerMove", touch(2, 350, 150, false));
+    expect(zoom.transform.scale).toBe(2);
+    expect(zoom.isMoving).toBe(true);
+  });
+
+  it("doesn't pinch with a finger whose pointerup was lost", () => {
+    const zoom = mountZoom();
+    // Lifted outside the window: no pointerup for pointer 1
+    fire(zoom, "onPointerDown", touch(1, 150, 150));
+    fire(zoom, "onPointerDown", touch(2, 250, 150));
+    fire(zoom, "onPointerMove", touch(2, 350, 150));
+    expect(zoom.isZoomed).toBe(false);
+    expect(zoom.isMoving).toBe(false);
+  });
+});
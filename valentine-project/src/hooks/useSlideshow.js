@@ -0,0 +1,96 @@
+// ============================================
+// CUSTOM HOOK: useSlideshow.js
+// ============================================
+// PURPOSE: Advance photos on a timer, like a picture frame
+// PAUSES: On any touch, click, swipe, wheel or key press
+// RESUMES: By itself after a quiet moment
+// ============================================
+
+import { useEffect, useRef, useState } from "react";
+
+// Anything that counts as "someone is using it"
+const INTERACTION_EVENTS = ["pointerdown", "touchstart", "keydown", "wheel"];
+
+/**
+ * useSlideshow Hook
+ *
+ * @param {Function} onAdvance - Show the next photo
+ * @param {Object} options
+ * @param {number} options.interval - Time per photo (ms)
+ * @param {number} options.resumeDelay - Idle time before playing again (ms)
+ * @param {*} options.restartKey - Restart the timer when this changes
+ *   (pass the photo id so a manual swipe gets a full interval too)
+ * @returns {{isPaused: boolean}}
+ *
+ * USAGE EXAMPLE:
+ * const { isPaused } = useSlideshow(() => onNext(), {
+ *   interval: 5000,
+ *   resumeDelay: 8000,
+ *   restartKey: photo.id,
+ * });
+ */
+function useSlideshow(onAdvance, { interval, resumeDelay, restartKey }) {
+  const [isPaused, setIsPaused] = useState(false);
+
+  // Latest callback without restarting the timer every render
+  const onAdvanceRef = useRef(onAdvance);
+  onAdvanceRef.current = onAdvance;
+
+  // ===== ADVANCE TIMER =====
+  useEffect(() => {
+    if (isPaused) return;
+    const timer = setTimeout(() => onAdvanceRef.current(), interval);
+    return () => clearTimeout(timer);
+  }, [isPaused, interval, restartKey]);
+
+  // ===== PAUSE ON INTERACTION, RESUME WHEN IDLE =====
+  useEffect(() => {
+    let resumeTimer = null;
+
+    const handleInteraction = () => {
+      setIsPaused(true);
+      clearTimeout(resumeTimer); // Every interaction restarts the wait
+      resumeTimer = setTimeout(() => setIsPaused(false), resumeDelay);
+    };
+
+    INTERACTION_EVENTS.forEach((type) =>
+      window.addEventListener(type, handleInteraction, { passive: true }),
+    );
+
+    return () => {
+      clearTimeout(resumeTimer);
+      INTERACTION_EVENTS.forEach((type) =>
+        window.removeEventListener(type, handleInteraction),
+      );
+    };
+  }, [resumeDelay]);
+
+  return { isPaused };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useSlideshow;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. setTimeout, NOT setInterval:
+ *    A new timeout is set for every photo
+ *    - Manual swipes (restartKey changes) reset the countdown
+ *    - Pausing simply means "don't set one"
+ *
+ * 2. DEBOUNCED RESUME:
+ *    Each interaction clears the pending resume timer
+ *    - The show restarts only after resumeDelay of quiet
+ *
+ * 3. EFFECT DEPENDENCIES:
+ *    [isPaused, interval, restartKey]
+ *    - Changing any of them cancels the old timer (cleanup)
+ *      and starts a fresh one
+ *
+ * ============================================
+ */
@@ -0,0 +1,91 @@
+// ============================================
+// CUSTOM HOOK: useTimeLocks.js
+// ============================================
+// PURPOSE: Keep time-locked content up to date
+// - Gives views the current time (from the injected clock)
+// - Updates it only when the next lock opens (countdowns tick on
+//   their own, see useNow.js)
+// - Reveals content (with fireworks) the moment it unlocks
+// ============================================
+
+import { useEffect, useState } from "react";
+import { selectTimeLocks } from "../store/selectors.js";
+import { getNextUnlock, getUnlockedKeys } from "../models/TimeLock.js";
+
+// Longest delay setTimeout accepts (~24.8 days); a lock further away
+// than that just sets another timeout when this one fires
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * useTimeLocks Hook
+ *
+ * @param {Object} state - Current app state
+ * @param {ValentineController} controller
+ * @param {Clock} clock - Same clock the controller uses
+ * @param {boolean} isReady - False while loading (or on the panic
+ *   screen): nothing is revealed until then
+ * @returns {number} Now (ms) - pass to views for isLocked (it only
+ *   changes when something unlocks; countdowns use useNow)
+ *
+ * USAGE EXAMPLE:
+ * const now = useTimeLocks(state, controller, clock, !storage.isLoading);
+ * if (isLocked(photo.unlockAt, now)) return <CountdownView ... />;
+ */
+function useTimeLocks(state, controller, clock, isReady) {
+  const [now, setNow] = useState(() => clock.now());
+
+  const locks = selectTimeLocks(state);
+  const nextUnlock = getNextUnlock(locks, now);
+  const openCount = getUnlockedKeys(locks, now).length;
+
+  // ===== LOCKS CHANGED: catch up with the clock =====
+  // (nothing ticks in between, so `now` may be old)
+  useEffect(() => {
+    setNow(clock.now());
+  }, [clock, locks]);
+
+  // ===== WAKE UP WHEN THE NEXT LOCK OPENS =====
+  useEffect(() => {
+    if (nextUnlock === null) return;
+
+    const delay = Math.min(nextUnlock - clock.now(), MAX_TIMEOUT_MS);
+    const timeoutId = setTimeout(() => setNow(clock.now()), delay);
+    return () => clearTimeout(timeoutId);
+  }, [clock, nextUnlock, now]);
+
+  // ===== REVEAL =====
+  // Runs after loading and whenever something opens or locks change
+  useEffect(() => {
+    if (isReady) controller.revealUnlocked();
+  }, [controller, isReady, locks, openCount]);
+
+  return now;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default useTimeLocks;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. INJECTING THE CLOCK:
+ *    clock.now() instead of Date.now()
+ *    - Tests pass createFixedClock(...) and move it forward
+ *    - Nothing else changes: the app can't tell the difference
+ *
+ * 2. ONE TIMEOUT INSTEAD OF A TICK:
+ *    `now` here feeds the whole app, so it only changes when it
+ *    matters: one setTimeout for the next unlock, not a re-render
+ *    every second. If it fires early, `now` is still before the
+ *    unlock and another timeout is set
+ *
+ * 3. EFFECT DEPENDENCIES AS TRIGGERS:
+ *    [openCount] - the reveal effect runs when the number of open
+ *    locks changes, not on every tick
+ *
+ * ============================================
+ */
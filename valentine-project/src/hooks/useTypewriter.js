@@ -0,0 +1,79 @@
+// ============================================
+// CUSTOM HOOK: useTypewriter.js
+// ============================================
+// PURPOSE: Reveal text one character at a time, like it's being typed
+// - Pauses a little after punctuation & line breaks (see Letters.js)
+// - Skip (show everything) & restart
+// - Shows everything at once for prefers-reduced-motion
+// ============================================
+
+import { useEffect, useState } from "react";
+import { getTypingDelay } from "../models/Letters.js";
+
+const prefersReducedMotion = () =>
+  window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+
+/**
+ * useTypewriter Hook
+ *
+ * @param {string[]} characters - Everything to type, in order
+ *   (getLetterCharacters - emoji count as one)
+ * @param {boolean} isRunning - Typing only happens while true
+ * @returns {{count: number, isDone: boolean, skip: Function,
+ *   restart: Function}} count = characters shown so far
+ *
+ * USAGE EXAMPLE:
+ * const { count, isDone, skip } = useTypewriter(characters, isOpen);
+ * <LetterBody segments={sliceLetter(segments, count)} />
+ */
+function useTypewriter(characters, isRunning) {
+  const total = characters.length;
+  const [count, setCount] = useState(() =>
+    prefersReducedMotion() ? total : 0,
+  );
+  const isDone = count >= total;
+
+  // ===== ONE CHARACTER PER TIMEOUT =====
+  // Each character picks the wait after it, so a new timeout is set
+  // every time the count moves on
+  useEffect(() => {
+    if (!isRunning || isDone) return;
+
+    const delay = count === 0 ? 0 : getTypingDelay(characters[count - 1]);
+    const timeoutId = setTimeout(() => setCount(count + 1), delay);
+    return () => clearTimeout(timeoutId);
+  }, [isRunning, isDone, count]);
+
+  return {
+    count: Math.min(count, total),
+    isDone,
+    skip: () => setCount(total),
+    restart: () => setCount(prefersReducedMotion() ? total : 0),
+  };
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default useTypewriter;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. setTimeout CHAIN vs setInterval:
+ *    An interval ticks at one fixed speed; a new timeout per
+ *    character lets each one wait a different time (commas, full
+ *    stops, new lines)
+ *
+ * 2. THE CLEANUP CANCELS THE PENDING CHARACTER:
+ *    Skip, unmount or pause → the effect's cleanup clears the timeout,
+ *    so no stray update lands later
+ *
+ * 3. STATE IS JUST A NUMBER:
+ *    The hook only counts; the view decides what "count characters"
+ *    looks like (sliceLetter keeps bold & italics)
+ *
+ * ============================================
+ */
@@ -0,0 +1,80 @@
+// ============================================
+// CUSTOM HOOK: useUndoShortcuts.js
+// ============================================
+// PURPOSE: Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) for undo & redo
+// Text fields keep their own browser undo
+// ============================================
+
+import { useEffect, useRef } from "react";
+
+/**
+ * Is the user typing somewhere? (their Ctrl+Z is for the text)
+ * @param {EventTarget} target
+ * @returns {boolean}
+ */
+const isEditable = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+
+/**
+ * useUndoShortcuts Hook
+ *
+ * @param {Function} onUndo - Ctrl+Z
+ * @param {Function} onRedo - Ctrl+Shift+Z or Ctrl+Y
+ * @param {boolean} [enabled=true] - Turn listening off (e.g. while loading)
+ *
+ * USAGE EXAMPLE:
+ * useUndoShortcuts(() => controller.undo(), () => controller.redo());
+ */
+function useUndoShortcuts(onUndo, onRedo, enabled = true) {
+  // Latest callbacks without re-adding the listener every render
+  const handlers = useRef({ onUndo, onRedo });
+  handlers.current = { onUndo, onRedo };
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditable(e.target)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        handlers.current.onUndo();
+      } else if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        handlers.current.onRedo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [enabled]);
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useUndoShortcuts;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. MODIFIER KEYS:
+ *    e.ctrlKey (Windows/Linux) or e.metaKey (⌘ on Mac)
+ *    - e.key is "Z" (uppercase) while Shift is held → toLowerCase()
+ *
+ * 2. preventDefault():
+ *    Stops the browser's own Ctrl+Z / Ctrl+Y behavior
+ *    - Only called when we handle the shortcut
+ *
+ * 3. LEAVING TEXT FIELDS ALONE:
+ *    Inside an <input>, Ctrl+Z should undo typing, not app actions
+ *
+ * ============================================
+ */
@@ -0,0 +1,127 @@
+// ============================================
+// CUSTOM HOOK: useValentineStore.js
+// ============================================
+// PURPOSE: Connect React to the app store
+// - Creates the store + controller once, BEFORE the first render
+// - Re-renders whenever the store's state changes
+// - Loads saved state on mount (IndexedDB, async)
+// ============================================
+
+import { useEffect, useState, useSyncExternalStore } from "react";
+import ValentineController from "../controllers/ValentineController.js";
+import { createValentineStore, StorageWarnings } from "../store/index.js";
+import { loadState } from "../store/actions.js";
+import { subscribeToDecks } from "../models/ShuffleDeck.js";
+import { loadPersistedState } from "../services/persistence.js";
+import { trackAchievements } from "../services/achievementTracker.js";
+
+/**
+ * useValentineStore Hook
+ *
+ * WHAT IT DOES:
+ * 1. Builds the store (reducer + middleware) and its controller facade
+ * 2. Subscribes to the store (useSyncExternalStore)
+ * 3. Loads, migrates & validates saved state, then saving starts
+ * 4. Wires achievements and shuffle decks to the controller
+ *
+ * @param {Clock} [clock] - "Now" for time locks (services/clock.js)
+ * @returns {{state: Object, controller: ValentineController, storage: Object}}
+ *   storage: {isLoading, storageWarning, dismissWarning}
+ *
+ * USAGE EXAMPLE:
+ * const { state, controller, storage } = useValentineStore();
+ * if (storage.isLoading) return <Spinner />;
+ * <button onClick={() => controller.likePhoto(photo.id)}>Like</button>
+ */
+function useValentineStore(clock) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [storageWarning, setStorageWarning] = useState(null);
+
+  // Lazy initial state: created once, on the very first render
+  const [controller] = useState(
+    () =>
+      new ValentineController(
+        createValentineStore({ clock, onStorageWarning: setStorageWarning }),
+        { clock },
+      ),
+  );
+
+  const { store } = controller;
+  const state = useSyncExternalStore(store.subscribe, store.getState);
+
+  // ===== LOAD ONCE ON MOUNT =====
+  useEffect(() => {
+    let cancelled = false;
+
+    loadPersistedState(controller.clock).then(
+      ({ state: savedState, status }) => {
+        if (cancelled) return;
+        controller.dispatch(loadState(savedState)); // Saving starts after this
+        if (StorageWarnings[status]) {
+          setStorageWarning(StorageWarnings[status]);
+        }
+        setIsLoading(false);
+      },
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [controller]);
+
+  // ===== ACHIEVEMENTS & SHUFFLE DECKS =====
+  useEffect(() => {
+    // Count controller events toward achievements (see Achievements.js)
+    const stopTracking = trackAchievements(controller);
+    // Every deal is written back into state (so decks get saved)
+    const stopDecks = subscribeToDecks((decks) => controller.syncDecks(decks));
+
+    return () => {
+      stopTracking();
+      stopDecks();
+    };
+  }, [controller]);
+
+  const dismissWarning = () => setStorageWarning(null);
+
+  return {
+    state,
+    controller,
+    storage: { isLoading, storageWarning, dismissWarning },
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useValentineStore;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. useSyncExternalStore:
+ *    React 18's hook for state that lives OUTSIDE React
+ *    - subscribe: how React hears about changes
+ *    - getSnapshot: how React reads the current value
+ *    - No tearing: every component sees the same state in one render
+ *
+ * 2. LAZY useState FOR ONE-TIME OBJECTS:
+ *    useState(() => new Thing()) runs the function only once
+ *    - Unlike useEffect, it exists during the first render,
+ *      so callbacks never find an empty ref
+ *
+ * 3. ASYNC LOADING STATE:
+ *    The first render can't wait for IndexedDB
+ *    - Start with the initial state + isLoading = true
+ *    - Dispatch the saved state when it arrives
+ *    - The persistence middleware skips saving until then
+ *      (or it would overwrite the saved data!)
+ *
+ * 4. CLEANUP FUNCTIONS:
+ *    Every subscription returns an unsubscribe
+ *    - Return them from useEffect so nothing leaks
+ *
+ * ============================================
+ */
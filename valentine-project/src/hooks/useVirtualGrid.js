@@ -0,0 +1,155 @@
+// ============================================
+// CUSTOM HOOK: useVirtualGrid.js
+// ============================================
+// PURPOSE: Only render the grid cells that are (nearly) on screen
+// WHY: Hundreds of <img> elements make scrolling janky on phones;
+//      a window of a few rows keeps it smooth
+// ============================================
+
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * useVirtualGrid Hook
+ *
+ * Square cells in as many columns as fit. The scroll container must
+ * have a fixed height (e.g. flex: 1) and overflow-y: auto.
+ *
+ * @param {Object} containerRef - Ref to the scrolling element
+ * @param {number} itemCount - Total number of cells
+ * @param {Object} [options]
+ * @param {number} [options.minCellSize=110] - Smallest cell width (px)
+ * @param {number} [options.gap=8] - Space between cells (px)
+ * @param {number} [options.overscan=2] - Extra rows above & below
+ * @returns {Object} {isMeasured, columns, cellSize, gap, startIndex,
+ *   endIndex, offsetTop, totalHeight, scrollToIndex}
+ *
+ * USAGE EXAMPLE:
+ * const grid = useVirtualGrid(scrollRef, photos.length);
+ * photos.slice(grid.startIndex, grid.endIndex).map(...)
+ */
+function useVirtualGrid(
+  containerRef,
+  itemCount,
+  { minCellSize = 110, gap = 8, overscan = 2 } = {},
+) {
+  const [viewport, setViewport] = useState({
+    width: 0,
+    height: 0,
+    scrollTop: 0,
+  });
+
+  // ===== MEASURE SIZE & SCROLL POSITION =====
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    let frame = null;
+    const measure = () => {
+      frame = null;
+      setViewport({
+        width: container.clientWidth,
+        height: container.clientHeight,
+        scrollTop: container.scrollTop,
+      });
+    };
+    // At most one update per animation frame while scrolling
+    const scheduleMeasure = () => {
+      if (frame === null) frame = requestAnimationFrame(measure);
+    };
+
+    measure();
+    const observer = new ResizeObserver(scheduleMeasure);
+    observer.observe(container);
+    container.addEventListener("scroll", scheduleMeasure, { passive: true });
+
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      observer.disconnect();
+      container.removeEventListener("scroll", scheduleMeasure);
+    };
+  }, [containerRef]);
+
+  // ===== LAYOUT =====
+  const columns = Math.max(
+    1,
+    Math.floor((viewport.width + gap) / (minCellSize + gap)),
+  );
+  const cellSize =
+    viewport.width > 0
+      ? (viewport.width - gap * (columns - 1)) / columns
+      : minCellSize;
+  const rowHeight = cellSize + gap;
+  const rowCount = Math.ceil(itemCount / columns);
+
+  // ===== VISIBLE WINDOW =====
+  const firstRow = Math.max(
+    0,
+    Math.floor(viewport.scrollTop / rowHeight) - overscan,
+  );
+  const lastRow = Math.min(
+    rowCount - 1,
+    Math.ceil((viewport.scrollTop + viewport.height) / rowHeight) + overscan,
+  );
+
+  /**
+   * Scroll just enough to show a cell (keyboard navigation)
+   * @param {number} index
+   */
+  const scrollToIndex = useCallback(
+    (index) => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      const top = Math.floor(index / columns) * rowHeight;
+      const bottom = top + cellSize;
+      if (top < container.scrollTop) {
+        container.scrollTop = top;
+      } else if (bottom > container.scrollTop + container.clientHeight) {
+        container.scrollTop = bottom - container.clientHeight;
+      }
+    },
+    [containerRef, columns, rowHeight, cellSize],
+  );
+
+  return {
+    isMeasured: viewport.width > 0, // Layout is a guess until then
+    columns,
+    cellSize,
+    gap,
+    startIndex: firstRow * columns,
+    endIndex: Math.min(itemCount, (lastRow + 1) * columns),
+    offsetTop: firstRow * rowHeight,
+    totalHeight: Math.max(0, rowCount * rowHeight - gap),
+    scrollToIndex,
+  };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useVirtualGrid;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. VIRTUALIZATION (WINDOWING):
+ *    A tall empty box keeps the scrollbar the right size,
+ *    and only the rows in view (+ overscan) are rendered inside it
+ *    - 500 photos, ~30 <img> in the DOM
+ *
+ * 2. ResizeObserver:
+ *    Fires when an element's size changes (rotation, window resize)
+ *    - More precise than window "resize"
+ *
+ * 3. requestAnimationFrame THROTTLING:
+ *    Scroll events fire faster than the screen repaints
+ *    - Measure once per frame, not once per event
+ *
+ * 4. PASSIVE LISTENERS:
+ *    { passive: true } promises we won't preventDefault()
+ *    - The browser can scroll without waiting for our code
+ *
+ * ============================================
+ */
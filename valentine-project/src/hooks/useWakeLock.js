@@ -0,0 +1,86 @@
+// ============================================
+// CUSTOM HOOK: useWakeLock.js
+// ============================================
+// PURPOSE: Keep the screen on (e.g. during a slideshow)
+// USES: Screen Wake Lock API - silently does nothing where unsupported
+// ============================================
+
+import { useEffect, useState } from "react";
+
+/**
+ * useWakeLock Hook
+ *
+ * @param {boolean} [enabled=true] - Hold the lock while true
+ * @returns {{isSupported: boolean, isActive: boolean}}
+ *
+ * USAGE EXAMPLE:
+ * useWakeLock(isPlaying);
+ */
+function useWakeLock(enabled = true) {
+  const isSupported =
+    typeof navigator !== "undefined" && "wakeLock" in navigator;
+  const [isActive, setIsActive] = useState(false);
+
+  useEffect(() => {
+    if (!enabled || !isSupported) return;
+
+    let sentinel = null;
+    let isCancelled = false;
+
+    const acquire = async () => {
+      try {
+        sentinel = await navigator.wakeLock.request("screen");
+        if (isCancelled) {
+          sentinel.release(); // Unmounted while we were waiting
+          return;
+        }
+        setIsActive(true);
+        sentinel.addEventListener("release", () => setIsActive(false));
+      } catch (error) {
+        // Refused, e.g. battery saver or the tab is hidden
+        console.warn("Screen wake lock unavailable:", error.message);
+      }
+    };
+
+    // The browser drops the lock when the tab is hidden: take it again
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "visible") acquire();
+    };
+
+    acquire();
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      isCancelled = true;
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+      sentinel?.release();
+    };
+  }, [enabled, isSupported]);
+
+  return { isSupported, isActive };
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+export default useWakeLock;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. FEATURE DETECTION:
+ *    "wakeLock" in navigator
+ *    - Check before use; older browsers just let the screen dim
+ *
+ * 2. ASYNC WORK IN EFFECTS:
+ *    The request may finish after the component unmounted
+ *    - An isCancelled flag tells the late result to clean up
+ *
+ * 3. LOCKS ARE FRAGILE:
+ *    Switching tabs releases the lock automatically
+ *    - visibilitychange lets us ask for it again
+ *
+ * ============================================
+ */
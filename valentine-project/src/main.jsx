@@ -8,6 +8,8 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import { createOffsetClock, systemClock } from "./services/clock.js";
+import { parseUnlockAt } from "./models/TimeLock.js";
 
 /**
  * REACT RENDERING PROCESS:
@@ -37,6 +39,15 @@ if (!rootElement) {
   );
 }
 
+// ===== CLOCK =====
+// Dev only: ?now=2026-02-13T23:59 starts the app at that time, to
+// check time-locked content without waiting (production ignores it)
+const previewTime = import.meta.env.DEV
+  ? parseUnlockAt(new URLSearchParams(window.location.search).get("now"))
+  : null;
+const clock =
+  previewTime === null ? systemClock : createOffsetClock(previewTime);
+
 // ===== CREATE REACT ROOT =====
 // createRoot is React 18+ API for concurrent rendering
 const root = ReactDOM.createRoot(rootElement);
@@ -49,7 +60,7 @@ root.render(
   // - Detects unexpected side effects
   // NOTE: Renders components twice in dev mode (intentional!)
   <React.StrictMode>
-    <App />
+    <App clock={clock} />
   </React.StrictMode>,
 );
 
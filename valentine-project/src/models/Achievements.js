@@ -0,0 +1,226 @@
+// ============================================
+// MODEL: Achievements.js
+// ============================================
+// PURPOSE: Milestones that unlock as you use the app 🏆
+// HOW IT WORKS:
+// 1. The controller emits events (photoLiked, quizAnswered, ...)
+// 2. STAT_EVENTS turns events into counters in state.stats
+// 3. Each achievement declares when it's reached - no controller changes
+// ADD A MILESTONE: Add an entry to ACHIEVEMENTS below
+// ============================================
+
+/**
+ * Achievement Model
+ * @typedef {Object} Achievement
+ * @property {string} id - Unique, never rename (unlocks are saved by id)
+ * @property {string} icon - Emoji shown on the trophy page & toast
+ * @property {string} title
+ * @property {string} description - How to unlock it
+ * @property {string} [stat] - Counter in state.stats to watch...
+ * @property {number} [goal] - ...and the value that unlocks it
+ * @property {Function} [check] - OR: (state) => boolean for anything else
+ */
+
+/**
+ * Controller event → stats counter it increments
+ * Events not listed here still re-check `check` achievements
+ */
+export const STAT_EVENTS = {
+  photoLiked: "likes",
+  photoFavorited: "favorites",
+  photoUploaded: "uploads",
+  messageRevealed: "reveals",
+  quizAnswered: "quizAnswers",
+  heartClicked: "heartClicks",
+  adventDayOpened: "adventDays",
+};
+
+/**
+ * All achievements, in trophy page order
+ */
+export const ACHIEVEMENTS = [
+  {
+    id: "first-like",
+    icon: "❤️",
+    title: "First Like",
+    description: "Like a photo",
+    stat: "likes",
+    goal: 1,
+  },
+  {
+    id: "like-machine",
+    icon: "💘",
+    title: "Like Machine",
+    description: "Like photos 50 times",
+    stat: "likes",
+    goal: 50,
+  },
+  {
+    id: "crowd-favorite",
+    icon: "🏆",
+    title: "Crowd Favorite",
+    description: "Give one photo 10 likes",
+    check: (state) => state.photos.some((photo) => photo.likes >= 10),
+  },
+  {
+    id: "collector",
+    icon: "⭐",
+    title: "Collector",
+    description: "Favorite 3 photos",
+    stat: "favorites",
+    goal: 3,
+  },
+  {
+    id: "photographer",
+    icon: "📸",
+    title: "Photographer",
+    description: "Upload your own photo",
+    stat: "uploads",
+    goal: 1,
+  },
+  {
+    id: "curious",
+    icon: "👀",
+    title: "Curious",
+    description: "Reveal a naughty message",
+    stat: "reveals",
+    goal: 1,
+  },
+  {
+    id: "cant-stop",
+    icon: "😈",
+    title: "Can't Stop",
+    description: "Reveal 25 naughty messages",
+    stat: "reveals",
+    goal: 25,
+  },
+  {
+    id: "maximum-heat",
+    icon: "🔥",
+    title: "Maximum Heat",
+    description: "Fill the naughty meter to 100%",
+    check: (state) => state.naughtyLevel >= 100,
+  },
+  {
+    id: "quiz-taker",
+    icon: "🧠",
+    title: "Quiz Taker",
+    description: "Answer 10 quiz questions",
+    stat: "quizAnswers",
+    goal: 10,
+  },
+  {
+    id: "quiz-finisher",
+    icon: "🎓",
+    title: "Graduate",
+    description: "Finish a quiz",
+    check: (state) => state.quizHistory.length > 0,
+  },
+  {
+    id: "heart-spammer",
+    icon: "💓",
+    title: "Heart Spammer",
+    description: "Click the heart 100 times",
+    stat: "heartClicks",
+    goal: 100,
+  },
+  {
+    id: "advent-streak",
+    icon: "📅",
+    title: "Counting the Days",
+    description: "Visit the advent calendar 7 days in a row",
+    check: (state) => state.advent.bestStreak >= 7,
+  },
+  {
+    id: "advent-complete",
+    icon: "🎁",
+    title: "Every Door Open",
+    description: "Open 14 advent calendar doors",
+    stat: "adventDays",
+    goal: 14,
+  },
+];
+
+/**
+ * Find an achievement by id
+ * @param {string} id
+ * @returns {Achievement|undefined}
+ */
+export const getAchievement = (id) =>
+  ACHIEVEMENTS.find((achievement) => achievement.id === id);
+
+/**
+ * Has the state reached this achievement?
+ * @param {Achievement} achievement
+ * @param {Object} state - App state
+ * @returns {boolean}
+ */
+export const isAchieved = (achievement, state) => {
+  if (achievement.check) return achievement.check(state);
+  return (state.stats[achievement.stat] ?? 0) >= achievement.goal;
+};
+
+/**
+ * Progress toward a counter achievement (for progress bars)
+ * @param {Achievement} achievement
+ * @param {Object} state
+ * @returns {{current: number, goal: number}|null} null for `check` achievements
+ */
+export const getAchievementProgress = (achievement, state) => {
+  if (!achievement.stat) return null;
+  return {
+    current: Math.min(state.stats[achievement.stat] ?? 0, achievement.goal),
+    goal: achievement.goal,
+  };
+};
+
+/**
+ * Unlock every achievement the state has reached
+ * @param {Object} state - App state
+ * @param {number} [now] - Unlock timestamp
+ * @returns {Object} Same state if nothing new unlocked, else updated copy
+ */
+export const evaluateAchievements = (state, now = Date.now()) => {
+  const newlyUnlocked = ACHIEVEMENTS.filter(
+    (achievement) =>
+      !state.achievements[achievement.id] && isAchieved(achievement, state),
+  );
+  if (newlyUnlocked.length === 0) return state;
+
+  const achievements = { ...state.achievements };
+  newlyUnlocked.forEach((achievement) => {
+    achievements[achievement.id] = now;
+  });
+  return { ...state, achievements };
+};
+
+/**
+ * Count a controller event and unlock what it reaches
+ * @param {Object} state - App state
+ * @param {string} event - e.g. "photoLiked"
+ * @param {number} [now] - Unlock timestamp
+ * @returns {Object} New state
+ */
+export const applyAchievementEvent = (state, event, now = Date.now()) => {
+  const stat = STAT_EVENTS[event];
+  const counted = stat
+    ? {
+        ...state,
+        stats: { ...state.stats, [stat]: (state.stats[stat] ?? 0) + 1 },
+      }
+    : state;
+  return evaluateAchievements(counted, now);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  STAT_EVENTS,
+  ACHIEVEMENTS,
+  getAchievement,
+  isAchieved,
+  getAchievementProgress,
+  evaluateAchievements,
+  applyAchievementEvent,
+};
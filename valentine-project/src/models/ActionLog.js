@@ -0,0 +1,259 @@
+// ============================================
+// MODEL: ActionLog.js
+// ============================================
+// PURPOSE: Record the labelled, data-changing store actions so they
+//          can be undone & redone
+// (The debug time-travel slider replays EVERY action instead - see
+// store/history.js)
+// Each entry keeps the action itself (plain JSON) plus the undoable
+// fields it changed, before & after it
+// All functions are pure: they take a log/state and return a new one
+// ============================================
+
+import { clampNaughtyLevel } from "./SafeMode.js";
+
+/**
+ * Action Model (serializable - safe to JSON.stringify)
+ * @typedef {Object} Action
+ * @property {string} id
+ * @property {string} type - e.g. "likePhoto" (see store/actions.js)
+ * @property {Object} payload - What the reducer needs, plain JSON
+ * @property {number} timestamp
+ *
+ * @typedef {Object} ActionLogEntry
+ * @property {Action} action
+ * @property {Object} before - Undoable fields it changed, as they were
+ * @property {Object} after - The same fields after the action
+ *
+ * @typedef {Object} ActionLog
+ * @property {ActionLogEntry[]} entries - Oldest first
+ * @property {number} cursor - How many entries are applied (0 = all undone)
+ */
+
+/**
+ * Oldest entries are dropped beyond this
+ */
+export const ACTION_LOG_LIMIT = 100;
+
+/**
+ * State fields that undo/redo put back
+ * NOT included on purpose:
+ * - currentView: the back button handles navigation
+ * - safeMode / panicMode: PIN-protected, must never be undone
+ * - stats / achievements: earned is earned
+ * - decks, effects: bookkeeping & animations
+ * - letterDraft: autosaved while typing (the textarea has its own undo)
+ */
+export const UNDOABLE_FIELDS = [
+  "photos",
+  "naughtyLevel",
+  "heartClicks",
+  "profile",
+  "activePackId",
+  "customPacks",
+  "activeQuiz",
+  "quizHistory",
+  "timedMessages",
+  "viewLocks",
+  "letters",
+];
+
+/**
+ * Shown on the undo/redo buttons ("Undo like")
+ */
+export const ACTION_LABELS = {
+  likePhoto: "like",
+  toggleFavorite: "favorite",
+  updatePhoto: "photo edit",
+  setViewLock: "time lock",
+  addTimedMessage: "sealed message",
+  removeTimedMessage: "message delete",
+  publishLetter: "letter",
+  deleteLetter: "letter delete",
+  addPhoto: "photo upload",
+  increaseNaughtyLevel: "naughty boost",
+  resetNaughtyLevel: "reset",
+  handleHeartClick: "heart click",
+  saveProfile: "profile change",
+  setMessagePack: "pack change",
+  importMessagePack: "pack import",
+  startQuiz: "quiz start",
+  answerQuiz: "quiz answer",
+  quitQuiz: "quiz exit",
+};
+
+/**
+ * Empty log
+ * @returns {ActionLog}
+ */
+export const createActionLog = () => ({ entries: [], cursor: 0 });
+
+/**
+ * Action Factory
+ * @param {string} type
+ * @param {Object} [payload] - Must be plain JSON (no events, no DOM nodes)
+ * @param {number} [now] - Timestamp (for testing)
+ * @returns {Action}
+ */
+export const createAction = (type, payload = {}, now = Date.now()) => ({
+  id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  type,
+  payload,
+  timestamp: now,
+});
+
+/**
+ * Should this action go in the log? (only the labelled ones)
+ * @param {Action} action
+ * @returns {boolean}
+ */
+export const isUndoableAction = (action) =>
+  Object.hasOwn(ACTION_LABELS, action.type);
+
+/**
+ * Copy out the fields undo/redo care about
+ * Values are shared, not cloned - state is never mutated
+ * @param {Object} state
+ * @param {string[]} [fields] - Defaults to all UNDOABLE_FIELDS
+ * @returns {Object}
+ */
+export const pickUndoable = (state, fields = UNDOABLE_FIELDS) =>
+  Object.fromEntries(fields.map((field) => [field, state[field]]));
+
+/**
+ * Undoable fields an action changed (compared by reference - the
+ * reducer only replaces what it changes)
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {string[]}
+ */
+export const getChangedFields = (before, after) =>
+  UNDOABLE_FIELDS.filter((field) => before[field] !== after[field]);
+
+/**
+ * Add an action to the log
+ * Anything that was undone (ahead of the cursor) is thrown away,
+ * like in any text editor
+ * Only the fields the action changed are kept, so undoing it never
+ * touches changes made by other (unlogged) actions
+ *
+ * @param {ActionLog} log
+ * @param {Action} action
+ * @param {Object} before - State before the action
+ * @param {Object} after - State after the action
+ * @returns {ActionLog}
+ */
+export const recordAction = (log, action, before, after) => {
+  const changed = getChangedFields(before, after);
+  if (changed.length === 0) return log;
+
+  const entries = [
+    ...log.entries.slice(0, log.cursor),
+    {
+      action,
+      before: pickUndoable(before, changed),
+      after: pickUndoable(after, changed),
+    },
+  ].slice(-ACTION_LOG_LIMIT);
+
+  return { entries, cursor: entries.length };
+};
+
+/**
+ * @param {ActionLog} log
+ * @returns {boolean}
+ */
+export const canUndo = (log) => log.cursor > 0;
+
+/**
+ * @param {ActionLog} log
+ * @returns {boolean}
+ */
+export const canRedo = (log) => log.cursor < log.entries.length;
+
+/**
+ * Action that undo would take back
+ * @param {ActionLog} log
+ * @returns {Action|null}
+ */
+export const getUndoAction = (log) =>
+  canUndo(log) ? log.entries[log.cursor - 1].action : null;
+
+/**
+ * Action that redo would apply again
+ * @param {ActionLog} log
+ * @returns {Action|null}
+ */
+export const getRedoAction = (log) =>
+  canRedo(log) ? log.entries[log.cursor].action : null;
+
+/**
+ * Move the whole app to a point in the log
+ * position 0 = before the first entry, entries.length = latest
+ *
+ * Steps one entry at a time from the cursor: going back puts each
+ * entry's "before" fields back, going forward its "after" fields.
+ * Fields no entry on the way touched keep their current value. The
+ * naughty level is re-capped in case safe mode was turned on since.
+ *
+ * @param {Object} state - Current app state (with actionLog)
+ * @param {number} position
+ * @returns {Object} New state (same state if position is out of range)
+ */
+export const travelTo = (state, position) => {
+  const log = state.actionLog;
+  if (
+    !Number.isInteger(position) ||
+    position < 0 ||
+    position > log.entries.length ||
+    position === log.cursor
+  ) {
+    return state;
+  }
+
+  let restored = {};
+  for (let i = log.cursor - 1; i >= position; i--) {
+    restored = { ...restored, ...log.entries[i].before };
+  }
+  for (let i = log.cursor; i < position; i++) {
+    restored = { ...restored, ...log.entries[i].after };
+  }
+  const next = { ...state, ...restored };
+
+  return {
+    ...next,
+    naughtyLevel: clampNaughtyLevel(next.naughtyLevel, state.safeMode),
+    // Undoing an upload can leave the gallery pointing past the end
+    currentPhotoIndex: Math.max(
+      0,
+      Math.min(state.currentPhotoIndex, next.photos.length - 1),
+    ),
+    actionLog: { ...log, cursor: position },
+  };
+};
+
+/**
+ * Undo the latest applied action
+ * @param {Object} state
+ * @returns {Object}
+ */
+export const undo = (state) => travelTo(state, state.actionLog.cursor - 1);
+
+/**
+ * Redo the next undone action
+ * @param {Object} state
+ * @returns {Object}
+ */
+export const redo = (state) => travelTo(state, state.actionLog.cursor + 1);
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  createActionLog,
+  createAction,
+  recordAction,
+  travelTo,
+  undo,
+  redo,
+};
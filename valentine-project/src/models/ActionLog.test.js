@@ -0,0 +1,141 @@
+import { describe, expect, it } from "vitest";
+import {
+  ACTION_LOG_LIMIT,
+  canRedo,
+  canUndo,
+  createAction,
+  createActionLog,
+  getUndoAction,
+  recordAction,
+  redo,
+  travelTo,
+  undo,
+} from "./ActionLog.js";
+
+const baseState = () => ({
+  photos: [{ id: "1" }, { id: "2" }],
+  naughtyLevel: 0,
+  heartClicks: 0,
+  letters: [],
+  currentPhotoIndex: 0,
+  safeMode: { enabled: false, maxTier: "extraSpicy", pinHash: null },
+  actionLog: createActionLog(),
+});
+
+/**
+ * Apply a change and log it, like the reducer does
+ */
+const apply = (state, type, changes, time = 1) => {
+  const next = { ...state, ...changes };
+  const action = createAction(type, {}, time);
+  return {
+    ...next,
+    actionLog: recordAction(state.actionLog, action, state, next),
+  };
+};
+
+describe("recordAction", () => {
+  it("keeps only the fields the action changed", () => {
+    const state = apply(baseState(), "increaseNaughtyLevel", {
+      naughtyLevel: 5,
+    });
+    const [entry] = state.actionLog.entries;
+    expect(entry.before).toEqual({ naughtyLevel: 0 });
+    expect(entry.after).toEqual({ naughtyLevel: 5 });
+  });
+
+  it("skips actions that changed nothing undoable", () => {
+    const state = apply(baseState(), "likePhoto", { currentPhotoIndex: 1 });
+    expect(state.actionLog.entries).toHaveLength(0);
+  });
+
+  it("drops undone entries when something new happens", () => {
+    let state = apply(baseState(), "handleHeartClick", { heartClicks: 1 });
+    state = apply(state, "handleHeartClick", { heartClicks: 2 });
+    state = undo(state);
+    state = apply(state, "increaseNaughtyLevel", { naughtyLevel: 5 });
+    expect(state.actionLog.entries).toHaveLength(2);
+    expect(canRedo(state.actionLog)).toBe(false);
+  });
+
+  it("keeps at most ACTION_LOG_LIMIT entries", () => {
+    let state = baseState();
+    for (let i = 1; i <= ACTION_LOG_LIMIT + 5; i++) {
+      state = apply(state, "handleHeartClick", { heartClicks: i });
+    }
+    expect(state.actionLog.entries).toHaveLength(ACTION_LOG_LIMIT);
+    expect(state.actionLog.cursor).toBe(ACTION_LOG_LIMIT);
+  });
+});
+
+describe("undo / redo", () => {
+  it("undoes and redoes the latest action", () => {
+    let state = apply(baseState(), "increaseNaughtyLevel", {
+      naughtyLevel: 5,
+    });
+    expect(getUndoAction(state.actionLog).type).toBe("increaseNaughtyLevel");
+
+    state = undo(state);
+    expect(state.naughtyLevel).toBe(0);
+    expect(canUndo(state.actionLog)).toBe(false);
+
+    state = redo(state);
+    expect(state.naughtyLevel).toBe(5);
+  });
+
+  it("leaves changes made by unlogged actions alone", () => {
+    let state = apply(baseState(), "increaseNaughtyLevel", {
+      naughtyLevel: 5,
+    });
+    // e.g. an action without a label writes letters afterwards
+    const letters = [{ id: "letter" }];
+    state = { ...state, letters };
+
+    state = undo(state);
+    expect(state.naughtyLevel).toBe(0);
+    expect(state.letters).toBe(letters);
+  });
+
+  it("re-caps the naughty level for safe mode", () => {
+    let state = apply(baseState(), "increaseNaughtyLevel", {
+      naughtyLevel: 90,
+    });
+    state = undo(state);
+    state = {
+      ...state,
+      safeMode: { enabled: true, maxTier: "sweet", pinHash: "x" },
+    };
+    expect(redo(state).naughtyLevel).toBe(32);
+  });
+
+  it("keeps the gallery index inside the photos", () => {
+    let state = apply(baseState(), "addPhoto", {
+      photos: [...baseState().photos, { id: "3" }],
+    });
+    state = { ...state, currentPhotoIndex: 2 };
+    expect(undo(state).currentPhotoIndex).toBe(1);
+  });
+});
+
+describe("travelTo", () => {
+  it("steps through several entries in either direction", () => {
+    let state = baseState();
+    state = apply(state, "handleHeartClick", { heartClicks: 1 });
+    state = apply(state, "increaseNaughtyLevel", { naughtyLevel: 5 });
+    state = apply(state, "handleHeartClick", { heartClicks: 2 });
+
+    const start = travelTo(state, 0);
+    expect(start).toMatchObject({ heartClicks: 0, naughtyLevel: 0 });
+
+    const middle = travelTo(start, 2);
+    expect(middle).toMatchObject({ heartClicks: 1, naughtyLevel: 5 });
+    expect(middle.actionLog.cursor).toBe(2);
+  });
+
+  it("ignores positions outside the log", () => {
+    const state = apply(baseState(), "handleHeartClick", { heartClicks: 1 });
+    expect(travelTo(state, 5)).toBe(state);
+    expect(travelTo(state, -1)).toBe(state);
+    expect(travelTo(state, 0.5)).toBe(state);
+  });
+});
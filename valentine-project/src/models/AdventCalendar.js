@@ -0,0 +1,318 @@
+// ============================================
+// MODEL: AdventCalendar.js
+// ============================================
+// PURPOSE: An advent-style calendar for the two weeks before
+//          Valentine's Day - one door a day, Feb 1st to Feb 14th
+// SCHEDULE: ./advent/schedule.json says what's behind each door
+// (a message, a photo, a quiz question or a coupon)
+// A door opens at local midnight on its day; "now" is always passed
+// in (see services/clock.js)
+// ============================================
+
+import adventSchedule from "./advent/schedule.json";
+import { MESSAGE_TIERS, getActivePack } from "./MessagePacks.js";
+import { getQuestions } from "./NaughtyMessages.js";
+import { parseLocalDate, toLocalDateString } from "./Personalization.js";
+import { validateQuestion } from "./QuizEngine.js";
+import { DEFAULT_TIER, getSafeMode, isTierAllowed } from "./SafeMode.js";
+import { getNextValentinesDay, isLocked } from "./TimeLock.js";
+
+/**
+ * Advent Day Model (one entry in schedule.json)
+ * @typedef {Object} AdventDay
+ * @property {number} day - 1-14 = February 1st-14th
+ * @property {string} type - One of ADVENT_TYPES
+ * @property {string} [title] - Shown once opened (placeholders allowed)
+ * @property {string} [text] - Coupons: what it's good for (required)
+ *   Messages: fixed text instead of one from the active pack
+ * @property {string} [tier] - Messages: pack tier to pick from
+ *   (default "sweet"; safe mode can lower it)
+ * @property {string} [photoId] - Photos: a particular photo
+ * @property {QuizQuestion} [question] - Questions: its own question
+ *   instead of one from the active pack
+ *
+ * Advent Progress Model (saved in state as `advent`)
+ * @typedef {Object} AdventProgress
+ * @property {string[]} openedDays - "YYYY-MM-DD" of every opened door
+ * @property {string} lastVisit - "YYYY-MM-DD" of the last visit, or ""
+ * @property {number} streak - Visits on days in a row, up to lastVisit
+ * @property {number} bestStreak
+ *
+ * One door, as the calendar shows it
+ * @typedef {Object} AdventDoor
+ * @property {number} day
+ * @property {string} date - "YYYY-MM-DD" this season
+ * @property {string} unlockAt - Midnight that day (see TimeLock.js)
+ * @property {string} status - "locked" | "ready" | "opened"
+ * @property {AdventDay} entry
+ *
+ * What's behind a door, ready to show
+ * @typedef {Object} AdventSurprise
+ * @property {string} type - One of ADVENT_TYPES
+ * @property {string} title
+ * @property {string} [text] - Messages & coupons
+ * @property {Photo} [photo]
+ * @property {QuizQuestion} [question]
+ */
+
+/**
+ * Kinds of surprise (icon on opened doors, title if the day has none)
+ */
+export const ADVENT_TYPES = {
+  message: { icon: "💌", title: "A little note" },
+  photo: { icon: "📸", title: "A photo for you" },
+  question: { icon: "❓", title: "A question" },
+  coupon: { icon: "🎟️", title: "A coupon" },
+};
+
+/**
+ * Days in the calendar (the last one is Valentine's Day)
+ */
+export const ADVENT_LENGTH = 14;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Check a schedule's shape
+ * @param {*} schedule - Parsed JSON
+ * @returns {string[]} Problems (empty = valid)
+ */
+export const validateAdventSchedule = (schedule) => {
+  if (!Array.isArray(schedule?.days)) {
+    return ['Schedule needs a "days" list'];
+  }
+
+  const errors = [];
+  const seenDays = new Set();
+
+  schedule.days.forEach((entry, i) => {
+    const path = `days[${i}]`;
+
+    if (
+      !Number.isInteger(entry?.day) ||
+      entry.day < 1 ||
+      entry.day > ADVENT_LENGTH
+    ) {
+      errors.push(`${path}.day must be 1-${ADVENT_LENGTH}`);
+    } else if (seenDays.has(entry.day)) {
+      errors.push(`${path}: day ${entry.day} is listed twice`);
+    }
+    seenDays.add(entry?.day);
+
+    if (!Object.hasOwn(ADVENT_TYPES, entry?.type ?? "")) {
+      errors.push(
+        `${path}.type must be one of: ${Object.keys(ADVENT_TYPES).join(", ")}`,
+      );
+    }
+    ["title", "text", "photoId"].forEach((field) => {
+      if (entry?.[field] !== undefined && !isNonEmptyString(entry[field])) {
+        errors.push(`${path}.${field} must be text`);
+      }
+    });
+    if (entry?.type === "coupon" && !isNonEmptyString(entry.text)) {
+      errors.push(`${path}: coupons need a "text"`);
+    }
+    if (entry?.tier !== undefined && !MESSAGE_TIERS.includes(entry.tier)) {
+      errors.push(`${path}.tier must be one of: ${MESSAGE_TIERS.join(", ")}`);
+    }
+    if (entry?.question !== undefined) {
+      errors.push(...validateQuestion(entry.question, `${path}.question`));
+    }
+  });
+
+  return errors;
+};
+
+// Checked once at startup: a broken schedule shows an empty calendar
+// (and says why in the console) instead of breaking the app
+const scheduleErrors = validateAdventSchedule(adventSchedule);
+if (scheduleErrors.length > 0) {
+  console.error("Invalid advent schedule:", scheduleErrors);
+}
+
+/**
+ * Calendar heading
+ */
+export const ADVENT_TITLE = adventSchedule.title ?? "Advent calendar";
+
+/**
+ * The schedule's days, in order
+ * @type {AdventDay[]}
+ */
+export const ADVENT_DAYS =
+  scheduleErrors.length > 0
+    ? []
+    : [...adventSchedule.days].sort((a, b) => a.day - b.day);
+
+// ============================================
+// DOORS
+// ============================================
+
+/**
+ * Which year's calendar to show: this year's until Valentine's Day is
+ * over, then next year's
+ * @param {number} now
+ * @returns {number}
+ */
+export const getAdventYear = (now) =>
+  Number(getNextValentinesDay(now).slice(0, 4));
+
+/**
+ * @param {number} day - 1-14
+ * @param {number} year
+ * @returns {string} "YYYY-02-DD"
+ */
+export const getAdventDate = (day, year) =>
+  `${year}-02-${String(day).padStart(2, "0")}`;
+
+/**
+ * Every door this season and whether it can be opened
+ * @param {string[]} openedDays - AdventProgress.openedDays
+ * @param {number} now
+ * @returns {AdventDoor[]}
+ */
+export const getAdventDoors = (openedDays, now) => {
+  const year = getAdventYear(now);
+
+  return ADVENT_DAYS.map((entry) => {
+    const date = getAdventDate(entry.day, year);
+    const unlockAt = `${date}T00:00`;
+
+    let status = "ready";
+    if (isLocked(unlockAt, now)) status = "locked";
+    else if (openedDays.includes(date)) status = "opened";
+
+    return { day: entry.day, date, unlockAt, status, entry };
+  });
+};
+
+/**
+ * What's behind a door
+ * Pack messages, questions & photos are picked by day number, so a
+ * door shows the same thing every time it's opened. With nothing to
+ * pick from (no open photos, every question above the safe mode cap)
+ * the door holds a message instead
+ * @param {AdventDay} entry
+ * @param {Photo[]} photos
+ * @param {number} now - Time-locked photos aren't picked
+ * @returns {AdventSurprise}
+ */
+export const getAdventSurprise = (entry, photos, now) => {
+  const pick = (items) =>
+    items.length > 0 ? items[(entry.day - 1) % items.length] : null;
+  const title = entry.title ?? ADVENT_TYPES[entry.type].title;
+  const safeMode = getSafeMode();
+
+  if (entry.type === "coupon") {
+    return { type: "coupon", title, text: entry.text };
+  }
+
+  if (entry.type === "photo") {
+    const openPhotos = photos.filter(
+      (photo) => !isLocked(photo.unlockAt, now),
+    );
+    const photo =
+      openPhotos.find((openPhoto) => openPhoto.id === entry.photoId) ??
+      pick(openPhotos);
+    if (photo) return { type: "photo", title, photo };
+  }
+
+  if (entry.type === "question") {
+    const ownQuestion =
+      entry.question && isTierAllowed(entry.question.tier, safeMode)
+        ? entry.question
+        : null;
+    const question = ownQuestion ?? pick(getQuestions());
+    if (question) return { type: "question", title, question };
+  }
+
+  // Messages, and doors with nothing else to show
+  const tier = isTierAllowed(entry.tier, safeMode)
+    ? (entry.tier ?? DEFAULT_TIER)
+    : DEFAULT_TIER;
+  return {
+    type: "message",
+    title: entry.type === "message" ? title : ADVENT_TYPES.message.title,
+    text:
+      (entry.type === "message" && entry.text) ||
+      pick(getActivePack().messages[tier]),
+  };
+};
+
+// ============================================
+// PROGRESS & STREAK
+// ============================================
+
+/**
+ * Nothing opened yet
+ * @returns {AdventProgress}
+ */
+export const createAdventProgress = () => ({
+  openedDays: [],
+  lastVisit: "",
+  streak: 0,
+  bestStreak: 0,
+});
+
+/**
+ * @param {*} progress
+ * @returns {boolean}
+ */
+export const isValidAdventProgress = (progress) =>
+  Boolean(progress) &&
+  Array.isArray(progress.openedDays) &&
+  progress.openedDays.every((date) => parseLocalDate(date) !== null) &&
+  (progress.lastVisit === "" || parseLocalDate(progress.lastVisit) !== null) &&
+  Number.isInteger(progress.streak) &&
+  progress.streak >= 0 &&
+  Number.isInteger(progress.bestStreak) &&
+  progress.bestStreak >= progress.streak;
+
+/**
+ * Count a visit towards the daily streak
+ * Same day again: no change; the day after the last visit: +1;
+ * anything later: back to 1
+ * @param {AdventProgress} progress
+ * @param {string} today - "YYYY-MM-DD"
+ * @returns {AdventProgress}
+ */
+export const recordVisit = (progress, today) => {
+  if (progress.lastVisit === today) return progress;
+
+  const yesterday = parseLocalDate(today);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const streak =
+    progress.lastVisit === toLocalDateString(yesterday)
+      ? progress.streak + 1
+      : 1;
+
+  return {
+    ...progress,
+    lastVisit: today,
+    streak,
+    bestStreak: Math.max(progress.bestStreak, streak),
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  ADVENT_TYPES,
+  ADVENT_LENGTH,
+  ADVENT_TITLE,
+  ADVENT_DAYS,
+  validateAdventSchedule,
+  getAdventYear,
+  getAdventDate,
+  getAdventDoors,
+  getAdventSurprise,
+  createAdventProgress,
+  isValidAdventProgress,
+  recordVisit,
+};
@@ -0,0 +1,178 @@
+// ============================================
+// MODEL: Audio.js
+// ============================================
+// PURPOSE: Background music tracks & the audio settings saved in state
+// Bundled tracks are the audio files in src/assets/music; uploaded
+// tracks live in state.tracks (their audio is stored as a Blob, see
+// services/IndexedDBStorage.js). Playback itself: services/AudioManager.js
+// ============================================
+
+/**
+ * Track Model
+ * @typedef {Object} Track
+ * @property {string} id - Unique identifier
+ * @property {string} title - Shown in the playlist
+ * @property {string} url - Audio source (bundled file or uploaded Blob)
+ */
+
+/**
+ * Audio Settings Model (saved in state as `audio`)
+ * @typedef {Object} AudioSettings
+ * @property {boolean} muted - One switch for music AND sound effects
+ * @property {string[]} playlist - Track ids played in order (loops)
+ */
+
+/**
+ * Upload Limits for music
+ * Audio can't be shrunk on the device like photos, so allow more
+ */
+export const AudioUploadLimits = {
+  maxFileSize: 15 * 1024 * 1024, // 15MB ≈ a 10 minute MP3
+  maxTracks: 20,
+  acceptedTypes: [
+    "audio/mpeg",
+    "audio/mp4",
+    "audio/x-m4a",
+    "audio/aac",
+    "audio/ogg",
+    "audio/webm",
+    "audio/wav",
+  ],
+};
+
+export const TRACK_TITLE_MAX_LENGTH = 80;
+
+/**
+ * "Our Song.mp3" → "Our Song"
+ * @param {string} fileName
+ * @returns {string}
+ */
+export const getTrackTitle = (fileName) =>
+  fileName
+    .replace(/\.[^.]+$/, "")
+    .trim()
+    .slice(0, TRACK_TITLE_MAX_LENGTH) || "Untitled";
+
+/**
+ * Every audio file in src/assets/music, sorted by name
+ * Ids are "music:<file name>" so they never clash with uploads
+ * @type {Track[]}
+ */
+export const BUNDLED_TRACKS = Object.entries(
+  import.meta.glob("../assets/music/*.{mp3,m4a,ogg,wav}", {
+    eager: true,
+    query: "?url",
+    import: "default",
+  }),
+)
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([path, url]) => {
+    const fileName = path.split("/").pop();
+    return { id: `music:${fileName}`, title: getTrackTitle(fileName), url };
+  });
+
+/**
+ * Default audio settings: every bundled track, sound on
+ * @returns {AudioSettings}
+ */
+export const createAudioSettings = () => ({
+  muted: false,
+  playlist: BUNDLED_TRACKS.map((track) => track.id),
+});
+
+/**
+ * Track Factory (uploads)
+ * @param {{title: string, url: string}} trackData
+ * @param {number} [now] - For the id (testing)
+ * @returns {Track}
+ */
+export const createTrack = (trackData, now = Date.now()) => ({
+  id: `track-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  title: getTrackTitle(trackData.title || ""),
+  url: trackData.url,
+});
+
+/**
+ * Was this track uploaded (can be deleted) rather than bundled?
+ * @param {Track} track
+ * @returns {boolean}
+ */
+export const isUploadedTrack = (track) => track.id.startsWith("track-");
+
+/**
+ * @param {*} settings
+ * @returns {boolean}
+ */
+export const isValidAudioSettings = (settings) =>
+  Boolean(settings) &&
+  typeof settings.muted === "boolean" &&
+  Array.isArray(settings.playlist) &&
+  settings.playlist.every((id) => typeof id === "string");
+
+/**
+ * @param {*} track
+ * @returns {boolean}
+ */
+export const isValidTrack = (track) =>
+  Boolean(track) &&
+  typeof track.id === "string" &&
+  typeof track.title === "string" &&
+  track.title.length <= TRACK_TITLE_MAX_LENGTH &&
+  typeof track.url === "string" &&
+  track.url.length > 0;
+
+/**
+ * Checks that an uploaded file is audio we can play
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isAudioFile = (file) =>
+  Boolean(file) && AudioUploadLimits.acceptedTypes.includes(file.type);
+
+/**
+ * Checks that an uploaded audio file is within the size limit
+ * @param {File} file
+ * @returns {boolean}
+ */
+export const isWithinAudioLimit = (file) =>
+  Boolean(file) && file.size <= AudioUploadLimits.maxFileSize;
+
+/**
+ * Bundled + uploaded tracks, in the order the playlist picker shows them
+ * @param {Track[]} uploadedTracks - state.tracks
+ * @returns {Track[]}
+ */
+export const getAllTracks = (uploadedTracks) => [
+  ...BUNDLED_TRACKS,
+  ...uploadedTracks,
+];
+
+/**
+ * Tracks to play, in playlist order (unknown ids are skipped)
+ * @param {string[]} playlist - Track ids
+ * @param {Track[]} tracks - All tracks (getAllTracks)
+ * @returns {Track[]}
+ */
+export const getPlaylistTracks = (playlist, tracks) =>
+  playlist
+    .map((id) => tracks.find((track) => track.id === id))
+    .filter(Boolean);
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  AudioUploadLimits,
+  TRACK_TITLE_MAX_LENGTH,
+  BUNDLED_TRACKS,
+  getTrackTitle,
+  createAudioSettings,
+  createTrack,
+  isUploadedTrack,
+  isValidAudioSettings,
+  isValidTrack,
+  isAudioFile,
+  isWithinAudioLimit,
+  getAllTracks,
+  getPlaylistTracks,
+};
@@ -0,0 +1,173 @@
+// ============================================
+// MODEL: Gestures.js
+// ============================================
+// PURPOSE: The maths behind useGestures - thresholds, axis locking,
+//          release speed & swipe detection
+// Kept free of events and timers so it can be reasoned about (and
+// tuned) on its own
+// ============================================
+
+/**
+ * A pointer position at a moment in time
+ * @typedef {Object} GestureSample
+ * @property {number} x - clientX
+ * @property {number} y - clientY
+ * @property {number} time - Event timestamp (ms)
+ *
+ * What a finished drag looks like (passed to swipe & drag callbacks)
+ * @typedef {Object} DragInfo
+ * @property {number} dx - Distance moved on x (after axis locking)
+ * @property {number} dy - Distance moved on y (after axis locking)
+ * @property {{x: number, y: number}} velocity - Release speed (px/ms)
+ * @property {number} duration - Press to release (ms)
+ * @property {string|null} direction - "left"/"right"/"up"/"down", or
+ *   null if it wasn't a swipe
+ */
+
+/**
+ * Axis options:
+ * - auto: follow whichever axis the drag starts along, then stick to it
+ * - x / y: only that axis; a drag along the other one is ignored (so
+ *   the page can scroll)
+ * - free: both axes, no locking
+ */
+export const GESTURE_AXES = ["auto", "x", "y", "free"];
+
+/**
+ * Default thresholds (all overridable through useGestures options)
+ */
+export const GESTURE_DEFAULTS = {
+  axis: "auto",
+  tapSlop: 10, // px a tap may wander before it becomes a drag
+  minSwipeDistance: 50, // px - a slow drag this long is a swipe
+  flickVelocity: 0.5, // px/ms - a short, fast drag is a swipe too
+  velocityWindow: 100, // ms of movement that counts for the speed
+  doubleTapDelay: 300, // ms between the two taps
+  doubleTapSlop: 30, // px between the two taps
+  longPressDelay: 500, // ms held still
+};
+
+// Swipe direction → useGestures callback
+export const SWIPE_CALLBACKS = {
+  left: "onSwipeLeft",
+  right: "onSwipeRight",
+  up: "onSwipeUp",
+  down: "onSwipeDown",
+};
+
+/**
+ * Which axis a drag follows, decided once it passes the tap slop
+ * @param {number} dx
+ * @param {number} dy
+ * @param {string} axis - One of GESTURE_AXES
+ * @returns {string|null} "x", "y", "free", or null if the drag goes
+ *   along an axis we don't handle
+ */
+export const lockAxis = (dx, dy, axis) => {
+  if (axis === "free") return "free";
+  const dominant = Math.abs(dx) >= Math.abs(dy) ? "x" : "y";
+  if (axis === "auto") return dominant;
+  return axis === dominant ? axis : null;
+};
+
+/**
+ * Movement restricted to the locked axis
+ * @param {number} dx
+ * @param {number} dy
+ * @param {string} lockedAxis - From lockAxis
+ * @returns {{x: number, y: number}}
+ */
+export const applyAxisLock = (dx, dy, lockedAxis) => {
+  if (lockedAxis === "x") return { x: dx, y: 0 };
+  if (lockedAxis === "y") return { x: 0, y: dy };
+  return { x: dx, y: dy };
+};
+
+/**
+ * Drop samples older than the velocity window (keeps memory flat on
+ * long drags)
+ * @param {GestureSample[]} samples
+ * @param {number} windowMs
+ * @returns {GestureSample[]}
+ */
+export const trimSamples = (samples, windowMs) => {
+  const last = samples[samples.length - 1];
+  return samples.filter((sample) => last.time - sample.time <= windowMs);
+};
+
+/**
+ * Speed over the last few moments of the drag: the distance actually
+ * travelled divided by the time it took
+ * A finger that stopped before lifting has a speed of 0
+ * @param {GestureSample[]} samples - Oldest first
+ * @param {number} windowMs
+ * @returns {{x: number, y: number}} px/ms
+ */
+export const getReleaseVelocity = (samples, windowMs) => {
+  const recent = trimSamples(samples, windowMs);
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  const elapsed = last.time - first.time;
+  if (elapsed <= 0) return { x: 0, y: 0 };
+
+  return {
+    x: (last.x - first.x) / elapsed,
+    y: (last.y - first.y) / elapsed,
+  };
+};
+
+/**
+ * Was a finished drag a swipe, and which way?
+ * Far enough OR fast enough counts; flicking back the other way at
+ * the end cancels it (changed your mind)
+ * @param {{x: number, y: number}} offset - From applyAxisLock
+ * @param {{x: number, y: number}} velocity - From getReleaseVelocity
+ * @param {string} lockedAxis
+ * @param {Object} settings - GESTURE_DEFAULTS shape
+ * @returns {string|null} "left" | "right" | "up" | "down" | null
+ */
+export const getSwipeDirection = (offset, velocity, lockedAxis, settings) => {
+  const isHorizontal =
+    lockedAxis === "x" ||
+    (lockedAxis === "free" && Math.abs(offset.x) >= Math.abs(offset.y));
+  const distance = isHorizontal ? offset.x : offset.y;
+  const speed = isHorizontal ? velocity.x : velocity.y;
+
+  const isFast = Math.abs(speed) >= settings.flickVelocity;
+  if (isFast && Math.sign(speed) !== Math.sign(distance)) return null;
+  if (!isFast && Math.abs(distance) < settings.minSwipeDistance) {
+    return null;
+  }
+
+  if (isHorizontal) return distance > 0 ? "right" : "left";
+  return distance > 0 ? "down" : "up";
+};
+
+/**
+ * Is a tap close enough in time & place to the previous one to make a
+ * double tap?
+ * @param {GestureSample|null} previous
+ * @param {GestureSample} tap
+ * @param {Object} settings
+ * @returns {boolean}
+ */
+export const isDoubleTap = (previous, tap, settings) =>
+  Boolean(previous) &&
+  tap.time - previous.time <= settings.doubleTapDelay &&
+  Math.hypot(tap.x - previous.x, tap.y - previous.y) <=
+    settings.doubleTapSlop;
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  GESTURE_AXES,
+  GESTURE_DEFAULTS,
+  SWIPE_CALLBACKS,
+  lockAxis,
+  applyAxisLock,
+  trimSamples,
+  getReleaseVelocity,
+  getSwipeDirection,
+  isDoubleTap,
+};
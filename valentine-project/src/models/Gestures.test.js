@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import {
+  GESTURE_DEFAULTS,
+  applyAxisLock,
+  getReleaseVelocity,
+  getSwipeDirection,
+  isDoubleTap,
+  lockAxis,
+  trimSamples,
+} from "./Gestures.js";
+
+const settings = GESTURE_DEFAULTS;
+
+describe("lockAxis", () => {
+  it("follows the drag's main direction on auto", () => {
+    expect(lockAxis(20, 5, "auto")).toBe("x");
+    expect(lockAxis(5, -20, "auto")).toBe("y");
+  });
+
+  it("lets drags along the other axis go (page scroll)", () => {
+    expect(lockAxis(5, 20, "x")).toBeNull();
+    expect(lockAxis(20, 5, "x")).toBe("x");
+    expect(lockAxis(5, 20, "free")).toBe("free");
+  });
+
+  it("drops movement off the locked axis", () => {
+    expect(applyAxisLock(12, 7, "x")).toEqual({ x: 12, y: 0 });
+    expect(applyAxisLock(12, 7, "free")).toEqual({ x: 12, y: 7 });
+  });
+});
+
+describe("release velocity", () => {
+  it("only counts the last moments of the drag", () => {
+    const samples = [
+      { x: 0, y: 0, time: 0 },
+      { x: 10, y: 0, time: 400 },
+      { x: 60, y: 0, time: 500 },
+    ];
+    expect(trimSamples(samples, 100)).toHaveLength(2);
+    expect(getReleaseVelocity(samples, 100)).toEqual({ x: 0.5, y: 0 });
+  });
+
+  it("is zero for a finger that stopped before lifting", () => {
+    const samples = [
+      { x: 0, y: 0, time: 0 },
+      { x: 80, y: 0, time: 100 },
+      { x: 80, y: 0, time: 300 },
+    ];
+    expect(getReleaseVelocity(samples, 100)).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe("getSwipeDirection", () => {
+  const still = { x: 0, y: 0 };
+
+  it("counts a long slow drag as a swipe", () => {
+    expect(getSwipeDirection({ x: -80, y: 0 }, still, "x", settings)).toBe(
+      "left",
+    );
+    expect(getSwipeDirection({ x: 0, y: 80 }, still, "y", settings)).toBe(
+      "down",
+    );
+  });
+
+  it("counts a short fast flick as a swipe", () => {
+    const fast = { x: 0.8, y: 0 };
+    expect(getSwipeDirection({ x: 20, y: 0 }, fast, "x", settings)).toBe(
+      "right",
+    );
+  });
+
+  it("ignores short slow drags", () => {
+    expect(getSwipeDirection({ x: 20, y: 0 }, still, "x", settings)).toBe(
+      null,
+    );
+  });
+
+  it("cancels when flicked back the other way", () => {
+    const back = { x: -0.8, y: 0 };
+    expect(getSwipeDirection({ x: 80, y: 0 }, back, "x", settings)).toBe(
+      null,
+    );
+  });
+});
+
+describe("isDoubleTap", () => {
+  const first = { x: 100, y: 100, time: 1000 };
+
+  it("needs the second tap soon and close by", () => {
+    expect(isDoubleTap(first, { x: 110, y: 95, time: 1200 }, settings)).toBe(
+      true,
+    );
+    expect(isDoubleTap(first, { x: 110, y: 95, time: 1400 }, settings)).toBe(
+      false,
+    );
+    expect(isDoubleTap(first, { x: 200, y: 100, time: 1200 }, settings)).toBe(
+      false,
+    );
+  });
+
+  it("is never the first tap", () => {
+    expect(isDoubleTap(null, first, settings)).toBe(false);
+  });
+});
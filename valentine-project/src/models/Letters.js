@@ -0,0 +1,290 @@
+// ============================================
+// MODEL: Letters.js
+// ============================================
+// PURPOSE: Long love letters - written in the composer, played back
+//          with a typewriter in the reader
+// FORMATTING (kept deliberately small):
+//   **bold**  *italics*  line breaks  :heart: style emoji shortcodes
+// Letters are stored as the text the author typed; parseLetter turns
+// it into segments only when it's shown
+// ============================================
+
+/**
+ * Letter Model (saved in state as `letters`)
+ * @typedef {Object} Letter
+ * @property {string} id
+ * @property {string} title
+ * @property {string} body - Text with the formatting above
+ * @property {boolean} envelope - Start the reader with the envelope
+ * @property {number} createdAt - Timestamp
+ * @property {number} updatedAt - Timestamp
+ *
+ * The letter being written (saved in state as `letterDraft`)
+ * Autosaved while typing, so nothing is lost on refresh
+ * @typedef {Object} LetterDraft
+ * @property {string|null} letterId - Letter being edited, null = new
+ * @property {string} title
+ * @property {string} body
+ * @property {boolean} envelope
+ * @property {number|null} savedAt - Last autosave
+ *
+ * A run of text with the same formatting
+ * @typedef {Object} LetterSegment
+ * @property {string} text - "\n" on its own = line break
+ * @property {boolean} bold
+ * @property {boolean} italic
+ */
+
+/**
+ * Letter limits
+ */
+export const LetterLimits = {
+  titleMaxLength: 80,
+  bodyMaxLength: 10000,
+  maxLetters: 30,
+};
+
+/**
+ * Emoji shortcodes, e.g. ":rose:" → 🌹 (also the composer's emoji row)
+ */
+export const LETTER_EMOJI = {
+  heart: "❤️",
+  love: "😍",
+  kiss: "😘",
+  hug: "🤗",
+  rose: "🌹",
+  sparkles: "✨",
+  fire: "🔥",
+  wink: "😉",
+  ring: "💍",
+  letter: "💌",
+};
+
+/**
+ * Typewriter pauses (ms) - a beat after punctuation reads naturally
+ */
+export const TYPEWRITER_DELAYS = {
+  character: 35,
+  comma: 150,
+  sentence: 350,
+  lineBreak: 450,
+};
+
+const SHORTCODE_PATTERN = /:([a-z]+):/g;
+// One capture group: split() keeps the marked text at odd indices
+const BOLD_PATTERN = /\*\*(.+?)\*\*/;
+const ITALIC_PATTERN = /\*(.+?)\*/;
+
+// Whole emoji count as one character where the browser can tell
+// (👩‍❤️‍👨 is several code points)
+const segmenter =
+  typeof Intl !== "undefined" && typeof Intl.Segmenter === "function"
+    ? new Intl.Segmenter()
+    : null;
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * ":heart:" → "❤️" (unknown shortcodes are left as typed)
+ * @param {string} text
+ * @returns {string}
+ */
+export const replaceShortcodes = (text) =>
+  text.replace(SHORTCODE_PATTERN, (code, name) => LETTER_EMOJI[name] ?? code);
+
+/**
+ * Split on a marker pattern
+ * @param {string} text
+ * @param {RegExp} pattern
+ * @returns {Array<{text: string, isMarked: boolean}>}
+ */
+const splitMarked = (text, pattern) =>
+  text
+    .split(pattern)
+    .map((part, index) => ({ text: part, isMarked: index % 2 === 1 }));
+
+/**
+ * Letter text → formatted segments
+ * Markers never run past the end of a line; unmatched ones stay as
+ * typed (so "5 * 3" is safe)
+ * @param {string} body
+ * @returns {LetterSegment[]}
+ */
+export const parseLetter = (body) => {
+  const segments = [];
+
+  replaceShortcodes(body)
+    .split("\n")
+    .forEach((line, lineIndex) => {
+      if (lineIndex > 0) {
+        segments.push({ text: "\n", bold: false, italic: false });
+      }
+      splitMarked(line, BOLD_PATTERN).forEach((boldPart) =>
+        splitMarked(boldPart.text, ITALIC_PATTERN).forEach((part) => {
+          if (part.text) {
+            segments.push({
+              text: part.text,
+              bold: boldPart.isMarked,
+              italic: part.isMarked,
+            });
+          }
+        }),
+      );
+    });
+
+  return segments;
+};
+
+/**
+ * Split text into the characters a reader sees
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const splitCharacters = (text) =>
+  segmenter
+    ? Array.from(segmenter.segment(text), ({ segment }) => segment)
+    : Array.from(text);
+
+/**
+ * Every visible character of a letter, in order (for the typewriter)
+ * @param {LetterSegment[]} segments
+ * @returns {string[]}
+ */
+export const getLetterCharacters = (segments) =>
+  segments.flatMap((segment) => splitCharacters(segment.text));
+
+/**
+ * The first `count` characters, keeping their formatting
+ * @param {LetterSegment[]} segments
+ * @param {number} count
+ * @returns {LetterSegment[]}
+ */
+export const sliceLetter = (segments, count) => {
+  const visible = [];
+  let remaining = count;
+
+  for (const segment of segments) {
+    if (remaining <= 0) break;
+
+    const characters = splitCharacters(segment.text);
+    visible.push(
+      characters.length <= remaining
+        ? segment
+        : { ...segment, text: characters.slice(0, remaining).join("") },
+    );
+    remaining -= characters.length;
+  }
+
+  return visible;
+};
+
+/**
+ * How long the typewriter waits after typing a character
+ * @param {string} character
+ * @returns {number} ms
+ */
+export const getTypingDelay = (character) => {
+  if (character === "\n") return TYPEWRITER_DELAYS.lineBreak;
+  if (/[.!?…]/.test(character)) return TYPEWRITER_DELAYS.sentence;
+  if (/[,;:]/.test(character)) return TYPEWRITER_DELAYS.comma;
+  return TYPEWRITER_DELAYS.character;
+};
+
+/**
+ * Plain one-line preview for the letter list
+ * @param {string} body
+ * @param {number} [maxLength]
+ * @returns {string}
+ */
+export const getLetterPreview = (body, maxLength = 80) => {
+  const text = parseLetter(body)
+    .map((segment) => (segment.text === "\n" ? " " : segment.text))
+    .join("")
+    .trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+};
+
+// ============================================
+// LETTERS & DRAFTS
+// ============================================
+
+/**
+ * A draft for a new letter, or for editing an existing one
+ * @param {Letter} [letter]
+ * @returns {LetterDraft}
+ */
+export const createLetterDraft = (letter = null) => ({
+  letterId: letter?.id ?? null,
+  title: letter?.title ?? "",
+  body: letter?.body ?? "",
+  envelope: letter?.envelope ?? true,
+  savedAt: null,
+});
+
+/**
+ * Letter Factory
+ * @param {LetterDraft} draft
+ * @param {number} [now] - For the id & timestamps (testing)
+ * @returns {Letter}
+ */
+export const createLetter = (draft, now = Date.now()) => ({
+  id: `letter-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  title: draft.title.trim(),
+  body: draft.body.trim(),
+  envelope: draft.envelope,
+  createdAt: now,
+  updatedAt: now,
+});
+
+const isTextWithin = (value, maxLength) =>
+  typeof value === "string" && value.length <= maxLength;
+
+/**
+ * @param {*} letter
+ * @returns {boolean}
+ */
+export const isValidLetter = (letter) =>
+  Boolean(letter) &&
+  typeof letter.id === "string" &&
+  isTextWithin(letter.title, LetterLimits.titleMaxLength) &&
+  letter.title.trim().length > 0 &&
+  isTextWithin(letter.body, LetterLimits.bodyMaxLength) &&
+  letter.body.trim().length > 0 &&
+  typeof letter.envelope === "boolean" &&
+  Number.isFinite(letter.createdAt) &&
+  Number.isFinite(letter.updatedAt);
+
+/**
+ * Drafts may be empty, but not too long
+ * @param {*} draft
+ * @returns {boolean}
+ */
+export const isValidLetterDraft = (draft) =>
+  Boolean(draft) &&
+  (draft.letterId === null || typeof draft.letterId === "string") &&
+  isTextWithin(draft.title, LetterLimits.titleMaxLength) &&
+  isTextWithin(draft.body, LetterLimits.bodyMaxLength) &&
+  typeof draft.envelope === "boolean" &&
+  (draft.savedAt === null || Number.isFinite(draft.savedAt));
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  LetterLimits,
+  LETTER_EMOJI,
+  TYPEWRITER_DELAYS,
+  replaceShortcodes,
+  parseLetter,
+  splitCharacters,
+  getLetterCharacters,
+  sliceLetter,
+  getTypingDelay,
+  getLetterPreview,
+  createLetterDraft,
+  createLetter,
+  isValidLetter,
+  isValidLetterDraft,
+};
@@ -0,0 +1,241 @@
+// ============================================
+// MODEL: MessagePacks.js
+// ============================================
+// PURPOSE: Load, validate & switch between message packs
+// A pack is a JSON file with ALL the app's text content:
+// messages per tier, fun facts, questions, emoji sets
+// ADD A PACK: Drop a .json file in ./packs/ (or import one in the app)
+// ============================================
+
+import { validateQuestion, validateQuiz } from "./QuizEngine.js";
+
+/**
+ * Message Pack Model
+ * @typedef {Object} MessagePack
+ * @property {string} id - Unique id (lowercase, dashes), e.g. "wholesome"
+ * @property {string} name - Shown in the pack picker
+ * @property {string} [language] - e.g. "en"
+ * @property {string[]} [greetings] - Home page subtitles
+ * @property {{sweet: string[], spicy: string[], extraSpicy: string[]}} messages
+ * @property {string[]} funFacts
+ * @property {QuizQuestion[]} questions - Single questions for the naughty card
+ * @property {Quiz[]} [quizzes] - Multi-step quizzes (see QuizEngine.js)
+ *   Questions & quizzes may set "tier" (default "sweet") for safe mode
+ * @property {string} defaultResponse - Reply for options without their own response
+ * @property {Object<string, string[]>} emojis - Emoji sets by type ("love" is required)
+ */
+
+/**
+ * Message tiers, from mildest to spiciest
+ */
+export const MESSAGE_TIERS = ["sweet", "spicy", "extraSpicy"];
+
+export const DEFAULT_PACK_ID = "default";
+
+// ===== BUNDLED PACKS =====
+// Vite imports every JSON file in ./packs at build time
+const bundledPacks = Object.values(
+  import.meta.glob("./packs/*.json", { eager: true, import: "default" }),
+);
+
+// ===== REGISTRY =====
+const packs = new Map(); // id → MessagePack
+const bundledPackIds = new Set(bundledPacks.map((pack) => pack.id));
+let activePackId = DEFAULT_PACK_ID;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+const isStringList = (value) =>
+  Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+
+// "tier" is optional on questions & quizzes
+const isValidTier = (tier) =>
+  tier === undefined || MESSAGE_TIERS.includes(tier);
+
+const TIER_ERROR = `must be one of: ${MESSAGE_TIERS.join(", ")}`;
+
+/**
+ * Check a pack's shape
+ * @param {*} pack - Parsed JSON
+ * @returns {string[]} List of problems (empty = valid)
+ */
+export const validateMessagePack = (pack) => {
+  const errors = [];
+
+  if (!pack || typeof pack !== "object") {
+    return ["Pack must be a JSON object"];
+  }
+
+  if (!/^[a-z0-9-]+$/.test(pack.id ?? "")) {
+    errors.push('"id" must use lowercase letters, numbers and dashes');
+  }
+  if (!isNonEmptyString(pack.name)) {
+    errors.push('"name" is required');
+  }
+  if (pack.greetings !== undefined && !isStringList(pack.greetings)) {
+    errors.push('"greetings" must be a list of text');
+  }
+
+  MESSAGE_TIERS.forEach((tier) => {
+    if (!isStringList(pack.messages?.[tier])) {
+      errors.push(`"messages.${tier}" must be a non-empty list of text`);
+    }
+  });
+
+  if (
+    !Array.isArray(pack.funFacts) ||
+    !pack.funFacts.every(isNonEmptyString)
+  ) {
+    errors.push('"funFacts" must be a list of text');
+  }
+
+  if (!Array.isArray(pack.questions)) {
+    errors.push('"questions" must be a list');
+  } else {
+    pack.questions.forEach((question, i) => {
+      errors.push(...validateQuestion(question, `questions[${i}]`));
+      if (!isValidTier(question?.tier)) {
+        errors.push(`questions[${i}].tier ${TIER_ERROR}`);
+      }
+    });
+  }
+
+  if (pack.quizzes !== undefined) {
+    if (!Array.isArray(pack.quizzes)) {
+      errors.push('"quizzes" must be a list');
+    } else {
+      pack.quizzes.forEach((quiz, i) => {
+        errors.push(...validateQuiz(quiz, `quizzes[${i}]`));
+        if (!isValidTier(quiz?.tier)) {
+          errors.push(`quizzes[${i}].tier ${TIER_ERROR}`);
+        }
+      });
+    }
+  }
+
+  if (!isNonEmptyString(pack.defaultResponse)) {
+    errors.push('"defaultResponse" is required');
+  }
+
+  if (!pack.emojis || !isStringList(pack.emojis.love)) {
+    errors.push('"emojis.love" must be a non-empty list');
+  } else if (!Object.values(pack.emojis).every(isStringList)) {
+    errors.push('every "emojis" set must be a non-empty list');
+  }
+
+  return errors;
+};
+
+// ============================================
+// REGISTRY API
+// ============================================
+
+/**
+ * Add a pack to the registry (replaces a pack with the same id)
+ * @param {MessagePack} pack
+ * @returns {string[]} Validation errors (pack is NOT added if any)
+ */
+export const registerMessagePack = (pack) => {
+  const errors = validateMessagePack(pack);
+  if (errors.length > 0) {
+    console.error(`Invalid message pack "${pack?.id}":`, errors);
+    return errors;
+  }
+  packs.set(pack.id, pack);
+  return [];
+};
+
+/**
+ * All registered packs
+ * @returns {MessagePack[]}
+ */
+export const getMessagePacks = () => Array.from(packs.values());
+
+/**
+ * Is a pack with this id registered?
+ * @param {string} packId
+ * @returns {boolean}
+ */
+export const hasMessagePack = (packId) => packs.has(packId);
+
+/**
+ * Is this one of the packs shipped with the app?
+ * Imported packs may not replace these
+ * @param {string} packId
+ * @returns {boolean}
+ */
+export const isBundledPack = (packId) => bundledPackIds.has(packId);
+
+/**
+ * Switch the active pack (unknown ids fall back to the default pack)
+ * @param {string} packId
+ */
+export const setActivePack = (packId) => {
+  activePackId = packs.has(packId) ? packId : DEFAULT_PACK_ID;
+};
+
+/**
+ * The pack every message helper reads from
+ * @returns {MessagePack}
+ */
+export const getActivePack = () =>
+  packs.get(activePackId) ?? packs.get(DEFAULT_PACK_ID);
+
+/**
+ * Bring the registry in line with app state
+ * Cheap & idempotent - safe to call on every render
+ * @param {MessagePack[]} customPacks - Packs the user imported
+ * @param {string} packId - state.activePackId
+ */
+export const syncMessagePacks = (customPacks = [], packId) => {
+  customPacks.forEach((pack) => {
+    if (packs.get(pack.id) !== pack) registerMessagePack(pack);
+  });
+  setActivePack(packId);
+};
+
+/**
+ * Read & validate a pack from a .json file
+ * @param {File} file
+ * @returns {Promise<MessagePack>} Rejects with an Error listing the problems
+ */
+export const loadMessagePackFromFile = async (file) => {
+  let pack;
+  try {
+    pack = JSON.parse(await file.text());
+  } catch (error) {
+    console.error("Failed to parse message pack:", error);
+    throw new Error("This file isn't valid JSON");
+  }
+
+  const errors = validateMessagePack(pack);
+  if (errors.length > 0) {
+    throw new Error(errors.join("\n"));
+  }
+  return pack;
+};
+
+// Register bundled packs on first import
+bundledPacks.forEach(registerMessagePack);
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  MESSAGE_TIERS,
+  DEFAULT_PACK_ID,
+  validateMessagePack,
+  registerMessagePack,
+  getMessagePacks,
+  hasMessagePack,
+  isBundledPack,
+  setActivePack,
+  getActivePack,
+  syncMessagePacks,
+  loadMessagePackFromFile,
+};
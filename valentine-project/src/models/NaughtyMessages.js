@@ -1,106 +1,32 @@
 // ============================================
 // MODEL: NaughtyMessages.js
 // ============================================
-// PURPOSE: Data source for naughty/playful messages
-// This is static data (doesn't change during runtime)
+// PURPOSE: Helpers that pick naughty/playful messages
+// CONTENT: Lives in JSON message packs (./packs/*.json),
+// this file always reads from whichever pack is active
 // ============================================
 
+import { getActivePack } from "./MessagePacks.js";
+import { fillTemplate } from "./Personalization.js";
+import { drawIndex, getDeckState, resetDecks } from "./ShuffleDeck.js";
+import {
+  clampNaughtyLevel,
+  getSafeMode,
+  getTierForLevel,
+  isTierAllowed,
+} from "./SafeMode.js";
+
 /**
  * Naughty Message Categories
- * Each category has different levels of spiciness 🌶️
+ * Each pack has three tiers of spiciness 🌶️
+ * - sweet:      Sweet & playful (safe for work-ish)
+ * - spicy:      Medium heat 🌶️🌶️
+ * - extraSpicy: Turn up the heat 🌶️🌶️🌶️
+ *
+ * Safe mode (SafeMode.js) caps the tier; questions & quizzes can set
+ * their own "tier" and are hidden when it's above the cap
  */
 
-// ===== SWEET & PLAYFUL (Safe for work-ish) =====
-export const sweetMessages = [
-  "You're my favorite notification 💕",
-  "Netflix & chill? But mostly chill with you 😏",
-  "I'd swipe right on you every time 💖",
-  "You're like Wi-Fi - I'm always looking for you 📶",
-  "Let's make tonight... legendary 😈",
-  "Is it hot in here, or is it just you? 🔥",
-  "You're the only one who gets my dark humor... and my dark side 🖤",
-  "Want to be my forever Valentine? (and my forever snack) 🍰",
-];
-
-// ===== SPICY (Medium heat 🌶️🌶️) =====
-export const spicyMessages = [
-  "I like you more than pizza... and that's saying something 🍕😍",
-  "Come over, I need help with... research 📚😏",
-  "You + Me = Trouble (the best kind) 😈💕",
-  "I'm not saying you're hot, but... 🔥 okay I'm totally saying that",
-  "My bed is cold... and I think you're the solution 🛏️💭",
-  "Let's skip dinner and go straight to dessert 🍰😘",
-  "I've been naughty, might need you to punish me 😇",
-  "Your clothes would look better on my floor 👀",
-];
-
-// ===== EXTRA SPICY (Turn up the heat 🌶️🌶️🌶️) =====
-export const extraSpicyMessages = [
-  "I can't focus when you look like THAT 😍🔥",
-  "Forget butterflies, I feel the whole zoo when I see you 🦋🦁🐯",
-  "You're 99% angel, but that 1%... 😈👼",
-  "I'd cross the ocean for you... or just my bedroom 😏",
-  "You're the reason I have trust issues with my imagination 💭😳",
-  "Let's do something we'll both regret tomorrow 😈💕",
-  "You're my favorite distraction... and I'm easily distracted 👀",
-  "I'm writing this with one hand... the other is thinking about you 🤚💭",
-];
-
-// ===== RANDOM FUN FACTS (Lighthearted) =====
-export const funFacts = [
-  "🎯 Fun Fact: You make my dopamine levels higher than any meme ever could",
-  "🧠 Science says thinking about you burns 1.5 calories per minute. I'm losing weight over here!",
-  "📊 Statistics: 99% of my good moods are caused by you. The other 1%? Food.",
-  "🔬 Research shows: You're 100% my type (I did the research myself)",
-  "⚡ Breaking: Local person becomes 10x hotter when smiling. More at 11.",
-  "🎮 Achievement Unlocked: Made my heart skip a beat (Again)",
-  "🌡️ Warning: Hotness levels exceeding safe limits. Proceed with caution.",
-  "💡 Did you know? You're scientifically proven to be my favorite person",
-];
-
-// ===== MEME-STYLE QUESTIONS (Interactive) =====
-export const naughtyQuestions = [
-  {
-    question: "Rate your naughtiness level today:",
-    options: [
-      "😇 Angel (lying)",
-      "😏 Trouble",
-      "😈 Chaos Mode",
-      "🔥 FBI Watchlist",
-    ],
-  },
-  {
-    question: "What's tonight's vibe?",
-    options: [
-      "🍕 Chill",
-      "🎮 Game Night",
-      "🌶️ Spicy Time",
-      "🛏️ Early Bedtime 😏",
-    ],
-  },
-  {
-    question: "How much do you love me?",
-    options: [
-      "🌮 Like tacos",
-      "☕ Like coffee",
-      "📱 Like my phone",
-      "♾️ More than memes",
-    ],
-  },
-  {
-    question: "Be honest: Am I your type?",
-    options: ["❌ No", "🤔 Maybe", "✅ Yes", "💯 You're literally it"],
-  },
-];
-
-// ===== EMOJI REACTIONS =====
-export const emojiReactions = {
-  love: ["❤️", "💕", "💖", "💗", "💓", "💞", "💝"],
-  naughty: ["😏", "😈", "😍", "🥵", "🔥", "💋", "👀"],
-  sweet: ["🥰", "😘", "😊", "☺️", "💐", "🌹", "✨"],
-  funny: ["😂", "🤣", "😆", "😜", "🤪", "😋", "🎉"],
-};
-
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -113,19 +39,32 @@ export const getRandomMessage = (category) => {
   return category[randomIndex];
 };
 
+/**
+ * Deal the next item from a no-repeat deck (see ShuffleDeck.js)
+ * Every item shows once before any repeats; decks start over when
+ * the active pack changes
+ * @param {string} key - Deck name, e.g. "messages.sweet"
+ * @param {Array} items - The category to deal from
+ * @returns {*} - Next item
+ */
+export const drawFromCategory = (key, items) => {
+  const packId = getActivePack().id;
+  if (getDeckState().packId !== packId) {
+    resetDecks({ packId });
+  }
+  return items[drawIndex(key, items.length)];
+};
+
 /**
  * Get message based on naughty level
+ * Never spicier than safe mode allows
  * @param {number} naughtyLevel - Current naughtiness (0-100)
  * @returns {string} - Appropriate message
  */
 export const getMessageByLevel = (naughtyLevel) => {
-  if (naughtyLevel < 33) {
-    return getRandomMessage(sweetMessages);
-  } else if (naughtyLevel < 66) {
-    return getRandomMessage(spicyMessages);
-  } else {
-    return getRandomMessage(extraSpicyMessages);
-  }
+  const { messages } = getActivePack();
+  const tier = getTierForLevel(clampNaughtyLevel(naughtyLevel, getSafeMode()));
+  return drawFromCategory(`messages.${tier}`, messages[tier]);
 };
 
 /**
@@ -134,30 +73,102 @@ export const getMessageByLevel = (naughtyLevel) => {
  * @returns {string} - Random emoji
  */
 export const getRandomEmoji = (type = "love") => {
-  const emojis = emojiReactions[type] || emojiReactions.love;
-  return emojis[Math.floor(Math.random() * emojis.length)];
+  const { emojis } = getActivePack();
+  const key = emojis[type] ? type : "love";
+  return drawFromCategory(`emojis.${key}`, emojis[key]);
+};
+
+/**
+ * Get a random home page greeting
+ * @returns {string}
+ */
+export const getGreeting = () => {
+  const { greetings } = getActivePack();
+  return greetings?.length
+    ? getRandomMessage(greetings)
+    : getRandomMessage(getActivePack().messages.sweet);
+};
+
+/**
+ * Get a random fun fact
+ * @returns {string|null} - null if the pack has none
+ */
+export const getFunFact = () => {
+  const { funFacts } = getActivePack();
+  return funFacts.length > 0 ? getRandomMessage(funFacts) : null;
+};
+
+/**
+ * Get the interactive questions safe mode allows
+ * @returns {Array} - [{question, tier?, options: [{label, response?}]}]
+ */
+export const getQuestions = () =>
+  getActivePack().questions.filter((question) =>
+    isTierAllowed(question.tier, getSafeMode()),
+  );
+
+/**
+ * Get the next question from the question deck
+ * @returns {Object|undefined} - {question, options}, undefined if none are allowed
+ */
+export const getNextQuestion = () => {
+  const safeMode = getSafeMode();
+  // One deck per cap, so locking/unlocking doesn't scramble positions
+  const key = `questions.${safeMode.enabled ? safeMode.maxTier : "all"}`;
+  return drawFromCategory(key, getQuestions());
+};
+
+/**
+ * Get the pack's multi-step quizzes (that safe mode allows)
+ * @returns {Quiz[]} - Empty if the pack has none
+ */
+export const getQuizzes = () =>
+  (getActivePack().quizzes ?? []).filter((quiz) =>
+    isTierAllowed(quiz.tier, getSafeMode()),
+  );
+
+/**
+ * Find a quiz in the active pack
+ * @param {string} quizId
+ * @returns {Quiz|null}
+ */
+export const getQuiz = (quizId) =>
+  getQuizzes().find((quiz) => quiz.id === quizId) ?? null;
+
+/**
+ * Get the reply to a picked answer option
+ * @param {Object} option - {label, response?}
+ * @returns {string}
+ */
+export const getAnswerResponse = (option) => {
+  return option?.response || getActivePack().defaultResponse;
 };
 
 /**
  * Create a custom naughty message
- * @param {string} name - Your girlfriend's name
- * @param {string} template - Message template with {name} placeholder
+ * @param {string|Object} nameOrValues - Their name, or placeholder values
+ *   ({name, nickname, sender, daysTogether, ...} - see Personalization.js)
+ * @param {string} template - Message template with {name} etc. placeholders
  * @returns {string}
  */
-export const createCustomMessage = (name, template) => {
-  return template.replace(/{name}/g, name);
+export const createCustomMessage = (nameOrValues, template) => {
+  const values =
+    typeof nameOrValues === "string" ? { name: nameOrValues } : nameOrValues;
+  return fillTemplate(template, values);
 };
 
 // ===== EXPORT ALL =====
 export default {
-  sweetMessages,
-  spicyMessages,
-  extraSpicyMessages,
-  funFacts,
-  naughtyQuestions,
-  emojiReactions,
   getRandomMessage,
+  drawFromCategory,
   getMessageByLevel,
   getRandomEmoji,
+  getGreeting,
+  getFunFact,
+  getQuestions,
+  getNextQuestion,
+  getQuizzes,
+  getQuiz,
+  getAnswerResponse,
   createCustomMessage,
 };
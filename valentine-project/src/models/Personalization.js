@@ -0,0 +1,186 @@
+// ============================================
+// MODEL: Personalization.js
+// ============================================
+// PURPOSE: Who the app is for (and from) + message templating
+// Any message, caption or title can use placeholders:
+//   {name} {nickname} {sender} {daysTogether} {they} {them} {their}
+// Capitalize the first letter for a capitalized value: {They}, {Name}
+// ============================================
+
+/**
+ * Profile Model
+ * @typedef {Object} Profile
+ * @property {string} recipientName - e.g. "Maria"
+ * @property {string} nickname - e.g. "Babe"
+ * @property {string} senderName - Who made the app
+ * @property {string} anniversary - "YYYY-MM-DD" or "" if not set
+ * @property {string} pronouns - Key of PRONOUN_SETS
+ */
+
+/**
+ * Longest name/nickname the setup wizard accepts
+ */
+export const PROFILE_NAME_MAX_LENGTH = 40;
+
+/**
+ * Pronoun choices for the recipient
+ */
+export const PRONOUN_SETS = {
+  she: { label: "she / her", they: "she", them: "her", their: "her" },
+  he: { label: "he / him", they: "he", them: "him", their: "his" },
+  they: { label: "they / them", they: "they", them: "them", their: "their" },
+};
+
+/**
+ * Used when a profile field is empty
+ * Keeps messages readable before (or without) the setup wizard
+ */
+export const TEMPLATE_FALLBACKS = {
+  name: "Beautiful",
+  nickname: "babe",
+  sender: "your Valentine",
+  daysTogether: "so many",
+};
+
+/**
+ * Empty profile (first run)
+ * @returns {Profile}
+ */
+export const createEmptyProfile = () => ({
+  recipientName: "",
+  nickname: "",
+  senderName: "",
+  anniversary: "",
+  pronouns: "she",
+});
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a "YYYY-MM-DD" date as LOCAL midnight
+ * (new Date("2024-02-14") would be UTC midnight - off by a day in many timezones)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseLocalDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+
+  // Reject overflow like 2024-02-31
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Date → "YYYY-MM-DD" (local time), the reverse of parseLocalDate
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toLocalDateString = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Show a "YYYY-MM-DD" date in the reader's language, e.g. "Feb 14, 2024"
+ * @param {string} value
+ * @returns {string} "" if not a valid date
+ */
+export const formatLocalDate = (value) => {
+  const date = parseLocalDate(value);
+  if (!date) return "";
+  return date.toLocaleDateString(undefined, { dateStyle: "medium" });
+};
+
+/**
+ * Whole days from the anniversary until `now`
+ * @param {string} anniversary - "YYYY-MM-DD"
+ * @param {Date} [now]
+ * @returns {number|null} null if no valid date or it's in the future
+ */
+export const getDaysTogether = (anniversary, now = new Date()) => {
+  const start = parseLocalDate(anniversary);
+  if (!start) return null;
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((today - start) / MS_PER_DAY);
+  return days >= 0 ? days : null;
+};
+
+/**
+ * Turn a profile into placeholder values
+ * Empty fields are left out so fillTemplate can use its fallbacks
+ * @param {Profile} profile
+ * @param {Date} [now]
+ * @returns {Object} {name, nickname, sender, daysTogether, they, them, their}
+ */
+export const getTemplateValues = (profile = {}, now = new Date()) => {
+  const pronouns = PRONOUN_SETS[profile.pronouns] ?? PRONOUN_SETS.they;
+  const daysTogether = getDaysTogether(profile.anniversary, now);
+
+  return {
+    name: profile.recipientName?.trim() || undefined,
+    // No nickname? Use their name before the generic fallback
+    nickname:
+      profile.nickname?.trim() || profile.recipientName?.trim() || undefined,
+    sender: profile.senderName?.trim() || undefined,
+    daysTogether: daysTogether === null ? undefined : String(daysTogether),
+    they: pronouns.they,
+    them: pronouns.them,
+    their: pronouns.their,
+  };
+};
+
+/**
+ * Replace {placeholders} in a template
+ * - Known keys without a value use TEMPLATE_FALLBACKS
+ * - Unknown keys are left untouched (so typos are visible, not blank)
+ *
+ * @param {string} template - e.g. "Hi {nickname}, {daysTogether} days!"
+ * @param {Object} values - From getTemplateValues()
+ * @returns {string}
+ */
+export const fillTemplate = (template, values = {}) => {
+  if (typeof template !== "string") return template;
+
+  return template.replace(/{(\w+)}/g, (placeholder, key) => {
+    const lowerKey = key.charAt(0).toLowerCase() + key.slice(1);
+    const value = values[lowerKey] ?? TEMPLATE_FALLBACKS[lowerKey];
+    if (value === undefined) return placeholder;
+
+    // {Name} → capitalize the value
+    return key === lowerKey
+      ? value
+      : value.charAt(0).toUpperCase() + value.slice(1);
+  });
+};
+
+/**
+ * Shortcut: fill a template straight from a profile
+ * @param {string} template
+ * @param {Profile} profile
+ * @returns {string}
+ */
+export const personalize = (template, profile) =>
+  fillTemplate(template, getTemplateValues(profile));
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  PROFILE_NAME_MAX_LENGTH,
+  PRONOUN_SETS,
+  TEMPLATE_FALLBACKS,
+  createEmptyProfile,
+  parseLocalDate,
+  toLocalDateString,
+  formatLocalDate,
+  getDaysTogether,
+  getTemplateValues,
+  fillTemplate,
+  personalize,
+};
@@ -0,0 +1,99 @@
+// ============================================
+// MODEL: PhotoGrid.js
+// ============================================
+// PURPOSE: Filter & sort rules for the photo grid (contact sheet)
+// Photos are only ever appended, so array order = order added
+// ============================================
+
+/**
+ * Grid Options Model (saved in state as `gridOptions`)
+ * @typedef {Object} GridOptions
+ * @property {string} filter - One of GRID_FILTERS
+ * @property {string} sort - One of GRID_SORTS
+ *
+ * @typedef {Object} GridEntry
+ * @property {Photo} photo
+ * @property {number} index - Position in state.photos (currentPhotoIndex)
+ */
+
+/**
+ * Filters (label shown on the filter tabs)
+ */
+export const GRID_FILTERS = {
+  all: "All",
+  favorites: "⭐ Favorites",
+  mostLiked: "❤️ Most liked",
+};
+
+/**
+ * Sort orders (label shown in the sort picker)
+ */
+export const GRID_SORTS = {
+  newest: "Newest first",
+  oldest: "Oldest first",
+  likes: "Most likes",
+};
+
+/**
+ * The "Most liked" filter shows at most this many photos
+ */
+export const MOST_LIKED_COUNT = 12;
+
+/**
+ * Default grid options
+ * @returns {GridOptions}
+ */
+export const createGridOptions = () => ({ filter: "all", sort: "newest" });
+
+/**
+ * @param {*} options
+ * @returns {boolean}
+ */
+export const isValidGridOptions = (options) =>
+  Boolean(options) &&
+  Object.hasOwn(GRID_FILTERS, options.filter) &&
+  Object.hasOwn(GRID_SORTS, options.sort);
+
+/**
+ * Most likes first; ties keep the order they were added
+ * @param {GridEntry} a
+ * @param {GridEntry} b
+ */
+const byLikes = (a, b) => b.photo.likes - a.photo.likes || a.index - b.index;
+
+/**
+ * Photos for the grid, filtered & sorted
+ * Each keeps its index in state.photos so tapping it can open the
+ * single-photo view at the right place
+ *
+ * @param {Photo[]} photos
+ * @param {GridOptions} options
+ * @returns {GridEntry[]}
+ */
+export const getGridPhotos = (photos, { filter, sort }) => {
+  let entries = photos.map((photo, index) => ({ photo, index }));
+
+  if (filter === "favorites") {
+    entries = entries.filter((entry) => entry.photo.isFavorite);
+  } else if (filter === "mostLiked") {
+    entries = entries
+      .filter((entry) => entry.photo.likes > 0)
+      .sort(byLikes)
+      .slice(0, MOST_LIKED_COUNT);
+  }
+
+  if (sort === "likes") return [...entries].sort(byLikes);
+  if (sort === "newest") return [...entries].sort((a, b) => b.index - a.index);
+  return [...entries].sort((a, b) => a.index - b.index);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  GRID_FILTERS,
+  GRID_SORTS,
+  createGridOptions,
+  isValidGridOptions,
+  getGridPhotos,
+};
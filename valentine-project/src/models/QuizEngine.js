@@ -0,0 +1,332 @@
+// ============================================
+// MODEL: QuizEngine.js
+// ============================================
+// PURPOSE: Run multi-step quizzes defined as plain data
+// Every answer option decides its own reply, how much it moves the
+// naughty meter, and (optionally) which question comes next
+// All functions are pure: they take a run and return a new one
+// ============================================
+
+/**
+ * Quiz Question Model (also used for the single question on the naughty card)
+ * @typedef {Object} QuizQuestion
+ * @property {string} [id] - Required inside quizzes (used by "next")
+ * @property {string} question - Question text (placeholders allowed)
+ * @property {QuizOption[]} options
+ *
+ * @typedef {Object} QuizOption
+ * @property {string} label - Button text
+ * @property {string} [response] - Reply shown after picking it
+ * @property {number} [naughtyDelta] - Naughty meter change (default +3)
+ * @property {string} [next] - Question id to jump to, or "end"
+ *
+ * @typedef {Object} Quiz
+ * @property {string} id
+ * @property {string} title
+ * @property {string} [description]
+ * @property {QuizQuestion[]} questions - Played in order unless an option branches
+ */
+
+/**
+ * Quiz Run Model (saved in state as activeQuiz / quizHistory)
+ * @typedef {Object} QuizRun
+ * @property {string} quizId
+ * @property {string|null} questionId - Current question (null when finished)
+ * @property {Array<{questionId: string, optionIndex: number, naughtyDelta: number}>} answers
+ * @property {number} startedAt - Timestamp
+ * @property {number|null} finishedAt - Timestamp, null while playing
+ */
+
+/**
+ * Naughty meter change for options that don't set one
+ */
+export const DEFAULT_NAUGHTY_DELTA = 3;
+
+/**
+ * Special "next" value that ends the quiz
+ */
+export const QUIZ_END = "end";
+
+/**
+ * How many finished runs are kept in quizHistory
+ */
+export const QUIZ_HISTORY_LIMIT = 50;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+/**
+ * Check one question's shape
+ * @param {*} question
+ * @param {string} path - Where it lives, for error messages
+ * @returns {string[]} Problems (empty = valid)
+ */
+export const validateQuestion = (question, path) => {
+  const errors = [];
+
+  if (!isNonEmptyString(question?.question)) {
+    errors.push(`${path} needs "question" text`);
+  }
+
+  const options = question?.options;
+  if (
+    !Array.isArray(options) ||
+    options.length === 0 ||
+    !options.every((option) => isNonEmptyString(option?.label))
+  ) {
+    errors.push(`${path} needs options with a "label"`);
+    return errors;
+  }
+
+  options.forEach((option, i) => {
+    if (option.response !== undefined && !isNonEmptyString(option.response)) {
+      errors.push(`${path}.options[${i}].response must be text`);
+    }
+    if (
+      option.naughtyDelta !== undefined &&
+      !Number.isFinite(option.naughtyDelta)
+    ) {
+      errors.push(`${path}.options[${i}].naughtyDelta must be a number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Check a quiz's shape, including that every "next" points somewhere
+ * @param {*} quiz
+ * @param {string} path
+ * @returns {string[]} Problems (empty = valid)
+ */
+export const validateQuiz = (quiz, path) => {
+  if (!quiz || typeof quiz !== "object") {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+
+  if (!/^[a-z0-9-]+$/.test(quiz.id ?? "")) {
+    errors.push(`${path}.id must use lowercase letters, numbers and dashes`);
+  }
+  if (!isNonEmptyString(quiz.title)) {
+    errors.push(`${path}.title is required`);
+  }
+  if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    errors.push(`${path}.questions must be a non-empty list`);
+    return errors;
+  }
+
+  const ids = quiz.questions.map((question) => question?.id);
+  quiz.questions.forEach((question, i) => {
+    const questionPath = `${path}.questions[${i}]`;
+
+    if (!isNonEmptyString(question?.id)) {
+      errors.push(`${questionPath} needs an "id"`);
+    } else if (ids.indexOf(question.id) !== i) {
+      errors.push(`${questionPath} reuses id "${question.id}"`);
+    }
+
+    errors.push(...validateQuestion(question, questionPath));
+
+    (question?.options ?? []).forEach((option, j) => {
+      if (
+        option?.next !== undefined &&
+        option.next !== QUIZ_END &&
+        !ids.includes(option.next)
+      ) {
+        errors.push(
+          `${questionPath}.options[${j}].next "${option.next}" is not a question id`,
+        );
+      }
+    });
+  });
+
+  return errors;
+};
+
+/**
+ * Check a saved quiz run before trusting it
+ * @param {*} run
+ * @returns {boolean}
+ */
+export const isValidQuizRun = (run) => {
+  return (
+    Boolean(run) &&
+    typeof run === "object" &&
+    isNonEmptyString(run.quizId) &&
+    (run.questionId === null || isNonEmptyString(run.questionId)) &&
+    Array.isArray(run.answers) &&
+    run.answers.every(
+      (answer) =>
+        isNonEmptyString(answer?.questionId) &&
+        Number.isInteger(answer.optionIndex) &&
+        Number.isFinite(answer.naughtyDelta),
+    ) &&
+    Number.isFinite(run.startedAt) &&
+    (run.finishedAt === null || Number.isFinite(run.finishedAt))
+  );
+};
+
+// ============================================
+// RUNNING A QUIZ
+// ============================================
+
+/**
+ * Naughty meter change for an answer option
+ * @param {QuizOption} option
+ * @returns {number}
+ */
+export const getOptionDelta = (option) =>
+  Number.isFinite(option?.naughtyDelta)
+    ? option.naughtyDelta
+    : DEFAULT_NAUGHTY_DELTA;
+
+const findQuestion = (quiz, questionId) =>
+  quiz.questions.find((question) => question.id === questionId) ?? null;
+
+/**
+ * Start a quiz from its first question
+ * @param {Quiz} quiz
+ * @param {number} [now] - Timestamp
+ * @returns {QuizRun}
+ */
+export const createQuizRun = (quiz, now = Date.now()) => ({
+  quizId: quiz.id,
+  questionId: quiz.questions[0].id,
+  answers: [],
+  startedAt: now,
+  finishedAt: null,
+});
+
+/**
+ * Is this run over?
+ * @param {QuizRun} run
+ * @returns {boolean}
+ */
+export const isQuizFinished = (run) => run.finishedAt !== null;
+
+/**
+ * The question the run is waiting on
+ * @param {Quiz} quiz
+ * @param {QuizRun} run
+ * @returns {QuizQuestion|null} null when finished (or the quiz changed)
+ */
+export const getCurrentQuestion = (quiz, run) =>
+  run.questionId === null ? null : findQuestion(quiz, run.questionId);
+
+/**
+ * Answer the current question and move on
+ * Next question = option.next, else the following question in the list.
+ * Reaching "end", the end of the list or an already answered question
+ * (a loop) finishes the run.
+ *
+ * @param {Quiz} quiz
+ * @param {QuizRun} run
+ * @param {number} optionIndex
+ * @param {number} [now] - Timestamp
+ * @returns {{run: QuizRun, option: QuizOption, naughtyDelta: number}|null}
+ *   null if there's no such option (or the run is already over)
+ */
+export const answerQuestion = (quiz, run, optionIndex, now = Date.now()) => {
+  const question = getCurrentQuestion(quiz, run);
+  const option = question?.options[optionIndex];
+  if (!option) return null;
+
+  const naughtyDelta = getOptionDelta(option);
+  const answers = [
+    ...run.answers,
+    { questionId: question.id, optionIndex, naughtyDelta },
+  ];
+
+  const nextId =
+    option.next ??
+    quiz.questions[quiz.questions.indexOf(question) + 1]?.id ??
+    QUIZ_END;
+  const alreadyAnswered = answers.some((answer) => answer.questionId === nextId);
+  const isDone = nextId === QUIZ_END || alreadyAnswered;
+
+  return {
+    option,
+    naughtyDelta,
+    run: {
+      ...run,
+      answers,
+      questionId: isDone ? null : nextId,
+      finishedAt: isDone ? now : null,
+    },
+  };
+};
+
+/**
+ * How far along the run is
+ * Branches make the length unknown up front, so the total assumes the
+ * rest of the quiz is played in list order from the current question
+ *
+ * @param {Quiz} quiz
+ * @param {QuizRun} run
+ * @returns {{answered: number, total: number, percent: number}}
+ */
+export const getQuizProgress = (quiz, run) => {
+  const answered = run.answers.length;
+  const current = getCurrentQuestion(quiz, run);
+  const remaining = current
+    ? quiz.questions.length - quiz.questions.indexOf(current)
+    : 0;
+  const total = answered + remaining;
+
+  return {
+    answered,
+    total,
+    percent: total > 0 ? Math.round((answered / total) * 100) : 100,
+  };
+};
+
+/**
+ * Everything the summary screen shows
+ * @param {Quiz} quiz
+ * @param {QuizRun} run
+ * @returns {{totalDelta: number, answers: Array<{question: QuizQuestion, option: QuizOption, naughtyDelta: number}>}}
+ */
+export const getQuizSummary = (quiz, run) => {
+  const answers = run.answers
+    .map((answer) => {
+      const question = findQuestion(quiz, answer.questionId);
+      const option = question?.options[answer.optionIndex];
+      return option
+        ? { question, option, naughtyDelta: answer.naughtyDelta }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    totalDelta: run.answers.reduce(
+      (total, answer) => total + answer.naughtyDelta,
+      0,
+    ),
+    answers,
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  DEFAULT_NAUGHTY_DELTA,
+  QUIZ_END,
+  QUIZ_HISTORY_LIMIT,
+  validateQuestion,
+  validateQuiz,
+  isValidQuizRun,
+  getOptionDelta,
+  createQuizRun,
+  isQuizFinished,
+  getCurrentQuestion,
+  answerQuestion,
+  getQuizProgress,
+  getQuizSummary,
+};
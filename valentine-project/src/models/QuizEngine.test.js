@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_NAUGHTY_DELTA,
+  answerQuestion,
+  createQuizRun,
+  getQuizProgress,
+  getQuizSummary,
+  isValidQuizRun,
+  validateQuiz,
+} from "./QuizEngine.js";
+
+const quiz = {
+  id: "date-night",
+  title: "Date night",
+  questions: [
+    {
+      id: "mood",
+      question: "Tonight we...",
+      options: [
+        { label: "Stay in", naughtyDelta: 10, next: "movie" },
+        { label: "Go out" }, // Falls through to the next question
+      ],
+    },
+    {
+      id: "dinner",
+      question: "Dinner?",
+      options: [{ label: "Pizza", next: "end" }],
+    },
+    {
+      id: "movie",
+      question: "Which movie?",
+      options: [
+        { label: "Rom-com", naughtyDelta: 1 },
+        { label: "Again!", next: "mood" }, // Loops back: ends the run
+      ],
+    },
+  ],
+};
+
+/**
+ * Answer a list of option indexes in order
+ */
+const play = (optionIndexes) =>
+  optionIndexes.reduce(
+    (run, optionIndex, i) =>
+      answerQuestion(quiz, run, optionIndex, 100 + i).run,
+    createQuizRun(quiz, 1),
+  );
+
+describe("answerQuestion", () => {
+  it("branches to the option's next question", () => {
+    const result = answerQuestion(quiz, createQuizRun(quiz, 1), 0, 2);
+    expect(result.run.questionId).toBe("movie");
+    expect(result.naughtyDelta).toBe(10);
+  });
+
+  it("goes to the following question without a next", () => {
+    const result = answerQuestion(quiz, createQuizRun(quiz, 1), 1, 2);
+    expect(result.run.questionId).toBe("dinner");
+    expect(result.naughtyDelta).toBe(DEFAULT_NAUGHTY_DELTA);
+  });
+
+  it("finishes at the end of the list", () => {
+    const run = play([0, 0]); // Stay in → Rom-com (last question)
+    expect(run.questionId).toBeNull();
+    expect(run.finishedAt).toBe(101);
+  });
+
+  it("finishes on \"end\" and on loops", () => {
+    expect(play([1, 0]).questionId).toBeNull(); // Go out → Pizza
+    expect(play([0, 1]).questionId).toBeNull(); // Movie → back to mood
+  });
+
+  it("returns null for missing options and finished runs", () => {
+    const run = createQuizRun(quiz, 1);
+    expect(answerQuestion(quiz, run, 5)).toBeNull();
+    expect(answerQuestion(quiz, play([1, 0]), 0)).toBeNull();
+  });
+});
+
+describe("progress & summary", () => {
+  it("counts answers and adds up the naughty deltas", () => {
+    const run = play([0, 0]);
+    expect(getQuizProgress(quiz, run)).toEqual({
+      answered: 2,
+      total: 2,
+      percent: 100,
+    });
+    expect(getQuizSummary(quiz, run).totalDelta).toBe(11);
+  });
+
+  it("estimates the rest from the current question", () => {
+    const run = play([1]);
+    expect(getQuizProgress(quiz, run)).toMatchObject({
+      answered: 1,
+      total: 3,
+    });
+  });
+});
+
+describe("validation", () => {
+  it("accepts a well-formed quiz and run", () => {
+    expect(validateQuiz(quiz, "quiz")).toEqual([]);
+    expect(isValidQuizRun(play([0, 0]))).toBe(true);
+  });
+
+  it("reports next ids that go nowhere", () => {
+    const broken = {
+      ...quiz,
+      questions: [
+        { ...quiz.questions[0], options: [{ label: "?", next: "nope" }] },
+      ],
+    };
+    expect(validateQuiz(broken, "quiz")).toEqual([
+      'quiz.questions[0].options[0].next "nope" is not a question id',
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+// ============================================
+// MODEL: SafeMode.js
+// ============================================
+// PURPOSE: Safe-for-work lock + naughty level ↔ tier rules
+// FEATURES: Cap the naughty level at a tier, filter content by tier,
+//           PIN needed to leave safe mode
+// NOTE: The PIN stops someone casually turning safe mode off.
+//       It is NOT encryption - everything is still in the browser,
+//       and the saved "hash" is obfuscation only (see hashPin).
+// ============================================
+
+import { MESSAGE_TIERS } from "./MessagePacks.js";
+
+/**
+ * Safe Mode Settings Model (saved in state as `safeMode`)
+ * @typedef {Object} SafeModeSettings
+ * @property {boolean} enabled
+ * @property {string} maxTier - Spiciest tier allowed, one of MESSAGE_TIERS
+ * @property {string|null} pinHash - Obfuscated unlock PIN (hashPin),
+ *   NOT a secure hash
+ */
+
+/**
+ * Highest naughty level inside each tier
+ * sweet: 0-32, spicy: 33-65, extraSpicy: 66-100
+ */
+export const TIER_MAX_LEVEL = {
+  sweet: 32,
+  spicy: 65,
+  extraSpicy: 100,
+};
+
+/**
+ * Shown in the safe mode tier picker
+ */
+export const TIER_LABELS = {
+  sweet: "😇 Sweet only",
+  spicy: "😏 Up to spicy",
+  extraSpicy: "🔥 Everything",
+};
+
+/**
+ * Content without a "tier" counts as sweet
+ */
+export const DEFAULT_TIER = "sweet";
+
+// PIN rules: 4-8 digits
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * Default settings (safe mode off)
+ * @returns {SafeModeSettings}
+ */
+export const createSafeModeSettings = () => ({
+  enabled: false,
+  maxTier: DEFAULT_TIER,
+  pinHash: null,
+});
+
+// ============================================
+// LEVELS & TIERS
+// ============================================
+
+/**
+ * Which tier a naughty level falls into
+ * @param {number} level - 0-100
+ * @returns {string} One of MESSAGE_TIERS
+ */
+export const getTierForLevel = (level) =>
+  MESSAGE_TIERS.find((tier) => level <= TIER_MAX_LEVEL[tier]) ?? "extraSpicy";
+
+/**
+ * Highest naughty level allowed right now
+ * @param {SafeModeSettings} safeMode
+ * @returns {number}
+ */
+export const getLevelCap = (safeMode) =>
+  safeMode?.enabled ? TIER_MAX_LEVEL[safeMode.maxTier] : 100;
+
+/**
+ * Keep a naughty level between 0 and the cap
+ * @param {number} level
+ * @param {SafeModeSettings} safeMode
+ * @returns {number}
+ */
+export const clampNaughtyLevel = (level, safeMode) =>
+  Math.max(0, Math.min(level, getLevelCap(safeMode)));
+
+/**
+ * May content of this tier be shown?
+ * @param {string} [tier] - Missing = DEFAULT_TIER
+ * @param {SafeModeSettings} safeMode
+ * @returns {boolean}
+ */
+export const isTierAllowed = (tier = DEFAULT_TIER, safeMode) => {
+  if (!safeMode?.enabled) return true;
+  return (
+    MESSAGE_TIERS.indexOf(tier) <= MESSAGE_TIERS.indexOf(safeMode.maxTier)
+  );
+};
+
+// ============================================
+// PIN
+// ============================================
+
+/**
+ * Is this an acceptable PIN? (4-8 digits)
+ * @param {string} pin
+ * @returns {boolean}
+ */
+export const isValidPin = (pin) => PIN_PATTERN.test(pin ?? "");
+
+/**
+ * Obfuscate a PIN so it isn't stored as plain text
+ * OBFUSCATION ONLY, not security: an unsalted 32-bit FNV-1a hash.
+ * With at most 10^8 PINs, anyone who can read the saved state can try
+ * them all in seconds. It only keeps the PIN from being read at a
+ * glance in DevTools; a salted SHA-256 wouldn't change that for PINs
+ * this short.
+ * @param {string} pin
+ * @returns {string} Hex string
+ */
+export const hashPin = (pin) => {
+  let hash = 2166136261;
+  const text = `valentine-safe-mode:${pin}:${pin.length}`;
+  for (let round = 0; round < 2; round++) {
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+};
+
+/**
+ * Does the PIN match the saved hash?
+ * @param {string} pin
+ * @param {SafeModeSettings} safeMode
+ * @returns {boolean}
+ */
+export const verifyPin = (pin, safeMode) =>
+  isValidPin(pin) && hashPin(pin) === safeMode.pinHash;
+
+/**
+ * Check saved settings before trusting them
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isValidSafeModeSettings = (value) => {
+  return (
+    Boolean(value) &&
+    typeof value.enabled === "boolean" &&
+    MESSAGE_TIERS.includes(value.maxTier) &&
+    (value.pinHash === null || typeof value.pinHash === "string") &&
+    // Can't be locked without a PIN to unlock it
+    (!value.enabled || typeof value.pinHash === "string")
+  );
+};
+
+// ============================================
+// ACTIVE SETTINGS (read by NaughtyMessages.js)
+// ============================================
+
+let activeSettings = createSafeModeSettings();
+
+/**
+ * Point the message helpers at the current settings
+ * Cheap - safe to call on every render
+ * @param {SafeModeSettings} safeMode - state.safeMode
+ */
+export const syncSafeMode = (safeMode) => {
+  activeSettings = safeMode ?? createSafeModeSettings();
+};
+
+/**
+ * The settings every message helper respects
+ * @returns {SafeModeSettings}
+ */
+export const getSafeMode = () => activeSettings;
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  TIER_MAX_LEVEL,
+  TIER_LABELS,
+  DEFAULT_TIER,
+  createSafeModeSettings,
+  getTierForLevel,
+  getLevelCap,
+  clampNaughtyLevel,
+  isTierAllowed,
+  isValidPin,
+  hashPin,
+  verifyPin,
+  isValidSafeModeSettings,
+  syncSafeMode,
+  getSafeMode,
+};
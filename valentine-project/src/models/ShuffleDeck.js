@@ -0,0 +1,236 @@
+// ============================================
+// MODEL: ShuffleDeck.js
+// ============================================
+// PURPOSE: Pick items like dealing from a shuffled deck
+// WHY: Pure random picks repeat the same line back-to-back;
+//      a deck shows EVERY item once before any repeats
+// FEATURES: One deck per category, optional seed for
+//           reproducible order, state can be saved & restored
+// ============================================
+
+/**
+ * Deck State Model (saved in app state as `decks`)
+ * @typedef {Object} DeckState
+ * @property {string|null} packId - Message pack the decks were dealt from
+ * @property {number|null} seed - Fixed seed, or null for true randomness
+ * @property {Object<string, Deck>} decks - One deck per category key
+ *
+ * @typedef {Object} Deck
+ * @property {number[]} order - Shuffled item indexes
+ * @property {number} position - Next card to deal
+ * @property {number} cycle - How many times the deck was reshuffled
+ */
+
+/**
+ * Fresh deck state
+ * @param {string|null} [packId]
+ * @param {number|null} [seed]
+ * @returns {DeckState}
+ */
+export const createDeckState = (packId = null, seed = null) => ({
+  packId,
+  seed,
+  decks: {},
+});
+
+// ============================================
+// RANDOMNESS
+// ============================================
+
+/**
+ * Turn a string into a 32-bit number (FNV-1a hash)
+ * @param {string} text
+ * @returns {number}
+ */
+const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Small seeded random generator (mulberry32)
+ * Same seed → same sequence of numbers in [0, 1)
+ * @param {number} seed
+ * @returns {Function}
+ */
+const createSeededRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Random source for one shuffle of one deck
+ * Seeded decks mix in the key & cycle so each deck/reshuffle differs
+ */
+const getRandom = (seed, key, cycle) =>
+  seed === null
+    ? Math.random
+    : createSeededRandom(hashString(`${seed}:${key}:${cycle}`));
+
+/**
+ * Shuffled list of indexes 0..size-1 (Fisher-Yates)
+ * @param {number} size
+ * @param {Function} random
+ * @param {number} [avoidFirst] - Index that must not come first
+ *   (the last card of the previous cycle - no back-to-back repeat)
+ * @returns {number[]}
+ */
+const shuffleIndexes = (size, random, avoidFirst) => {
+  const order = Array.from({ length: size }, (_, i) => i);
+  for (let i = size - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  if (size > 1 && order[0] === avoidFirst) {
+    [order[0], order[size - 1]] = [order[size - 1], order[0]];
+  }
+  return order;
+};
+
+// ============================================
+// PURE DECK LOGIC
+// ============================================
+
+/**
+ * Deal the next index from a deck
+ * The deck is (re)shuffled when it's new, empty, or the item count changed
+ *
+ * @param {DeckState} state
+ * @param {string} key - Category, e.g. "messages.sweet"
+ * @param {number} size - How many items the category has
+ * @returns {{index: number, state: DeckState}} index is -1 if size is 0
+ */
+export const drawFromDeck = (state, key, size) => {
+  if (size <= 0) return { index: -1, state };
+
+  let deck = state.decks[key];
+  const sameSize = deck?.order.length === size;
+
+  if (!deck || !sameSize || deck.position >= size) {
+    const cycle = deck && sameSize ? deck.cycle + 1 : 0;
+    const lastDealt = sameSize ? deck.order[size - 1] : undefined;
+    deck = {
+      order: shuffleIndexes(size, getRandom(state.seed, key, cycle), lastDealt),
+      position: 0,
+      cycle,
+    };
+  }
+
+  return {
+    index: deck.order[deck.position],
+    state: {
+      ...state,
+      decks: {
+        ...state.decks,
+        [key]: { ...deck, position: deck.position + 1 },
+      },
+    },
+  };
+};
+
+/**
+ * Check saved deck state before trusting it
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isValidDeckState = (value) => {
+  return (
+    Boolean(value) &&
+    typeof value === "object" &&
+    (value.seed === null || Number.isFinite(value.seed)) &&
+    Boolean(value.decks) &&
+    typeof value.decks === "object" &&
+    Object.values(value.decks).every(
+      (deck) =>
+        Array.isArray(deck?.order) &&
+        deck.order.every(Number.isInteger) &&
+        Number.isInteger(deck.position) &&
+        Number.isInteger(deck.cycle),
+    )
+  );
+};
+
+// ============================================
+// SHARED DECKS (used by NaughtyMessages.js)
+// ============================================
+
+let currentState = createDeckState();
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener(currentState));
+
+/**
+ * Deal an index from a shared deck
+ * @param {string} key
+ * @param {number} size
+ * @returns {number}
+ */
+export const drawIndex = (key, size) => {
+  const result = drawFromDeck(currentState, key, size);
+  currentState = result.state;
+  notify();
+  return result.index;
+};
+
+/**
+ * Current shared deck state (for saving)
+ * @returns {DeckState}
+ */
+export const getDeckState = () => currentState;
+
+/**
+ * Continue from saved decks (invalid data starts fresh)
+ * Cheap when nothing changed - safe to call on every render
+ * @param {DeckState} saved
+ */
+export const restoreDeckState = (saved) => {
+  if (saved === currentState) return;
+  currentState = isValidDeckState(saved) ? saved : createDeckState();
+};
+
+/**
+ * Throw away all decks (e.g. the message pack changed)
+ * @param {Object} [options]
+ * @param {string} [options.packId] - Pack the new decks belong to
+ * @param {number|null} [options.seed] - New seed (omit to keep the current one)
+ */
+export const resetDecks = ({ packId, seed } = {}) => {
+  currentState = createDeckState(
+    packId ?? currentState.packId,
+    seed === undefined ? currentState.seed : seed,
+  );
+  notify();
+};
+
+/**
+ * Get told whenever the shared decks change
+ * @param {Function} listener - Called with the new DeckState
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToDecks = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  createDeckState,
+  drawFromDeck,
+  isValidDeckState,
+  drawIndex,
+  getDeckState,
+  restoreDeckState,
+  resetDecks,
+  subscribeToDecks,
+};
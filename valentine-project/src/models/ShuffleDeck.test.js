@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import {
+  createDeckState,
+  drawFromDeck,
+  isValidDeckState,
+} from "./ShuffleDeck.js";
+
+/**
+ * Deal `count` cards from one deck
+ * @returns {{indexes: number[], state: DeckState}}
+ */
+const deal = (state, key, size, count) => {
+  const indexes = [];
+  let current = state;
+  for (let i = 0; i < count; i++) {
+    const result = drawFromDeck(current, key, size);
+    indexes.push(result.index);
+    current = result.state;
+  }
+  return { indexes, state: current };
+};
+
+describe("drawFromDeck", () => {
+  it("deals every item once before any repeats", () => {
+    const { indexes } = deal(createDeckState(null, 7), "messages", 5, 5);
+    expect([...indexes].sort()).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it("never deals the same item twice in a row across reshuffles", () => {
+    const { indexes } = deal(createDeckState(null, 3), "messages", 3, 60);
+    indexes.slice(1).forEach((index, i) => {
+      expect(index).not.toBe(indexes[i]);
+    });
+  });
+
+  it("deals the same order for the same seed", () => {
+    const first = deal(createDeckState(null, 42), "emojis", 8, 16);
+    const second = deal(createDeckState(null, 42), "emojis", 8, 16);
+    expect(second.indexes).toEqual(first.indexes);
+  });
+
+  it("keeps each category in its own deck", () => {
+    const { state } = deal(createDeckState(null, 1), "a", 4, 2);
+    expect(state.decks.a.position).toBe(2);
+    expect(drawFromDeck(state, "b", 4).state.decks.b.position).toBe(1);
+  });
+
+  it("reshuffles when the item count changes", () => {
+    const { state } = deal(createDeckState(null, 1), "messages", 4, 3);
+    const result = drawFromDeck(state, "messages", 6);
+    expect(result.state.decks.messages).toMatchObject({
+      position: 1,
+      cycle: 0,
+    });
+    expect(result.state.decks.messages.order).toHaveLength(6);
+  });
+
+  it("returns -1 for an empty category", () => {
+    const state = createDeckState();
+    expect(drawFromDeck(state, "messages", 0)).toEqual({ index: -1, state });
+  });
+
+  it("doesn't change the state it was given", () => {
+    const state = createDeckState(null, 9);
+    drawFromDeck(state, "messages", 3);
+    expect(state.decks).toEqual({});
+  });
+});
+
+describe("isValidDeckState", () => {
+  it("accepts dealt decks", () => {
+    const { state } = deal(createDeckState("default", 5), "messages", 4, 2);
+    expect(isValidDeckState(state)).toBe(true);
+  });
+
+  it("rejects broken saved decks", () => {
+    expect(isValidDeckState(null)).toBe(false);
+    expect(isValidDeckState({ seed: "x", decks: {} })).toBe(false);
+    expect(
+      isValidDeckState({ seed: null, decks: { a: { order: [0.5] } } }),
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,73 @@
+// ============================================
+// MODEL: Slideshow.js
+// ============================================
+// PURPOSE: Settings for the gallery slideshow (dinner-table TV mode)
+// The playing/paused state is per visit and lives in useSlideshow
+// ============================================
+
+/**
+ * Slideshow Settings Model (saved in state as `slideshow`)
+ * @typedef {Object} SlideshowSettings
+ * @property {number} interval - Time per photo (ms)
+ * @property {string} transition - One of SLIDESHOW_TRANSITIONS
+ * @property {boolean} shuffle - Random order (no repeats) instead of in order
+ */
+
+/**
+ * Transitions (label shown in the picker)
+ */
+export const SLIDESHOW_TRANSITIONS = {
+  crossfade: "Crossfade",
+  slide: "Slide",
+  kenBurns: "Ken Burns",
+};
+
+/**
+ * Times offered in the picker (ms)
+ */
+export const SLIDESHOW_INTERVALS = [3000, 5000, 8000, 15000, 30000];
+
+/**
+ * Allowed time per photo (ms)
+ * Shorter than a transition makes no sense; longer looks frozen
+ */
+export const SLIDESHOW_INTERVAL_LIMITS = { min: 2000, max: 60000 };
+
+/**
+ * After a touch or key press, play again once idle this long (ms)
+ */
+export const SLIDESHOW_RESUME_DELAY = 8000;
+
+/**
+ * Default slideshow settings
+ * @returns {SlideshowSettings}
+ */
+export const createSlideshowSettings = () => ({
+  interval: 5000,
+  transition: "crossfade",
+  shuffle: false,
+});
+
+/**
+ * @param {*} settings
+ * @returns {boolean}
+ */
+export const isValidSlideshowSettings = (settings) =>
+  Boolean(settings) &&
+  Number.isInteger(settings.interval) &&
+  settings.interval >= SLIDESHOW_INTERVAL_LIMITS.min &&
+  settings.interval <= SLIDESHOW_INTERVAL_LIMITS.max &&
+  Object.hasOwn(SLIDESHOW_TRANSITIONS, settings.transition) &&
+  typeof settings.shuffle === "boolean";
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  SLIDESHOW_TRANSITIONS,
+  SLIDESHOW_INTERVALS,
+  SLIDESHOW_INTERVAL_LIMITS,
+  SLIDESHOW_RESUME_DELAY,
+  createSlideshowSettings,
+  isValidSlideshowSettings,
+};
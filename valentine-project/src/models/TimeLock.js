@@ -0,0 +1,271 @@
+// ============================================
+// MODEL: TimeLock.js
+// ============================================
+// PURPOSE: Content that stays hidden until an "unlock at" time
+// - Photos: photo.unlockAt
+// - Sealed messages: notes that open on a date (e.g. a letter for
+//   midnight on Feb 14)
+// - Whole views: state.viewLocks, e.g. { timeline: "2026-02-14T00:00" }
+// Times are "YYYY-MM-DDTHH:mm" in LOCAL time (what a datetime-local
+// input gives), "" = not locked. "now" is always passed in (see
+// services/clock.js), so any date can be simulated
+// ============================================
+
+/**
+ * Sealed Message Model (saved in state as `timedMessages`)
+ * @typedef {Object} TimedMessage
+ * @property {string} id
+ * @property {string} title - Shown on the countdown, may use {name} etc.
+ * @property {string} text - Hidden until unlockAt
+ * @property {string} unlockAt - "YYYY-MM-DDTHH:mm", "" = always open
+ *
+ * One locked thing, for working out what to reveal
+ * @typedef {Object} TimeLockEntry
+ * @property {string} key - e.g. "photo:abc@2026-02-14T00:00"; includes
+ *   the time, so moving a lock makes it reveal again
+ * @property {string} unlockAt
+ */
+
+/**
+ * Views that can be locked (label shown in the lock settings)
+ * Home & setup can't: the countdowns and settings live there
+ */
+export const LOCKABLE_VIEWS = {
+  gallery: "📸 Photo gallery",
+  grid: "▦ All photos",
+  timeline: "📖 Our story",
+  naughty: "😈 Naughty cards",
+  quiz: "❓ Quizzes",
+  trophies: "🏆 Trophies",
+};
+
+/**
+ * Sealed message limits
+ */
+export const TimedMessageLimits = {
+  titleMaxLength: 80,
+  textMaxLength: 2000,
+  maxMessages: 20,
+};
+
+const UNLOCK_AT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// ============================================
+// TIMES
+// ============================================
+
+/**
+ * "2026-02-14T00:00" → timestamp (local time)
+ * @param {string} unlockAt
+ * @returns {number|null} null if not a valid time
+ */
+export const parseUnlockAt = (unlockAt) => {
+  const match = UNLOCK_AT_PATTERN.exec(unlockAt ?? "");
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes] = match.map(Number);
+  const date = new Date(year, month - 1, day, hours, minutes);
+
+  // Reject overflow like 2026-02-31 or 25:00
+  const isRealTime =
+    date.getMonth() === month - 1 &&
+    date.getDate() === day &&
+    date.getHours() === hours;
+  return isRealTime ? date.getTime() : null;
+};
+
+/**
+ * "" (not locked) or a valid time
+ * @param {*} unlockAt
+ * @returns {boolean}
+ */
+export const isValidUnlockAt = (unlockAt) =>
+  unlockAt === "" || parseUnlockAt(unlockAt) !== null;
+
+/**
+ * Is something with this unlock time still hidden?
+ * @param {string} unlockAt
+ * @param {number} now - From a Clock
+ * @returns {boolean}
+ */
+export const isLocked = (unlockAt, now) => {
+  const time = parseUnlockAt(unlockAt);
+  return time !== null && now < time;
+};
+
+/**
+ * Countdown until an unlock time
+ * @param {string} unlockAt
+ * @param {number} now
+ * @returns {{days: number, hours: number, minutes: number,
+ *   seconds: number}|null} null if it's already open
+ */
+export const getTimeLeft = (unlockAt, now) => {
+  if (!isLocked(unlockAt, now)) return null;
+
+  // Round up: "0 seconds" only at the moment it opens
+  const left = Math.ceil((parseUnlockAt(unlockAt) - now) / 1000);
+  return {
+    days: Math.floor(left / SECONDS_PER_DAY),
+    hours: Math.floor((left % SECONDS_PER_DAY) / 3600),
+    minutes: Math.floor((left % 3600) / 60),
+    seconds: left % 60,
+  };
+};
+
+/**
+ * Show an unlock time in the reader's language
+ * e.g. "Feb 14, 2026, 12:00 AM"
+ * @param {string} unlockAt
+ * @returns {string} "" if not a valid time
+ */
+export const formatUnlockAt = (unlockAt) => {
+  const time = parseUnlockAt(unlockAt);
+  if (time === null) return "";
+  return new Date(time).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+};
+
+/**
+ * Midnight at the start of the next Valentine's Day
+ * (today's, while it's still Feb 14)
+ * @param {number} now
+ * @returns {string} e.g. "2027-02-14T00:00"
+ */
+export const getNextValentinesDay = (now) => {
+  const today = new Date(now);
+  const dayAfter = new Date(today.getFullYear(), 1, 15).getTime();
+  const year = today.getFullYear() + (now >= dayAfter ? 1 : 0);
+  return `${year}-02-14T00:00`;
+};
+
+// ============================================
+// SEALED MESSAGES
+// ============================================
+
+/**
+ * Sealed Message Factory
+ * @param {{title: string, text: string, unlockAt: string}} messageData
+ * @param {number} [now] - For the id (testing)
+ * @returns {TimedMessage}
+ */
+export const createTimedMessage = (messageData, now = Date.now()) => ({
+  id: `message-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  title: (messageData.title || "").trim(),
+  text: (messageData.text || "").trim(),
+  unlockAt: messageData.unlockAt || "",
+});
+
+/**
+ * The example every new app starts with: a letter for Valentine's Day
+ * @param {number} now
+ * @returns {TimedMessage}
+ */
+export const createValentineLetter = (now) => ({
+  id: "valentine-letter",
+  title: "💌 A letter for {name}",
+  text:
+    "Happy Valentine's Day, {nickname}! Every one of our days has been " +
+    "my favorite. Thank you for being you. Love always, {sender} 💖",
+  unlockAt: getNextValentinesDay(now),
+});
+
+/**
+ * @param {*} message
+ * @returns {boolean}
+ */
+export const isValidTimedMessage = (message) =>
+  Boolean(message) &&
+  typeof message.id === "string" &&
+  typeof message.title === "string" &&
+  message.title.length > 0 &&
+  message.title.length <= TimedMessageLimits.titleMaxLength &&
+  typeof message.text === "string" &&
+  message.text.length > 0 &&
+  message.text.length <= TimedMessageLimits.textMaxLength &&
+  isValidUnlockAt(message.unlockAt);
+
+/**
+ * @param {*} viewLocks - View name → unlockAt
+ * @returns {boolean}
+ */
+export const isValidViewLocks = (viewLocks) =>
+  Boolean(viewLocks) &&
+  typeof viewLocks === "object" &&
+  !Array.isArray(viewLocks) &&
+  Object.entries(viewLocks).every(
+    ([view, unlockAt]) =>
+      Object.hasOwn(LOCKABLE_VIEWS, view) && isValidUnlockAt(unlockAt),
+  );
+
+// ============================================
+// EVERYTHING LOCKED
+// ============================================
+
+/**
+ * Every time lock in the app (things without one are left out)
+ * @param {{photos: Photo[], timedMessages: TimedMessage[],
+ *   viewLocks: Object}} state
+ * @returns {TimeLockEntry[]}
+ */
+export const getTimeLocks = ({ photos, timedMessages, viewLocks }) =>
+  [
+    ...photos.map((photo) => [`photo:${photo.id}`, photo.unlockAt]),
+    ...timedMessages.map((message) => [
+      `message:${message.id}`,
+      message.unlockAt,
+    ]),
+    ...Object.entries(viewLocks).map(([view, unlockAt]) => [
+      `view:${view}`,
+      unlockAt,
+    ]),
+  ]
+    .filter(([, unlockAt]) => unlockAt)
+    .map(([name, unlockAt]) => ({ key: `${name}@${unlockAt}`, unlockAt }));
+
+/**
+ * Keys of the locks that are open by now
+ * @param {TimeLockEntry[]} locks
+ * @param {number} now
+ * @returns {string[]}
+ */
+export const getUnlockedKeys = (locks, now) =>
+  locks.filter((lock) => !isLocked(lock.unlockAt, now)).map((lock) => lock.key);
+
+/**
+ * When the next lock opens
+ * @param {TimeLockEntry[]} locks
+ * @param {number} now
+ * @returns {number|null} Timestamp, or null if nothing is locked
+ */
+export const getNextUnlock = (locks, now) => {
+  const times = locks
+    .map((lock) => parseUnlockAt(lock.unlockAt))
+    .filter((time) => time !== null && time > now);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  LOCKABLE_VIEWS,
+  TimedMessageLimits,
+  parseUnlockAt,
+  isValidUnlockAt,
+  isLocked,
+  getTimeLeft,
+  formatUnlockAt,
+  getNextValentinesDay,
+  createTimedMessage,
+  createValentineLetter,
+  isValidTimedMessage,
+  isValidViewLocks,
+  getTimeLocks,
+  getUnlockedKeys,
+  getNextUnlock,
+};
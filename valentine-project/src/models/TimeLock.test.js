@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { createFixedClock } from "../services/clock.js";
+import { createInitialState } from "./ValentineModel.js";
+import {
+  getNextUnlock,
+  getNextValentinesDay,
+  getTimeLeft,
+  getTimeLocks,
+  getUnlockedKeys,
+  isLocked,
+  isValidUnlockAt,
+  parseUnlockAt,
+} from "./TimeLock.js";
+
+const MINUTE = 60 * 1000;
+
+// One minute before Valentine's Day 2026, local time
+const clock = createFixedClock(new Date(2026, 1, 13, 23, 59));
+
+const lockedState = {
+  photos: [
+    { id: "open", unlockAt: "" },
+    { id: "surprise", unlockAt: "2026-02-14T00:00" },
+  ],
+  timedMessages: [{ id: "later", unlockAt: "2026-03-01T09:30" }],
+  viewLocks: { timeline: "2026-02-14T00:00" },
+};
+
+describe("time locks with a fixed clock", () => {
+  it("lists everything that has an unlock time", () => {
+    expect(getTimeLocks(lockedState).map((lock) => lock.key)).toEqual([
+      "photo:surprise@2026-02-14T00:00",
+      "message:later@2026-03-01T09:30",
+      "view:timeline@2026-02-14T00:00",
+    ]);
+  });
+
+  it("opens locks as the clock moves on", () => {
+    const locks = getTimeLocks(lockedState);
+    const testClock = createFixedClock(clock.now());
+
+    expect(getUnlockedKeys(locks, testClock.now())).toEqual([]);
+    expect(getNextUnlock(locks, testClock.now())).toBe(
+      parseUnlockAt("2026-02-14T00:00"),
+    );
+
+    testClock.advance(MINUTE); // Midnight
+    expect(getUnlockedKeys(locks, testClock.now())).toEqual([
+      "photo:surprise@2026-02-14T00:00",
+      "view:timeline@2026-02-14T00:00",
+    ]);
+    expect(getNextUnlock(locks, testClock.now())).toBe(
+      parseUnlockAt("2026-03-01T09:30"),
+    );
+
+    testClock.set(new Date(2026, 2, 2));
+    expect(getNextUnlock(locks, testClock.now())).toBeNull();
+  });
+
+  it("counts down to the unlock time", () => {
+    expect(getTimeLeft("2026-02-14T00:00", clock.now())).toEqual({
+      days: 0,
+      hours: 0,
+      minutes: 1,
+      seconds: 0,
+    });
+    expect(getTimeLeft("2026-02-13T00:00", clock.now())).toBeNull();
+  });
+
+  it("treats empty and broken times as unlocked", () => {
+    expect(isLocked("", clock.now())).toBe(false);
+    expect(isLocked("2026-02-31T00:00", clock.now())).toBe(false);
+    expect(isValidUnlockAt("2026-02-31T00:00")).toBe(false);
+    expect(isValidUnlockAt("")).toBe(true);
+  });
+});
+
+describe("example Valentine's letter", () => {
+  it("finds the next Valentine's Day", () => {
+    expect(getNextValentinesDay(clock.now())).toBe("2026-02-14T00:00");
+    // Still today's on the day itself, next year's after it
+    expect(getNextValentinesDay(new Date(2026, 1, 14, 20).getTime())).toBe(
+      "2026-02-14T00:00",
+    );
+    expect(getNextValentinesDay(new Date(2026, 1, 15).getTime())).toBe(
+      "2027-02-14T00:00",
+    );
+  });
+
+  it("is dated from the clock the state is created with", () => {
+    const state = createInitialState(createFixedClock(new Date(2030, 5, 1)));
+    expect(state.timedMessages).toHaveLength(1);
+    expect(state.timedMessages[0].unlockAt).toBe("2031-02-14T00:00");
+  });
+});
@@ -0,0 +1,166 @@
+// ============================================
+// MODEL: Timeline.js
+// ============================================
+// PURPOSE: The "our story" timeline - photos in date order, grouped
+//          by month, with anniversaries & day-count milestones
+// Dates are "YYYY-MM-DD" strings in local time (see Personalization.js)
+// ============================================
+
+import {
+  getDaysTogether,
+  parseLocalDate,
+  toLocalDateString,
+} from "./Personalization.js";
+
+/**
+ * Day counts worth celebrating (anniversaries are added on top)
+ */
+export const MILESTONE_DAYS = [100, 200, 500, 1000, 1500, 2000, 2500, 3000];
+
+/**
+ * Group key for photos without a date taken (listed last)
+ */
+export const UNDATED_GROUP = "undated";
+
+/**
+ * One row of the timeline
+ * @typedef {Object} TimelineEntry
+ * @property {string} type - 'photo' | 'milestone'
+ * @property {string} date - "YYYY-MM-DD" ("" for undated photos)
+ * @property {number|null} daysTogether - null before the start date
+ * @property {Photo} [photo] - Photo entries only
+ * @property {number} [index] - Position in state.photos (openPhoto)
+ * @property {string} [label] - Milestone entries only, e.g. "1 year"
+ * @property {string} [icon] - Milestone entries only
+ *
+ * @typedef {Object} TimelineGroup
+ * @property {string} key - "YYYY-MM" or UNDATED_GROUP
+ * @property {TimelineEntry[]} entries - Oldest first
+ */
+
+/**
+ * The same day N years later (Feb 29 → Feb 28 in other years)
+ * @param {Date} start
+ * @param {number} years
+ * @returns {Date}
+ */
+const addYears = (start, years) => {
+  const date = new Date(
+    start.getFullYear() + years,
+    start.getMonth(),
+    start.getDate(),
+  );
+  // Overflowed into the next month: use the last day of the right one
+  return date.getMonth() === start.getMonth()
+    ? date
+    : new Date(date.getFullYear(), date.getMonth(), 0);
+};
+
+/**
+ * Anniversaries & day-count milestones from the start date up to today
+ *
+ * @param {string} startDate - "YYYY-MM-DD" (profile.anniversary)
+ * @param {Date} [now]
+ * @returns {TimelineEntry[]} Oldest first; [] without a valid start date
+ */
+export const getMilestones = (startDate, now = new Date()) => {
+  const start = parseLocalDate(startDate);
+  const daysSoFar = getDaysTogether(startDate, now);
+  if (!start || daysSoFar === null) return [];
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const milestone = (date, label, icon) => ({
+    type: "milestone",
+    date: toLocalDateString(date),
+    daysTogether: getDaysTogether(startDate, date),
+    label,
+    icon,
+  });
+
+  const milestones = [milestone(start, "Where it all began", "💞")];
+
+  MILESTONE_DAYS.filter((days) => days <= daysSoFar).forEach((days) => {
+    const date = new Date(start);
+    date.setDate(date.getDate() + days);
+    milestones.push(milestone(date, `${days} days`, "✨"));
+  });
+
+  for (let years = 1; addYears(start, years) <= today; years++) {
+    const label = years === 1 ? "1 year" : `${years} years`;
+    milestones.push(milestone(addYears(start, years), label, "🎉"));
+  }
+
+  return milestones.sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Build the timeline
+ * - Months in date order, oldest first (it's a story)
+ * - On the same day a milestone comes before the photos
+ * - Photos without a date taken go in a last UNDATED_GROUP
+ *
+ * @param {Photo[]} photos
+ * @param {string} startDate - "YYYY-MM-DD", "" if not set
+ * @param {Date} [now]
+ * @returns {TimelineGroup[]}
+ */
+export const getTimeline = (photos, startDate, now = new Date()) => {
+  const photoEntries = photos.map((photo, index) => ({
+    type: "photo",
+    date: photo.takenAt,
+    daysTogether: photo.takenAt
+      ? getDaysTogether(startDate, parseLocalDate(photo.takenAt))
+      : null,
+    photo,
+    index,
+  }));
+
+  const dated = [
+    ...getMilestones(startDate, now),
+    ...photoEntries.filter((entry) => entry.date),
+  ].sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.type === b.type ? 0 : a.type === "milestone" ? -1 : 1),
+  );
+
+  const groups = [];
+  dated.forEach((entry) => {
+    const key = entry.date.slice(0, 7); // "YYYY-MM"
+    const last = groups[groups.length - 1];
+    if (last?.key === key) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ key, entries: [entry] });
+    }
+  });
+
+  const undated = photoEntries.filter((entry) => !entry.date);
+  if (undated.length > 0) {
+    groups.push({ key: UNDATED_GROUP, entries: undated });
+  }
+
+  return groups;
+};
+
+/**
+ * Heading for a group, in the reader's language, e.g. "February 2024"
+ * @param {string} key - "YYYY-MM" or UNDATED_GROUP
+ * @returns {string}
+ */
+export const formatGroupLabel = (key) => {
+  const date = parseLocalDate(`${key}-01`);
+  if (!date) return "Not dated yet";
+  return date.toLocaleDateString(undefined, { month: "long", year: "numeric" });
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  MILESTONE_DAYS,
+  UNDATED_GROUP,
+  getMilestones,
+  getTimeline,
+  formatGroupLabel,
+};
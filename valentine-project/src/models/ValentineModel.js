@@ -5,6 +5,23 @@
 // This is the "contract" - every component knows what data looks like
 // ============================================
 
+import {
+  createEmptyProfile,
+  parseLocalDate,
+  PRONOUN_SETS,
+  PROFILE_NAME_MAX_LENGTH,
+} from "./Personalization.js";
+import { createDeckState } from "./ShuffleDeck.js";
+import { createSafeModeSettings } from "./SafeMode.js";
+import { createActionLog } from "./ActionLog.js";
+import { createGridOptions } from "./PhotoGrid.js";
+import { createSlideshowSettings } from "./Slideshow.js";
+import { createAudioSettings } from "./Audio.js";
+import { createValentineLetter, isValidUnlockAt } from "./TimeLock.js";
+import { createAdventProgress } from "./AdventCalendar.js";
+import { systemClock } from "../services/clock.js";
+import photoManifest from "virtual:photo-manifest";
+
 /**
  * Photo Model
  * @typedef {Object} Photo
@@ -13,63 +30,188 @@
  * @property {string} caption - Naughty/sweet caption
  * @property {number} likes - Number of times you've liked it
  * @property {boolean} isFavorite - Is this a favorite photo?
+ *
+ * Details (edited in the gallery, limits in PhotoDetailsLimits):
+ * @property {string} takenAt - Date taken "YYYY-MM-DD" ("" = unknown),
+ *   read from EXIF when the photo has it
+ * @property {string} location - Free text, e.g. "Boracay"
+ * @property {string[]} tags - Lowercase, no "#", e.g. ["beach", "trip"]
+ * @property {string} note - Private note: never shown in captions or
+ *   the slideshow
+ * @property {string} unlockAt - Hidden behind a countdown until this
+ *   "YYYY-MM-DDTHH:mm" ("" = not locked, see TimeLock.js)
+ *
+ * Image variants (uploads: services/imagePipeline.js, bundled photos:
+ * plugins/photoManifest.js) - older uploads may not have them:
+ * @property {string} [srcSet] - Responsive sizes (bundled photos only)
+ * @property {string} [thumbnailUrl] - Small copy for the photo grid
+ * @property {string} [placeholderUrl] - Tiny blurred copy shown while loading
+ * @property {number} [width] - Full image width (px)
+ * @property {number} [height] - Full image height (px)
  */
 
+/**
+ * Views the app can show
+ * Used by the controller (navigation) and persistence (validation)
+ * Each view also needs a URL route in services/router.js
+ */
+export const VIEWS = [
+  "home",
+  "gallery",
+  "naughty",
+  "upload",
+  "setup",
+  "quiz",
+  "trophies",
+  "grid",
+  "timeline",
+  "calendar",
+  "letters",
+  "letter",
+];
+
 /**
  * App State Model
  * This defines the ENTIRE state shape of the application
  * Think of it as a blueprint for all data
+ *
+ * CHANGING THE SHAPE? Add a migration in services/persistence.js
+ * so returning users' saved state is upgraded, not thrown away
  */
 export const ValentineModel = {
   // ===== NAVIGATION STATE =====
-  currentView: "home", // Which page/view is active: 'home' | 'gallery' | 'naughty'
+  currentView: "home", // Which page/view is active: one of VIEWS above
 
   // ===== PHOTO DATA =====
-  photos: [
-    // Sample structure - you'll replace with your girlfriend's photos
-    {
-      id: "1",
-      url: "/src/assets/photos/DakogKaon.jpg", // Local path to image
-      caption: "😈 That time you made my heart race...",
-      likes: 0,
-      isFavorite: false,
-    },
-    {
-      id: "2",
-      url: "/src/assets/photos/Tabian.jpeg",
-      caption: "💕 You look so good, it should be illegal",
-      likes: 0,
-      isFavorite: false,
-    },
-    {
-      id: "3",
-      url: "/src/assets/photos/WowGwapa.jpeg",
-      caption: "🔥 My personal snack",
-      likes: 0,
-      isFavorite: false,
-    },
-  ],
+  // Every image in src/assets/photos (built by plugins/photoManifest.js)
+  // Captions come from "Name.txt" files and can use placeholders like
+  // {name} - see Personalization.js
+  photos: photoManifest.map((photo) => ({
+    ...photo,
+    likes: 0,
+    isFavorite: false,
+    location: "",
+    tags: [],
+    note: "",
+    unlockAt: "",
+  })),
+
+  // ===== TIME LOCKS (see TimeLock.js) =====
+  timedMessages: [], // Sealed messages (createInitialState adds an example)
+  viewLocks: {}, // View → unlockAt, e.g. { timeline: "2026-02-14T00:00" }
+  revealedLocks: [], // Keys of open locks whose reveal effect has played
+
+  // ===== ADVENT CALENDAR =====
+  advent: createAdventProgress(), // Opened doors & visit streak (see AdventCalendar.js)
+
+  // ===== LOVE LETTERS (see Letters.js) =====
+  letters: [], // Finished letters, oldest first
+  letterDraft: null, // Letter being written (autosaved), null = none
+  currentLetterId: null, // Letter open in the reader
+
+  // ===== MUSIC =====
+  tracks: [], // Songs uploaded by the user (bundled ones: see Audio.js)
+  audio: createAudioSettings(), // Mute switch & playlist (see Audio.js)
+
+  // ===== PERSONALIZATION =====
+  profile: createEmptyProfile(), // Names, anniversary, pronouns (setup wizard)
+  setupComplete: false, // Has the first-run wizard been finished or skipped?
+
+  // ===== CONTENT =====
+  activePackId: "default", // Which message pack is in use (see MessagePacks.js)
+  customPacks: [], // Message packs imported by the user
+  decks: createDeckState(), // No-repeat shuffle decks (see ShuffleDeck.js)
+
+  // ===== QUIZZES =====
+  activeQuiz: null, // Quiz run in progress or just finished (see QuizEngine.js)
+  quizHistory: [], // Finished quiz runs with every answer, newest last
+
+  // ===== ACHIEVEMENTS =====
+  stats: {}, // Action counters, e.g. { likes: 12 } (see Achievements.js)
+  achievements: {}, // Unlocked achievement id → unlock timestamp
 
   // ===== INTERACTION STATE =====
   naughtyLevel: 0, // Tracks playfulness meter (0-100)
   heartClicks: 0, // Total heart button clicks
 
+  // ===== SAFE MODE =====
+  safeMode: createSafeModeSettings(), // PIN-locked spiciness cap (see SafeMode.js)
+  panicMode: false, // Neutral screen shown after the panic shortcut
+  blurPhotos: false, // Blur gallery photos (turned on by panic)
+
   // ===== UI STATE =====
-  showConfetti: false, // Trigger confetti animation
+  effects: [], // Particle effects waiting to play (see createEffect below)
+  actionLog: createActionLog(), // Undo/redo history, this session only (see ActionLog.js)
   currentPhotoIndex: 0, // Active photo in gallery
+  currentMessage: "", // Naughty card on show, dealt by the controller
+  gridOptions: createGridOptions(), // Photo grid filter & sort (see PhotoGrid.js)
+  slideshow: createSlideshowSettings(), // Slideshow timing & look (see Slideshow.js)
 };
 
 /**
  * Initial State Factory
  * PURPOSE: Creates a fresh copy of initial state
  * WHY: Prevents mutation of the original model
- * USAGE: const initialState = createInitialState();
+ * @param {Clock} [clock] - Dates the example Valentine's letter (the
+ *   same clock the app runs on, see services/clock.js)
+ * USAGE: const initialState = createInitialState(clock);
  */
-export const createInitialState = () => ({
+export const createInitialState = (clock = systemClock) => ({
   ...ValentineModel,
   photos: ValentineModel.photos.map((photo) => ({ ...photo })), // Deep copy photos array
+  customPacks: [],
+  profile: { ...ValentineModel.profile },
+  decks: createDeckState(),
+  quizHistory: [],
+  stats: {},
+  achievements: {},
+  safeMode: createSafeModeSettings(),
+  effects: [],
+  actionLog: createActionLog(),
+  gridOptions: createGridOptions(),
+  slideshow: createSlideshowSettings(),
+  tracks: [],
+  audio: createAudioSettings(),
+  timedMessages: [createValentineLetter(clock.now())],
+  viewLocks: {},
+  revealedLocks: [],
+  advent: createAdventProgress(),
+  letters: [],
 });
 
+/**
+ * Upload Limits
+ * PURPOSE: Keep uploaded photos small enough to store in the browser
+ */
+export const UploadLimits = {
+  maxFileSize: 10 * 1024 * 1024, // 10MB per photo
+  acceptedTypes: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+};
+
+/**
+ * Photo Details Limits
+ * PURPOSE: Keep hand-typed photo details short (and the saved state small)
+ */
+export const PhotoDetailsLimits = {
+  captionMaxLength: 200,
+  locationMaxLength: 100,
+  noteMaxLength: 1000,
+  tagMaxLength: 30,
+  maxTags: 10,
+};
+
+/**
+ * Image Settings
+ * PURPOSE: How uploads are resized & re-encoded (services/imagePipeline.js)
+ */
+export const ImageSettings = {
+  maxSize: 2048, // Longest side of the stored photo (px)
+  format: "webp", // "webp" | "jpeg" (JPEG if the browser can't write WebP)
+  quality: 0.82, // 0-1: higher is sharper but bigger
+  thumbnailSize: 320, // Shortest side of the grid thumbnail (px)
+  placeholderSize: 24, // Longest side of the blurred placeholder (px)
+};
+
 /**
  * Validation Rules
  * PURPOSE: Ensure data integrity
@@ -87,7 +229,40 @@ export const ValidationRules = {
       typeof photo.id === "string" &&
       typeof photo.url === "string" &&
       typeof photo.caption === "string" &&
-      photo.url.length > 0
+      photo.url.length > 0 &&
+      ["srcSet", "thumbnailUrl", "placeholderUrl"].every(
+        (variant) =>
+          photo[variant] === undefined || typeof photo[variant] === "string",
+      ) &&
+      ValidationRules.isValidPhotoDetails(photo)
+    );
+  },
+
+  /**
+   * Validates the editable details of a photo
+   * @param {Photo} photo - Or just {caption, takenAt, location, tags,
+   *   note, unlockAt}
+   * @returns {boolean}
+   */
+  isValidPhotoDetails: (photo) => {
+    const limits = PhotoDetailsLimits;
+    return (
+      typeof photo.caption === "string" &&
+      photo.caption.length <= limits.captionMaxLength &&
+      (photo.takenAt === "" || parseLocalDate(photo.takenAt) !== null) &&
+      typeof photo.location === "string" &&
+      photo.location.length <= limits.locationMaxLength &&
+      Array.isArray(photo.tags) &&
+      photo.tags.length <= limits.maxTags &&
+      photo.tags.every(
+        (tag) =>
+          typeof tag === "string" &&
+          tag.length > 0 &&
+          tag.length <= limits.tagMaxLength,
+      ) &&
+      typeof photo.note === "string" &&
+      photo.note.length <= limits.noteMaxLength &&
+      isValidUnlockAt(photo.unlockAt)
     );
   },
 
@@ -99,6 +274,52 @@ export const ValidationRules = {
   isValidNaughtyLevel: (level) => {
     return typeof level === "number" && level >= 0 && level <= 100;
   },
+
+  /**
+   * Validates a view name
+   * @param {string} view
+   * @returns {boolean}
+   */
+  isValidView: (view) => {
+    return VIEWS.includes(view);
+  },
+
+  /**
+   * Validates a personalization profile
+   * @param {Profile} profile
+   * @returns {boolean}
+   */
+  isValidProfile: (profile) => {
+    return (
+      Boolean(profile) &&
+      ["recipientName", "nickname", "senderName"].every(
+        (field) =>
+          typeof profile[field] === "string" &&
+          profile[field].length <= PROFILE_NAME_MAX_LENGTH,
+      ) &&
+      (profile.anniversary === "" ||
+        parseLocalDate(profile.anniversary) !== null) &&
+      Object.keys(PRONOUN_SETS).includes(profile.pronouns)
+    );
+  },
+
+  /**
+   * Checks that an uploaded file is an image we can display
+   * @param {File} file
+   * @returns {boolean}
+   */
+  isImageFile: (file) => {
+    return Boolean(file) && UploadLimits.acceptedTypes.includes(file.type);
+  },
+
+  /**
+   * Checks that an uploaded file is within the size limit
+   * @param {File} file
+   * @returns {boolean}
+   */
+  isWithinUploadLimit: (file) => {
+    return Boolean(file) && file.size <= UploadLimits.maxFileSize;
+  },
 };
 
 /**
@@ -110,13 +331,17 @@ export const Transformers = {
   /**
    * Converts image file to base64 string (for storage)
    * @param {File} file - Image file from input
+   * @param {Function} [onProgress] - Called with 0-1 while reading
    * @returns {Promise<string>} - Base64 string
    */
-  fileToBase64: (file) => {
+  fileToBase64: (file, onProgress) => {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
+      reader.onprogress = (e) => {
+        if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+      };
       reader.onload = () => resolve(reader.result);
-      reader.onerror = reject;
+      reader.onerror = () => reject(reader.error);
       reader.readAsDataURL(file);
     });
   },
@@ -127,10 +352,113 @@ export const Transformers = {
    * @returns {string}
    */
   sanitizeCaption: (caption) => {
-    return caption.trim().slice(0, 200); // Max 200 chars
+    return caption.trim().slice(0, PhotoDetailsLimits.captionMaxLength);
+  },
+
+  /**
+   * Cleans up hand-typed tags: " #Beach", "beach", "" → ["beach"]
+   * @param {string[]} tags
+   * @returns {string[]}
+   */
+  sanitizeTags: (tags) => {
+    const cleaned = tags
+      .map((tag) =>
+        tag
+          .trim()
+          .replace(/^#+/, "")
+          .toLowerCase()
+          .slice(0, PhotoDetailsLimits.tagMaxLength),
+      )
+      .filter(Boolean);
+    return [...new Set(cleaned)].slice(0, PhotoDetailsLimits.maxTags);
   },
 };
 
+/**
+ * Photo Factory
+ * PURPOSE: Build a complete Photo object from partial data
+ * WHY: Every new photo gets the same defaults and a unique id
+ * @param {Object} photoData - {url, caption} + optional image variants
+ *   and takenAt (from EXIF)
+ * @returns {Photo}
+ */
+export const createPhoto = (photoData) => ({
+  // Date.now() alone collides when several files are added in the same tick
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  url: photoData.url,
+  caption: Transformers.sanitizeCaption(photoData.caption || "") || "💕",
+  likes: 0,
+  isFavorite: false,
+  takenAt: parseLocalDate(photoData.takenAt) ? photoData.takenAt : "",
+  location: "",
+  tags: [],
+  note: "",
+  unlockAt: "",
+  // Only uploads run through the image pipeline
+  ...(photoData.thumbnailUrl && {
+    thumbnailUrl: photoData.thumbnailUrl,
+    placeholderUrl: photoData.placeholderUrl || "",
+    width: photoData.width,
+    height: photoData.height,
+  }),
+});
+
+/**
+ * Bundled Photos Merge
+ * PURPOSE: Keep saved photos in step with src/assets/photos
+ * - Bundled images always come from this build: asset file names are
+ *   hashed, so saved URLs go stale (likes, favorites & details are kept)
+ * - Photos added to the folder since the last visit are appended
+ * @param {Photo[]} photos - Saved photos
+ * @returns {Photo[]}
+ */
+export const mergeBundledPhotos = (photos) => {
+  const bundled = new Map(
+    ValentineModel.photos.map((photo) => [photo.id, photo]),
+  );
+  const savedIds = new Set(photos.map((photo) => photo.id));
+
+  return [
+    ...photos.map((photo) => {
+      if (!bundled.has(photo.id)) return photo;
+      // Images come from this build; caption, likes & details are the user's
+      const { url, srcSet, thumbnailUrl, placeholderUrl, width, height } =
+        bundled.get(photo.id);
+      return {
+        ...photo,
+        url,
+        srcSet,
+        thumbnailUrl,
+        placeholderUrl,
+        width,
+        height,
+      };
+    }),
+    ...ValentineModel.photos
+      .filter((photo) => !savedIds.has(photo.id))
+      .map((photo) => ({ ...photo })),
+  ];
+};
+
+/**
+ * Effect Factory
+ * PURPOSE: Queue a particle effect from inside a state update
+ * USAGE: effects: [...prevState.effects, createEffect("heartBurst", { x, y })]
+ * @param {string} name - Preset name (see services/particlePresets.js)
+ * @param {{x: number, y: number}} [origin] - Where it starts (default: center)
+ * @param {string} [id] - Pass one to stay deterministic (reducers)
+ * @returns {{id: string, name: string, origin?: Object}}
+ */
+export const createEffect = (
+  name,
+  origin,
+  id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+) => ({
+  id,
+  name,
+  origin,
+});
+
 // ============================================
 // EXPORT DEFAULT
 // ============================================
@@ -0,0 +1,159 @@
+// ============================================
+// MODEL: Zoom.js
+// ============================================
+// PURPOSE: The maths behind the gallery's zoomable photo (usePinchZoom)
+// A zoom is {scale, x, y}: the photo is scaled around its center, then
+// moved by x/y pixels. Points are measured from the photo's center
+// ============================================
+
+/**
+ * @typedef {Object} ZoomTransform
+ * @property {number} scale - 1 = fits the frame
+ * @property {number} x - Pan (px, screen pixels)
+ * @property {number} y
+ */
+
+/**
+ * Zoom limits & feel
+ */
+export const ZOOM_SETTINGS = {
+  minScale: 1,
+  maxScale: 4,
+  doubleTapScale: 2.5,
+  wheelSpeed: 0.002, // Scale change per wheel pixel (exponential)
+  friction: 0.92, // Momentum kept per 60fps frame
+  stopVelocity: 0.02, // px/ms - slower than this, momentum stops
+};
+
+export const NO_ZOOM = { scale: 1, x: 0, y: 0 };
+
+// A hair above 1 still counts as "not zoomed" (rounding after pinches)
+const ZOOMED_EPSILON = 0.01;
+
+const FRAME_MS = 1000 / 60;
+
+/**
+ * @param {ZoomTransform} transform
+ * @returns {boolean}
+ */
+export const isZoomedIn = (transform) =>
+  transform.scale > 1 + ZOOMED_EPSILON;
+
+/**
+ * @param {number} scale
+ * @returns {number}
+ */
+export const clampScale = (scale) =>
+  Math.min(ZOOM_SETTINGS.maxScale, Math.max(ZOOM_SETTINGS.minScale, scale));
+
+/**
+ * How far the photo may move before an edge shows inside the frame
+ * @param {number} scale
+ * @param {{width: number, height: number}} size - Frame size
+ * @returns {{x: number, y: number}}
+ */
+export const getPanLimits = (scale, size) => ({
+  x: (size.width * (scale - 1)) / 2,
+  y: (size.height * (scale - 1)) / 2,
+});
+
+const clamp = (value, limit) => Math.min(limit, Math.max(-limit, value));
+
+/**
+ * Keep the scale in range and the photo covering its frame
+ * @param {ZoomTransform} transform
+ * @param {{width: number, height: number}} size
+ * @returns {ZoomTransform}
+ */
+export const clampTransform = (transform, size) => {
+  const scale = clampScale(transform.scale);
+  if (scale <= 1 + ZOOMED_EPSILON) return NO_ZOOM;
+
+  const limits = getPanLimits(scale, size);
+  return {
+    scale,
+    x: clamp(transform.x, limits.x),
+    y: clamp(transform.y, limits.y),
+  };
+};
+
+/**
+ * Zoom to a new scale so the photo point under `from` ends up under
+ * `to` (the same point for a wheel or double-tap; a pinch's moving
+ * midpoint otherwise)
+ * @param {ZoomTransform} start - Transform when the zoom began
+ * @param {{x: number, y: number}} from - Point at the start
+ * @param {{x: number, y: number}} to - Point now
+ * @param {number} scale - Wanted scale (clamped)
+ * @param {{width: number, height: number}} size
+ * @returns {ZoomTransform}
+ */
+export const zoomAround = (start, from, to, scale, size) => {
+  const nextScale = clampScale(scale);
+  const ratio = nextScale / start.scale;
+  return clampTransform(
+    {
+      scale: nextScale,
+      x: to.x - ratio * (from.x - start.x),
+      y: to.y - ratio * (from.y - start.y),
+    },
+    size,
+  );
+};
+
+/**
+ * Distance & midpoint of two fingers
+ * @param {{x: number, y: number}} a
+ * @param {{x: number, y: number}} b
+ * @returns {{distance: number, center: {x: number, y: number}}}
+ */
+export const getPinch = (a, b) => ({
+  distance: Math.hypot(b.x - a.x, b.y - a.y),
+  center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+});
+
+/**
+ * One animation frame of momentum after a pan: glide, slow down, and
+ * stop dead at the edges
+ * @param {ZoomTransform} transform
+ * @param {{x: number, y: number}} velocity - px/ms
+ * @param {number} elapsed - ms since the last frame
+ * @param {{width: number, height: number}} size
+ * @returns {{transform: ZoomTransform, velocity: {x: number, y: number},
+ *   isDone: boolean}}
+ */
+export const stepMomentum = (transform, velocity, elapsed, size) => {
+  const wanted = {
+    ...transform,
+    x: transform.x + velocity.x * elapsed,
+    y: transform.y + velocity.y * elapsed,
+  };
+  const moved = clampTransform(wanted, size);
+  const decay = ZOOM_SETTINGS.friction ** (elapsed / FRAME_MS);
+  const next = {
+    // Hitting an edge stops that direction
+    x: moved.x === wanted.x ? velocity.x * decay : 0,
+    y: moved.y === wanted.y ? velocity.y * decay : 0,
+  };
+
+  return {
+    transform: moved,
+    velocity: next,
+    isDone: Math.hypot(next.x, next.y) < ZOOM_SETTINGS.stopVelocity,
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  ZOOM_SETTINGS,
+  NO_ZOOM,
+  isZoomedIn,
+  clampScale,
+  getPanLimits,
+  clampTransform,
+  zoomAround,
+  getPinch,
+  stepMomentum,
+};
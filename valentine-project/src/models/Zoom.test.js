@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import {
+  NO_ZOOM,
+  ZOOM_SETTINGS,
+  clampScale,
+  clampTransform,
+  getPanLimits,
+  getPinch,
+  isZoomedIn,
+  stepMomentum,
+  zoomAround,
+} from "./Zoom.js";
+
+const size = { width: 400, height: 300 };
+
+describe("clampTransform", () => {
+  it("keeps the scale between the limits", () => {
+    expect(clampScale(0.5)).toBe(ZOOM_SETTINGS.minScale);
+    expect(clampScale(10)).toBe(ZOOM_SETTINGS.maxScale);
+  });
+
+  it("snaps back to no zoom at 1x", () => {
+    expect(clampTransform({ scale: 1, x: 50, y: -20 }, size)).toBe(NO_ZOOM);
+    expect(isZoomedIn(NO_ZOOM)).toBe(false);
+  });
+
+  it("never lets an edge show inside the frame", () => {
+    // At 2x the photo can move half the frame each way
+    expect(getPanLimits(2, size)).toEqual({ x: 200, y: 150 });
+    expect(clampTransform({ scale: 2, x: 999, y: -999 }, size)).toEqual({
+      scale: 2,
+      x: 200,
+      y: -150,
+    });
+  });
+});
+
+describe("zoomAround", () => {
+  it("keeps the point under the cursor in place", () => {
+    const point = { x: 100, y: 50 };
+    const zoomed = zoomAround(NO_ZOOM, point, point, 2, size);
+    expect(zoomed).toEqual({ scale: 2, x: -100, y: -50 });
+    // That photo point: (point - pan) / scale, same before & after
+    expect((point.x - zoomed.x) / zoomed.scale).toBe(point.x);
+  });
+
+  it("follows a pinch's moving midpoint", () => {
+    const zoomed = zoomAround(
+      { scale: 2, x: 0, y: 0 },
+      { x: 0, y: 0 },
+      { x: 30, y: -20 },
+      2,
+      size,
+    );
+    expect(zoomed).toEqual({ scale: 2, x: 30, y: -20 });
+  });
+
+  it("clamps the wanted scale", () => {
+    const center = { x: 0, y: 0 };
+    expect(zoomAround(NO_ZOOM, center, center, 9, size).scale).toBe(
+      ZOOM_SETTINGS.maxScale,
+    );
+  });
+});
+
+describe("getPinch", () => {
+  it("measures the fingers' distance and midpoint", () => {
+    expect(getPinch({ x: 0, y: 0 }, { x: 30, y: 40 })).toEqual({
+      distance: 50,
+      center: { x: 15, y: 20 },
+    });
+  });
+});
+
+describe("stepMomentum", () => {
+  const zoomed = { scale: 2, x: 0, y: 0 };
+
+  it("glides and slows down", () => {
+    const step = stepMomentum(zoomed, { x: 1, y: 0 }, 1000 / 60, size);
+    expect(step.transform.x).toBeCloseTo(1000 / 60);
+    expect(step.velocity.x).toBeCloseTo(ZOOM_SETTINGS.friction);
+    expect(step.isDone).toBe(false);
+  });
+
+  it("stops dead at an edge", () => {
+    const atEdge = { scale: 2, x: 199, y: 0 };
+    const step = stepMomentum(atEdge, { x: 1, y: 0.5 }, 16, size);
+    expect(step.transform.x).toBe(200);
+    expect(step.velocity.x).toBe(0);
+    expect(step.velocity.y).toBeGreaterThan(0);
+  });
+
+  it("finishes once it's too slow to see", () => {
+    const step = stepMomentum(zoomed, { x: 0.01, y: 0 }, 16, size);
+    expect(step.isDone).toBe(true);
+  });
+});
@@ -0,0 +1,352 @@
+// ============================================
+// SERVICE: AudioManager.js
+// ============================================
+// PURPOSE: Background music & sound effects
+// FEATURES: Looping playlist with crossfades between tracks,
+//           synthesized effects, one mute switch, waits for the
+//           first tap/key press (browser autoplay rules)
+// USED BY: hooks/useAudioManager.js
+// ============================================
+
+import { soundPresets } from "./soundPresets.js";
+
+// Length of the fade from one track into the next (seconds)
+export const CROSSFADE_SECONDS = 4;
+
+const MUSIC_VOLUME = 0.5; // Music stays under the sound effects
+const EFFECTS_VOLUME = 0.8;
+const NOTE_ATTACK = 0.01; // Seconds: avoids a click at the start of a note
+
+/**
+ * One playing track: <audio> element → its own gain → music bus
+ * @typedef {Object} MusicLayer
+ * @property {Track} track
+ * @property {HTMLAudioElement} audio
+ * @property {MediaElementAudioSourceNode} source
+ * @property {GainNode} gain - Fades this track in & out
+ */
+
+/**
+ * AudioManager Class
+ *
+ * LIFECYCLE:
+ * 1. new AudioManager() - silent, nothing created yet
+ * 2. unlock() from a click/key handler - the AudioContext starts
+ * 3. setPlaylist / setMuted / setPaused whenever state changes
+ * 4. destroy() on unmount
+ *
+ * Music only plays when: unlocked, not muted, not paused (panic
+ * screen) and the playlist isn't empty
+ */
+class AudioManager {
+  constructor() {
+    this.context = null; // AudioContext, created by unlock()
+    this.musicBus = null;
+    this.effectsBus = null;
+    this.noiseBuffer = null;
+
+    this.playlist = [];
+    this.trackIndex = 0;
+    this.current = null; // MusicLayer playing now
+    this.fading = new Set(); // MusicLayers fading out
+    this.failedTracks = 0; // In a row - stops an all-broken playlist looping
+
+    this.muted = false;
+    this.paused = false;
+  }
+
+  /**
+   * Has the first user gesture started the audio yet?
+   * @returns {boolean}
+   */
+  get isUnlocked() {
+    return this.context !== null;
+  }
+
+  /**
+   * Start audio - MUST be called from a user gesture handler
+   * (click, keydown...): browsers block sound before one
+   */
+  unlock() {
+    if (this.context) {
+      if (this.context.state === "suspended") this.context.resume();
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return; // Very old browser: stay silent
+
+    this.context = new AudioContextClass();
+    this.musicBus = this.context.createGain();
+    this.musicBus.gain.value = MUSIC_VOLUME;
+    this.musicBus.connect(this.context.destination);
+    this.effectsBus = this.context.createGain();
+    this.effectsBus.gain.value = EFFECTS_VOLUME;
+    this.effectsBus.connect(this.context.destination);
+
+    this.updateMusic();
+  }
+
+  /**
+   * Tracks to loop through, in order
+   * The song playing now keeps playing if it's still in the list
+   * @param {Track[]} tracks
+   */
+  setPlaylist(tracks) {
+    const ids = (list) => list.map((track) => track.id).join("\n");
+    if (ids(tracks) === ids(this.playlist)) return;
+
+    this.playlist = tracks;
+    this.failedTracks = 0;
+
+    const playingIndex = this.current
+      ? tracks.findIndex((track) => track.id === this.current.track.id)
+      : -1;
+    if (playingIndex !== -1) {
+      this.trackIndex = playingIndex;
+      return;
+    }
+
+    this.trackIndex = 0;
+    if (this.current) this.fadeOut(this.current);
+    this.current = null;
+    this.updateMusic();
+  }
+
+  /**
+   * One switch for music and effects
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.updateMusic();
+  }
+
+  /**
+   * Silence everything for a while (e.g. the panic screen)
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    this.updateMusic();
+  }
+
+  /**
+   * Play a sound effect
+   * Ignored before unlock(), while muted or while paused
+   * @param {string} name - Preset name (see soundPresets.js)
+   * @returns {boolean} false if unknown or skipped
+   */
+  playEffect(name) {
+    const preset = soundPresets[name];
+    if (!preset) {
+      console.error(`Unknown sound effect: ${name}`);
+      return false;
+    }
+    if (!this.context || this.muted || this.paused) return false;
+
+    const start = this.context.currentTime;
+    preset.notes.forEach((note) => this.playNote(note, preset.volume, start));
+    if (preset.noise) this.playNoise(preset.noise, preset.volume, start);
+    return true;
+  }
+
+  /**
+   * Stop everything and release the audio hardware
+   */
+  destroy() {
+    [this.current, ...this.fading].forEach(
+      (layer) => layer && this.stopLayer(layer),
+    );
+    this.current = null;
+    this.context?.close();
+    this.context = null; // unlock() can start a fresh one
+    this.noiseBuffer = null;
+  }
+
+  // ============================================
+  // MUSIC
+  // ============================================
+
+  /**
+   * Play or pause the music to match the current settings
+   */
+  updateMusic() {
+    const shouldPlay =
+      this.context !== null &&
+      !this.muted &&
+      !this.paused &&
+      this.playlist.length > 0;
+
+    if (!shouldPlay) {
+      // Pausing mid-crossfade: drop the track on its way out
+      this.fading.forEach((layer) => this.stopLayer(layer));
+      this.current?.audio.pause();
+      return;
+    }
+
+    if (!this.current) {
+      this.startTrack(this.trackIndex);
+    } else if (this.current.audio.paused) {
+      this.current.audio.play().catch(() => {});
+    }
+  }
+
+  /**
+   * Start a track, fading in over CROSSFADE_SECONDS
+   * @param {number} index - Position in the playlist
+   */
+  startTrack(index) {
+    const track = this.playlist[index];
+    const audio = new Audio(track.url);
+    const source = this.context.createMediaElementSource(audio);
+    const gain = this.context.createGain();
+    source.connect(gain).connect(this.musicBus);
+
+    const now = this.context.currentTime;
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(1, now + CROSSFADE_SECONDS);
+
+    /** @type {MusicLayer} */
+    const layer = { track, audio, source, gain };
+    this.current = layer;
+    this.trackIndex = index;
+
+    // Start the next track while this one is still fading out
+    audio.addEventListener("timeupdate", () => {
+      if (layer !== this.current || !Number.isFinite(audio.duration)) return;
+      if (audio.duration - audio.currentTime <= CROSSFADE_SECONDS) {
+        this.failedTracks = 0;
+        this.nextTrack();
+      }
+    });
+    // Very short tracks can end before timeupdate catches them
+    audio.addEventListener("ended", () => {
+      if (layer === this.current) this.nextTrack();
+    });
+    audio.addEventListener("error", () => {
+      if (layer !== this.current) return;
+      console.warn(`Can't play "${track.title}", skipping it`);
+      this.failedTracks += 1;
+      if (this.failedTracks < this.playlist.length) {
+        this.nextTrack();
+      } else {
+        // Every track failed: stop (a new playlist or unmute tries again)
+        this.stopLayer(layer);
+        this.current = null;
+      }
+    });
+
+    audio.play().catch(() => {}); // Failures are reported by "error"
+  }
+
+  /**
+   * Crossfade into the next track (the playlist loops)
+   */
+  nextTrack() {
+    this.fadeOut(this.current);
+    this.startTrack((this.trackIndex + 1) % this.playlist.length);
+  }
+
+  /**
+   * Fade a track out, then stop it
+   * @param {MusicLayer} layer
+   */
+  fadeOut(layer) {
+    const now = this.context.currentTime;
+    layer.gain.gain.cancelScheduledValues(now);
+    layer.gain.gain.setValueAtTime(layer.gain.gain.value, now);
+    layer.gain.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS);
+
+    this.fading.add(layer);
+    setTimeout(() => this.stopLayer(layer), CROSSFADE_SECONDS * 1000);
+  }
+
+  /**
+   * Stop a track and let the browser free its audio data
+   * @param {MusicLayer} layer
+   */
+  stopLayer(layer) {
+    this.fading.delete(layer);
+    layer.audio.pause();
+    layer.audio.removeAttribute("src");
+    layer.audio.load();
+    layer.source.disconnect();
+  }
+
+  // ============================================
+  // SOUND EFFECTS
+  // ============================================
+
+  /**
+   * One oscillator beep with a quick attack and a smooth fade out
+   * @param {Note} note
+   * @param {number} volume - The preset's volume
+   * @param {number} start - AudioContext time the sound starts
+   */
+  playNote(note, volume, start) {
+    const begin = start + (note.delay ?? 0);
+    const end = begin + note.duration;
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = note.wave ?? "sine";
+    oscillator.frequency.setValueAtTime(note.frequency, begin);
+    if (note.endFrequency) {
+      oscillator.frequency.exponentialRampToValueAtTime(
+        note.endFrequency,
+        end,
+      );
+    }
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0, begin);
+    envelope.gain.linearRampToValueAtTime(
+      volume * (note.volume ?? 1),
+      begin + NOTE_ATTACK,
+    );
+    // Exponential ramps can't reach 0: fade to "inaudible" instead
+    envelope.gain.exponentialRampToValueAtTime(0.001, end);
+
+    oscillator.connect(envelope).connect(this.effectsBus);
+    oscillator.start(begin);
+    oscillator.stop(end);
+  }
+
+  /**
+   * A burst of filtered white noise
+   * @param {Noise} noise
+   * @param {number} volume - The preset's volume
+   * @param {number} start - AudioContext time the sound starts
+   */
+  playNoise(noise, volume, start) {
+    // One second of noise, made once and reused
+    if (!this.noiseBuffer) {
+      const { sampleRate } = this.context;
+      this.noiseBuffer = this.context.createBuffer(1, sampleRate, sampleRate);
+      const samples = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+      }
+    }
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = "bandpass";
+    filter.frequency.value = noise.frequency;
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(volume * (noise.volume ?? 1), start);
+    envelope.gain.exponentialRampToValueAtTime(0.001, start + noise.duration);
+
+    source.connect(filter).connect(envelope).connect(this.effectsBus);
+    source.start(start);
+    source.stop(start + noise.duration);
+  }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default AudioManager;
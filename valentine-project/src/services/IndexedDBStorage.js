@@ -0,0 +1,335 @@
+// ============================================
+// SERVICE: IndexedDBStorage.js
+// ============================================
+// PURPOSE: Store app state, photo images & uploaded music in IndexedDB
+// WHY: localStorage caps out around 5MB - a few base64 photos fill it
+// HOW: Small state fields live in one record, each photo image (full
+//      size & thumbnail) and each song is stored as its own Blob and
+//      referenced by key
+// ============================================
+
+const DB_NAME = "valentine-db";
+const DB_VERSION = 1;
+
+// Object stores (like tables)
+const STATE_STORE = "state"; // key → small JSON state
+// media key → image/audio Blob (named before music was added; renaming
+// an object store needs a DB_VERSION upgrade)
+const MEDIA_STORE = "photos";
+
+/**
+ * State arrays whose items have Blob fields
+ * field → suffix added to the item id for its MEDIA_STORE key
+ * - Photos: the tiny placeholderUrl stays in the state record so it
+ *   shows at once
+ * - Tracks: ids start with "track-", so keys never clash with photos
+ */
+const MEDIA_FIELDS = {
+  photos: {
+    url: "", // Key is just the photo id
+    thumbnailUrl: ":thumbnail",
+  },
+  tracks: {
+    url: "",
+  },
+};
+
+/**
+ * Media fields saved as "idb:<key>" point at a Blob in MEDIA_STORE
+ */
+export const MEDIA_REF_PREFIX = "idb:";
+
+/**
+ * Media keys already in MEDIA_STORE
+ * Avoids re-writing every image & song on every save
+ */
+const storedMediaKeys = new Set();
+
+let dbPromise = null;
+
+// ============================================
+// LOW-LEVEL HELPERS
+// ============================================
+
+/**
+ * Check if IndexedDB exists in this browser
+ * @returns {boolean}
+ */
+export const isIndexedDBAvailable = () => {
+  return typeof window !== "undefined" && "indexedDB" in window;
+};
+
+/**
+ * Open (or create) the database
+ * Cached: every caller shares one connection
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!isIndexedDBAvailable()) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    // Runs on first open (or version bump): create the stores
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STATE_STORE)) {
+        db.createObjectStore(STATE_STORE);
+      }
+      if (!db.objectStoreNames.contains(MEDIA_STORE)) {
+        db.createObjectStore(MEDIA_STORE);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry later if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Turn an IDBRequest into a Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Does this URL hold data that belongs in MEDIA_STORE?
+ * data: / blob: URLs come from uploads, blob: URLs also from loading
+ * saved media
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isEmbeddedMedia = (url) => {
+  return typeof url === "string" && /^(data|blob):/.test(url);
+};
+
+/**
+ * MEDIA_STORE key for one of an item's Blob fields
+ * @param {string} collection - One of MEDIA_FIELDS, e.g. "photos"
+ * @param {Object} item - Photo or Track
+ * @param {string} field - e.g. "thumbnailUrl"
+ * @returns {string}
+ */
+const getMediaKey = (collection, item, field) =>
+  `${item.id}${MEDIA_FIELDS[collection][field]}`;
+
+/**
+ * Every [collection, item, field] whose value is a Blob reference or
+ * embedded data
+ * @param {Object} state
+ * @param {Function} hasMedia - (value) => boolean
+ * @returns {Array<[string, Object, string]>}
+ */
+const listMediaFields = (state, hasMedia) =>
+  Object.entries(MEDIA_FIELDS).flatMap(([collection, fields]) =>
+    (Array.isArray(state[collection]) ? state[collection] : []).flatMap(
+      (item) =>
+        Object.keys(fields)
+          .filter((field) => hasMedia(item[field]))
+          .map((field) => [collection, item, field]),
+    ),
+  );
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Is this error the browser running out of storage space?
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isQuotaExceededError = (error) => {
+  return (
+    Boolean(error) &&
+    (error.name === "QuotaExceededError" ||
+      error.name === "NS_ERROR_DOM_QUOTA_REACHED")
+  );
+};
+
+/**
+ * Load state saved under a key
+ * Media references are turned back into playable/displayable object URLs
+ * @param {string} key
+ * @returns {Promise<Object|null>} Saved state or null if nothing saved
+ */
+export const loadState = async (key) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STATE_STORE, MEDIA_STORE], "readonly");
+  const saved = await promisifyRequest(
+    transaction.objectStore(STATE_STORE).get(key),
+  );
+
+  if (!saved) return null;
+
+  const mediaStore = transaction.objectStore(MEDIA_STORE);
+  const isReference = (value) =>
+    typeof value === "string" && value.startsWith(MEDIA_REF_PREFIX);
+
+  // item → its fields with object URLs
+  const loadedFields = new Map();
+  await Promise.all(
+    listMediaFields(saved, isReference).map(async ([, item, field]) => {
+      const mediaKey = item[field].slice(MEDIA_REF_PREFIX.length);
+      const blob = await promisifyRequest(mediaStore.get(mediaKey));
+      let url = "";
+      if (blob) {
+        storedMediaKeys.add(mediaKey);
+        url = URL.createObjectURL(blob);
+      } else {
+        console.error(`Missing stored media "${mediaKey}"`);
+      }
+      loadedFields.set(item, { ...loadedFields.get(item), [field]: url });
+    }),
+  );
+
+  const collections = Object.keys(MEDIA_FIELDS)
+    .filter((collection) => Array.isArray(saved[collection]))
+    .map((collection) => [
+      collection,
+      saved[collection].map((item) => ({
+        ...item,
+        ...loadedFields.get(item),
+      })),
+    ]);
+
+  return { ...saved, ...Object.fromEntries(collections) };
+};
+
+/**
+ * Save state under a key
+ * - Embedded images & songs are written to MEDIA_STORE as Blobs
+ * - The state record only keeps "idb:<key>" references
+ * - Media of deleted photos & tracks is removed
+ *
+ * @param {string} key
+ * @param {Object} state
+ * @returns {Promise<void>} Rejects with QuotaExceededError when full
+ */
+export const saveState = async (key, state) => {
+  const embedded = listMediaFields(state, isEmbeddedMedia);
+
+  // Convert media BEFORE opening the transaction:
+  // IndexedDB transactions auto-close while awaiting other promises
+  const newBlobs = await Promise.all(
+    embedded
+      .map(([collection, item, field]) => ({
+        mediaKey: getMediaKey(collection, item, field),
+        url: item[field],
+      }))
+      .filter(({ mediaKey }) => !storedMediaKeys.has(mediaKey))
+      .map(async ({ mediaKey, url }) => ({
+        mediaKey,
+        blob: await (await fetch(url)).blob(),
+      })),
+  );
+
+  // item → its fields as references
+  const references = new Map();
+  embedded.forEach(([collection, item, field]) => {
+    references.set(item, {
+      ...references.get(item),
+      [field]: `${MEDIA_REF_PREFIX}${getMediaKey(collection, item, field)}`,
+    });
+  });
+
+  const stateToSave = { ...state };
+  Object.keys(MEDIA_FIELDS)
+    .filter((collection) => Array.isArray(state[collection]))
+    .forEach((collection) => {
+      stateToSave[collection] = state[collection].map((item) => ({
+        ...item,
+        ...references.get(item),
+      }));
+    });
+
+  const db = await openDatabase();
+  const transaction = db.transaction([STATE_STORE, MEDIA_STORE], "readwrite");
+  const mediaStore = transaction.objectStore(MEDIA_STORE);
+
+  newBlobs.forEach(({ mediaKey, blob }) => mediaStore.put(blob, mediaKey));
+  transaction.objectStore(STATE_STORE).put(stateToSave, key);
+
+  // Clean up media whose photo or track no longer exists
+  const keptKeys = new Set(
+    listMediaFields(state, () => true).map(([collection, item, field]) =>
+      getMediaKey(collection, item, field),
+    ),
+  );
+  const storedKeys = await promisifyRequest(mediaStore.getAllKeys());
+  const removedKeys = storedKeys.filter((mediaKey) => !keptKeys.has(mediaKey));
+  removedKeys.forEach((mediaKey) => mediaStore.delete(mediaKey));
+
+  await transactionDone(transaction);
+
+  newBlobs.forEach(({ mediaKey }) => storedMediaKeys.add(mediaKey));
+  removedKeys.forEach((mediaKey) => storedMediaKeys.delete(mediaKey));
+};
+
+/**
+ * Remove saved state and every stored image & song
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+export const clearState = async (key) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STATE_STORE, MEDIA_STORE], "readwrite");
+  transaction.objectStore(STATE_STORE).delete(key);
+  transaction.objectStore(MEDIA_STORE).clear();
+  await transactionDone(transaction);
+  storedMediaKeys.clear();
+};
+
+/**
+ * How much of the browser's storage quota is used
+ * @returns {Promise<{usage: number, quota: number}|null>} null if unsupported
+ */
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  MEDIA_REF_PREFIX,
+  isIndexedDBAvailable,
+  isQuotaExceededError,
+  loadState,
+  saveState,
+  clearState,
+  getStorageEstimate,
+};
@@ -0,0 +1,214 @@
+// ============================================
+// SERVICE: ParticleEngine.js
+// ============================================
+// PURPOSE: Draw particle effects (hearts, fireworks...) on a canvas
+// FEATURES: Named presets, origin points, particle cap for slow
+//           phones, honors prefers-reduced-motion
+// USED BY: views/ParticleCanvas.jsx
+// ============================================
+
+import { particlePresets } from "./particlePresets.js";
+
+/**
+ * Most particles alive at once
+ * Phones with few CPU cores get a smaller budget
+ */
+export const MAX_PARTICLES =
+  typeof navigator !== "undefined" && navigator.hardwareConcurrency <= 4
+    ? 120
+    : 250;
+
+// Velocities are "per frame at 60fps"; slower screens scale up
+const FRAME_MS = 1000 / 60;
+
+/**
+ * Where an effect triggered by a click/tap should start
+ * Keyboard "clicks" have no pointer position - use the element's center
+ * @param {MouseEvent} event - React or DOM event
+ * @returns {{x: number, y: number}}
+ */
+export const getEventOrigin = (event) => {
+  if (event.clientX || event.clientY) {
+    return { x: event.clientX, y: event.clientY };
+  }
+  const rect = event.currentTarget.getBoundingClientRect();
+  return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+};
+
+/**
+ * ParticleEngine Class
+ *
+ * USAGE:
+ * const engine = new ParticleEngine(canvas);
+ * engine.emit("heartBurst", { x: 100, y: 200 });
+ * engine.destroy(); // on unmount
+ *
+ * WHY A CLASS?
+ * - Owns a long-running animation loop & its particles
+ * - Lives outside React: 60 updates a second would be far too
+ *   many React renders
+ */
+class ParticleEngine {
+  /**
+   * @param {HTMLCanvasElement} canvas - Full-screen canvas to draw on
+   * @param {Object} [options]
+   * @param {number} [options.maxParticles] - Cap (defaults to MAX_PARTICLES)
+   * @param {Function} [options.random] - Random source (for testing)
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.maxParticles = options.maxParticles ?? MAX_PARTICLES;
+    this.random = options.random ?? Math.random;
+    this.particles = [];
+    this.frameId = null;
+    this.lastTime = 0;
+
+    this.reducedMotion = window.matchMedia?.(
+      "(prefers-reduced-motion: reduce)",
+    );
+
+    this.tick = this.tick.bind(this);
+    this.resize = this.resize.bind(this);
+    this.resize();
+    window.addEventListener("resize", this.resize);
+  }
+
+  /**
+   * Start an effect
+   * @param {string} name - Preset name (see particlePresets.js)
+   * @param {{x: number, y: number}} [origin] - Defaults to screen center
+   * @returns {boolean} false if unknown, skipped (reduced motion) or at the cap
+   */
+  emit(name, origin) {
+    const preset = particlePresets[name];
+    if (!preset) {
+      console.error(`Unknown particle effect: ${name}`);
+      return false;
+    }
+    if (this.reducedMotion?.matches) return false;
+
+    const room = this.maxParticles - this.particles.length;
+    if (room <= 0) return false;
+
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const spawned = preset.spawn({
+      origin: origin ?? { x: width / 2, y: height / 2 },
+      width,
+      height,
+      random: this.random,
+    });
+
+    // Over the cap? Keep only as many as fit
+    spawned.slice(0, room).forEach((particle) => {
+      this.particles.push({
+        gravity: 0,
+        drag: 1,
+        spin: 0,
+        delay: 0,
+        rotation: 0,
+        ...particle,
+        maxLife: particle.life,
+      });
+    });
+
+    if (this.frameId === null) {
+      this.lastTime = performance.now();
+      this.frameId = requestAnimationFrame(this.tick);
+    }
+    return true;
+  }
+
+  /**
+   * Match the canvas to the screen (sharp on high-DPI screens)
+   */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    this.canvas.width = window.innerWidth * ratio;
+    this.canvas.height = window.innerHeight * ratio;
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  /**
+   * One animation frame: move, age & draw every particle
+   * Stops itself when the last particle dies
+   * @param {number} now - Timestamp from requestAnimationFrame
+   */
+  tick(now) {
+    // Cap the step so a background tab doesn't teleport particles
+    const step = Math.min((now - this.lastTime) / FRAME_MS, 3);
+    this.lastTime = now;
+
+    this.particles = this.particles.filter((particle) => {
+      if (particle.delay > 0) {
+        particle.delay -= step;
+        return true;
+      }
+
+      const drag = particle.drag ** step;
+      particle.vx *= drag;
+      particle.vy = particle.vy * drag + particle.gravity * step;
+      particle.x += particle.vx * step;
+      particle.y += particle.vy * step;
+      particle.rotation += particle.spin * step;
+      particle.life -= step;
+      return particle.life > 0;
+    });
+
+    this.draw();
+
+    this.frameId =
+      this.particles.length > 0 ? requestAnimationFrame(this.tick) : null;
+  }
+
+  /**
+   * Paint the current particles
+   */
+  draw() {
+    const ctx = this.context;
+    ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+
+    this.particles.forEach((particle) => {
+      if (particle.delay > 0) return;
+
+      // Fade out over the last third of its life
+      let alpha = Math.min(1, particle.life / (particle.maxLife / 3));
+      if (particle.twinkle) alpha *= 0.5 + 0.5 * Math.sin(particle.life / 3);
+
+      ctx.save();
+      ctx.globalAlpha = Math.max(0, alpha);
+      ctx.translate(particle.x, particle.y);
+      ctx.rotate(particle.rotation);
+
+      if (particle.emoji) {
+        ctx.font = `${particle.size}px serif`;
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText(particle.emoji, 0, 0);
+      } else {
+        ctx.fillStyle = particle.color;
+        ctx.beginPath();
+        ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      ctx.restore();
+    });
+  }
+
+  /**
+   * Stop the loop and remove listeners
+   */
+  destroy() {
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    this.particles = [];
+    window.removeEventListener("resize", this.resize);
+  }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default ParticleEngine;
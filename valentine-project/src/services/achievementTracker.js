@@ -0,0 +1,28 @@
+// ============================================
+// SERVICE: achievementTracker.js
+// ============================================
+// PURPOSE: Connect controller events to the achievement rules
+// The controller only announces what happened (emit); this service
+// turns each event into a recordEvent action, and the reducer counts
+// it and unlocks achievements (see models/Achievements.js)
+// ============================================
+
+import { recordEvent } from "../store/actions.js";
+
+/**
+ * Start tracking achievements for a controller
+ * Newly unlocked achievements also trigger sparkles ✨ (reducer)
+ *
+ * @param {ValentineController} controller
+ * @returns {Function} Stop tracking
+ */
+export const trackAchievements = (controller) => {
+  return controller.on("*", (payload, event) => {
+    controller.dispatch(recordEvent(event));
+  });
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default { trackAchievements };
@@ -0,0 +1,62 @@
+// ============================================
+// SERVICE: clock.js
+// ============================================
+// PURPOSE: Where "now" comes from for time-locked content and the
+//          advent calendar
+// The app takes a clock instead of calling Date.now() itself, so
+// tests (and the ?now= preview in dev) can pretend it's any date
+// USED BY: main.jsx → App.jsx → ValentineController & useTimeLocks
+// ============================================
+
+/**
+ * Clock Model
+ * @typedef {Object} Clock
+ * @property {Function} now - () => number (ms since 1970, like Date.now)
+ */
+
+/**
+ * The real time
+ * @type {Clock}
+ */
+export const systemClock = { now: () => Date.now() };
+
+/**
+ * A clock that only moves when told to (tests)
+ *
+ * @param {number|Date} time - Where it starts
+ * @returns {Clock & {set: Function, advance: Function}}
+ *
+ * USAGE EXAMPLE:
+ * const clock = createFixedClock(new Date(2026, 1, 13, 23, 59));
+ * clock.advance(60 * 1000); // Midnight: Feb 14 content unlocks
+ */
+export const createFixedClock = (time) => {
+  let current = Number(time);
+  return {
+    now: () => current,
+    set: (newTime) => {
+      current = Number(newTime);
+    },
+    advance: (ms) => {
+      current += ms;
+    },
+  };
+};
+
+/**
+ * A clock that starts at any date and then runs at normal speed
+ * (watch a countdown reach zero without waiting for the real date)
+ *
+ * @param {number|Date} time - What "now" is at the moment it's created
+ * @param {Clock} [baseClock] - Real time source
+ * @returns {Clock}
+ */
+export const createOffsetClock = (time, baseClock = systemClock) => {
+  const offset = Number(time) - baseClock.now();
+  return { now: () => baseClock.now() + offset };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default { systemClock, createFixedClock, createOffsetClock };
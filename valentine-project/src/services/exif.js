@@ -0,0 +1,182 @@
+// ============================================
+// SERVICE: exif.js
+// ============================================
+// PURPOSE: Read the few EXIF tags we use from a photo's bytes
+// - Orientation: which way up the camera was held
+// - Date taken: shown in the gallery & used to sort photos
+// No imports, no DOM: also used at build time by plugins/photoManifest.js
+// USED BY: services/imagePipeline.js, plugins/photoManifest.js
+// ============================================
+
+/**
+ * EXIF lives in the first segment of a JPEG; 64KB is its maximum size
+ */
+export const EXIF_SEARCH_BYTES = 64 * 1024;
+
+// TIFF tags we look for
+const TAGS = {
+  orientation: 0x0112,
+  dateTime: 0x0132, // Last edited (fallback for the date taken)
+  exifDirectory: 0x8769, // Pointer to the camera-specific directory
+  dateTimeOriginal: 0x9003, // Shutter pressed
+};
+
+/**
+ * What we know from a photo's EXIF data
+ * @typedef {Object} ExifMetadata
+ * @property {number} orientation - 1 = upright, 2-8 = flipped and/or
+ *   rotated (1 when unknown)
+ * @property {string} takenAt - "YYYY-MM-DD", "" when unknown
+ */
+
+/**
+ * Where the TIFF header starts
+ * Accepts a whole JPEG, or a bare EXIF block ("Exif\0\0" + TIFF) like
+ * the one sharp's metadata() returns
+ *
+ * @param {DataView} view
+ * @returns {number} Byte offset, or -1 if there's no EXIF data
+ */
+const findTiffStart = (view) => {
+  if (view.byteLength < 10) return -1;
+  if (view.getUint32(0) === 0x45786966) return 6; // "Exif"
+  if (view.getUint16(0) !== 0xffd8) return -1; // Not a JPEG
+
+  // Walk the JPEG segments: [0xFFxx marker][2-byte length][data]
+  let offset = 2;
+  while (offset + 10 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // Pixels
+
+    // APP1 segment starting with "Exif"
+    if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+      return offset + 10;
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return -1;
+};
+
+/**
+ * Read one TIFF directory
+ * @param {DataView} view
+ * @param {number} tiffStart
+ * @param {number} directoryOffset - From the TIFF header
+ * @param {boolean} littleEndian
+ * @returns {Map<number, number>} Tag → byte offset of its 12-byte entry
+ */
+const readDirectory = (view, tiffStart, directoryOffset, littleEndian) => {
+  const entries = new Map();
+  const directory = tiffStart + directoryOffset;
+  if (directory + 2 > view.byteLength) return entries;
+
+  const entryCount = view.getUint16(directory, littleEndian);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = directory + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    entries.set(view.getUint16(entry, littleEndian), entry);
+  }
+  return entries;
+};
+
+/**
+ * Text value of an entry (values over 4 bytes are stored elsewhere)
+ * @param {DataView} view
+ * @param {number} tiffStart
+ * @param {number} entry - Byte offset of the entry
+ * @param {boolean} littleEndian
+ * @returns {string}
+ */
+const readText = (view, tiffStart, entry, littleEndian) => {
+  const length = view.getUint32(entry + 4, littleEndian);
+  const start =
+    length > 4
+      ? tiffStart + view.getUint32(entry + 8, littleEndian)
+      : entry + 8;
+  if (start + length > view.byteLength) return "";
+
+  let text = "";
+  for (let i = 0; i < length; i++) {
+    const code = view.getUint8(start + i);
+    if (code === 0) break; // Text ends with a NUL byte
+    text += String.fromCharCode(code);
+  }
+  return text;
+};
+
+/**
+ * EXIF date "2024:02:14 19:30:00" → "2024-02-14"
+ * Cameras without a set clock write zeros or blanks: those give ""
+ * @param {string} value
+ * @returns {string}
+ */
+export const parseExifDate = (value) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value);
+  if (!match) return "";
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  const isRealDate =
+    year >= 1900 &&
+    date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day;
+  return isRealDate ? `${match[1]}-${match[2]}-${match[3]}` : "";
+};
+
+/**
+ * Read orientation & date taken
+ *
+ * @param {ArrayBuffer} buffer - A JPEG (at least its first
+ *   EXIF_SEARCH_BYTES) or a bare EXIF block
+ * @returns {ExifMetadata} Defaults for non-JPEGs or missing/broken EXIF
+ */
+export const readExif = (buffer) => {
+  const metadata = { orientation: 1, takenAt: "" };
+  const view = new DataView(buffer);
+  const tiffStart = findTiffStart(view);
+  if (tiffStart === -1 || tiffStart + 8 > view.byteLength) return metadata;
+
+  const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+  const main = readDirectory(
+    view,
+    tiffStart,
+    view.getUint32(tiffStart + 4, littleEndian),
+    littleEndian,
+  );
+
+  if (main.has(TAGS.orientation)) {
+    const orientation = view.getUint16(
+      main.get(TAGS.orientation) + 8,
+      littleEndian,
+    );
+    if (orientation >= 1 && orientation <= 8) {
+      metadata.orientation = orientation;
+    }
+  }
+
+  const camera = main.has(TAGS.exifDirectory)
+    ? readDirectory(
+        view,
+        tiffStart,
+        view.getUint32(main.get(TAGS.exifDirectory) + 8, littleEndian),
+        littleEndian,
+      )
+    : new Map();
+
+  // Prefer when the shutter was pressed over when it was last edited
+  const dateEntry =
+    camera.get(TAGS.dateTimeOriginal) ?? main.get(TAGS.dateTime);
+  if (dateEntry !== undefined) {
+    metadata.takenAt = parseExifDate(
+      readText(view, tiffStart, dateEntry, littleEndian),
+    );
+  }
+
+  return metadata;
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default { EXIF_SEARCH_BYTES, parseExifDate, readExif };
@@ -0,0 +1,288 @@
+// ============================================
+// SERVICE: imagePipeline.js
+// ============================================
+// PURPOSE: Shrink & clean up uploaded photos before they are stored
+// STEPS: Decode upright (EXIF orientation) → downscale → re-encode
+//        (WebP or JPEG) → grid thumbnail → tiny blurred placeholder
+// PRIVACY: A canvas only holds pixels, so re-encoding drops all EXIF
+//          data (GPS position, camera model...). Only the date taken
+//          is read first and kept (photo.takenAt)
+// USED BY: UploadView
+// ============================================
+
+import { ImageSettings, Transformers } from "../models/ValentineModel.js";
+import { EXIF_SEARCH_BYTES, readExif } from "./exif.js";
+
+/**
+ * Output formats (ImageSettings.format → MIME type)
+ */
+const OUTPUT_TYPES = {
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+};
+
+/**
+ * Kept as uploaded: a canvas would only keep the first frame of an
+ * animated GIF (GIFs carry no EXIF data anyway)
+ */
+const KEEP_ORIGINAL_TYPES = ["image/gif"];
+
+/**
+ * Processed upload, ready for createPhoto()
+ * @typedef {Object} ProcessedImage
+ * @property {string} url - Full image (data URL)
+ * @property {string} thumbnailUrl - Small copy for the grid (data URL)
+ * @property {string} placeholderUrl - Tiny blurred copy (data URL)
+ * @property {number} width - Full image width (px, upright)
+ * @property {number} height - Full image height (px, upright)
+ * @property {string} takenAt - Date taken from EXIF ("YYYY-MM-DD" or "")
+ */
+
+// ============================================
+// EXIF ORIENTATION
+// ============================================
+
+/**
+ * Do image decoders here already turn photos upright?
+ * Browsers that support CSS image-orientation apply EXIF orientation
+ * when decoding; older ones need us to rotate the pixels ourselves
+ * @returns {boolean}
+ */
+const decoderAppliesOrientation = () =>
+  typeof CSS !== "undefined" &&
+  CSS.supports?.("image-orientation", "from-image") === true;
+
+/**
+ * Set up a canvas transform that draws a sideways photo upright
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} orientation - EXIF orientation 1-8
+ * @param {number} width - Drawn width BEFORE rotating
+ * @param {number} height - Drawn height BEFORE rotating
+ */
+function applyOrientation(ctx, orientation, width, height) {
+  switch (orientation) {
+    case 2: // Mirrored
+      ctx.transform(-1, 0, 0, 1, width, 0);
+      break;
+    case 3: // Upside down
+      ctx.transform(-1, 0, 0, -1, width, height);
+      break;
+    case 4: // Upside down & mirrored
+      ctx.transform(1, 0, 0, -1, 0, height);
+      break;
+    case 5: // Rotated left & mirrored
+      ctx.transform(0, 1, 1, 0, 0, 0);
+      break;
+    case 6: // Rotated left (phone held upright)
+      ctx.transform(0, 1, -1, 0, height, 0);
+      break;
+    case 7: // Rotated right & mirrored
+      ctx.transform(0, -1, -1, 0, height, width);
+      break;
+    case 8: // Rotated right
+      ctx.transform(0, -1, 1, 0, 0, width);
+      break;
+    default: // 1: Already upright
+  }
+}
+
+// ============================================
+// CANVAS HELPERS
+// ============================================
+
+/**
+ * Decode an image file
+ * createImageBitmap decodes off the main thread where available
+ * @param {File} file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodeImage(file) {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch (error) {
+      // Older Safari rejects the options object: use an <img> instead
+    }
+  }
+
+  const objectUrl = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = objectUrl;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(objectUrl);
+  }
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function createCanvas(width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+}
+
+/**
+ * Draw a decoded photo upright, no bigger than maxSize on its long side
+ * @param {ImageBitmap|HTMLImageElement} source
+ * @param {number} orientation - EXIF orientation still to apply (1 = none)
+ * @param {number} maxSize
+ * @returns {HTMLCanvasElement}
+ */
+function drawUpright(source, orientation, maxSize) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+
+  // Orientations 5-8 are rotated 90°: width & height swap
+  const isSideways = orientation >= 5;
+  const canvas = createCanvas(
+    isSideways ? height : width,
+    isSideways ? width : height,
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  applyOrientation(ctx, orientation, width, height);
+  ctx.drawImage(source, 0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * Scaled copy of a canvas
+ * @param {HTMLCanvasElement} source
+ * @param {number} scale - Capped at 1 (never upscale)
+ * @param {string} [filter] - Canvas filter, e.g. "blur(1px)"
+ * @returns {HTMLCanvasElement}
+ */
+function resizeCanvas(source, scale, filter) {
+  const ratio = Math.min(1, scale);
+  const canvas = createCanvas(source.width * ratio, source.height * ratio);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingQuality = "high";
+  if (filter && "filter" in ctx) ctx.filter = filter;
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Canvas → Blob
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} type - MIME type
+ * @param {number} quality - 0-1
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Couldn't encode image")),
+      type,
+      quality,
+    );
+  });
+}
+
+/**
+ * Encode a canvas as a data URL in the configured format
+ * Browsers that can't write WebP silently return PNG: use JPEG then
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} settings - {format, quality}
+ * @returns {Promise<string>}
+ */
+async function encodeCanvas(canvas, { format, quality }) {
+  const type = OUTPUT_TYPES[format] ?? OUTPUT_TYPES.jpeg;
+  if (type !== OUTPUT_TYPES.jpeg) {
+    const blob = await canvasToBlob(canvas, type, quality);
+    if (blob.type === type) return Transformers.fileToBase64(blob);
+  }
+
+  // JPEG has no transparency: put see-through PNGs on white, not black
+  const flattened = createCanvas(canvas.width, canvas.height);
+  const ctx = flattened.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, flattened.width, flattened.height);
+  ctx.drawImage(canvas, 0, 0);
+
+  return Transformers.fileToBase64(
+    await canvasToBlob(flattened, OUTPUT_TYPES.jpeg, quality),
+  );
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Turn an uploaded file into a stored photo's images
+ *
+ * @param {File} file - Image file (already checked by ValidationRules)
+ * @param {Object} [options] - Overrides for ImageSettings
+ * @param {Function} [onProgress] - Called with 0-1 as steps finish
+ * @returns {Promise<ProcessedImage>}
+ *
+ * USAGE EXAMPLE:
+ * const images = await processImage(file, {}, setProgress);
+ * controller.addPhoto({ ...images, caption });
+ */
+export const processImage = async (file, options = {}, onProgress) => {
+  const settings = { ...ImageSettings, ...options };
+  const report = (progress) => onProgress?.(progress);
+
+  const exif = readExif(await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer());
+  const orientation = decoderAppliesOrientation() ? 1 : exif.orientation;
+  const source = await decodeImage(file);
+  report(0.2);
+
+  const keepOriginal = KEEP_ORIGINAL_TYPES.includes(file.type);
+  const full = drawUpright(
+    source,
+    orientation,
+    keepOriginal ? Infinity : settings.maxSize,
+  );
+  source.close?.(); // ImageBitmaps hold memory until closed
+
+  const url = keepOriginal
+    ? await Transformers.fileToBase64(file)
+    : await encodeCanvas(full, settings);
+  report(0.6);
+
+  // Thumbnail: short side = thumbnailSize, so a square crop stays sharp
+  const shortSide = Math.min(full.width, full.height);
+  const thumbnailUrl = await encodeCanvas(
+    resizeCanvas(full, settings.thumbnailSize / shortSide),
+    settings,
+  );
+  report(0.9);
+
+  // Placeholder: a few pixels across, stretched & soft while loading
+  const longSide = Math.max(full.width, full.height);
+  const placeholderUrl = await encodeCanvas(
+    resizeCanvas(full, settings.placeholderSize / longSide, "blur(1px)"),
+    { ...settings, quality: 0.5 },
+  );
+  report(1);
+
+  return {
+    url,
+    thumbnailUrl,
+    placeholderUrl,
+    width: full.width,
+    height: full.height,
+    takenAt: exif.takenAt,
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  processImage,
+};
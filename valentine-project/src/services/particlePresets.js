@@ -0,0 +1,135 @@
+// ============================================
+// SERVICE: particlePresets.js
+// ============================================
+// PURPOSE: Named particle effects for the ParticleEngine
+// Each preset turns an origin point into a list of particles
+// ADD AN EFFECT: Add a preset below, then trigger it by name
+//   controller.triggerEffect("myEffect", { x, y })
+// ============================================
+
+/**
+ * Particle Model
+ * @typedef {Object} Particle
+ * @property {number} x - Position (CSS pixels)
+ * @property {number} y
+ * @property {number} vx - Velocity (pixels per frame at 60fps)
+ * @property {number} vy
+ * @property {number} life - Frames to live
+ * @property {number} size - Font size (emoji) or radius (dot)
+ * @property {string} [emoji] - Draw this emoji...
+ * @property {string} [color] - ...or a dot of this color
+ * @property {number} [gravity] - Added to vy each frame
+ * @property {number} [drag] - Velocity multiplier each frame (1 = none)
+ * @property {number} [spin] - Rotation per frame (radians)
+ * @property {number} [delay] - Frames before it appears
+ * @property {boolean} [twinkle] - Flicker while alive
+ */
+
+const HEARTS = ["❤️", "💕", "💖", "💗", "💘"];
+const RAIN = ["💕", "🎉", "✨", "💖", "🌹"];
+const FIREWORK_COLORS = ["#ff1493", "#ff69b4", "#ffd700", "#ff4500", "#ffffff"];
+
+const pick = (list, random) => list[Math.floor(random() * list.length)];
+const between = (min, max, random) => min + random() * (max - min);
+
+/**
+ * Particles flying out in every direction from a point
+ */
+const burst = (origin, count, random, makeParticle) =>
+  Array.from({ length: count }, (_, i) => {
+    const angle = (i / count) * Math.PI * 2 + random() * 0.5;
+    const speed = between(2, 6, random);
+    return {
+      x: origin.x,
+      y: origin.y,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      ...makeParticle(),
+    };
+  });
+
+/**
+ * Presets
+ * spawn({ origin, width, height, random }) → Particle[]
+ * - origin: where it starts ({x, y} in CSS pixels, defaults to center)
+ * - width/height: screen size
+ */
+export const particlePresets = {
+  // Hearts popping out of a like / double-tap
+  heartBurst: {
+    spawn: ({ origin, random }) =>
+      burst(origin, 18, random, () => ({
+        emoji: pick(HEARTS, random),
+        size: between(18, 30, random),
+        life: between(45, 70, random),
+        gravity: 0.12,
+        drag: 0.97,
+        spin: between(-0.05, 0.05, random),
+      })),
+  },
+
+  // Emojis falling from the top of the screen
+  emojiRain: {
+    spawn: ({ width, random }) =>
+      Array.from({ length: 40 }, () => ({
+        x: random() * width,
+        y: -30,
+        vx: between(-0.5, 0.5, random),
+        vy: between(2, 5, random),
+        emoji: pick(RAIN, random),
+        size: between(20, 34, random),
+        life: 180,
+        spin: between(-0.03, 0.03, random),
+        delay: Math.floor(random() * 60),
+      })),
+  },
+
+  // A few colorful explosions across the top half
+  fireworks: {
+    spawn: ({ width, height, random }) =>
+      [0, 1, 2].flatMap((shot) => {
+        const center = {
+          x: between(0.2, 0.8, random) * width,
+          y: between(0.15, 0.45, random) * height,
+        };
+        const color = pick(FIREWORK_COLORS, random);
+        return burst(center, 30, random, () => ({
+          color,
+          size: between(2, 4, random),
+          life: between(50, 80, random),
+          gravity: 0.05,
+          drag: 0.96,
+          delay: shot * 20,
+        }));
+      }),
+  },
+
+  // Twinkling stars around a point
+  sparkles: {
+    spawn: ({ origin, random }) =>
+      Array.from({ length: 24 }, () => ({
+        x: origin.x + between(-80, 80, random),
+        y: origin.y + between(-80, 80, random),
+        vx: between(-0.3, 0.3, random),
+        vy: between(-1, -0.2, random),
+        emoji: "✨",
+        size: between(12, 22, random),
+        life: between(40, 80, random),
+        twinkle: true,
+        delay: Math.floor(random() * 20),
+      })),
+  },
+};
+
+/**
+ * Is there a preset with this name?
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const hasParticlePreset = (name) =>
+  Object.keys(particlePresets).includes(name);
+
+// ============================================
+// EXPORT
+// ============================================
+export default { particlePresets, hasParticlePreset };
@@ -0,0 +1,593 @@
+// ============================================
+// SERVICE: persistence.js
+// ============================================
+// PURPOSE: The ONE place that saves & loads app state
+// FEATURES: Schema versioning, ordered migrations, validation,
+//           safe fallback when saved data is corrupt
+// USED BY: store/middleware.js, useValentineStore hook, ValentineController
+// ============================================
+
+import {
+  createInitialState,
+  mergeBundledPhotos,
+  ValentineModel,
+  ValidationRules,
+} from "../models/ValentineModel.js";
+import {
+  DEFAULT_PACK_ID,
+  validateMessagePack,
+} from "../models/MessagePacks.js";
+import { createEmptyProfile } from "../models/Personalization.js";
+import {
+  createDeckState,
+  isValidDeckState,
+} from "../models/ShuffleDeck.js";
+import { isValidQuizRun, QUIZ_HISTORY_LIMIT } from "../models/QuizEngine.js";
+import { getAchievement } from "../models/Achievements.js";
+import {
+  clampNaughtyLevel,
+  createSafeModeSettings,
+  isValidSafeModeSettings,
+} from "../models/SafeMode.js";
+import {
+  createGridOptions,
+  isValidGridOptions,
+} from "../models/PhotoGrid.js";
+import {
+  createSlideshowSettings,
+  isValidSlideshowSettings,
+} from "../models/Slideshow.js";
+import {
+  createAudioSettings,
+  getAllTracks,
+  isValidAudioSettings,
+  isValidTrack,
+} from "../models/Audio.js";
+import {
+  createValentineLetter,
+  isValidTimedMessage,
+  isValidViewLocks,
+} from "../models/TimeLock.js";
+import {
+  createAdventProgress,
+  isValidAdventProgress,
+} from "../models/AdventCalendar.js";
+import { isValidLetter, isValidLetterDraft } from "../models/Letters.js";
+import { loadState, saveState, clearState } from "./IndexedDBStorage.js";
+import { systemClock } from "./clock.js";
+
+/**
+ * Storage key for the whole app state
+ */
+export const STORAGE_KEY = "valentine-app-state";
+
+/**
+ * Older localStorage keys we still read (and then delete)
+ * - "valentine-app-state": the old useLocalStorage hook
+ * - "valentine-state": the old controller saveToStorage()
+ */
+const LEGACY_LOCAL_STORAGE_KEYS = ["valentine-app-state", "valentine-state"];
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+/**
+ * Ordered list of migrations
+ * Each one upgrades data FROM (version - 1) TO version
+ *
+ * HOW TO CHANGE THE MODEL SHAPE:
+ * 1. Change ValentineModel.js
+ * 2. Add a migration here with the next version number
+ * 3. The migration receives the old data and returns the new shape
+ *    (plus the app's clock, for anything dated from "now")
+ *
+ * Data saved before versioning existed is treated as version 0
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: "Fill in photo fields missing from early saves",
+    migrate: (data) => ({
+      ...data,
+      photos: Array.isArray(data.photos)
+        ? data.photos.map((photo) => ({
+            likes: 0,
+            isFavorite: false,
+            ...photo,
+          }))
+        : data.photos,
+    }),
+  },
+  {
+    version: 2,
+    description: "Add message pack selection",
+    migrate: (data) => ({
+      ...data,
+      activePackId: DEFAULT_PACK_ID,
+      customPacks: [],
+    }),
+  },
+  {
+    version: 3,
+    description: "Add personalization profile",
+    migrate: (data) => ({
+      ...data,
+      profile: createEmptyProfile(),
+      setupComplete: false, // Returning users see the wizard once too
+    }),
+  },
+  {
+    version: 4,
+    description: "Add no-repeat shuffle decks",
+    migrate: (data) => ({
+      ...data,
+      decks: createDeckState(),
+    }),
+  },
+  {
+    version: 5,
+    description: "Add quiz runs and answer history",
+    migrate: (data) => ({
+      ...data,
+      activeQuiz: null,
+      quizHistory: [],
+    }),
+  },
+  {
+    version: 6,
+    description: "Add achievements, with stats seeded from earlier play",
+    migrate: (data) => {
+      const photos = Array.isArray(data.photos) ? data.photos : [];
+      const quizHistory = Array.isArray(data.quizHistory)
+        ? data.quizHistory
+        : [];
+
+      return {
+        ...data,
+        stats: {
+          likes: photos.reduce(
+            (total, photo) => total + (photo.likes || 0),
+            0,
+          ),
+          favorites: photos.filter((photo) => photo.isFavorite).length,
+          heartClicks: Number.isInteger(data.heartClicks)
+            ? data.heartClicks
+            : 0,
+          quizAnswers: quizHistory.reduce(
+            (total, run) => total + (run.answers?.length || 0),
+            0,
+          ),
+        },
+        achievements: {},
+      };
+    },
+  },
+  {
+    version: 7,
+    description: "Add safe mode",
+    migrate: (data) => ({
+      ...data,
+      safeMode: createSafeModeSettings(),
+      panicMode: false,
+      blurPhotos: false,
+    }),
+  },
+  {
+    version: 8,
+    description: "Add photo grid filter & sort",
+    migrate: (data) => ({
+      ...data,
+      gridOptions: createGridOptions(),
+    }),
+  },
+  {
+    version: 9,
+    description: "Name bundled photos after their file (photo manifest)",
+    migrate: (data) => ({
+      ...data,
+      photos: Array.isArray(data.photos)
+        ? data.photos.map((photo) => {
+            // Old hard-coded paths, e.g. "/src/assets/photos/Tabian.jpeg"
+            const file = /^\/src\/assets\/photos\/(.+)\.\w+$/.exec(photo?.url);
+            return file ? { ...photo, id: file[1] } : photo;
+          })
+        : data.photos,
+    }),
+  },
+  {
+    version: 10,
+    description: "Add slideshow settings",
+    migrate: (data) => ({
+      ...data,
+      slideshow: createSlideshowSettings(),
+    }),
+  },
+  {
+    version: 11,
+    description: "Add background music (mute switch, playlist, uploads)",
+    migrate: (data) => ({
+      ...data,
+      tracks: [],
+      audio: createAudioSettings(),
+    }),
+  },
+  {
+    version: 12,
+    description: "Add photo details (date taken, location, tags, note)",
+    migrate: (data) => {
+      // Bundled photos get their EXIF date from the manifest
+      const bundledDates = new Map(
+        ValentineModel.photos.map((photo) => [photo.id, photo.takenAt]),
+      );
+      return {
+        ...data,
+        photos: Array.isArray(data.photos)
+          ? data.photos.map((photo) => ({
+              takenAt: bundledDates.get(photo?.id) ?? "",
+              location: "",
+              tags: [],
+              note: "",
+              ...photo,
+            }))
+          : data.photos,
+      };
+    },
+  },
+  {
+    version: 13,
+    description: "Add time locks (photos, sealed messages, views)",
+    migrate: (data, clock) => ({
+      ...data,
+      photos: Array.isArray(data.photos)
+        ? data.photos.map((photo) => ({ unlockAt: "", ...photo }))
+        : data.photos,
+      // Existing users get the Valentine's letter example too
+      timedMessages: [createValentineLetter(clock.now())],
+      viewLocks: {},
+      revealedLocks: [],
+    }),
+  },
+  {
+    version: 14,
+    description: "Add advent calendar progress",
+    migrate: (data) => ({ ...data, advent: createAdventProgress() }),
+  },
+  {
+    version: 15,
+    description: "Add love letters",
+    migrate: (data) => ({
+      ...data,
+      letters: [],
+      letterDraft: null,
+      currentLetterId: null,
+    }),
+  },
+];
+
+/**
+ * Current schema version = newest migration
+ */
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Run every migration newer than the data's version, in order
+ * @param {Object} data - Saved data (with optional schemaVersion)
+ * @param {Clock} [clock] - The app's clock (services/clock.js)
+ * @returns {Object} Data upgraded to SCHEMA_VERSION
+ */
+export const migrateState = (data, clock = systemClock) => {
+  const fromVersion = Number.isInteger(data.schemaVersion)
+    ? data.schemaVersion
+    : 0;
+
+  if (fromVersion > SCHEMA_VERSION) {
+    // Saved by a newer version of the app: keep what still validates
+    console.warn(
+      `Saved state is version ${fromVersion}, app knows ${SCHEMA_VERSION}`,
+    );
+    return data;
+  }
+
+  return migrations
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((migrated, migration) => {
+      console.log(`Migrating saved state to v${migration.version}`);
+      return {
+        ...migration.migrate(migrated, clock),
+        schemaVersion: migration.version,
+      };
+    }, data);
+};
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check loaded data against the model
+ * Starts from a fresh initial state and only copies over valid fields,
+ * so a single bad value never breaks the whole app
+ *
+ * @param {Object} data - Migrated saved data
+ * @param {Clock} [clock] - The app's clock (services/clock.js)
+ * @returns {Object} A complete, valid app state
+ */
+export const validateState = (data, clock = systemClock) => {
+  const state = createInitialState(clock);
+
+  if (Array.isArray(data.photos)) {
+    const validPhotos = data.photos.filter(ValidationRules.isValidPhoto);
+    if (validPhotos.length !== data.photos.length) {
+      console.warn(
+        `Dropped ${data.photos.length - validPhotos.length} invalid saved photo(s)`,
+      );
+    }
+    state.photos = mergeBundledPhotos(
+      validPhotos.map((photo) => ({
+        ...photo,
+        likes: Number.isFinite(photo.likes) ? Math.max(0, photo.likes) : 0,
+        isFavorite: Boolean(photo.isFavorite),
+      })),
+    );
+  }
+
+  if (ValidationRules.isValidNaughtyLevel(data.naughtyLevel)) {
+    state.naughtyLevel = data.naughtyLevel;
+  }
+
+  if (Number.isInteger(data.heartClicks) && data.heartClicks >= 0) {
+    state.heartClicks = data.heartClicks;
+  }
+
+  if (ValidationRules.isValidView(data.currentView)) {
+    state.currentView = data.currentView;
+  }
+
+  if (
+    Number.isInteger(data.currentPhotoIndex) &&
+    data.currentPhotoIndex >= 0 &&
+    data.currentPhotoIndex < state.photos.length
+  ) {
+    state.currentPhotoIndex = data.currentPhotoIndex;
+  }
+
+  if (Array.isArray(data.customPacks)) {
+    state.customPacks = data.customPacks.filter(
+      (pack) => validateMessagePack(pack).length === 0,
+    );
+  }
+
+  // Pack may come from customPacks, which are registered after loading
+  if (typeof data.activePackId === "string") {
+    state.activePackId = data.activePackId;
+  }
+
+  if (ValidationRules.isValidProfile(data.profile)) {
+    state.profile = { ...data.profile };
+  }
+
+  if (typeof data.setupComplete === "boolean") {
+    state.setupComplete = data.setupComplete;
+  }
+
+  if (isValidDeckState(data.decks)) {
+    state.decks = data.decks;
+  }
+
+  if (isValidQuizRun(data.activeQuiz)) {
+    state.activeQuiz = data.activeQuiz;
+  }
+
+  if (Array.isArray(data.quizHistory)) {
+    state.quizHistory = data.quizHistory
+      .filter(isValidQuizRun)
+      .slice(-QUIZ_HISTORY_LIMIT);
+  }
+
+  if (data.stats && typeof data.stats === "object") {
+    Object.entries(data.stats).forEach(([stat, count]) => {
+      if (Number.isInteger(count) && count >= 0) state.stats[stat] = count;
+    });
+  }
+
+  // Unknown ids (removed achievements) are dropped
+  if (data.achievements && typeof data.achievements === "object") {
+    Object.entries(data.achievements).forEach(([id, unlockedAt]) => {
+      if (getAchievement(id) && Number.isFinite(unlockedAt)) {
+        state.achievements[id] = unlockedAt;
+      }
+    });
+  }
+
+  if (isValidSafeModeSettings(data.safeMode)) {
+    state.safeMode = { ...data.safeMode };
+    state.naughtyLevel = clampNaughtyLevel(state.naughtyLevel, state.safeMode);
+  }
+
+  // Stay hidden after a refresh if the panic screen was up
+  ["panicMode", "blurPhotos"].forEach((field) => {
+    if (typeof data[field] === "boolean") state[field] = data[field];
+  });
+
+  if (isValidGridOptions(data.gridOptions)) {
+    state.gridOptions = { ...data.gridOptions };
+  }
+
+  if (isValidSlideshowSettings(data.slideshow)) {
+    state.slideshow = { ...data.slideshow };
+  }
+
+  // Uploads whose audio Blob went missing have an empty url: dropped
+  if (Array.isArray(data.tracks)) {
+    state.tracks = data.tracks.filter(isValidTrack);
+  }
+
+  // Playlist entries for deleted tracks (or removed music files) go too
+  if (isValidAudioSettings(data.audio)) {
+    const trackIds = getAllTracks(state.tracks).map((track) => track.id);
+    state.audio = {
+      muted: data.audio.muted,
+      playlist: data.audio.playlist.filter((id) => trackIds.includes(id)),
+    };
+  }
+
+  if (Array.isArray(data.timedMessages)) {
+    state.timedMessages = data.timedMessages.filter(isValidTimedMessage);
+  }
+
+  if (isValidViewLocks(data.viewLocks)) {
+    state.viewLocks = { ...data.viewLocks };
+  }
+
+  if (Array.isArray(data.revealedLocks)) {
+    state.revealedLocks = data.revealedLocks.filter(
+      (key) => typeof key === "string",
+    );
+  }
+
+  if (isValidAdventProgress(data.advent)) {
+    state.advent = {
+      ...data.advent,
+      openedDays: [...data.advent.openedDays],
+    };
+  }
+
+  if (Array.isArray(data.letters)) {
+    state.letters = data.letters.filter(isValidLetter);
+  }
+
+  // The draft is restored too: that's the point of autosaving it
+  if (isValidLetterDraft(data.letterDraft)) {
+    state.letterDraft = { ...data.letterDraft };
+  }
+
+  if (typeof data.currentLetterId === "string") {
+    state.currentLetterId = data.currentLetterId;
+  }
+
+  // effects are one-off animations, actionLog is per-session and
+  // currentMessage is dealt again on every visit: never restored
+
+  return state;
+};
+
+/**
+ * Migrate + validate raw saved data
+ * @param {*} data - Whatever came out of storage
+ * @param {Clock} [clock] - The app's clock (services/clock.js)
+ * @returns {{state: Object, status: string}} status: 'loaded' | 'corrupt'
+ */
+export const restoreState = (data, clock = systemClock) => {
+  try {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Saved state is not an object");
+    }
+    return {
+      state: validateState(migrateState(data, clock), clock),
+      status: "loaded",
+    };
+  } catch (error) {
+    console.error("Saved state is corrupt, starting fresh:", error);
+    return { state: createInitialState(clock), status: "corrupt" };
+  }
+};
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Load the saved app state
+ * Order: IndexedDB → old localStorage keys → fresh initial state
+ *
+ * @param {Clock} [clock] - The app's clock (services/clock.js)
+ * @returns {Promise<{state: Object, status: string}>}
+ *   status: 'fresh' | 'loaded' | 'corrupt' | 'unavailable'
+ */
+export const loadPersistedState = async (clock = systemClock) => {
+  let saved = null;
+  let isAvailable = true;
+
+  try {
+    saved = await loadState(STORAGE_KEY);
+  } catch (error) {
+    console.error("Error reading saved state from IndexedDB:", error);
+    isAvailable = false;
+  }
+
+  saved = saved ?? readLegacyLocalStorage();
+
+  const result =
+    saved === null
+      ? { state: createInitialState(clock), status: "fresh" }
+      : restoreState(saved, clock);
+
+  return isAvailable ? result : { ...result, status: "unavailable" };
+};
+
+/**
+ * Save the app state with its schema version
+ * @param {Object} state
+ * @returns {Promise<void>} Rejects if storage fails (e.g. quota)
+ */
+export const savePersistedState = async (state) => {
+  // Transient: animation queue, undo history & the dealt card
+  const { effects, actionLog, currentMessage, ...stateToSave } = state;
+  await saveState(STORAGE_KEY, {
+    ...stateToSave,
+    schemaVersion: SCHEMA_VERSION,
+  });
+  removeLegacyLocalStorage(); // Old copies only waste quota now
+};
+
+/**
+ * Delete every saved copy of the app state
+ * @returns {Promise<void>}
+ */
+export const clearPersistedState = async () => {
+  removeLegacyLocalStorage();
+  await clearState(STORAGE_KEY);
+};
+
+// ============================================
+// LEGACY LOCALSTORAGE
+// ============================================
+
+/**
+ * Read state saved by older versions of the app
+ * The old hook's full state wins; the controller's partial save is a fallback
+ * @returns {Object|null}
+ */
+function readLegacyLocalStorage() {
+  for (const key of LEGACY_LOCAL_STORAGE_KEYS) {
+    try {
+      const item = window.localStorage.getItem(key);
+      if (item) return JSON.parse(item);
+    } catch (error) {
+      console.error(`Error reading localStorage key "${key}":`, error);
+    }
+  }
+  return null;
+}
+
+function removeLegacyLocalStorage() {
+  try {
+    LEGACY_LOCAL_STORAGE_KEYS.forEach((key) =>
+      window.localStorage.removeItem(key),
+    );
+  } catch (error) {
+    console.error("Error removing old localStorage keys:", error);
+  }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  STORAGE_KEY,
+  SCHEMA_VERSION,
+  loadPersistedState,
+  savePersistedState,
+  clearPersistedState,
+};
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { createFixedClock } from "./clock.js";
+import { migrateState, restoreState, SCHEMA_VERSION } from "./persistence.js";
+
+// Saved just before time locks existed
+const savedV12 = {
+  schemaVersion: 12,
+  photos: [],
+  naughtyLevel: 40,
+  heartClicks: 3,
+};
+
+describe("migrations", () => {
+  it("dates the Valentine's letter from the app's clock", () => {
+    const clock = createFixedClock(new Date(2030, 5, 1));
+    const migrated = migrateState(savedV12, clock);
+    expect(migrated.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(migrated.timedMessages[0].unlockAt).toBe("2031-02-14T00:00");
+  });
+
+  it("keeps valid saved values and falls back for broken ones", () => {
+    const clock = createFixedClock(new Date(2030, 5, 1));
+    const { state, status } = restoreState(
+      { ...savedV12, heartClicks: "lots" },
+      clock,
+    );
+    expect(status).toBe("loaded");
+    expect(state.naughtyLevel).toBe(40);
+    expect(state.heartClicks).toBe(0);
+  });
+});
@@ -0,0 +1,166 @@
+// ============================================
+// SERVICE: router.js
+// ============================================
+// PURPOSE: Map URLs ↔ views so links, refresh & the back button work
+// STYLE: Hash routing (#/gallery/3) - works with base "./" and any
+//        static host, no server rewrites needed
+// ============================================
+
+import { ValidationRules } from "../models/ValentineModel.js";
+
+/**
+ * Route Table
+ * ADD A NEW VIEW: add it to VIEWS in ValentineModel.js, then add a route here
+ *
+ * - view: state.currentView value
+ * - path: URL pattern (":param" = captured, "?" suffix = optional)
+ * - parent: where "back" goes when there's no in-app history
+ *   (e.g. someone opened a shared link straight to /naughty)
+ */
+export const routes = [
+  { view: "home", path: "/", parent: null },
+  { view: "gallery", path: "/gallery/:photoId?", parent: "home" },
+  { view: "naughty", path: "/naughty", parent: "gallery" },
+  { view: "upload", path: "/upload", parent: "gallery" },
+  { view: "setup", path: "/setup", parent: "home" },
+  { view: "quiz", path: "/quiz", parent: "naughty" },
+  { view: "trophies", path: "/trophies", parent: "home" },
+  { view: "grid", path: "/photos", parent: "gallery" },
+  { view: "timeline", path: "/timeline", parent: "home" },
+  { view: "calendar", path: "/calendar", parent: "home" },
+  { view: "letters", path: "/letters", parent: "home" },
+  { view: "letter", path: "/letter/:letterId", parent: "letters" },
+];
+
+/**
+ * Find the route definition for a view
+ * @param {string} view
+ * @returns {Object|undefined}
+ */
+export const getRoute = (view) => routes.find((route) => route.view === view);
+
+/**
+ * Where "back" goes from a view when history can't help
+ * @param {string} view
+ * @returns {string}
+ */
+export const getParentView = (view) => getRoute(view)?.parent ?? "home";
+
+/**
+ * Match a path against one route pattern
+ * @param {string} pattern - e.g. "/gallery/:photoId?"
+ * @param {string} path - e.g. "/gallery/3"
+ * @returns {Object|null} Captured params, or null if no match
+ */
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split("/").filter(Boolean);
+  const pathParts = path.split("/").filter(Boolean);
+
+  if (pathParts.length > patternParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    const value = pathParts[i];
+
+    if (part.startsWith(":")) {
+      const isOptional = part.endsWith("?");
+      const name = part.slice(1, isOptional ? -1 : undefined);
+      if (value === undefined && !isOptional) return null;
+      if (value !== undefined) params[name] = decodeURIComponent(value);
+    } else if (part !== value) {
+      return null;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Parse a location hash into a route
+ * @param {string} hash - e.g. "#/gallery/3"
+ * @returns {{view: string, photoId?: string, letterId?: string}|null}
+ *   null if nothing matches
+ */
+export const parseHash = (hash) => {
+  const path = hash.replace(/^#/, "") || "/";
+
+  for (const route of routes) {
+    const params = matchPath(route.path, path);
+    if (params && ValidationRules.isValidView(route.view)) {
+      return { view: route.view, ...params };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the hash for a route
+ * @param {{view: string, photoId?: string, letterId?: string}} route
+ * @returns {string} e.g. "#/gallery/3"
+ */
+export const buildHash = ({ view, ...params }) => {
+  const route = getRoute(view) ?? getRoute("home");
+
+  const path = route.path
+    .split("/")
+    .map((part) => {
+      if (!part.startsWith(":")) return part;
+      const name = part.slice(1).replace(/\?$/, "");
+      return params[name] ? encodeURIComponent(params[name]) : "";
+    })
+    .filter((part, index) => index === 0 || part !== "")
+    .join("/");
+
+  return `#${path || "/"}`;
+};
+
+/**
+ * Describe the current app state as a route
+ * @param {Object} state - App state
+ * @returns {{view: string, photoId?: string, letterId?: string}}
+ */
+export const getRouteFromState = (state) => {
+  if (state.currentView === "gallery") {
+    const photo = state.photos[state.currentPhotoIndex];
+    return { view: "gallery", photoId: photo?.id };
+  }
+  if (state.currentView === "letter") {
+    return { view: "letter", letterId: state.currentLetterId ?? undefined };
+  }
+  return { view: state.currentView };
+};
+
+/**
+ * Does the app state already show this route?
+ * Unknown photo ids count as a match (the gallery falls back to a photo)
+ * @param {{view: string, photoId?: string, letterId?: string}} route
+ * @param {Object} state
+ * @returns {boolean}
+ */
+export const routeMatchesState = (route, state) => {
+  if (route.view !== state.currentView) return false;
+  if (route.view === "letter") {
+    return route.letterId === (state.currentLetterId ?? undefined);
+  }
+  if (route.view !== "gallery" || !route.photoId) return true;
+
+  const photoExists = state.photos.some((photo) => photo.id === route.photoId);
+  return (
+    !photoExists || state.photos[state.currentPhotoIndex]?.id === route.photoId
+  );
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  routes,
+  getRoute,
+  getParentView,
+  parseHash,
+  buildHash,
+  getRouteFromState,
+  routeMatchesState,
+};
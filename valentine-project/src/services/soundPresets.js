@@ -0,0 +1,95 @@
+// ============================================
+// SERVICE: soundPresets.js
+// ============================================
+// PURPOSE: Named sound effects for the AudioManager
+// Synthesized with the Web Audio API: no sound files to download
+// ADD A SOUND: Add a preset below, then map a controller event to it
+//   in services/soundTracker.js
+// ============================================
+
+/**
+ * Note Model (one beep of a sound effect)
+ * @typedef {Object} Note
+ * @property {number} frequency - Start pitch (Hz)
+ * @property {number} [endFrequency] - Glide to this pitch
+ * @property {number} [delay] - Seconds after the sound starts
+ * @property {number} duration - Seconds, including the fade out
+ * @property {string} [wave] - OscillatorNode type (default "sine")
+ * @property {number} [volume] - 0-1 (default 1)
+ */
+
+/**
+ * Noise Model (a hiss/crackle under the notes)
+ * @typedef {Object} Noise
+ * @property {number} duration - Seconds
+ * @property {number} frequency - Band-pass center (Hz): low = rumble
+ * @property {number} [volume] - 0-1 (default 1)
+ */
+
+/**
+ * Presets
+ * { volume, notes: Note[], noise?: Noise }
+ */
+export const soundPresets = {
+  // Two quick rising blips
+  like: {
+    volume: 0.35,
+    notes: [
+      { frequency: 880, duration: 0.12 },
+      { frequency: 1320, delay: 0.08, duration: 0.18 },
+    ],
+  },
+
+  // A soft bubbly pop
+  heart: {
+    volume: 0.4,
+    notes: [{ frequency: 620, endFrequency: 240, duration: 0.14 }],
+  },
+
+  // A little harp run upward
+  reveal: {
+    volume: 0.3,
+    notes: [523, 659, 784, 1047].map((frequency, i) => ({
+      frequency,
+      delay: i * 0.07,
+      duration: 0.4,
+      wave: "triangle",
+    })),
+  },
+
+  // Party popper: a crackle, then a bright chord
+  confetti: {
+    volume: 0.3,
+    noise: { duration: 0.35, frequency: 3000, volume: 0.8 },
+    notes: [784, 988, 1175].map((frequency) => ({
+      frequency,
+      delay: 0.05,
+      duration: 0.6,
+      wave: "triangle",
+      volume: 0.6,
+    })),
+  },
+
+  // Achievement sparkle: high bell notes
+  chime: {
+    volume: 0.25,
+    notes: [1568, 2093].map((frequency, i) => ({
+      frequency,
+      delay: i * 0.12,
+      duration: 0.7,
+    })),
+  },
+};
+
+/**
+ * Is there a preset with this name?
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const hasSoundPreset = (name) =>
+  Object.keys(soundPresets).includes(name);
+
+// ============================================
+// EXPORT
+// ============================================
+export default { soundPresets, hasSoundPreset };
@@ -0,0 +1,52 @@
+// ============================================
+// SERVICE: soundTracker.js
+// ============================================
+// PURPOSE: Connect controller events to sound effects
+// The controller only announces what happened (emit); this service
+// picks the sound. No action method ever calls audio code
+// ============================================
+
+/**
+ * Controller event → sound preset (see soundPresets.js)
+ */
+export const EVENT_SOUNDS = {
+  photoLiked: "like",
+  heartClicked: "heart",
+  messageRevealed: "reveal",
+};
+
+/**
+ * Particle effect → sound preset, for the "effectsPlayed" event
+ * Heart bursts stay quiet: the like/heart sound already covers them
+ */
+export const EFFECT_SOUNDS = {
+  fireworks: "confetti",
+  emojiRain: "confetti",
+  sparkles: "chime",
+};
+
+/**
+ * Start playing sounds for a controller's events
+ *
+ * @param {ValentineController} controller
+ * @param {AudioManager} audioManager
+ * @returns {Function} Stop listening
+ */
+export const trackSounds = (controller, audioManager) => {
+  return controller.on("*", (payload, event) => {
+    if (event === "effectsPlayed") {
+      // One sound per kind of effect, even if several start together
+      new Set(payload.names.map((name) => EFFECT_SOUNDS[name])).forEach(
+        (sound) => sound && audioManager.playEffect(sound),
+      );
+      return;
+    }
+
+    if (EVENT_SOUNDS[event]) audioManager.playEffect(EVENT_SOUNDS[event]);
+  });
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default { EVENT_SOUNDS, EFFECT_SOUNDS, trackSounds };
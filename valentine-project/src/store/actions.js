@@ -0,0 +1,285 @@
+// ============================================
+// STORE: actions.js
+// ============================================
+// PURPOSE: Action creators - one for every thing that can happen
+// An action is a plain, serializable object describing an event:
+//   { id, type: "likePhoto", payload: { photoId }, timestamp }
+// The reducer (reducer.js) decides how state changes in response
+// ============================================
+
+import { createAction } from "../models/ActionLog.js";
+
+// ===== NAVIGATION =====
+
+/** @param {string} view */
+export const navigateTo = (view) => createAction("navigateTo", { view });
+
+/** Go to the current view's parent (no in-app history to go back to) */
+export const goBack = () => createAction("goBack");
+
+/**
+ * @param {{view: string, photoId?: string, letterId?: string}} route -
+ *   From router.parseHash
+ */
+export const applyRoute = (route) =>
+  createAction("applyRoute", {
+    view: route.view,
+    photoId: route.photoId,
+    letterId: route.letterId,
+  });
+
+// ===== PHOTOS =====
+
+/**
+ * @param {string} photoId
+ * @param {{x: number, y: number}} [origin] - Where the like happened
+ */
+export const likePhoto = (photoId, origin) =>
+  createAction("likePhoto", { photoId, origin });
+
+/** @param {string} photoId */
+export const toggleFavorite = (photoId) =>
+  createAction("toggleFavorite", { photoId });
+
+/**
+ * @param {string} photoId
+ * @param {Object} details - Caption, takenAt, location, tags and/or note
+ *   (already sanitized & validated)
+ */
+export const updatePhoto = (photoId, details) =>
+  createAction("updatePhoto", { photoId, details });
+
+/**
+ * @param {string} direction - 'next' | 'prev' | 'shuffle'
+ * @param {number} [index] - Photo to show for 'shuffle' (dealt by the caller)
+ */
+export const changePhoto = (direction, index) =>
+  createAction("changePhoto", { direction, index });
+
+/**
+ * Show one photo in the single-photo gallery (from the grid)
+ * @param {string} photoId
+ */
+export const openPhoto = (photoId) => createAction("openPhoto", { photoId });
+
+/** @param {Partial<GridOptions>} options - {filter?, sort?} */
+export const setGridOptions = (options) =>
+  createAction("setGridOptions", { options });
+
+/** @param {Partial<SlideshowSettings>} settings */
+export const setSlideshowSettings = (settings) =>
+  createAction("setSlideshowSettings", { settings });
+
+/** @param {Photo} photo - Already built & validated (createPhoto) */
+export const addPhoto = (photo) => createAction("addPhoto", { photo });
+
+// ===== NAUGHTY LEVEL & HEART =====
+
+/** @param {number} amount */
+export const increaseNaughtyLevel = (amount) =>
+  createAction("increaseNaughtyLevel", { amount });
+
+export const resetNaughtyLevel = () => createAction("resetNaughtyLevel");
+
+/** @param {string} message - Already drawn from the shuffle deck */
+export const dealMessage = (message) =>
+  createAction("dealMessage", { message });
+
+/** @param {{x: number, y: number}} [origin] - Where the click happened */
+export const handleHeartClick = (origin) =>
+  createAction("handleHeartClick", { origin });
+
+// ===== PARTICLE EFFECTS =====
+
+/**
+ * @param {string} name - Preset name (see services/particlePresets.js)
+ * @param {{x: number, y: number}} [origin]
+ */
+export const triggerEffect = (name, origin) =>
+  createAction("triggerEffect", { name, origin });
+
+/** @param {string[]} effectIds - Effects the canvas has started */
+export const clearEffects = (effectIds) =>
+  createAction("clearEffects", { effectIds });
+
+// ===== MUSIC & SOUND =====
+
+/** @param {boolean} muted */
+export const setMuted = (muted) => createAction("setMuted", { muted });
+
+/** @param {string[]} playlist - Track ids, already checked */
+export const setPlaylist = (playlist) =>
+  createAction("setPlaylist", { playlist });
+
+/** @param {Track} track - Already built & validated (createTrack) */
+export const addTrack = (track) => createAction("addTrack", { track });
+
+/** @param {string} trackId */
+export const removeTrack = (trackId) =>
+  createAction("removeTrack", { trackId });
+
+// ===== TIME LOCKS =====
+
+/**
+ * @param {string} view - One of LOCKABLE_VIEWS
+ * @param {string} unlockAt - Already checked, "" = unlock now
+ */
+export const setViewLock = (view, unlockAt) =>
+  createAction("setViewLock", { view, unlockAt });
+
+/** @param {TimedMessage} message - Already built & validated */
+export const addTimedMessage = (message) =>
+  createAction("addTimedMessage", { message });
+
+/** @param {string} messageId */
+export const removeTimedMessage = (messageId) =>
+  createAction("removeTimedMessage", { messageId });
+
+/**
+ * @param {string[]} keys - Every lock that's open now (worked out by
+ *   the controller from its clock)
+ */
+export const revealLocks = (keys) => createAction("revealLocks", { keys });
+
+// ===== ADVENT CALENDAR =====
+
+/** @param {string} date - "YYYY-MM-DD" of a door that may be opened */
+export const openAdventDay = (date) =>
+  createAction("openAdventDay", { date });
+
+/** @param {string} today - "YYYY-MM-DD" (from the controller's clock) */
+export const recordAdventVisit = (today) =>
+  createAction("recordAdventVisit", { today });
+
+// ===== LOVE LETTERS =====
+
+/**
+ * Start, autosave or replace the draft (its savedAt = action time)
+ * @param {LetterDraft} draft - Already validated
+ */
+export const saveLetterDraft = (draft) =>
+  createAction("saveLetterDraft", { draft });
+
+export const discardLetterDraft = () => createAction("discardLetterDraft");
+
+/**
+ * Add the letter (or replace the one with its id) and clear the draft
+ * @param {Letter} letter - Already built & validated
+ */
+export const publishLetter = (letter) =>
+  createAction("publishLetter", { letter });
+
+/** @param {string} letterId */
+export const deleteLetter = (letterId) =>
+  createAction("deleteLetter", { letterId });
+
+/**
+ * Show a letter in the reader
+ * @param {string} letterId
+ */
+export const openLetter = (letterId) =>
+  createAction("openLetter", { letterId });
+
+// ===== PERSONALIZATION =====
+
+/** @param {Profile} profile - Already trimmed & validated */
+export const saveProfile = (profile) =>
+  createAction("saveProfile", { profile });
+
+export const skipSetup = () => createAction("skipSetup");
+
+// ===== MESSAGE PACKS =====
+
+/** @param {string} packId */
+export const setMessagePack = (packId) =>
+  createAction("setMessagePack", { packId });
+
+/** @param {MessagePack} pack - Already validated & registered */
+export const importMessagePack = (pack) =>
+  createAction("importMessagePack", { pack });
+
+// ===== SAFE MODE =====
+
+/**
+ * The PIN itself never goes in an action (actions get logged) - only its hash
+ * @param {string} maxTier
+ * @param {string} pinHash
+ */
+export const enableSafeMode = (maxTier, pinHash) =>
+  createAction("enableSafeMode", { maxTier, pinHash });
+
+/** PIN already checked by the caller */
+export const disableSafeMode = () => createAction("disableSafeMode");
+
+export const panic = () => createAction("panic");
+
+export const exitPanic = () => createAction("exitPanic");
+
+/** @param {boolean} blurred */
+export const setPhotosBlurred = (blurred) =>
+  createAction("setPhotosBlurred", { blurred });
+
+// ===== QUIZZES =====
+// The quiz definition travels with the action so the reducer never has
+// to look it up in the pack registry
+
+/** @param {Quiz} quiz */
+export const startQuiz = (quiz) => createAction("startQuiz", { quiz });
+
+/**
+ * @param {Quiz} quiz - The quiz being played
+ * @param {number} optionIndex
+ */
+export const answerQuiz = (quiz, optionIndex) =>
+  createAction("answerQuiz", { quiz, optionIndex });
+
+export const quitQuiz = () => createAction("quitQuiz");
+
+// ===== SHUFFLE DECKS =====
+
+/** @param {DeckState} decks */
+export const syncDecks = (decks) => createAction("syncDecks", { decks });
+
+/**
+ * Handled by effectsMiddleware (the decks live outside state)
+ * @param {number|null} seed
+ */
+export const setShuffleSeed = (seed) =>
+  createAction("setShuffleSeed", { seed });
+
+// ===== ACHIEVEMENTS =====
+
+/** @param {string} event - Controller event name, e.g. "photoLiked" */
+export const recordEvent = (event) => createAction("recordEvent", { event });
+
+// ===== UNDO / REDO =====
+
+export const undo = () => createAction("undo");
+
+export const redo = () => createAction("redo");
+
+/**
+ * Replay the app up to a point (store/history.js fills in the state)
+ * @param {number} position - Actions to replay, 0 = initial state
+ */
+export const timeTravel = (position) =>
+  createAction("timeTravel", { position });
+
+// ===== WHOLE STATE =====
+
+/** @param {Object} state - Loaded, migrated & validated saved state */
+export const loadState = (state) => createAction("loadState", { state });
+
+/**
+ * Save right away instead of after the debounce
+ * Handled by the persistence middleware, which returns the save's
+ * Promise from dispatch (instead of the action)
+ */
+export const saveNow = () => createAction("saveNow");
+
+/**
+ * Back to a fresh initial state
+ * @param {number} now - From the controller's clock (dates the example
+ *   Valentine's letter)
+ */
+export const resetState = (now) => createAction("resetState", { now });
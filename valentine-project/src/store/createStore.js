@@ -0,0 +1,74 @@
+// ============================================
+// STORE: createStore.js
+// ============================================
+// PURPOSE: A tiny Redux-style store
+// - Holds the one app state object
+// - dispatch(action) → middleware → reducer → new state
+// - Tells subscribers (React) when the state changed
+// ============================================
+
+/**
+ * Store
+ * @typedef {Object} Store
+ * @property {Function} getState - Always the latest state (never stale)
+ * @property {Function} dispatch - (action) => action
+ * @property {Function} subscribe - (listener) => unsubscribe
+ */
+
+/**
+ * Create a store
+ *
+ * MIDDLEWARE: store => next => action => result
+ * - Runs around every dispatch, in array order (first = outermost)
+ * - Call next(action) to pass it on; read store.getState() before/after
+ *
+ * @param {Function} reducer - (state, action) => newState
+ * @param {Object} initialState
+ * @param {Function[]} [middlewares]
+ * @returns {Store}
+ *
+ * USAGE EXAMPLE:
+ * const store = createStore(valentineReducer, createInitialState(), [logger]);
+ * store.dispatch(likePhoto("1"));
+ */
+export const createStore = (reducer, initialState, middlewares = []) => {
+  let state = initialState;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Innermost step: run the reducer, notify if anything changed
+  const reduce = (action) => {
+    const newState = reducer(state, action);
+    if (newState !== state) {
+      state = newState;
+      listeners.forEach((listener) => listener());
+    }
+    return action;
+  };
+
+  // Middleware may dispatch new actions (they go through the whole chain)
+  let dispatch = () => {
+    throw new Error("Can't dispatch while the store is being created");
+  };
+  const middlewareApi = {
+    getState,
+    dispatch: (action) => dispatch(action),
+  };
+
+  dispatch = middlewares
+    .map((middleware) => middleware(middlewareApi))
+    .reduceRight((next, middleware) => middleware(next), reduce);
+
+  return { getState, dispatch: middlewareApi.dispatch, subscribe };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default createStore;
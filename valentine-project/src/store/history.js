@@ -0,0 +1,103 @@
+// ============================================
+// STORE: history.js
+// ============================================
+// PURPOSE: Development-only record of EVERY dispatched action, for the
+//          debug panel's time-travel slider
+// Time travel replays the record from the store's initial state:
+//   actions.slice(0, position).reduce(reducer, initialState)
+// This only works because the reducer is pure (see reducer.js)
+// It never goes back before the saved state loaded: the initial state
+// has none of the user's data, and the next save would wipe it out
+// Undo/redo is separate: models/ActionLog.js, labelled actions only
+// ============================================
+
+/**
+ * @typedef {Object} ActionHistorySnapshot
+ * @property {Action[]} actions - Every action dispatched, oldest first
+ * @property {number} position - How many of them the state reflects
+ *   (less than actions.length after travelling back)
+ * @property {number} minPosition - Earliest position allowed: just
+ *   after the first loadState (0 until something has loaded)
+ *
+ * @typedef {Object} ActionHistory
+ * @property {Function} middleware - Add it to the store (outermost)
+ * @property {Function} getSnapshot - () => ActionHistorySnapshot
+ * @property {Function} subscribe - (listener) => unsubscribe
+ */
+
+/**
+ * Create an action history
+ *
+ * The middleware records every action on its way to the reducer and
+ * answers "timeTravel" actions itself: it replays the first
+ * `position` actions and hands the result to the reducer as the
+ * action's payload.state. A new action after travelling back throws
+ * the later ones away (like the undo log). Positions before the first
+ * loadState are ignored.
+ *
+ * @param {Function} reducer - The store's reducer
+ * @param {Object} initialState - The store's initial state
+ * @returns {ActionHistory}
+ *
+ * USAGE EXAMPLE:
+ * const history = createActionHistory(valentineReducer, initialState);
+ * createStore(valentineReducer, initialState, [history.middleware]);
+ * store.dispatch(actions.timeTravel(3)); // State after 3 actions
+ */
+export const createActionHistory = (reducer, initialState) => {
+  let snapshot = { actions: [], position: 0, minPosition: 0 };
+  const listeners = new Set();
+
+  const update = (next) => {
+    const firstLoad = next.actions.findIndex(
+      (action) => action.type === "loadState",
+    );
+    snapshot = { ...next, minPosition: firstLoad + 1 };
+    listeners.forEach((listener) => listener());
+  };
+
+  const replay = (position) => {
+    const replayed = snapshot.actions
+      .slice(0, position)
+      .reduce(reducer, initialState);
+    // Old particle effects would all play at once
+    return { ...replayed, effects: [] };
+  };
+
+  const middleware = () => (next) => (action) => {
+    if (action.type !== "timeTravel") {
+      update({
+        actions: [...snapshot.actions.slice(0, snapshot.position), action],
+        position: snapshot.position + 1,
+      });
+      return next(action);
+    }
+
+    const { position } = action.payload;
+    if (
+      !Number.isInteger(position) ||
+      position < snapshot.minPosition ||
+      position > snapshot.actions.length
+    ) {
+      return action;
+    }
+
+    const state = replay(position);
+    update({ ...snapshot, position });
+    return next({ ...action, payload: { position, state } });
+  };
+
+  return {
+    middleware,
+    getSnapshot: () => snapshot,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default createActionHistory;
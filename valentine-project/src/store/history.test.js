@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { createStore } from "./createStore.js";
+import { createActionHistory } from "./history.js";
+
+// A reducer small enough to check replays by hand
+const reducer = (state, action) => {
+  switch (action.type) {
+    case "add":
+      return {
+        ...state,
+        total: state.total + action.payload.amount,
+        effects: [...state.effects, action.payload.amount],
+      };
+    case "timeTravel":
+      return action.payload.state ?? state;
+    default:
+      return state;
+  }
+};
+
+const initialState = { total: 0, effects: [] };
+
+const setup = () => {
+  const history = createActionHistory(reducer, initialState);
+  const store = createStore(reducer, initialState, [history.middleware]);
+  const add = (amount) => store.dispatch({ type: "add", payload: { amount } });
+  const travel = (position) =>
+    store.dispatch({ type: "timeTravel", payload: { position } });
+  return { history, store, add, travel };
+};
+
+describe("createActionHistory", () => {
+  it("records every action, even ones that change nothing", () => {
+    const { history, store, add } = setup();
+    add(1);
+    store.dispatch({ type: "unknown", payload: {} });
+    expect(history.getSnapshot().actions.map((a) => a.type)).toEqual([
+      "add",
+      "unknown",
+    ]);
+  });
+
+  it("time-travels by replaying from the initial state", () => {
+    const { history, store, add, travel } = setup();
+    [1, 2, 3].forEach(add);
+
+    travel(2);
+    expect(store.getState().total).toBe(3);
+    expect(history.getSnapshot().position).toBe(2);
+
+    travel(0);
+    expect(store.getState().total).toBe(0);
+
+    travel(3);
+    expect(store.getState().total).toBe(6);
+  });
+
+  it("doesn't replay old particle effects", () => {
+    const { store, add, travel } = setup();
+    [1, 2].forEach(add);
+    travel(1);
+    expect(store.getState().effects).toEqual([]);
+  });
+
+  it("drops the later actions when something happens in the past", () => {
+    const { history, store, add, travel } = setup();
+    [1, 2, 3].forEach(add);
+    travel(1);
+    add(10);
+    expect(store.getState().total).toBe(11);
+    expect(history.getSnapshot()).toMatchObject({ position: 2 });
+    expect(history.getSnapshot().actions).toHaveLength(2);
+  });
+
+  it("ignores positions outside the history", () => {
+    const { store, add, travel } = setup();
+    add(1);
+    const state = store.getState();
+    travel(5);
+    travel(-1);
+    expect(store.getState()).toBe(state);
+  });
+
+  it("never travels back before the saved state loaded", () => {
+    const { history, store, add, travel } = setup();
+    add(1);
+    store.dispatch({ type: "loadState", payload: {} });
+    add(2);
+    expect(history.getSnapshot().minPosition).toBe(2);
+
+    const state = store.getState();
+    travel(0);
+    travel(1);
+    expect(store.getState()).toBe(state);
+    travel(2);
+    expect(history.getSnapshot().position).toBe(2);
+  });
+
+  it("tells subscribers about every recorded action", () => {
+    const { history, add } = setup();
+    let calls = 0;
+    const unsubscribe = history.subscribe(() => calls++);
+    add(1);
+    unsubscribe();
+    add(2);
+    expect(calls).toBe(1);
+  });
+});
@@ -0,0 +1,67 @@
+// ============================================
+// STORE: index.js
+// ============================================
+// PURPOSE: Build the app's store (reducer + middleware pipeline)
+// USED BY: hooks/useValentineStore.js
+// ============================================
+
+import { createInitialState } from "../models/ValentineModel.js";
+import { createStore } from "./createStore.js";
+import { valentineReducer } from "./reducer.js";
+import { createActionHistory } from "./history.js";
+import {
+  loggerMiddleware,
+  effectsMiddleware,
+  createPersistenceMiddleware,
+  syncModuleState,
+} from "./middleware.js";
+
+/**
+ * Create the Valentine store
+ *
+ * PIPELINE: dispatch → logger → history → effects → persistence →
+ * reducer (each middleware sees the state after the inner ones have
+ * run; logger & history are development only)
+ *
+ * @param {Object} [options]
+ * @param {Clock} [options.clock] - The app's clock (services/clock.js)
+ * @param {Object} [options.initialState] - Defaults to a fresh state
+ * @param {Function} [options.onStorageWarning] - Saving failed / nearly full
+ * @returns {Store & {history: ActionHistory|null}} history records
+ *   every action for the time-travel slider (null in production)
+ */
+export const createValentineStore = ({
+  clock,
+  initialState = createInitialState(clock),
+  onStorageWarning,
+} = {}) => {
+  const middlewares = [
+    effectsMiddleware,
+    createPersistenceMiddleware({ onWarning: onStorageWarning }),
+  ];
+
+  // Logging & time travel only in development (the history keeps
+  // every action, so it grows all session)
+  const history =
+    process.env.NODE_ENV === "development"
+      ? createActionHistory(valentineReducer, initialState)
+      : null;
+  if (history) {
+    middlewares.unshift(loggerMiddleware, history.middleware);
+  }
+
+  syncModuleState(initialState);
+  return {
+    ...createStore(valentineReducer, initialState, middlewares),
+    history,
+  };
+};
+
+export { StorageWarnings } from "./middleware.js";
+export * as actions from "./actions.js";
+export * from "./selectors.js";
+
+// ============================================
+// EXPORT
+// ============================================
+export default createValentineStore;
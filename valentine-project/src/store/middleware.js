@@ -0,0 +1,202 @@
+// ============================================
+// STORE: middleware.js
+// ============================================
+// PURPOSE: Everything the pure reducer must not do
+// - loggerMiddleware: print action types in development
+// - effectsMiddleware: keep module-level helpers (message packs,
+//   safe mode, shuffle decks) in step with state
+// - createPersistenceMiddleware: save state after changes
+// ============================================
+
+import { syncMessagePacks } from "../models/MessagePacks.js";
+import { syncSafeMode } from "../models/SafeMode.js";
+import { resetDecks, restoreDeckState } from "../models/ShuffleDeck.js";
+import { savePersistedState } from "../services/persistence.js";
+import {
+  getStorageEstimate,
+  isQuotaExceededError,
+} from "../services/IndexedDBStorage.js";
+
+// Warn before the browser actually refuses to save
+const QUOTA_WARNING_RATIO = 0.9;
+
+// Wait this long after the last change before saving (ms)
+const SAVE_DELAY = 300;
+
+// Frequent bookkeeping actions the logger skips
+const QUIET_ACTIONS = ["syncDecks", "clearEffects"];
+
+/**
+ * Storage warning messages shown to the user
+ */
+export const StorageWarnings = {
+  quotaExceeded:
+    "Your browser storage is full 😢 New photos and progress won't be saved. Try removing a few photos.",
+  nearlyFull:
+    "Browser storage is almost full. Adding more photos may stop saving soon.",
+  unavailable:
+    "Saving isn't available in this browser (private mode?). Changes will be lost on refresh.",
+  corrupt:
+    "Your saved data couldn't be read, so the app started fresh. Sorry! 💔",
+};
+
+// ============================================
+// LOGGING
+// ============================================
+
+/**
+ * Print each action's type and which state keys it changed (browser
+ * console), e.g. "⚡ likePhoto → photos, stats"
+ * Never the payload or the values: they hold photos, private notes &
+ * letters, and consoles get screenshotted and shared
+ */
+export const loggerMiddleware = (store) => (next) => (action) => {
+  const previousState = store.getState();
+  const result = next(action);
+  if (QUIET_ACTIONS.includes(action.type)) return result;
+
+  const state = store.getState();
+  const changedKeys = Object.keys(state).filter(
+    (key) => state[key] !== previousState[key],
+  );
+  console.log(`⚡ ${action.type} → ${changedKeys.join(", ") || "no change"}`);
+  return result;
+};
+
+// ============================================
+// SIDE EFFECTS
+// ============================================
+
+/**
+ * Point the module-level helpers at the current state
+ * (NaughtyMessages reads the active pack, safe mode cap and decks
+ * without being handed the state)
+ * @param {Object} state
+ */
+export const syncModuleState = (state) => {
+  syncMessagePacks(state.customPacks, state.activePackId);
+  syncSafeMode(state.safeMode);
+  restoreDeckState(state.decks); // No-op when nothing changed
+};
+
+/**
+ * Run side effects that belong to actions, then re-sync the helpers
+ * Runs before subscribers re-render, so views never read old packs
+ */
+export const effectsMiddleware = (store) => (next) => (action) => {
+  const previousState = store.getState();
+  const result = next(action);
+  const state = store.getState();
+
+  // Reshuffles every deck; the new decks come back as a syncDecks action
+  if (action.type === "setShuffleSeed") {
+    resetDecks({ seed: action.payload.seed });
+  }
+
+  if (state !== previousState) syncModuleState(state);
+  return result;
+};
+
+// ============================================
+// PERSISTENCE
+// ============================================
+
+/**
+ * Save state to IndexedDB after it changes (debounced)
+ *
+ * Nothing is saved until the saved state has been loaded (loadState
+ * action) - otherwise the initial state would overwrite it!
+ *
+ * A saveNow action skips the debounce: dispatch returns a Promise that
+ * settles once the latest state is saved
+ *
+ * Time travel (dev only) isn't saved: it only replays the past
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onWarning] - Called with a StorageWarnings message
+ * @param {number} [options.delay] - Debounce in ms
+ * @returns {Function} Middleware
+ */
+export const createPersistenceMiddleware = ({
+  onWarning = () => {},
+  delay = SAVE_DELAY,
+} = {}) => {
+  let isLoaded = false;
+  let timer = null;
+
+  // Chain saves so an older save never finishes after a newer one
+  let saveQueue = Promise.resolve();
+
+  // Only nag once per session about nearly-full storage
+  let warnedNearlyFull = false;
+
+  const save = (state) => {
+    saveQueue = saveQueue
+      .then(() => savePersistedState(state))
+      .then(async () => {
+        const estimate = await getStorageEstimate();
+        const isNearlyFull =
+          estimate && estimate.usage / estimate.quota > QUOTA_WARNING_RATIO;
+        if (isNearlyFull && !warnedNearlyFull) {
+          warnedNearlyFull = true;
+          onWarning(StorageWarnings.nearlyFull);
+        }
+      })
+      .catch((error) => {
+        console.error("Error saving app state:", error);
+        onWarning(
+          isQuotaExceededError(error)
+            ? StorageWarnings.quotaExceeded
+            : StorageWarnings.unavailable,
+        );
+      });
+  };
+
+  return (store) => (next) => (action) => {
+    const previousState = store.getState();
+    const result = next(action);
+
+    if (action.type === "loadState") {
+      isLoaded = true;
+      return result; // Just came from storage: nothing new to save
+    }
+
+    if (action.type === "saveNow") {
+      if (!isLoaded) {
+        return Promise.reject(new Error("Saved state hasn't loaded yet"));
+      }
+      clearTimeout(timer);
+      timer = null;
+      save(store.getState()); // Queued after any save in progress
+      return saveQueue;
+    }
+
+    if (action.type === "timeTravel") {
+      // A save still waiting is for the present, not the replay
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+        save(previousState);
+      }
+      return result;
+    }
+
+    if (isLoaded && store.getState() !== previousState) {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        save(store.getState());
+      }, delay);
+    }
+    return result;
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  loggerMiddleware,
+  effectsMiddleware,
+  createPersistenceMiddleware,
+};
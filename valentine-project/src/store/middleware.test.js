@@ -0,0 +1,73 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createStore } from "./createStore.js";
+import { createPersistenceMiddleware } from "./middleware.js";
+import { savePersistedState } from "../services/persistence.js";
+
+vi.mock("../services/persistence.js", () => ({
+  savePersistedState: vi.fn(() => Promise.resolve()),
+}));
+vi.mock("../services/IndexedDBStorage.js", () => ({
+  getStorageEstimate: () => Promise.resolve(null),
+  isQuotaExceededError: () => false,
+}));
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case "loadState":
+      return action.payload.state;
+    case "add":
+      return { total: state.total + action.payload.amount };
+    case "timeTravel":
+      return action.payload.state;
+    default:
+      return state;
+  }
+};
+
+const setup = () => {
+  const store = createStore(reducer, { total: 0 }, [
+    createPersistenceMiddleware({ delay: 100 }),
+  ]);
+  store.dispatch({ type: "loadState", payload: { state: { total: 5 } } });
+  const add = (amount) => store.dispatch({ type: "add", payload: { amount } });
+  // What the history middleware would hand on
+  const travel = (total) =>
+    store.dispatch({ type: "timeTravel", payload: { state: { total } } });
+  return { store, add, travel };
+};
+
+describe("createPersistenceMiddleware", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    savePersistedState.mockClear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("saves the latest state once changes stop", async () => {
+    const { add } = setup();
+    add(1);
+    add(2);
+    await vi.runAllTimersAsync();
+    expect(savePersistedState).toHaveBeenCalledTimes(1);
+    expect(savePersistedState).toHaveBeenCalledWith({ total: 8 });
+  });
+
+  it("never saves a time-travel replay", async () => {
+    const { travel } = setup();
+    travel(0);
+    await vi.runAllTimersAsync();
+    expect(savePersistedState).not.toHaveBeenCalled();
+  });
+
+  it("saves a waiting change before time-travelling", async () => {
+    const { add, travel } = setup();
+    add(1);
+    travel(0);
+    await vi.runAllTimersAsync();
+    expect(savePersistedState).toHaveBeenCalledTimes(1);
+    expect(savePersistedState).toHaveBeenCalledWith({ total: 6 });
+  });
+});
@@ -0,0 +1,497 @@
+// ============================================
+// STORE: reducer.js
+// ============================================
+// PURPOSE: Every state change in the app, as one pure function
+//   (state, action) => newState
+// No side effects here: no storage, no DOM, no Date.now / Math.random
+// (timestamps & ids come from the action). Side effects live in
+// middleware.js, so any action can be replayed safely.
+// ============================================
+
+import {
+  ValidationRules,
+  createEffect,
+  createInitialState,
+} from "../models/ValentineModel.js";
+import { clampNaughtyLevel } from "../models/SafeMode.js";
+import {
+  createQuizRun,
+  answerQuestion,
+  QUIZ_HISTORY_LIMIT,
+} from "../models/QuizEngine.js";
+import { applyAchievementEvent } from "../models/Achievements.js";
+import { recordVisit } from "../models/AdventCalendar.js";
+import {
+  isUndoableAction,
+  recordAction,
+  undo,
+  redo,
+} from "../models/ActionLog.js";
+import { getParentView } from "../services/router.js";
+import { createFixedClock } from "../services/clock.js";
+
+// Naughty level where the fireworks go off
+const NAUGHTY_MILESTONE = 50;
+
+/**
+ * Queue a particle effect; its id comes from the action (deterministic)
+ * @param {Object} state
+ * @param {Action} action
+ * @param {string} name - Preset name
+ * @param {{x: number, y: number}} [origin]
+ * @returns {Array} New effects queue
+ */
+const queueEffect = (state, action, name, origin) => [
+  ...state.effects,
+  createEffect(name, origin, `${action.id}-${name}`),
+];
+
+/**
+ * Set the naughty level (capped by safe mode), with fireworks when it
+ * crosses the milestone
+ * @param {Object} state
+ * @param {Action} action
+ * @param {number} level - Wanted level
+ * @returns {Object} New state
+ */
+const withNaughtyLevel = (state, action, level) => {
+  const naughtyLevel = clampNaughtyLevel(level, state.safeMode);
+  const reachedMilestone =
+    naughtyLevel >= NAUGHTY_MILESTONE && state.naughtyLevel < NAUGHTY_MILESTONE;
+
+  return {
+    ...state,
+    naughtyLevel,
+    effects: reachedMilestone
+      ? queueEffect(state, action, "fireworks")
+      : state.effects,
+  };
+};
+
+/**
+ * One handler per action type
+ * (state, payload, action) => newState
+ * Return the SAME state object when nothing changes
+ */
+const handlers = {
+  // ============================================
+  // NAVIGATION
+  // ============================================
+
+  navigateTo: (state, { view }) =>
+    ValidationRules.isValidView(view) ? { ...state, currentView: view } : state,
+
+  goBack: (state) => ({
+    ...state,
+    currentView: getParentView(state.currentView),
+  }),
+
+  applyRoute: (state, { view, photoId, letterId }) => {
+    if (!ValidationRules.isValidView(view)) return state;
+
+    const photoIndex = photoId
+      ? state.photos.findIndex((photo) => photo.id === photoId)
+      : -1;
+
+    return {
+      ...state,
+      currentView: view,
+      // Unknown photo id (deleted photo, old link) keeps the current photo
+      currentPhotoIndex:
+        photoIndex >= 0 ? photoIndex : state.currentPhotoIndex,
+      // Unknown letter ids are kept: the reader says it's gone
+      currentLetterId: letterId ?? state.currentLetterId,
+    };
+  },
+
+  // ============================================
+  // PHOTOS
+  // ============================================
+
+  likePhoto: (state, { photoId, origin }, action) => ({
+    ...state,
+    photos: state.photos.map((photo) =>
+      photo.id === photoId ? { ...photo, likes: photo.likes + 1 } : photo,
+    ),
+    // More interactions = more playful
+    naughtyLevel: clampNaughtyLevel(state.naughtyLevel + 5, state.safeMode),
+    heartClicks: state.heartClicks + 1,
+    effects: queueEffect(state, action, "heartBurst", origin),
+  }),
+
+  toggleFavorite: (state, { photoId }) => ({
+    ...state,
+    photos: state.photos.map((photo) =>
+      photo.id === photoId
+        ? { ...photo, isFavorite: !photo.isFavorite }
+        : photo,
+    ),
+  }),
+
+  updatePhoto: (state, { photoId, details }) => ({
+    ...state,
+    photos: state.photos.map((photo) =>
+      photo.id === photoId ? { ...photo, ...details } : photo,
+    ),
+  }),
+
+  changePhoto: (state, { direction, index }) => {
+    const totalPhotos = state.photos.length;
+    if (totalPhotos === 0) return state;
+
+    let newIndex = state.currentPhotoIndex;
+    if (direction === "next") {
+      newIndex = (newIndex + 1) % totalPhotos; // Loop to start
+    } else if (direction === "prev") {
+      newIndex = (newIndex - 1 + totalPhotos) % totalPhotos; // Loop to end
+    } else if (
+      direction === "shuffle" &&
+      Number.isInteger(index) &&
+      index >= 0 &&
+      index < totalPhotos
+    ) {
+      newIndex = index;
+    }
+
+    return { ...state, currentPhotoIndex: newIndex };
+  },
+
+  openPhoto: (state, { photoId }) => {
+    const photoIndex = state.photos.findIndex((photo) => photo.id === photoId);
+    if (photoIndex < 0) return state;
+
+    return { ...state, currentPhotoIndex: photoIndex, currentView: "gallery" };
+  },
+
+  setGridOptions: (state, { options }) => ({
+    ...state,
+    gridOptions: { ...state.gridOptions, ...options },
+  }),
+
+  setSlideshowSettings: (state, { settings }) => ({
+    ...state,
+    slideshow: { ...state.slideshow, ...settings },
+  }),
+
+  addPhoto: (state, { photo }) => ({
+    ...state,
+    photos: [...state.photos, photo],
+  }),
+
+  // ============================================
+  // NAUGHTY LEVEL & HEART
+  // ============================================
+
+  increaseNaughtyLevel: (state, { amount }, action) =>
+    withNaughtyLevel(state, action, state.naughtyLevel + amount),
+
+  resetNaughtyLevel: (state) => ({ ...state, naughtyLevel: 0 }),
+
+  dealMessage: (state, { message }) => ({ ...state, currentMessage: message }),
+
+  handleHeartClick: (state, { origin }, action) => {
+    const heartClicks = state.heartClicks + 1;
+    // Every click = hearts, every 10 clicks = emoji rain celebration
+    const effectName = heartClicks % 10 === 0 ? "emojiRain" : "heartBurst";
+
+    return {
+      ...state,
+      heartClicks,
+      naughtyLevel: clampNaughtyLevel(state.naughtyLevel + 3, state.safeMode),
+      effects: queueEffect(state, action, effectName, origin),
+    };
+  },
+
+  // ============================================
+  // PARTICLE EFFECTS
+  // ============================================
+
+  triggerEffect: (state, { name, origin }, action) => ({
+    ...state,
+    effects: queueEffect(state, action, name, origin),
+  }),
+
+  clearEffects: (state, { effectIds }) => ({
+    ...state,
+    effects: state.effects.filter((effect) => !effectIds.includes(effect.id)),
+  }),
+
+  // ============================================
+  // MUSIC & SOUND
+  // ============================================
+
+  setMuted: (state, { muted }) => ({
+    ...state,
+    audio: { ...state.audio, muted },
+  }),
+
+  setPlaylist: (state, { playlist }) => ({
+    ...state,
+    audio: { ...state.audio, playlist },
+  }),
+
+  // New uploads go straight into the playlist
+  addTrack: (state, { track }) => ({
+    ...state,
+    tracks: [...state.tracks, track],
+    audio: { ...state.audio, playlist: [...state.audio.playlist, track.id] },
+  }),
+
+  removeTrack: (state, { trackId }) => ({
+    ...state,
+    tracks: state.tracks.filter((track) => track.id !== trackId),
+    audio: {
+      ...state.audio,
+      playlist: state.audio.playlist.filter((id) => id !== trackId),
+    },
+  }),
+
+  // ============================================
+  // TIME LOCKS
+  // ============================================
+
+  // "" removes the lock
+  setViewLock: (state, { view, unlockAt }) => {
+    const viewLocks = { ...state.viewLocks };
+    delete viewLocks[view];
+    if (unlockAt) viewLocks[view] = unlockAt;
+    return { ...state, viewLocks };
+  },
+
+  addTimedMessage: (state, { message }) => ({
+    ...state,
+    timedMessages: [...state.timedMessages, message],
+  }),
+
+  removeTimedMessage: (state, { messageId }) => ({
+    ...state,
+    timedMessages: state.timedMessages.filter(
+      (message) => message.id !== messageId,
+    ),
+  }),
+
+  // Anything that just opened gets fireworks 🎆
+  revealLocks: (state, { keys }, action) => {
+    const isNewlyOpen = keys.some((key) => !state.revealedLocks.includes(key));
+    return {
+      ...state,
+      revealedLocks: keys,
+      effects: isNewlyOpen
+        ? queueEffect(state, action, "fireworks")
+        : state.effects,
+    };
+  },
+
+  // ============================================
+  // ADVENT CALENDAR
+  // ============================================
+
+  openAdventDay: (state, { date }, action) => ({
+    ...state,
+    advent: {
+      ...state.advent,
+      openedDays: [...state.advent.openedDays, date],
+    },
+    effects: queueEffect(state, action, "sparkles"),
+  }),
+
+  recordAdventVisit: (state, { today }) => ({
+    ...state,
+    advent: recordVisit(state.advent, today),
+  }),
+
+  // ============================================
+  // LOVE LETTERS
+  // ============================================
+
+  saveLetterDraft: (state, { draft }, action) => ({
+    ...state,
+    letterDraft: { ...draft, savedAt: action.timestamp },
+  }),
+
+  discardLetterDraft: (state) => ({ ...state, letterDraft: null }),
+
+  publishLetter: (state, { letter }) => {
+    const isEdit = state.letters.some((saved) => saved.id === letter.id);
+    return {
+      ...state,
+      letters: isEdit
+        ? state.letters.map((saved) =>
+            saved.id === letter.id ? letter : saved,
+          )
+        : [...state.letters, letter],
+      letterDraft: null,
+    };
+  },
+
+  // A draft editing the deleted letter becomes a draft for a new one
+  deleteLetter: (state, { letterId }) => ({
+    ...state,
+    letters: state.letters.filter((letter) => letter.id !== letterId),
+    letterDraft:
+      state.letterDraft?.letterId === letterId
+        ? { ...state.letterDraft, letterId: null }
+        : state.letterDraft,
+  }),
+
+  openLetter: (state, { letterId }) => ({
+    ...state,
+    currentLetterId: letterId,
+    currentView: "letter",
+  }),
+
+  // ============================================
+  // PERSONALIZATION & MESSAGE PACKS
+  // ============================================
+
+  saveProfile: (state, { profile }) => ({
+    ...state,
+    profile,
+    setupComplete: true,
+    currentView: "home",
+  }),
+
+  skipSetup: (state) => ({
+    ...state,
+    setupComplete: true,
+    currentView: "home",
+  }),
+
+  setMessagePack: (state, { packId }) => ({ ...state, activePackId: packId }),
+
+  importMessagePack: (state, { pack }) => ({
+    ...state,
+    activePackId: pack.id,
+    // Re-importing the same id replaces the old version
+    customPacks: [...state.customPacks.filter((p) => p.id !== pack.id), pack],
+  }),
+
+  // ============================================
+  // SAFE MODE
+  // ============================================
+
+  enableSafeMode: (state, { maxTier, pinHash }) => {
+    const safeMode = { enabled: true, maxTier, pinHash };
+    return {
+      ...state,
+      safeMode,
+      // Drop straight down to the allowed tier
+      naughtyLevel: clampNaughtyLevel(state.naughtyLevel, safeMode),
+    };
+  },
+
+  disableSafeMode: (state) => ({
+    ...state,
+    safeMode: { ...state.safeMode, enabled: false, pinHash: null },
+  }),
+
+  panic: (state) => ({
+    ...state,
+    panicMode: true,
+    blurPhotos: true,
+    effects: [],
+    currentView: "home", // Keeps "#/naughty" out of the address bar
+  }),
+
+  exitPanic: (state) => ({ ...state, panicMode: false }),
+
+  setPhotosBlurred: (state, { blurred }) => ({ ...state, blurPhotos: blurred }),
+
+  // ============================================
+  // QUIZZES
+  // ============================================
+
+  startQuiz: (state, { quiz }, action) => ({
+    ...state,
+    activeQuiz: createQuizRun(quiz, action.timestamp),
+    currentView: "quiz",
+  }),
+
+  // A finished run is added to quizHistory (and stays in activeQuiz
+  // for the summary screen)
+  answerQuiz: (state, { quiz, optionIndex }, action) => {
+    const run = state.activeQuiz;
+    if (!run || run.quizId !== quiz.id) return state;
+
+    const result = answerQuestion(quiz, run, optionIndex, action.timestamp);
+    if (!result) return state;
+
+    const isFinished = result.run.finishedAt !== null;
+    return {
+      ...withNaughtyLevel(
+        state,
+        action,
+        state.naughtyLevel + result.naughtyDelta,
+      ),
+      activeQuiz: result.run,
+      quizHistory: isFinished
+        ? [...state.quizHistory, result.run].slice(-QUIZ_HISTORY_LIMIT)
+        : state.quizHistory,
+    };
+  },
+
+  quitQuiz: (state) => ({ ...state, activeQuiz: null }),
+
+  // ============================================
+  // SHUFFLE DECKS & ACHIEVEMENTS
+  // ============================================
+
+  syncDecks: (state, { decks }) => ({ ...state, decks }),
+
+  // Newly unlocked achievements also trigger sparkles ✨
+  recordEvent: (state, { event }, action) => {
+    const newState = applyAchievementEvent(state, event, action.timestamp);
+    const unlockedSomething =
+      Object.keys(newState.achievements).length >
+      Object.keys(state.achievements).length;
+
+    return unlockedSomething
+      ? { ...newState, effects: queueEffect(newState, action, "sparkles") }
+      : newState;
+  },
+
+  // ============================================
+  // WHOLE STATE
+  // ============================================
+
+  loadState: (state, { state: loadedState }) => loadedState,
+
+  resetState: (state, { now }) => createInitialState(createFixedClock(now)),
+};
+
+/**
+ * Valentine Reducer
+ * Runs the action's handler; data changes (see ACTION_LABELS) are
+ * also recorded in the action log so they can be undone
+ *
+ * @param {Object} state - Current app state
+ * @param {Action} action - From store/actions.js
+ * @returns {Object} New state (same object if nothing changed)
+ */
+export const valentineReducer = (state, action) => {
+  switch (action.type) {
+    case "undo":
+      return undo(state);
+    case "redo":
+      return redo(state);
+    case "timeTravel":
+      // Replayed by the action history (store/history.js, dev only)
+      return action.payload.state ?? state;
+  }
+
+  const handler = handlers[action.type];
+  if (!handler) return state; // Unknown or side-effect-only action
+
+  const newState = handler(state, action.payload, action);
+  if (newState === state || !isUndoableAction(action)) return newState;
+
+  return {
+    ...newState,
+    actionLog: recordAction(state.actionLog, action, state, newState),
+  };
+};
+
+// ============================================
+// EXPORT
+// ============================================
+export default valentineReducer;
@@ -0,0 +1,135 @@
+import { describe, expect, it } from "vitest";
+import { createInitialState } from "../models/ValentineModel.js";
+import { createFixedClock } from "../services/clock.js";
+import * as actions from "./actions.js";
+import { valentineReducer } from "./reducer.js";
+import { selectCurrentMessage } from "./selectors.js";
+
+// Feb 1 2026, local time
+const NOW = new Date(2026, 1, 1, 12, 0).getTime();
+
+const freshState = () => ({
+  ...createInitialState(createFixedClock(NOW)),
+  photos: [
+    { id: "a", likes: 0, isFavorite: false, unlockAt: "" },
+    { id: "b", likes: 0, isFavorite: false, unlockAt: "" },
+  ],
+});
+
+const reduceAll = (state, actionList) =>
+  actionList.reduce(valentineReducer, state);
+
+const letter = {
+  id: "letter-1",
+  title: "Hi",
+  body: "Hello {name}",
+  envelope: false,
+  createdAt: NOW,
+  updatedAt: NOW,
+};
+
+describe("valentineReducer", () => {
+  it("returns the same state for unknown actions", () => {
+    const state = freshState();
+    expect(valentineReducer(state, { type: "nope", payload: {} })).toBe(
+      state,
+    );
+  });
+
+  it("likes a photo and raises the naughty level", () => {
+    const state = valentineReducer(freshState(), actions.likePhoto("b"));
+    expect(state.photos.map((photo) => photo.likes)).toEqual([0, 1]);
+    expect(state.naughtyLevel).toBe(5);
+    expect(state.heartClicks).toBe(1);
+  });
+
+  it("caps the naughty level at 100", () => {
+    const state = valentineReducer(
+      { ...freshState(), naughtyLevel: 98 },
+      actions.increaseNaughtyLevel(10),
+    );
+    expect(state.naughtyLevel).toBe(100);
+  });
+
+  it("queues fireworks once when crossing 50", () => {
+    const state = reduceAll(freshState(), [
+      actions.increaseNaughtyLevel(45),
+      actions.increaseNaughtyLevel(10),
+      actions.increaseNaughtyLevel(10),
+    ]);
+    const fireworks = state.effects.filter(
+      (effect) => effect.name === "fireworks",
+    );
+    expect(fireworks).toHaveLength(1);
+  });
+
+  it("gives the same result when an action is replayed", () => {
+    const action = actions.handleHeartClick({ x: 1, y: 2 });
+    expect(valentineReducer(freshState(), action)).toEqual(
+      valentineReducer(freshState(), action),
+    );
+  });
+
+  it("ignores invalid views", () => {
+    const state = freshState();
+    expect(valentineReducer(state, actions.navigateTo("nowhere"))).toBe(
+      state,
+    );
+  });
+
+  it("keeps the dealt card for the selector to read", () => {
+    const before = freshState();
+    const state = valentineReducer(before, actions.dealMessage("Hi {name}"));
+    expect(selectCurrentMessage(state)).toBe("Hi {name}");
+    expect(state.decks).toBe(before.decks); // Reading deals nothing
+    expect(state.actionLog.entries).toHaveLength(0);
+  });
+
+  it("resets to a fresh state dated by the action's time", () => {
+    const state = valentineReducer(
+      valentineReducer(freshState(), actions.likePhoto("a")),
+      actions.resetState(NOW),
+    );
+    expect(state.naughtyLevel).toBe(0);
+    expect(state.timedMessages[0].unlockAt).toBe("2026-02-14T00:00");
+  });
+});
+
+describe("valentineReducer undo / redo", () => {
+  it("undoes a logged action", () => {
+    const state = reduceAll(freshState(), [
+      actions.likePhoto("a"),
+      actions.undo(),
+    ]);
+    expect(state.photos[0].likes).toBe(0);
+    expect(state.naughtyLevel).toBe(0);
+  });
+
+  it("undoes & redoes publishing a letter like other actions", () => {
+    const state = reduceAll(freshState(), [
+      actions.increaseNaughtyLevel(5),
+      actions.publishLetter(letter),
+      actions.undo(), // The letter
+      actions.undo(), // The naughty boost
+    ]);
+    expect(state.naughtyLevel).toBe(0);
+    expect(state.letters).toEqual([]);
+
+    const redone = reduceAll(state, [actions.redo(), actions.redo()]);
+    expect(redone.letters).toEqual([letter]);
+  });
+
+  it("doesn't touch fields the undone action never changed", () => {
+    const before = reduceAll(freshState(), [actions.increaseNaughtyLevel(5)]);
+    // Not logged: written after the boost
+    const withLetter = { ...before, letters: [letter] };
+    const state = valentineReducer(withLetter, actions.undo());
+    expect(state.naughtyLevel).toBe(0);
+    expect(state.letters).toEqual([letter]);
+  });
+
+  it("doesn't log navigation", () => {
+    const state = valentineReducer(freshState(), actions.navigateTo("home"));
+    expect(state.actionLog.entries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,198 @@
+// ============================================
+// STORE: selectors.js
+// ============================================
+// PURPOSE: Values derived from state, computed in one place
+// Memoized: they only recompute when their inputs change, so views
+// get the same array/object back and don't re-render for nothing
+// ============================================
+
+import { getMessagePacks } from "../models/MessagePacks.js";
+import { getQuizzes } from "../models/NaughtyMessages.js";
+import { clampNaughtyLevel, getTierForLevel } from "../models/SafeMode.js";
+import { getGridPhotos } from "../models/PhotoGrid.js";
+import { getTimeline } from "../models/Timeline.js";
+import { getTimeLocks } from "../models/TimeLock.js";
+import { getAllTracks, getPlaylistTracks } from "../models/Audio.js";
+
+/**
+ * Build a memoized selector
+ * Remembers the last inputs & result (enough for one store)
+ *
+ * @param {Function[]} inputSelectors - state => value
+ * @param {Function} compute - (...inputValues) => result
+ * @returns {Function} state => result
+ *
+ * USAGE EXAMPLE:
+ * const selectFavoritePhotos = createSelector(
+ *   [(state) => state.photos],
+ *   (photos) => photos.filter((photo) => photo.isFavorite),
+ * );
+ */
+export const createSelector = (inputSelectors, compute) => {
+  let lastInputs = null;
+  let lastResult;
+
+  return (state) => {
+    const inputs = inputSelectors.map((select) => select(state));
+    const unchanged =
+      lastInputs && inputs.every((input, i) => input === lastInputs[i]);
+
+    if (!unchanged) {
+      lastInputs = inputs;
+      lastResult = compute(...inputs);
+    }
+    return lastResult;
+  };
+};
+
+// ===== INPUTS =====
+const selectPhotos = (state) => state.photos;
+const selectNaughtyLevel = (state) => state.naughtyLevel;
+const selectSafeMode = (state) => state.safeMode;
+const selectActivePackId = (state) => state.activePackId;
+const selectCustomPacks = (state) => state.customPacks;
+const selectGridOptions = (state) => state.gridOptions;
+const selectAnniversary = (state) => state.profile.anniversary;
+const selectUploadedTracks = (state) => state.tracks;
+const selectPlaylistIds = (state) => state.audio.playlist;
+const selectTimedMessages = (state) => state.timedMessages;
+const selectViewLocks = (state) => state.viewLocks;
+
+// ============================================
+// PHOTOS
+// ============================================
+
+/**
+ * Favorite photos only
+ * @returns {Photo[]}
+ */
+export const selectFavoritePhotos = createSelector([selectPhotos], (photos) =>
+  photos.filter((photo) => photo.isFavorite),
+);
+
+/**
+ * Photo with the most likes
+ * @returns {Photo|null}
+ */
+export const selectMostLikedPhoto = createSelector([selectPhotos], (photos) =>
+  photos.length === 0
+    ? null
+    : photos.reduce((max, photo) => (photo.likes > max.likes ? photo : max)),
+);
+
+/**
+ * Photos for the grid view, filtered & sorted by state.gridOptions
+ * @returns {GridEntry[]} {photo, index in state.photos}
+ */
+export const selectGridPhotos = createSelector(
+  [selectPhotos, selectGridOptions],
+  (photos, gridOptions) => getGridPhotos(photos, gridOptions),
+);
+
+/**
+ * Photos & milestones by month for the timeline view
+ * @returns {TimelineGroup[]}
+ */
+export const selectTimeline = createSelector(
+  [selectPhotos, selectAnniversary],
+  (photos, anniversary) => getTimeline(photos, anniversary),
+);
+
+// ============================================
+// NAUGHTY LEVEL
+// ============================================
+
+/**
+ * Naughty level category (also a CSS modifier)
+ * @returns {string} 'sweet' | 'spicy' | 'extra-spicy'
+ */
+export const selectNaughtyCategory = createSelector(
+  [selectNaughtyLevel, selectSafeMode],
+  (naughtyLevel, safeMode) => {
+    const tier = getTierForLevel(clampNaughtyLevel(naughtyLevel, safeMode));
+    return tier === "extraSpicy" ? "extra-spicy" : tier;
+  },
+);
+
+/**
+ * Naughty card on show ("" until one is dealt)
+ * Only reads it: controller.dealMessage() draws the next card
+ * @returns {string}
+ */
+export const selectCurrentMessage = (state) => state.currentMessage;
+
+// ============================================
+// MESSAGE PACKS & QUIZZES
+// ============================================
+
+/**
+ * Every registered pack (bundled + imported)
+ * @returns {MessagePack[]}
+ */
+export const selectMessagePacks = createSelector([selectCustomPacks], () =>
+  getMessagePacks(),
+);
+
+/**
+ * Quizzes in the active pack that safe mode allows
+ * @returns {Quiz[]}
+ */
+export const selectQuizzes = createSelector(
+  [selectActivePackId, selectCustomPacks, selectSafeMode],
+  () => getQuizzes(),
+);
+
+// ============================================
+// MUSIC
+// ============================================
+
+/**
+ * Bundled + uploaded tracks
+ * @returns {Track[]}
+ */
+export const selectTracks = createSelector(
+  [selectUploadedTracks],
+  (tracks) => getAllTracks(tracks),
+);
+
+/**
+ * Tracks to play, in playlist order
+ * @returns {Track[]}
+ */
+export const selectPlaylist = createSelector(
+  [selectPlaylistIds, selectTracks],
+  (playlist, tracks) => getPlaylistTracks(playlist, tracks),
+);
+
+// ============================================
+// TIME LOCKS
+// ============================================
+
+/**
+ * Every photo, sealed message & view with an unlock time
+ * (whether it's open depends on "now": see TimeLock.js)
+ * @returns {TimeLockEntry[]}
+ */
+export const selectTimeLocks = createSelector(
+  [selectPhotos, selectTimedMessages, selectViewLocks],
+  (photos, timedMessages, viewLocks) =>
+    getTimeLocks({ photos, timedMessages, viewLocks }),
+);
+
+// ============================================
+// EXPORT
+// ============================================
+export default {
+  createSelector,
+  selectFavoritePhotos,
+  selectMostLikedPhoto,
+  selectGridPhotos,
+  selectTimeline,
+  selectNaughtyCategory,
+  selectCurrentMessage,
+  selectMessagePacks,
+  selectQuizzes,
+  selectTracks,
+  selectPlaylist,
+  selectTimeLocks,
+};
@@ -0,0 +1,204 @@
+// ============================================
+// VIEW: AdventCalendarView.jsx
+// ============================================
+// PURPOSE: Advent calendar for the two weeks before Valentine's Day -
+//          one door a day, each hiding a surprise
+// FEATURES: Doors open on (or after) their day, opened doors stay
+//           open, daily visit streak, countdown to the first door
+// DATA: models/AdventCalendar.js + models/advent/schedule.json
+// ============================================
+
+import React, { useEffect, useState } from "react";
+import {
+  ADVENT_TITLE,
+  ADVENT_TYPES,
+  getAdventDoors,
+  getAdventSurprise,
+} from "../models/AdventCalendar.js";
+import {
+  formatLocalDate,
+  toLocalDateString,
+} from "../models/Personalization.js";
+import AdventSurprise from "./AdventSurprise.jsx";
+import CountdownView from "./CountdownView.jsx";
+
+// What a door shows before it's opened
+const DOOR_ICONS = { locked: "🔒", ready: "🎁" };
+
+/**
+ * AdventCalendarView Component
+ *
+ * PROPS:
+ * @param {AdventProgress} progress - Opened doors & streak
+ * @param {Photo[]} photos - For photo surprises
+ * @param {Profile} profile - Fills {name} etc.
+ * @param {number} now - Current time (ms) from useTimeLocks
+ * @param {Clock} clock - Ticks the countdown to the first door
+ * @param {boolean} isBlurred - Blur photos (after panic)
+ * @param {Function} onOpenDay - (day) => boolean (false = too early)
+ * @param {Function} onVisit - Count today's visit towards the streak
+ * @param {Function} onClose - Go back
+ */
+function AdventCalendarView({
+  progress,
+  photos,
+  profile,
+  now,
+  clock,
+  isBlurred = false,
+  onOpenDay,
+  onVisit,
+  onClose,
+}) {
+  // ===== LOCAL STATE =====
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const doors = getAdventDoors(progress.openedDays, now);
+  const today = toLocalDateString(new Date(now));
+  const selectedDoor = doors.find(
+    (door) => door.day === selectedDay && door.status === "opened",
+  );
+
+  // ===== EFFECTS =====
+
+  /**
+   * One visit per opening of the calendar (the controller ignores
+   * repeats on the same day)
+   */
+  useEffect(() => {
+    onVisit();
+  }, []);
+
+  // ===== EVENT HANDLERS =====
+
+  const handleDoorClick = (door) => {
+    if (door.status === "ready" && !onOpenDay(door.day)) return;
+    setSelectedDay(door.day);
+  };
+
+  // ===== RENDER HELPERS =====
+
+  /**
+   * @param {AdventDoor} door
+   */
+  const getDoorLabel = (door) => {
+    if (door.status === "locked") {
+      return `Day ${door.day}, opens ${formatLocalDate(door.date)}`;
+    }
+    return door.status === "ready"
+      ? `Open day ${door.day}`
+      : `Day ${door.day}, opened`;
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="advent-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2 className="advent-heading">🗓️ {ADVENT_TITLE}</h2>
+        <span />
+      </header>
+
+      {/* STREAK */}
+      {progress.streak > 0 && (
+        <p className="advent-streak">
+          🔥 {progress.streak}-day visit streak
+          {progress.bestStreak > progress.streak &&
+            ` · best ${progress.bestStreak}`}
+        </p>
+      )}
+
+      {/* BEFORE THE SEASON: countdown to the first door */}
+      {doors[0]?.status === "locked" && (
+        <CountdownView
+          title="The first door"
+          unlockAt={doors[0].unlockAt}
+          clock={clock}
+        />
+      )}
+
+      {/* DOORS */}
+      <ol className="advent-grid">
+        {doors.map((door) => (
+          <li key={door.day}>
+            <button
+              onClick={() => handleDoorClick(door)}
+              disabled={door.status === "locked"}
+              className={`advent-door ${door.status} ${
+                door.date === today ? "today" : ""
+              } ${door.day === selectedDoor?.day ? "selected" : ""}`}
+              aria-label={getDoorLabel(door)}>
+              <span className="advent-door-day">{door.day}</span>
+              <span aria-hidden="true">
+                {door.status === "opened"
+                  ? ADVENT_TYPES[door.entry.type].icon
+                  : DOOR_ICONS[door.status]}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {/* SURPRISE BEHIND THE SELECTED DOOR */}
+      {selectedDoor ? (
+        <AdventSurprise
+          key={selectedDoor.day}
+          surprise={getAdventSurprise(selectedDoor.entry, photos, now)}
+          date={selectedDoor.date}
+          profile={profile}
+          isBlurred={isBlurred}
+        />
+      ) : (
+        doors.some((door) => door.status !== "locked") && (
+          <p className="hint">Tap a door to open it 🎁</p>
+        )
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default AdventCalendarView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DERIVED FROM "now":
+ *    Which doors can open isn't stored - getAdventDoors works it out
+ *    from the date on every render, so doors open at midnight
+ *    without anything being saved
+ *
+ * 2. ONLY FACTS GO IN STATE:
+ *    State keeps which dates were opened and when we last visited;
+ *    the streak count updates on each visit
+ *
+ * 3. <ol> FOR THE DOORS:
+ *    They're numbered & in order - screen readers say "item 3 of 14"
+ *
+ * 4. disabled BUTTONS:
+ *    Locked doors can't be clicked or tabbed to; screen readers
+ *    still read their aria-label ("opens Feb 9") when browsing
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .advent-view: Page container
+ * - .advent-heading: Title in the header
+ * - .advent-streak: 🔥 visit streak
+ * - .advent-grid: The doors (CSS grid)
+ * - .advent-door: One door (.locked / .ready / .opened, .today,
+ *   .selected)
+ * - .advent-door-day: Big day number
+ *
+ * ============================================
+ */
@@ -0,0 +1,137 @@
+// ============================================
+// VIEW: AdventSurprise.jsx
+// ============================================
+// PURPOSE: What's behind an opened advent calendar door - a message,
+//          a photo, a question to answer or a coupon
+// USED BY: AdventCalendarView.jsx
+// ============================================
+
+import React, { useState } from "react";
+import { getAnswerResponse } from "../models/NaughtyMessages.js";
+import { formatLocalDate, personalize } from "../models/Personalization.js";
+
+/**
+ * AdventSurprise Component
+ *
+ * PROPS:
+ * @param {AdventSurprise} surprise - From getAdventSurprise
+ * @param {string} date - The door's "YYYY-MM-DD"
+ * @param {Profile} profile - Fills {name} etc.
+ * @param {boolean} isBlurred - Blur the photo (after panic)
+ */
+function AdventSurprise({ surprise, date, profile, isBlurred = false }) {
+  // ===== LOCAL STATE =====
+  // Just for fun: answers aren't saved and don't move the meter
+  const [selectedOption, setSelectedOption] = useState(null);
+
+  // ===== RENDER HELPERS =====
+
+  const renderBody = () => {
+    switch (surprise.type) {
+      case "photo":
+        return (
+          <figure className="advent-photo">
+            <img
+              src={surprise.photo.url}
+              srcSet={surprise.photo.srcSet}
+              sizes="(min-width: 600px) 560px, 100vw"
+              alt="" // The caption below is the description
+              className={isBlurred ? "blurred" : ""}
+              decoding="async"
+              draggable={false}
+            />
+            {!isBlurred && (
+              <figcaption>
+                {personalize(surprise.photo.caption, profile)}
+              </figcaption>
+            )}
+          </figure>
+        );
+
+      case "question":
+        return (
+          <div className="question-card">
+            <h4 className="question-text">
+              {personalize(surprise.question.question, profile)}
+            </h4>
+            <div className="answer-options">
+              {surprise.question.options.map((option, index) => (
+                <button
+                  key={index}
+                  onClick={() => setSelectedOption(option)}
+                  className={`btn btn-option ${
+                    selectedOption === option ? "selected" : ""
+                  }`}>
+                  {personalize(option.label, profile)}
+                </button>
+              ))}
+            </div>
+            {selectedOption && (
+              <p className="answer-response fade-in">
+                {personalize(getAnswerResponse(selectedOption), profile)}
+              </p>
+            )}
+          </div>
+        );
+
+      case "coupon":
+        return (
+          <div className="advent-coupon">
+            <span className="advent-coupon-label">🎟️ Coupon</span>
+            <p>{personalize(surprise.text, profile)}</p>
+            <span className="hint">Redeem any time - no expiry 💝</span>
+          </div>
+        );
+
+      default:
+        return (
+          <p className="advent-message">
+            {personalize(surprise.text, profile)}
+          </p>
+        );
+    }
+  };
+
+  // ===== RENDER =====
+  return (
+    <section className="advent-surprise fade-in" aria-live="polite">
+      <span className="advent-surprise-date">{formatLocalDate(date)}</span>
+      <h3>{personalize(surprise.title, profile)}</h3>
+      {renderBody()}
+    </section>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default AdventSurprise;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. ONE COMPONENT PER KIND OF DATA:
+ *    surprise.type picks what to render (switch in renderBody)
+ *    - Adding a new kind = one model change + one case here
+ *
+ * 2. RESETTING STATE WITH A key:
+ *    The calendar renders <AdventSurprise key={day}>, so the picked
+ *    answer is forgotten when another door is shown
+ *
+ * 3. aria-live="polite":
+ *    Screen readers announce the surprise when a door opens
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .advent-surprise: Card under the calendar
+ * - .advent-surprise-date: The door's date
+ * - .advent-message: Message text (keeps line breaks)
+ * - .advent-photo: Photo + caption (img.blurred after panic)
+ * - .advent-coupon / .advent-coupon-label: Coupon ticket
+ * - .question-card etc.: Shared with the naughty card
+ *
+ * ============================================
+ */
@@ -0,0 +1,113 @@
+// ============================================
+// VIEW: CountdownView.jsx
+// ============================================
+// PURPOSE: Stands in for time-locked content until it opens
+// USED BY: App.jsx (whole locked views), GalleryView (locked photos),
+//          SealedMessages (locked messages on the home page)
+// ============================================
+
+import React from "react";
+import { formatUnlockAt, getTimeLeft } from "../models/TimeLock.js";
+import useNow from "../hooks/useNow.js";
+
+// Countdown boxes, biggest unit first
+const UNITS = [
+  ["days", "days"],
+  ["hours", "hrs"],
+  ["minutes", "min"],
+  ["seconds", "sec"],
+];
+
+/**
+ * CountdownView Component
+ *
+ * PROPS:
+ * @param {string} title - What's waiting, e.g. "A surprise photo"
+ * @param {string} unlockAt - "YYYY-MM-DDTHH:mm"
+ * @param {Clock} clock - Ticks the countdown (services/clock.js)
+ * @param {Function} [onClose] - Given = full page with a back button
+ */
+function CountdownView({ title, unlockAt, clock, onClose }) {
+  // Ticks every second - only this countdown re-renders
+  const now = useNow(clock);
+  const timeLeft = getTimeLeft(unlockAt, now);
+
+  const countdown = (
+    <div className="countdown" role="timer" aria-live="off">
+      <span className="countdown-lock" aria-hidden="true">
+        🔒
+      </span>
+      <h3 className="countdown-title">{title}</h3>
+
+      {timeLeft ? (
+        <div className="countdown-units">
+          {UNITS.map(([unit, label]) => (
+            <span key={unit} className="countdown-unit">
+              <strong>{String(timeLeft[unit]).padStart(2, "0")}</strong>
+              {label}
+            </span>
+          ))}
+        </div>
+      ) : (
+        <p className="countdown-opening">Opening… 🎉</p>
+      )}
+
+      <p className="hint">Opens {formatUnlockAt(unlockAt)}</p>
+    </div>
+  );
+
+  if (!onClose) return countdown;
+
+  return (
+    <div className="countdown-page">
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+      </header>
+      {countdown}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default CountdownView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. role="timer":
+ *    Tells screen readers this is a countdown
+ *    - aria-live="off" stops them reading it out every second
+ *
+ * 2. PADDING NUMBERS:
+ *    String(7).padStart(2, "0") → "07"
+ *    - Keeps the boxes the same width as the numbers change
+ *
+ * 3. THE COUNTDOWN OWNS ITS TICK:
+ *    useNow re-renders just this component every second; the parent
+ *    only hears about it when the lock actually opens (useTimeLocks)
+ *
+ * 4. ONE COMPONENT, TWO LAYOUTS:
+ *    Build the shared part once, then wrap it (full page) or
+ *    return it as-is (inside another view)
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .countdown-page: Full-page version (locked views)
+ * - .countdown: Lock, title, time left & unlock date
+ * - .countdown-lock: 🔒 icon
+ * - .countdown-title: What's waiting
+ * - .countdown-units / .countdown-unit: Days, hrs, min, sec boxes
+ * - .countdown-opening: Shown for the moment it reaches zero
+ *
+ * ============================================
+ */
@@ -2,49 +2,140 @@
 // VIEW: GalleryView.jsx
 // ============================================
 // PURPOSE: Display photo gallery with swipe navigation
-// USES: useSwipe hook for mobile gestures
+// USES: useGestures hook for swipes & taps (touch, mouse & pen),
+//       usePinchZoom for zooming in, SlideshowView for autoplay
 // ============================================
 
-import React from "react";
-import useSwipe from "../hooks/useSwipe.js";
+import React, { useRef, useState } from "react";
+import useGestures, { combineHandlers } from "../hooks/useGestures.js";
+import usePinchZoom from "../hooks/usePinchZoom.js";
+import SlideshowView from "./SlideshowView.jsx";
+import PhotoDetailsPanel from "./PhotoDetailsPanel.jsx";
+import CountdownView from "./CountdownView.jsx";
 import { getRandomEmoji } from "../models/NaughtyMessages.js";
+import { PhotoDetailsLimits } from "../models/ValentineModel.js";
+import { personalize } from "../models/Personalization.js";
+import { isLocked } from "../models/TimeLock.js";
+import { getEventOrigin } from "../services/ParticleEngine.js";
 
 /**
  * GalleryView Component
  *
  * PROPS:
  * @param {Array} photos - Array of photo objects from model
+ * @param {Profile} profile - Fills {name} etc. in captions
  * @param {number} currentIndex - Which photo is active
  * @param {Function} onNext - Go to next photo
  * @param {Function} onPrev - Go to previous photo
- * @param {Function} onLike - Like current photo
+ * @param {Function} onShuffle - Go to a random photo (no repeats)
+ * @param {Function} onLike - Like current photo (photoId, origin)
  * @param {Function} onToggleFavorite - Toggle favorite status
  * @param {Function} onClose - Return to home
  * @param {Function} onOpenNaughty - Open naughty card view
+ * @param {Function} onOpenUpload - Open photo upload screen
+ * @param {Function} onOpenGrid - Open thumbnail grid of all photos
+ * @param {boolean} isBlurred - Hide photos behind a blur (after panic)
+ * @param {Function} onUnblur - Show photos again
+ * @param {SlideshowSettings} slideshow - Slideshow timing & look
+ * @param {Function} onChangeSlideshow - Change slideshow settings
+ * @param {Function} onUpdatePhoto - (photoId, details) => boolean
+ *   (caption, date taken, location, tags, note, unlock time)
+ * @param {number} now - Current time (ms): time-locked photos show a
+ *   countdown instead
+ * @param {Clock} clock - Ticks that countdown
  *
  * FEATURES:
- * - Swipe left/right to navigate
- * - Double-tap to like
+ * - Swipe left/right to navigate (the photo follows your finger)
+ * - Pinch, double-tap or mouse wheel to zoom; drag to look around
+ *   (swiping is off while zoomed in)
+ * - Long-press to like
  * - Click heart to like
  * - Star to favorite
+ * - ▶ to play a slideshow
+ * - ✏️ to edit the caption in place
+ * - Date taken, place, tags & a private note under the photo
+ * - Time-locked photos stay behind a countdown until they open
  */
 function GalleryView({
   photos,
+  profile,
   currentIndex,
   onNext,
   onPrev,
+  onShuffle,
   onLike,
   onToggleFavorite,
   onClose,
   onOpenNaughty,
+  onOpenUpload,
+  onOpenGrid,
+  isBlurred = false,
+  onUnblur,
+  slideshow,
+  onChangeSlideshow,
+  onUpdatePhoto,
+  now,
+  clock,
 }) {
+  // Slideshow is on for this visit only (settings are saved)
+  const [isSlideshowOn, setIsSlideshowOn] = useState(false);
+  // Caption being edited: which photo, and the text so far
+  const [editingId, setEditingId] = useState(null);
+  const [captionDraft, setCaptionDraft] = useState("");
+
+  // ===== CURRENT PHOTO =====
+  // Undefined while there are no photos: the hooks below still run
+  // before the early return, so React always sees the same hooks
+  const currentPhoto = photos?.[currentIndex];
+  const isPhotoLocked = isLocked(currentPhoto?.unlockAt, now);
+
+  // ===== ZOOM =====
+  const frameRef = useRef(null);
+  const zoom = usePinchZoom(frameRef, {
+    enabled: !isPhotoLocked && !isBlurred,
+    resetKey: currentPhoto?.id, // Every photo starts zoomed out
+  });
+
+  // ===== GESTURES =====
+  const sharedGestures = {
+    onDoubleTap: zoom.toggleZoom, // Zoom in on that spot (or back out)
+    // Hearts burst where you pressed
+    onLongPress: (origin) => onLike(currentPhoto.id, origin),
+  };
+  const {
+    handlers: gestureHandlers,
+    offset: dragOffset,
+    isDragging,
+  } = useGestures(
+    zoom.isZoomed
+      ? {
+          // Zoomed in: one finger looks around, no swiping away
+          ...sharedGestures,
+          onDragStart: zoom.startPan,
+          onDrag: zoom.panBy,
+          onDragEnd: zoom.endPan,
+        }
+      : {
+          ...sharedGestures,
+          onSwipeLeft: onNext, // Swipe left = next photo
+          onSwipeRight: onPrev, // Swipe right = previous photo
+          onSwipeUp: onOpenNaughty, // Swipe up = open naughty card
+        },
+    { axis: zoom.isZoomed ? "free" : "auto" },
+  );
+  // The photo follows a swiping finger (not while zoomed - it pans)
+  const swipeOffset = zoom.isZoomed ? { x: 0, y: 0 } : dragOffset;
+
   // ===== VALIDATION =====
   // Prevent crashes if no photos
   if (!photos || photos.length === 0) {
     return (
       <div className="gallery-view empty">
         <h2>No photos yet! 📸</h2>
-        <p>Add some photos to /src/assets/photos/</p>
+        <p>Upload a few to start your gallery</p>
+        <button onClick={onOpenUpload} className="btn btn-primary">
+          📤 Upload Photos
+        </button>
         <button onClick={onClose} className="btn">
           Go Back
         </button>
@@ -53,26 +144,44 @@ function GalleryView({
   }
 
   // ===== CURRENT PHOTO DATA =====
-  const currentPhoto = photos[currentIndex];
+  const caption = personalize(currentPhoto.caption, profile);
   const isFirstPhoto = currentIndex === 0;
   const isLastPhoto = currentIndex === photos.length - 1;
+  // Moving to another photo ends the edit (nothing is saved)
+  const isEditingCaption = editingId === currentPhoto.id;
 
-  // ===== SWIPE GESTURE HANDLERS =====
-  const swipeHandlers = useSwipe(
-    {
-      onSwipeLeft: onNext, // Swipe left = next photo
-      onSwipeRight: onPrev, // Swipe right = previous photo
-      onSwipeUp: onOpenNaughty, // Swipe up = open naughty card
-    },
-    50,
-  ); // 50px minimum swipe distance
+  // ===== SLIDESHOW MODE =====
+  if (isSlideshowOn) {
+    return (
+      <SlideshowView
+        photos={photos}
+        currentIndex={currentIndex}
+        profile={profile}
+        settings={slideshow}
+        onAdvance={slideshow.shuffle ? onShuffle : onNext}
+        onChangeSettings={onChangeSlideshow}
+        onExit={() => setIsSlideshowOn(false)}
+        now={now}
+      />
+    );
+  }
 
-  // ===== DOUBLE TAP TO LIKE =====
-  const handleDoubleTap = () => {
-    onLike(currentPhoto.id);
-    // Optional: Show animation feedback
+  // ===== CAPTION EDITING =====
+  const handleStartEdit = () => {
+    setCaptionDraft(currentPhoto.caption); // Raw text, {name} unfilled
+    setEditingId(currentPhoto.id);
   };
 
+  const handleSaveCaption = (e) => {
+    e.preventDefault();
+    if (onUpdatePhoto(currentPhoto.id, { caption: captionDraft })) {
+      setEditingId(null);
+    }
+  };
+
+  // Presses in the form mustn't swipe or like the photo
+  const stopGesture = (e) => e.stopPropagation();
+
   // ===== RENDER =====
   return (
     <div className="gallery-view">
@@ -89,39 +198,149 @@ function GalleryView({
           {currentIndex + 1} / {photos.length}
         </div>
 
-        <button
-          onClick={() => onToggleFavorite(currentPhoto.id)}
-          className={`btn btn-ghost ${currentPhoto.isFavorite ? "active" : ""}`}
-          aria-label="Toggle favorite">
-          {currentPhoto.isFavorite ? "⭐" : "☆"}
-        </button>
+        <div className="header-actions">
+          <button
+            onClick={() => setIsSlideshowOn(true)}
+            className="btn btn-ghost"
+            disabled={isBlurred}
+            aria-label="Play slideshow">
+            ▶
+          </button>
+
+          <button
+            onClick={onOpenGrid}
+            className="btn btn-ghost"
+            aria-label="All photos">
+            ▦
+          </button>
+
+          <button
+            onClick={onOpenUpload}
+            className="btn btn-ghost"
+            aria-label="Upload photos">
+            📤
+          </button>
+
+          <button
+            onClick={() => onToggleFavorite(currentPhoto.id)}
+            className={`btn btn-ghost ${currentPhoto.isFavorite ? "active" : ""}`}
+            aria-label="Toggle favorite">
+            {currentPhoto.isFavorite ? "⭐" : "☆"}
+          </button>
+        </div>
       </header>
 
-      {/* PHOTO CONTAINER (with swipe support) */}
+      {/* PHOTO CONTAINER (swipes, taps & pinches) */}
       <div
         className="photo-container"
-        {...swipeHandlers}
-        onDoubleClick={handleDoubleTap}>
-        {/* Main Photo */}
-        <img
-          src={currentPhoto.url}
-          alt={currentPhoto.caption}
-          className="gallery-photo"
-          loading="lazy" // Lazy load for performance
-          draggable={false} // Prevent drag on desktop
-        />
+        {...combineHandlers(gestureHandlers, zoom.handlers)}>
+        {/* Main Photo (a countdown while it's time-locked) */}
+        {isPhotoLocked ? (
+          <CountdownView
+            title="A surprise photo 🎁"
+            unlockAt={currentPhoto.unlockAt}
+            clock={clock}
+          />
+        ) : (
+          // The frame follows a swipe; the photo inside zooms & pans
+          <div
+            ref={frameRef}
+            className={`zoom-frame ${isDragging ? "dragging" : ""}`}
+            style={{
+              transform: `translate(${swipeOffset.x}px, ${swipeOffset.y}px)`,
+            }}>
+            <img
+              src={currentPhoto.url}
+              srcSet={currentPhoto.srcSet} // Browser picks the size it needs
+              sizes="(min-width: 1200px) 1200px, 100vw"
+              alt={isBlurred ? "Hidden photo" : caption}
+              className={`gallery-photo ${isBlurred ? "blurred" : ""} ${
+                zoom.isMoving ? "zooming" : ""
+              }`}
+              width={currentPhoto.width} // Reserves space before it loads
+              height={currentPhoto.height}
+              style={{
+                transform: `translate(${zoom.transform.x}px, ${
+                  zoom.transform.y
+                }px) scale(${zoom.transform.scale})`,
+                backgroundImage: currentPhoto.placeholderUrl
+                  ? `url(${currentPhoto.placeholderUrl})`
+                  : undefined,
+              }}
+              loading="lazy" // Lazy load for performance
+              draggable={false} // Prevent drag on desktop
+            />
+          </div>
+        )}
 
-        {/* Photo Caption */}
-        <div className="photo-caption">
-          <p>{currentPhoto.caption}</p>
-        </div>
+        {/* Back to the whole photo */}
+        {zoom.isZoomed && (
+          <button
+            onClick={zoom.reset}
+            onPointerDown={stopGesture}
+            className="btn btn-ghost zoom-reset"
+            aria-label="Reset zoom">
+            ⤢ {zoom.transform.scale.toFixed(1)}×
+          </button>
+        )}
+
+        {/* Caption (none while locked; the blur cover hides it too) */}
+        {isPhotoLocked ? null : isBlurred ? (
+          <button onClick={onUnblur} className="btn btn-ghost blur-cover">
+            👁️ Tap to show
+          </button>
+        ) : isEditingCaption ? (
+          <form
+            onSubmit={handleSaveCaption}
+            className="photo-caption caption-form"
+            onPointerDown={stopGesture}>
+            <input
+              type="text"
+              value={captionDraft}
+              onChange={(e) => setCaptionDraft(e.target.value)}
+              maxLength={PhotoDetailsLimits.captionMaxLength}
+              className="caption-input"
+              aria-label="Caption"
+              autoFocus
+            />
+            <button type="submit" className="btn btn-secondary">
+              Save
+            </button>
+            <button
+              type="button"
+              onClick={() => setEditingId(null)}
+              className="btn btn-ghost">
+              Cancel
+            </button>
+          </form>
+        ) : (
+          <div className="photo-caption">
+            <p>{caption}</p>
+            <button
+              onClick={handleStartEdit}
+              onPointerDown={stopGesture}
+              className="btn btn-ghost caption-edit"
+              aria-label="Edit caption">
+              ✏️
+            </button>
+          </div>
+        )}
 
         {/* Like Badge (shows if liked) */}
-        {currentPhoto.likes > 0 && (
+        {currentPhoto.likes > 0 && !isPhotoLocked && (
           <div className="like-badge">❤️ {currentPhoto.likes}</div>
         )}
       </div>
 
+      {/* DETAILS (fresh form for every photo) */}
+      {!isBlurred && (
+        <PhotoDetailsPanel
+          key={currentPhoto.id}
+          photo={currentPhoto}
+          onSave={onUpdatePhoto}
+        />
+      )}
+
       {/* NAVIGATION CONTROLS */}
       <div className="gallery-controls">
         {/* Previous Button */}
@@ -137,7 +356,7 @@ function GalleryView({
         <div className="action-buttons">
           {/* Like Button */}
           <button
-            onClick={() => onLike(currentPhoto.id)}
+            onClick={(e) => onLike(currentPhoto.id, getEventOrigin(e))}
             className="btn btn-action btn-like"
             aria-label="Like photo">
             ❤️ Like
@@ -164,7 +383,8 @@ function GalleryView({
 
       {/* HELPER TEXT */}
       <p className="swipe-hint">
-        👆 Swipe left/right to navigate • Swipe up for surprise 😏
+        👆 Swipe left/right to navigate • Swipe up for surprise 😏 •
+        Pinch or double-tap to zoom • Hold to like ❤️
       </p>
     </div>
   );
@@ -208,6 +428,10 @@ export default GalleryView;
  *    - Prevents default image drag behavior
  *    - Better UX for gallery
  *
+ *    Blurred placeholder (uploaded photos)
+ *    - A tiny copy as background-image shows at once
+ *    - width/height let the browser reserve the space
+ *
  * 5. ARRAY LENGTH CHECKS:
  *    if (!photos || photos.length === 0)
  *    - Always validate arrays before .map or indexing
@@ -218,6 +442,9 @@ export default GalleryView;
  *    - Handle edge cases first
  *    - Main logic assumes happy path
  *    - Cleaner than nested conditions
+ *    - Call every hook BEFORE it: React matches hooks by call order,
+ *      so deleting the last photo would otherwise throw "Rendered
+ *      fewer hooks than expected"
  *
  * 7. INDEX-BASED NAVIGATION:
  *    currentIndex + 1 (for display)
@@ -225,22 +452,32 @@ export default GalleryView;
  *    - Users expect 1-based counting
  *    - Convert for UI display
  *
- * 8. DOUBLE CLICK/TAP:
- *    onDoubleClick={handler}
- *    - Works on desktop & mobile
- *    - For mobile: consider custom implementation
- *    - Track time between taps
+ * 8. DOUBLE TAP:
+ *    onDoubleClick never fires on phones, so useGestures times the
+ *    taps itself (two taps, close together, within 300ms)
  *
- * 9. TOUCH EVENTS VS MOUSE:
- *    Mobile: touchstart, touchmove, touchend
- *    Desktop: mousedown, mousemove, mouseup
- *    Use custom hook to abstract differences
+ * 9. POINTER EVENTS:
+ *    One set of handlers for touch, mouse & pen (useGestures)
+ *    - .photo-container has touch-action: none so the browser
+ *      doesn't scroll instead of swiping
  *
  * 10. PERFORMANCE TIP:
  *     Use React.memo() for photo components
  *     Only re-render when props change
  *     Especially important for large galleries
  *
+ * 11. EDITING IN PLACE:
+ *     editingId === currentPhoto.id
+ *     - Store WHICH photo is being edited, not just "editing"
+ *     - Swiping away ends the edit without extra code
+ *     - stopPropagation on pointerdown keeps presses in the form
+ *       from reaching the gesture handlers on .photo-container
+ *
+ * 12. ONE ELEMENT, TWO HOOKS:
+ *     useGestures handles one finger (swipe, tap, pan), usePinchZoom
+ *     the second one - combineHandlers runs both for every event.
+ *     While zoomed in, the swipe callbacks are simply not passed
+ *
  * ============================================
  *
  * CSS CLASSES TO STYLE:
@@ -248,9 +485,17 @@ export default GalleryView;
  * - .gallery-view.empty: Empty state
  * - .gallery-header: Top bar
  * - .photo-counter: Photo number display
+ * - .header-actions: Slideshow, grid, upload & favorite buttons
  * - .photo-container: Photo wrapper
- * - .gallery-photo: Main image
+ * - .zoom-frame: Clips the zoomed photo (.dragging while following a
+ *   finger)
+ * - .gallery-photo: Main image (.blurred after panic, .zooming while
+ *   a finger or momentum moves it)
+ * - .zoom-reset: "⤢ 2.5×" button, back to the whole photo
+ * - .blur-cover: "Tap to show" button over a blurred photo
  * - .photo-caption: Caption overlay
+ * - .caption-edit: ✏️ button in the caption
+ * - .caption-form: Caption overlay while editing
  * - .like-badge: Like counter badge
  * - .gallery-controls: Bottom controls
  * - .btn-nav: Navigation arrows
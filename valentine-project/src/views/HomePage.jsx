@@ -5,31 +5,102 @@
 // RESPONSIBILITY: Display ONLY (no business logic)
 // ============================================
 
-import React from "react";
-import { getRandomMessage } from "../models/NaughtyMessages.js";
+import React, { useMemo, useState } from "react";
+import { getGreeting } from "../models/NaughtyMessages.js";
+import { loadMessagePackFromFile } from "../models/MessagePacks.js";
+import { personalize, getDaysTogether } from "../models/Personalization.js";
+import SafeModePanel from "./SafeModePanel.jsx";
+import SealedMessages from "./SealedMessages.jsx";
+import TimeLockPanel from "./TimeLockPanel.jsx";
 
 /**
  * HomePage Component
  *
  * PROPS:
  * @param {Function} onStart - Callback when "Start" button clicked
+ * @param {Function} onOpenSetup - Open the personalization wizard
+ * @param {Function} onOpenTrophies - Open the trophy page
+ * @param {Function} onOpenTimeline - Open the "our story" timeline
+ * @param {Function} onOpenCalendar - Open the advent calendar
+ * @param {Function} onOpenLetters - Open the love letters
+ * @param {Profile} profile - Names & anniversary for templating
  * @param {number} naughtyLevel - Current playfulness level
  * @param {number} heartClicks - Total heart clicks
+ * @param {Array} packs - Available message packs
+ * @param {string} activePackId - Pack currently in use
+ * @param {Function} onChangePack - Switch pack by id
+ * @param {Function} onImportPack - Add a parsed pack, returns list of errors
+ * @param {SafeModeSettings} safeMode - Safe mode settings
+ * @param {Function} onEnableSafeMode - (maxTier, pin) => boolean
+ * @param {Function} onDisableSafeMode - (pin) => boolean
+ * @param {TimedMessage[]} timedMessages - Sealed messages
+ * @param {Object} viewLocks - Locked view name → unlockAt
+ * @param {number} now - Current time (ms) for time locks
+ * @param {Clock} clock - Ticks the countdowns
+ * @param {Function} onAddTimedMessage - ({title, text, unlockAt}) =>
+ *   TimedMessage|null
+ * @param {Function} onRemoveTimedMessage - (messageId) => void
+ * @param {Function} onSetViewLock - (view, unlockAt) => boolean
  *
  * VIEW PRINCIPLES:
  * - Receives data via props (doesn't manage its own state)
  * - Calls callbacks for user actions (doesn't handle logic)
  * - Pure presentation - focuses on WHAT to show, not HOW to update
  */
-function HomePage({ onStart, naughtyLevel = 0, heartClicks = 0 }) {
+function HomePage({
+  onStart,
+  onOpenSetup,
+  onOpenTrophies,
+  onOpenTimeline,
+  onOpenCalendar,
+  onOpenLetters,
+  profile,
+  naughtyLevel = 0,
+  heartClicks = 0,
+  packs = [],
+  activePackId,
+  onChangePack,
+  onImportPack,
+  safeMode,
+  onEnableSafeMode,
+  onDisableSafeMode,
+  timedMessages = [],
+  viewLocks,
+  now,
+  clock,
+  onAddTimedMessage,
+  onRemoveTimedMessage,
+  onSetViewLock,
+}) {
+  // ===== LOCAL STATE =====
+  const [packError, setPackError] = useState(null);
+
   // ===== DERIVED DATA (LOCAL CALCULATIONS) =====
   // It's OK to compute display values from props
-  const message = getRandomMessage([
-    "Ready for some naughty fun? 😈",
-    "Let's make this Valentine's special 💕",
-    "I made something playful for you 😏",
-    "Click if you're ready to get spicy 🌶️",
-  ]);
+  // One greeting per visit (and per pack), not a new one every render
+  const greeting = useMemo(() => getGreeting(), [activePackId]);
+  const message = personalize(greeting, profile); // From the active pack
+  const recipientName = personalize("{name}", profile); // Falls back to "Beautiful"
+  const daysTogether = getDaysTogether(profile?.anniversary);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Read a .json message pack picked by the user
+   */
+  const handleImportPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow re-picking the same file after fixing it
+    if (!file) return;
+
+    try {
+      const pack = await loadMessagePackFromFile(file);
+      const errors = onImportPack(pack);
+      setPackError(errors.length > 0 ? errors.join("\n") : null);
+    } catch (error) {
+      setPackError(error.message);
+    }
+  };
 
   // ===== RENDER =====
   return (
@@ -47,12 +118,17 @@ function HomePage({ onStart, naughtyLevel = 0, heartClicks = 0 }) {
         <h1 className="title">
           Happy Valentine's Day,
           <br />
-          <span className="highlight">Beautiful</span> 💖
+          <span className="highlight">{recipientName}</span> 💖
         </h1>
 
         {/* Playful Message */}
         <p className="subtitle">{message}</p>
 
+        {/* Days Together (if an anniversary was set) */}
+        {daysTogether !== null && (
+          <p className="days-together">💞 {daysTogether} days together</p>
+        )}
+
         {/* Stats Display (if user has been here before) */}
         {heartClicks > 0 && (
           <div className="stats">
@@ -73,8 +149,104 @@ function HomePage({ onStart, naughtyLevel = 0, heartClicks = 0 }) {
 
         {/* Secondary Message */}
         <p className="hint">Tap to see what I made for you...</p>
+
+        {onOpenSetup && (
+          <button onClick={onOpenSetup} className="btn btn-ghost">
+            ✏️ Personalize
+          </button>
+        )}
+
+        {onOpenTrophies && (
+          <button onClick={onOpenTrophies} className="btn btn-ghost">
+            🏆 Trophies
+          </button>
+        )}
+
+        {onOpenTimeline && (
+          <button onClick={onOpenTimeline} className="btn btn-ghost">
+            📖 Our Story
+          </button>
+        )}
+
+        {onOpenCalendar && (
+          <button onClick={onOpenCalendar} className="btn btn-ghost">
+            🗓️ Advent Calendar
+          </button>
+        )}
+
+        {onOpenLetters && (
+          <button onClick={onOpenLetters} className="btn btn-ghost">
+            💌 Love Letters
+          </button>
+        )}
       </div>
 
+      {/* SEALED MESSAGES (countdown until they open) */}
+      <SealedMessages
+        messages={timedMessages}
+        profile={profile}
+        now={now}
+        clock={clock}
+      />
+
+      {/* MESSAGE PACK PICKER */}
+      {onChangePack && (
+        <div className="pack-picker">
+          <label htmlFor="pack-select" className="hint">
+            Message style
+          </label>
+          <select
+            id="pack-select"
+            value={activePackId}
+            onChange={(e) => onChangePack(e.target.value)}
+            className="pack-select">
+            {packs.map((pack) => (
+              <option key={pack.id} value={pack.id}>
+                {pack.name}
+              </option>
+            ))}
+          </select>
+
+          <label className="btn btn-ghost pack-import">
+            📥 Import pack
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportPack}
+              className="visually-hidden"
+            />
+          </label>
+
+          {packError && (
+            <p className="pack-error" role="alert">
+              ⚠️ {packError}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* SAFE MODE */}
+      {safeMode && (
+        <SafeModePanel
+          safeMode={safeMode}
+          onEnable={onEnableSafeMode}
+          onDisable={onDisableSafeMode}
+        />
+      )}
+
+      {/* TIME LOCKS */}
+      {onAddTimedMessage && (
+        <TimeLockPanel
+          timedMessages={timedMessages}
+          viewLocks={viewLocks}
+          profile={profile}
+          now={now}
+          onAddMessage={onAddTimedMessage}
+          onRemoveMessage={onRemoveTimedMessage}
+          onSetViewLock={onSetViewLock}
+        />
+      )}
+
       {/* DECORATIVE ELEMENTS */}
       <div className="floating-hearts" aria-hidden="true">
         <span className="floating-heart">💕</span>
@@ -141,6 +313,7 @@ export default HomePage;
  * - .title: Main heading
  * - .highlight: Highlighted text
  * - .subtitle: Secondary text
+ * - .days-together: Anniversary counter
  * - .stats: Stats display container
  * - .stat-item: Individual stat
  * - .cta-section: Call-to-action area
@@ -148,6 +321,10 @@ export default HomePage;
  * - .btn-primary: Primary button variant
  * - .pulse: Animation class
  * - .hint: Helper text
+ * - .pack-picker: Message pack selector area
+ * - .pack-select: Pack dropdown
+ * - .pack-import: Import pack button
+ * - .pack-error: Import validation errors
  * - .floating-hearts: Background decoration
  * - .floating-heart: Individual floating heart
  *
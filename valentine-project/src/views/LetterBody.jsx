@@ -0,0 +1,57 @@
+// ============================================
+// VIEW: LetterBody.jsx
+// ============================================
+// PURPOSE: Show formatted letter text (bold, italics, line breaks)
+// USED BY: LetterReaderView (typewriter), LetterComposer (preview)
+// ============================================
+
+import React from "react";
+
+/**
+ * LetterBody Component
+ *
+ * PROPS:
+ * @param {LetterSegment[]} segments - From parseLetter / sliceLetter
+ * @param {React.ReactNode} [children] - Shown after the text (caret)
+ */
+function LetterBody({ segments, children }) {
+  return (
+    <div className="letter-body">
+      {segments.map((segment, index) => {
+        if (segment.text === "\n") return <br key={index} />;
+
+        let content = segment.text;
+        if (segment.italic) content = <em>{content}</em>;
+        if (segment.bold) content = <strong>{content}</strong>;
+        return <React.Fragment key={index}>{content}</React.Fragment>;
+      })}
+      {children}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default LetterBody;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. NO dangerouslySetInnerHTML:
+ *    The letter is turned into segments, and each one into React
+ *    elements - so typed "<script>" shows up as text, never as HTML
+ *
+ * 2. INDEX KEYS ARE FINE HERE:
+ *    Segments only grow at the end (typewriter) or are rebuilt whole
+ *    (preview), so positions never shift
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .letter-body: The text (handwriting-style font, comfy spacing)
+ *
+ * ============================================
+ */
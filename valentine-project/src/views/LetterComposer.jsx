@@ -0,0 +1,318 @@
+// ============================================
+// VIEW: LetterComposer.jsx
+// ============================================
+// PURPOSE: Write (or edit) a love letter
+// FEATURES: Bold/italic buttons (Ctrl+B / Ctrl+I), emoji row,
+//           autosaved draft, preview, envelope intro switch
+// USED BY: LettersView.jsx
+// ============================================
+
+import React, { useEffect, useRef, useState } from "react";
+import { LETTER_EMOJI, LetterLimits, parseLetter } from "../models/Letters.js";
+import { personalize } from "../models/Personalization.js";
+import LetterBody from "./LetterBody.jsx";
+
+// Wait this long after the last key press before autosaving (ms)
+const AUTOSAVE_DELAY = 800;
+
+/**
+ * LetterComposer Component
+ *
+ * PROPS:
+ * @param {LetterDraft} draft - Saved draft (starting point)
+ * @param {Profile} profile - Fills {name} etc. in the preview
+ * @param {Function} onSaveDraft - ({title, body, envelope}) => boolean
+ * @param {Function} onPublish - () => Letter|null (saves the draft)
+ * @param {Function} onDiscard - Throw the draft away
+ */
+function LetterComposer({
+  draft,
+  profile,
+  onSaveDraft,
+  onPublish,
+  onDiscard,
+}) {
+  const textareaRef = useRef(null);
+
+  // ===== LOCAL STATE =====
+  // Typed text lives here; the store gets it on autosave
+  const [title, setTitle] = useState(draft.title);
+  const [body, setBody] = useState(draft.body);
+  const [envelope, setEnvelope] = useState(draft.envelope);
+  const [showPreview, setShowPreview] = useState(false);
+  const [isConfirmingDiscard, setIsConfirmingDiscard] = useState(false);
+  const [error, setError] = useState(null);
+
+  const hasUnsavedChanges =
+    title !== draft.title ||
+    body !== draft.body ||
+    envelope !== draft.envelope;
+
+  // Latest values for the unmount cleanup below
+  const latest = useRef(null);
+  latest.current = { title, body, envelope, hasUnsavedChanges };
+  const isClosing = useRef(false); // Published/discarded: nothing to save
+
+  // ===== EFFECTS =====
+
+  /**
+   * Autosave once typing pauses
+   */
+  useEffect(() => {
+    if (!hasUnsavedChanges) return;
+
+    const timeoutId = setTimeout(
+      () => onSaveDraft({ title, body, envelope }),
+      AUTOSAVE_DELAY,
+    );
+    return () => clearTimeout(timeoutId);
+  }, [title, body, envelope]);
+
+  /**
+   * Leaving the page before the autosave fired: save right away
+   */
+  useEffect(
+    () => () => {
+      const { hasUnsavedChanges: isDirty, ...fields } = latest.current;
+      if (isDirty && !isClosing.current) onSaveDraft(fields);
+    },
+    [],
+  );
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Put text at the cursor (replacing any selection), then select
+   * part of it
+   * @param {string} before - Goes before the selection
+   * @param {string} after - Goes after it
+   * @param {string} [fallback] - Used when nothing is selected
+   */
+  const insertAroundSelection = (before, after, fallback = "") => {
+    const textarea = textareaRef.current;
+    const { selectionStart: start, selectionEnd: end } = textarea;
+    const selected = body.slice(start, end) || fallback;
+    const next =
+      body.slice(0, start) + before + selected + after + body.slice(end);
+    if (next.length > LetterLimits.bodyMaxLength) return;
+
+    setBody(next);
+    setError(null);
+
+    // After React has rendered the new text
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(
+        start + before.length,
+        start + before.length + selected.length,
+      );
+    });
+  };
+
+  const handleBold = () => insertAroundSelection("**", "**", "bold");
+  const handleItalic = () => insertAroundSelection("*", "*", "italics");
+  const handleEmoji = (emoji) => insertAroundSelection(emoji, "");
+
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === "b") {
+      e.preventDefault();
+      handleBold();
+    } else if (key === "i") {
+      e.preventDefault();
+      handleItalic();
+    }
+  };
+
+  const handlePublish = () => {
+    onSaveDraft({ title, body, envelope }); // Whatever wasn't autosaved
+    isClosing.current = true;
+    if (!onPublish()) {
+      isClosing.current = false;
+      setError("Give your letter a title and write something first");
+    }
+  };
+
+  const handleDiscard = () => {
+    if (!isConfirmingDiscard) {
+      setIsConfirmingDiscard(true);
+      return;
+    }
+    isClosing.current = true;
+    onDiscard();
+  };
+
+  // ===== RENDER HELPERS =====
+
+  const renderStatus = () => {
+    if (hasUnsavedChanges) return "Saving draft…";
+    if (!draft.savedAt) return "";
+    const time = new Date(draft.savedAt).toLocaleTimeString(undefined, {
+      timeStyle: "short",
+    });
+    return `Draft saved ${time} ✓`;
+  };
+
+  // ===== RENDER =====
+  return (
+    <section className="letter-composer">
+      <h3>{draft.letterId ? "✏️ Edit letter" : "✍️ New letter"}</h3>
+
+      <label className="wizard-field">
+        Title
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => {
+            setTitle(e.target.value);
+            setError(null);
+          }}
+          maxLength={LetterLimits.titleMaxLength}
+          placeholder="My dearest {name}"
+        />
+      </label>
+
+      {/* TOOLBAR */}
+      <div className="letter-toolbar" role="toolbar" aria-label="Formatting">
+        <button
+          type="button"
+          onClick={handleBold}
+          disabled={showPreview}
+          className="btn btn-ghost"
+          aria-label="Bold (Ctrl+B)">
+          <strong>B</strong>
+        </button>
+        <button
+          type="button"
+          onClick={handleItalic}
+          disabled={showPreview}
+          className="btn btn-ghost"
+          aria-label="Italics (Ctrl+I)">
+          <em>I</em>
+        </button>
+        {Object.entries(LETTER_EMOJI).map(([name, emoji]) => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => handleEmoji(emoji)}
+            disabled={showPreview}
+            className="btn btn-ghost letter-emoji"
+            aria-label={`Insert ${name} emoji`}>
+            {emoji}
+          </button>
+        ))}
+      </div>
+
+      {showPreview ? (
+        <div className="letter-preview">
+          <LetterBody segments={parseLetter(personalize(body, profile))} />
+        </div>
+      ) : (
+        <textarea
+          ref={textareaRef}
+          className="letter-textarea"
+          value={body}
+          onChange={(e) => {
+            setBody(e.target.value);
+            setError(null);
+          }}
+          onKeyDown={handleKeyDown}
+          maxLength={LetterLimits.bodyMaxLength}
+          rows={12}
+          aria-label="Letter"
+          placeholder={
+            "Dear {name},\n\nWrite from the heart… **bold**, *italics* " +
+            "and :heart: all work"
+          }
+        />
+      )}
+
+      <p className="hint letter-status" aria-live="polite">
+        {renderStatus()} · {body.length}/{LetterLimits.bodyMaxLength}
+      </p>
+
+      <label className="letter-envelope-option">
+        <input
+          type="checkbox"
+          checked={envelope}
+          onChange={(e) => setEnvelope(e.target.checked)}
+        />
+        Open with an envelope 💌
+      </label>
+
+      {error && (
+        <p className="pack-error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {/* ACTIONS */}
+      <div className="letter-actions">
+        <button
+          type="button"
+          onClick={() => setShowPreview(!showPreview)}
+          className="btn btn-ghost"
+          aria-pressed={showPreview}>
+          {showPreview ? "✏️ Keep writing" : "👀 Preview"}
+        </button>
+        <button
+          type="button"
+          onClick={handleDiscard}
+          className="btn btn-ghost">
+          {isConfirmingDiscard ? "Really discard?" : "🗑 Discard"}
+        </button>
+        <button
+          type="button"
+          onClick={handlePublish}
+          className="btn btn-primary">
+          💌 Save letter
+        </button>
+      </div>
+    </section>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default LetterComposer;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DEBOUNCED AUTOSAVE:
+ *    Every key press restarts the timer (the effect's cleanup clears
+ *    the old one) - the draft is saved once typing pauses, not on
+ *    every letter
+ *
+ * 2. SAVING ON UNMOUNT:
+ *    An effect with [] runs its cleanup when the component goes away
+ *    - The ref holds the latest text (the cleanup's own variables
+ *      are from the first render)
+ *
+ * 3. TEXTAREA SELECTION:
+ *    selectionStart/selectionEnd say what's selected; after changing
+ *    the text, setSelectionRange puts the selection back (in a
+ *    requestAnimationFrame, once React has updated the textarea)
+ *
+ * 4. TWO-STEP DISCARD:
+ *    The first click only asks "Really discard?" - cheaper than a
+ *    modal and impossible to hit twice by accident
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .letter-composer: Composer card
+ * - .letter-toolbar: Bold, italics & emoji buttons
+ * - .letter-emoji: One emoji button
+ * - .letter-textarea: Where the letter is typed
+ * - .letter-preview: Formatted preview (replaces the textarea)
+ * - .letter-status: Autosave status & length
+ * - .letter-envelope-option: Envelope intro checkbox
+ * - .letter-actions: Preview / discard / save buttons
+ *
+ * ============================================
+ */
@@ -0,0 +1,193 @@
+// ============================================
+// VIEW: LetterReaderView.jsx
+// ============================================
+// PURPOSE: Read a love letter - optionally out of an envelope, then
+//          typed out like a typewriter
+// FEATURES: Envelope opening animation, skip, replay
+// ============================================
+
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  getLetterCharacters,
+  parseLetter,
+  sliceLetter,
+} from "../models/Letters.js";
+import { personalize } from "../models/Personalization.js";
+import useTypewriter from "../hooks/useTypewriter.js";
+import LetterBody from "./LetterBody.jsx";
+
+// Matches the envelope animation in the CSS (ms)
+const ENVELOPE_OPEN_TIME = 900;
+
+/**
+ * LetterReaderView Component
+ *
+ * PROPS:
+ * @param {Letter|null} letter - Letter to read (null = not found)
+ * @param {Profile} profile - Fills {name} etc.
+ * @param {Function} [onEdit] - (letterId) => void
+ * @param {Function} onClose - Go back
+ */
+function LetterReaderView({ letter, profile, onEdit, onClose }) {
+  // ===== LOCAL STATE =====
+  // "envelope" → "opening" → "reading"
+  const [phase, setPhase] = useState(() =>
+    letter?.envelope ? "envelope" : "reading",
+  );
+
+  const segments = useMemo(
+    () => (letter ? parseLetter(personalize(letter.body, profile)) : []),
+    [letter, profile],
+  );
+  const characters = useMemo(
+    () => getLetterCharacters(segments),
+    [segments],
+  );
+  const { count, isDone, skip, restart } = useTypewriter(
+    characters,
+    phase === "reading",
+  );
+
+  // ===== EFFECTS =====
+
+  /**
+   * Start reading once the envelope animation has played
+   */
+  useEffect(() => {
+    if (phase !== "opening") return;
+
+    const timeoutId = setTimeout(
+      () => setPhase("reading"),
+      ENVELOPE_OPEN_TIME,
+    );
+    return () => clearTimeout(timeoutId);
+  }, [phase]);
+
+  // ===== RENDER HELPERS =====
+
+  const renderHeader = () => (
+    <header className="gallery-header">
+      <button
+        onClick={onClose}
+        className="btn btn-ghost"
+        aria-label="Go back">
+        ← Back
+      </button>
+      <span />
+      {letter && onEdit ? (
+        <button
+          onClick={() => onEdit(letter.id)}
+          className="btn btn-ghost">
+          ✏️ Edit
+        </button>
+      ) : (
+        <span />
+      )}
+    </header>
+  );
+
+  // ===== RENDER =====
+  if (!letter) {
+    return (
+      <div className="letter-reader">
+        {renderHeader()}
+        <p className="hint">This letter can't be found 💔</p>
+      </div>
+    );
+  }
+
+  if (phase !== "reading") {
+    return (
+      <div className="letter-reader">
+        {renderHeader()}
+        <button
+          onClick={() => setPhase("opening")}
+          disabled={phase === "opening"}
+          className={`letter-envelope ${
+            phase === "opening" ? "opening" : ""
+          }`}
+          aria-label={`Open the letter "${letter.title}"`}>
+          <span className="letter-envelope-flap" aria-hidden="true" />
+          <span className="letter-envelope-seal" aria-hidden="true">
+            ❤️
+          </span>
+          <span className="hint">Tap to open</span>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="letter-reader">
+      {renderHeader()}
+
+      <article className="letter-paper">
+        <h2 className="letter-paper-title">
+          {personalize(letter.title, profile)}
+        </h2>
+
+        {/* Screen readers get the whole letter at once... */}
+        <div className="visually-hidden">
+          <LetterBody segments={segments} />
+        </div>
+
+        {/* ...the typing is just for the eyes */}
+        <div aria-hidden="true">
+          <LetterBody segments={sliceLetter(segments, count)}>
+            {!isDone && <span className="letter-caret" />}
+          </LetterBody>
+        </div>
+      </article>
+
+      <div className="letter-actions">
+        {isDone ? (
+          <button onClick={restart} className="btn btn-ghost">
+            ↺ Replay
+          </button>
+        ) : (
+          <button onClick={skip} className="btn btn-ghost">
+            ⏭ Skip
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default LetterReaderView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. A SMALL STATE MACHINE:
+ *    phase is one of three names instead of several booleans
+ *    (isOpen, isAnimating...) that could contradict each other
+ *
+ * 2. useMemo FOR THE PARSED LETTER:
+ *    The typewriter re-renders dozens of times a second; parsing
+ *    happens once per letter, not once per character
+ *
+ * 3. ANIMATION vs ACCESSIBILITY:
+ *    The typed copy is aria-hidden and a visually hidden copy holds
+ *    the full text - screen readers don't hear it letter by letter
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .letter-reader: Page container
+ * - .letter-envelope: Envelope button (.opening while it animates)
+ * - .letter-envelope-flap: Triangle flap that folds open
+ * - .letter-envelope-seal: Heart seal
+ * - .letter-paper: The letter sheet
+ * - .letter-paper-title: Its title
+ * - .letter-caret: Blinking typing cursor
+ * - .letter-actions: Skip / replay
+ * - .visually-hidden: Read by screen readers, not shown
+ *
+ * ============================================
+ */
@@ -0,0 +1,165 @@
+// ============================================
+// VIEW: LettersView.jsx
+// ============================================
+// PURPOSE: List of love letters + the composer
+// FEATURES: Write a new letter, edit or delete one, open one in the
+//           reader; an unfinished draft opens straight in the composer
+// ============================================
+
+import React from "react";
+import { getLetterPreview } from "../models/Letters.js";
+import {
+  formatLocalDate,
+  toLocalDateString,
+} from "../models/Personalization.js";
+import LetterComposer from "./LetterComposer.jsx";
+
+/**
+ * LettersView Component
+ *
+ * PROPS:
+ * @param {Letter[]} letters - Saved letters
+ * @param {LetterDraft|null} draft - Letter being written, if any
+ * @param {Profile} profile - Fills {name} etc. in the preview
+ * @param {Function} onStartLetter - (letterId?) => boolean
+ * @param {Function} onSaveDraft - ({title, body, envelope}) => boolean
+ * @param {Function} onPublish - () => Letter|null
+ * @param {Function} onDiscardDraft - Throw the draft away
+ * @param {Function} onOpenLetter - (letterId) => void
+ * @param {Function} onDeleteLetter - (letterId) => void
+ * @param {Function} onClose - Go back
+ */
+function LettersView({
+  letters,
+  draft,
+  profile,
+  onStartLetter,
+  onSaveDraft,
+  onPublish,
+  onDiscardDraft,
+  onOpenLetter,
+  onDeleteLetter,
+  onClose,
+}) {
+  // Newest (or most recently edited) first
+  const sortedLetters = [...letters].sort(
+    (a, b) => b.updatedAt - a.updatedAt,
+  );
+
+  // ===== RENDER =====
+  return (
+    <div className="letters-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2>💌 Love Letters</h2>
+        <span />
+      </header>
+
+      {/* COMPOSER (or the button that opens it) */}
+      {draft ? (
+        <LetterComposer
+          key={draft.letterId ?? "new"}
+          draft={draft}
+          profile={profile}
+          onSaveDraft={onSaveDraft}
+          onPublish={onPublish}
+          onDiscard={onDiscardDraft}
+        />
+      ) : (
+        <button
+          onClick={() => onStartLetter()}
+          className="btn btn-primary">
+          ✍️ Write a letter
+        </button>
+      )}
+
+      {/* SAVED LETTERS */}
+      {sortedLetters.length === 0 ? (
+        !draft && (
+          <p className="hint">
+            No letters yet - write the first one 💕
+          </p>
+        )
+      ) : (
+        <ul className="letter-list">
+          {sortedLetters.map((letter) => (
+            <li key={letter.id} className="letter-item">
+              <button
+                onClick={() => onOpenLetter(letter.id)}
+                className="letter-open">
+                <span className="letter-title">
+                  {letter.envelope ? "💌" : "📝"} {letter.title}
+                </span>
+                <span className="letter-date">
+                  {formatLocalDate(
+                    toLocalDateString(new Date(letter.updatedAt)),
+                  )}
+                </span>
+                <span className="letter-preview-text">
+                  {getLetterPreview(letter.body)}
+                </span>
+              </button>
+              <button
+                onClick={() => onStartLetter(letter.id)}
+                disabled={Boolean(draft)}
+                className="btn btn-ghost"
+                aria-label={`Edit "${letter.title}"`}
+                title={draft ? "Finish the open draft first" : undefined}>
+                ✏️
+              </button>
+              <button
+                onClick={() => onDeleteLetter(letter.id)}
+                className="btn btn-ghost"
+                aria-label={`Delete "${letter.title}"`}>
+                🗑
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default LettersView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. THE DRAFT LIVES IN THE STORE:
+ *    The view just asks "is there a draft?" - so after a refresh (or
+ *    leaving and coming back) the composer reopens where it stopped
+ *
+ * 2. key RESETS THE COMPOSER:
+ *    A different key means a brand-new component, so its local
+ *    state starts again from the new draft instead of the old text
+ *
+ * 3. COPY BEFORE SORTING:
+ *    sort() changes the array in place - [...letters] keeps the
+ *    store's array untouched
+ *
+ * 4. DELETE IS UNDOABLE:
+ *    No "are you sure?" here - the undo bar can bring it back
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .letters-view: Page container
+ * - .letter-list: Saved letters
+ * - .letter-item: One row (open button + edit + delete)
+ * - .letter-open: The big clickable part
+ * - .letter-title / .letter-date / .letter-preview-text: Its lines
+ *
+ * ============================================
+ */
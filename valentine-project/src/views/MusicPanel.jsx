@@ -0,0 +1,198 @@
+// ============================================
+// VIEW: MusicPanel.jsx
+// ============================================
+// PURPOSE: Floating mute switch + the background music playlist
+// FEATURES: Pick bundled/uploaded tracks, upload songs, delete uploads
+// Playback itself: hooks/useAudioManager.js
+// ============================================
+
+import React, { useState } from "react";
+import {
+  AudioUploadLimits,
+  isAudioFile,
+  isUploadedTrack,
+  isWithinAudioLimit,
+} from "../models/Audio.js";
+
+/**
+ * MusicPanel Component
+ *
+ * PROPS:
+ * @param {AudioSettings} audio - {muted, playlist}
+ * @param {Track[]} tracks - Every track, bundled first (selectTracks)
+ * @param {Function} onToggleMute
+ * @param {Function} onChangePlaylist - (trackIds) => void
+ * @param {Function} onAddTrack - ({title, url}) => Track|null
+ * @param {Function} onRemoveTrack - (trackId) => void
+ */
+function MusicPanel({
+  audio,
+  tracks,
+  onToggleMute,
+  onChangePlaylist,
+  onAddTrack,
+  onRemoveTrack,
+}) {
+  // ===== LOCAL STATE =====
+  const [isOpen, setIsOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  const uploadCount = tracks.filter(isUploadedTrack).length;
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Tick = add to the end of the playlist, untick = take it out
+   * @param {string} trackId
+   */
+  const handleToggleTrack = (trackId) => {
+    onChangePlaylist(
+      audio.playlist.includes(trackId)
+        ? audio.playlist.filter((id) => id !== trackId)
+        : [...audio.playlist, trackId],
+    );
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Picking the same file again still fires
+    if (!file) return;
+
+    if (!isAudioFile(file)) {
+      setError("Not a supported song (use MP3, M4A, OGG or WAV)");
+    } else if (!isWithinAudioLimit(file)) {
+      const maxMb = AudioUploadLimits.maxFileSize / 1024 / 1024;
+      setError(`Too big (max ${maxMb}MB)`);
+    } else {
+      // The Blob URL is saved to IndexedDB with the rest of the state
+      const url = URL.createObjectURL(file);
+      const track = onAddTrack({ title: file.name, url });
+      if (!track) URL.revokeObjectURL(url);
+      setError(track ? null : "This song couldn't be added");
+    }
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="music-panel">
+      <div className="music-buttons">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className={`btn btn-ghost ${isOpen ? "active" : ""}`}
+          aria-expanded={isOpen}
+          aria-label="Music playlist">
+          🎵
+        </button>
+        <button
+          onClick={onToggleMute}
+          className="btn btn-ghost"
+          aria-pressed={audio.muted}
+          aria-label="Mute sound">
+          {audio.muted ? "🔇" : "🔊"}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="music-playlist fade-in">
+          <h3>Background music</h3>
+
+          {tracks.length === 0 ? (
+            <p className="music-empty">No songs yet - add one below</p>
+          ) : (
+            <ul>
+              {tracks.map((track) => {
+                const position = audio.playlist.indexOf(track.id);
+                return (
+                  <li key={track.id} className="music-track">
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={position !== -1}
+                        onChange={() => handleToggleTrack(track.id)}
+                      />
+                      <span className="music-track-title">
+                        {track.title}
+                      </span>
+                      {position !== -1 && (
+                        <span className="music-track-position">
+                          #{position + 1}
+                        </span>
+                      )}
+                    </label>
+                    {isUploadedTrack(track) && (
+                      <button
+                        onClick={() => onRemoveTrack(track.id)}
+                        className="btn btn-ghost"
+                        aria-label={`Delete ${track.title}`}>
+                        🗑
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {uploadCount < AudioUploadLimits.maxTracks && (
+            <label className="btn btn-secondary music-upload">
+              ➕ Add a song
+              <input
+                type="file"
+                accept={AudioUploadLimits.acceptedTypes.join(",")}
+                onChange={handleFileChange}
+                hidden
+              />
+            </label>
+          )}
+
+          {error && (
+            <p className="music-error" role="alert">
+              ⚠️ {error}
+            </p>
+          )}
+
+          {audio.muted && (
+            <p className="music-hint">Sound is off - tap 🔇 to hear it</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default MusicPanel;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. OBJECT URLS:
+ *    URL.createObjectURL(file) gives a "blob:" URL for a picked file
+ *    - No copying into a huge base64 string like data: URLs
+ *    - Revoke it if nothing ends up using it
+ *
+ * 2. RESETTING A FILE INPUT:
+ *    e.target.value = "" lets the same file be picked twice
+ *    (otherwise onChange doesn't fire the second time)
+ *
+ * 3. TOGGLE BUTTONS & ARIA:
+ *    aria-pressed tells screen readers the mute button is on/off
+ *    aria-expanded tells them the playlist is open/closed
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .music-panel: Floating corner container (top left)
+ * - .music-buttons: Playlist + mute buttons
+ * - .music-playlist: Pop-over with the track list
+ * - .music-track: One row (checkbox, title, position, delete)
+ * - .music-track-title / .music-track-position: Row parts
+ * - .music-upload: "Add a song" button (wraps the file input)
+ * - .music-empty / .music-error / .music-hint: Messages
+ *
+ * ============================================
+ */
@@ -7,19 +7,29 @@
 
 import React, { useState, useEffect } from "react";
 import {
-  getMessageByLevel,
   getRandomEmoji,
-  naughtyQuestions,
+  getNextQuestion,
+  getQuizzes,
+  getAnswerResponse,
 } from "../models/NaughtyMessages.js";
+import { personalize } from "../models/Personalization.js";
+import { getOptionDelta } from "../models/QuizEngine.js";
+import { getEventOrigin } from "../services/ParticleEngine.js";
 
 /**
  * NaughtyCardView Component
  *
  * PROPS:
  * @param {number} naughtyLevel - Current playfulness level (0-100)
+ * @param {string} packId - Active message pack (content reloads when it changes)
+ * @param {string} message - Naughty card on show (from state)
+ * @param {Profile} profile - Fills {name} etc. in messages
  * @param {Function} onClose - Go back to gallery
  * @param {Function} onIncreaseNaughty - Increase naughtiness
- * @param {Function} onHeartClick - Handle heart button clicks
+ * @param {Function} onReveal - Message revealed (rewarded by the controller)
+ * @param {Function} onDealMessage - Deal the next card into state
+ * @param {Function} onHeartClick - Handle heart button clicks (origin)
+ * @param {Function} onOpenQuiz - Open the multi-step quizzes
  *
  * FEATURES:
  * - Random naughty messages based on level
@@ -29,39 +39,47 @@ import {
  */
 function NaughtyCardView({
   naughtyLevel,
+  packId,
+  message,
+  profile,
   onClose,
   onIncreaseNaughty,
+  onReveal,
+  onDealMessage,
   onHeartClick,
+  onOpenQuiz,
 }) {
   // ===== LOCAL STATE =====
   // This component has its own UI state (not global app state)
-  const [currentMessage, setCurrentMessage] = useState("");
   const [isRevealed, setIsRevealed] = useState(false);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [emoji, setEmoji] = useState("💕");
+  const [drawCount, setDrawCount] = useState(0); // "Another one" presses
 
   // ===== EFFECTS =====
 
   /**
-   * Load random message on mount and level change
-   * useEffect dependencies: [naughtyLevel]
-   * Runs when naughtyLevel changes
+   * Deal a message (the controller puts it in state) & an emoji -
+   * the ONLY place that asks for them
+   * useEffect dependencies: [packId, drawCount]
+   * Runs on mount, when the pack changes and for "Another one"
+   * Not on level changes: revealing & answering raise the level, and
+   * a redraw then would use up a card nobody got to see
    */
   useEffect(() => {
-    const message = getMessageByLevel(naughtyLevel);
-    setCurrentMessage(message);
+    onDealMessage();
     setEmoji(getRandomEmoji("naughty"));
-  }, [naughtyLevel]);
+  }, [packId, drawCount]);
 
   /**
-   * Load random question on mount
+   * Deal the next question on mount (and when the pack changes)
+   * The question deck is saved, so each visit shows a different one
    */
   useEffect(() => {
-    const randomQuestion =
-      naughtyQuestions[Math.floor(Math.random() * naughtyQuestions.length)];
-    setCurrentQuestion(randomQuestion);
-  }, []);
+    setCurrentQuestion(getNextQuestion() ?? null);
+    setSelectedAnswer(null);
+  }, [packId]);
 
   // ===== EVENT HANDLERS =====
 
@@ -71,16 +89,14 @@ function NaughtyCardView({
    */
   const handleReveal = () => {
     setIsRevealed(true);
-    onIncreaseNaughty(10); // Reward for revealing
+    onReveal(); // Reward for revealing
   };
 
   /**
    * Get new random message
    */
   const handleNewMessage = () => {
-    const message = getMessageByLevel(naughtyLevel);
-    setCurrentMessage(message);
-    setEmoji(getRandomEmoji("naughty"));
+    setDrawCount((count) => count + 1); // The effect above draws
     setIsRevealed(false);
     setSelectedAnswer(null);
     onIncreaseNaughty(5);
@@ -91,15 +107,14 @@ function NaughtyCardView({
    */
   const handleAnswerSelect = (answer) => {
     setSelectedAnswer(answer);
-    onIncreaseNaughty(3);
+    onIncreaseNaughty(getOptionDelta(answer)); // Each option sets its own amount
   };
 
   /**
    * Handle heart spam clicking
    */
-  const handleHeartSpam = () => {
-    onHeartClick();
-    // Optional: Add visual feedback animation
+  const handleHeartSpam = (e) => {
+    onHeartClick(getEventOrigin(e)); // Hearts burst from the button
   };
 
   // ===== RENDER =====
@@ -144,7 +159,9 @@ function NaughtyCardView({
           ) : (
             // AFTER REVEAL
             <div className="message-content fade-in">
-              <p className="naughty-message">{currentMessage}</p>
+              <p className="naughty-message">
+                {personalize(message, profile)}
+              </p>
 
               {/* Get New Message */}
               <button onClick={handleNewMessage} className="btn btn-secondary">
@@ -157,7 +174,9 @@ function NaughtyCardView({
         {/* INTERACTIVE QUESTION */}
         {currentQuestion && isRevealed && (
           <div className="question-card fade-in">
-            <h3 className="question-text">{currentQuestion.question}</h3>
+            <h3 className="question-text">
+              {personalize(currentQuestion.question, profile)}
+            </h3>
 
             <div className="answer-options">
               {currentQuestion.options.map((option, index) => (
@@ -167,7 +186,7 @@ function NaughtyCardView({
                   className={`btn btn-option ${
                     selectedAnswer === option ? "selected" : ""
                   }`}>
-                  {option}
+                  {personalize(option.label, profile)}
                 </button>
               ))}
             </div>
@@ -175,12 +194,19 @@ function NaughtyCardView({
             {/* Response to selected answer */}
             {selectedAnswer && (
               <p className="answer-response fade-in">
-                {getAnswerResponse(selectedAnswer)}
+                {personalize(getAnswerResponse(selectedAnswer), profile)}
               </p>
             )}
           </div>
         )}
 
+        {/* QUIZ INVITE (only if the pack has quizzes) */}
+        {getQuizzes().length > 0 && (
+          <button onClick={onOpenQuiz} className="btn btn-secondary">
+            🧠 Take a Quiz
+          </button>
+        )}
+
         {/* HEART SPAM BUTTON */}
         <div className="heart-spam-section">
           <p className="spam-hint">
@@ -213,27 +239,6 @@ function getCategoryLabel(level) {
   return "🔥 EXTRA Naughty";
 }
 
-/**
- * Get response based on selected answer
- * @param {string} answer
- * @returns {string}
- */
-function getAnswerResponse(answer) {
-  const responses = {
-    // Common answers
-    "💯 You're literally it": "🥰 Aww, you're the sweetest!",
-    "♾️ More than memes": "😂 That's A LOT of love!",
-    "✅ Yes": "😘 I knew it!",
-    "🔥 FBI Watchlist": "😈 That's what I like to hear!",
-    "🌶️ Spicy Time": "🔥 Now we're talking!",
-
-    // Default
-    default: "💕 Love your answer!",
-  };
-
-  return responses[answer] || responses.default;
-}
-
 // ============================================
 // EXPORT
 // ============================================
@@ -251,7 +256,7 @@ export default NaughtyCardView;
  *    - Doesn't affect other components
  *
  *    GLOBAL (passed via props from App):
- *    - naughtyLevel, photos
+ *    - naughtyLevel, photos, message (dealt by the controller)
  *    - Multiple components need this data
  *    - Managed at top level
  *
@@ -0,0 +1,90 @@
+// ============================================
+// VIEW: NeutralView.jsx
+// ============================================
+// PURPOSE: Boring decoy screen shown after the panic shortcut
+// Looks like a plain to-do list - nothing to see here 👀
+// ============================================
+
+import React, { useEffect } from "react";
+
+// Decoy content
+const TODO_ITEMS = [
+  "Reply to emails",
+  "Buy groceries: milk, eggs, bread",
+  "Book dentist appointment",
+  "Pay electricity bill",
+  "Water the plants",
+];
+
+/**
+ * NeutralView Component
+ *
+ * PROPS:
+ * @param {Function} onExit - Go back to the app
+ */
+function NeutralView({ onExit }) {
+  // ===== EFFECTS =====
+
+  /**
+   * Swap the tab title too (it shows in the tab bar & app switcher)
+   * Restored when the screen closes
+   */
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = "To-do";
+    return () => {
+      document.title = previousTitle;
+    };
+  }, []);
+
+  // ===== RENDER =====
+  return (
+    <div className="neutral-view">
+      <h1 className="neutral-title">To-do</h1>
+
+      <ul className="neutral-list">
+        {TODO_ITEMS.map((item) => (
+          <li key={item}>
+            <label>
+              <input type="checkbox" /> {item}
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      {/* Low-key way back in */}
+      <button onClick={onExit} className="neutral-exit">
+        Done
+      </button>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default NeutralView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. SIDE EFFECTS OUTSIDE REACT:
+ *    document.title isn't part of the React tree
+ *    - Change it in useEffect
+ *    - Put the old value back in the cleanup
+ *
+ * 2. UNCONTROLLED INPUTS:
+ *    <input type="checkbox" /> without checked/onChange
+ *    - The browser keeps the value; fine for a decoy
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .neutral-view: Plain white page (no hearts!)
+ * - .neutral-title, .neutral-list
+ * - .neutral-exit: Inconspicuous "Done" button
+ *
+ * ============================================
+ */
@@ -0,0 +1,74 @@
+// ============================================
+// VIEW: ParticleCanvas.jsx
+// ============================================
+// PURPOSE: Full-screen canvas that plays queued particle effects
+// Effects are queued in state.effects by the controller
+// (controller.triggerEffect) and handed to the ParticleEngine here
+// ============================================
+
+import React, { useEffect, useRef } from "react";
+import ParticleEngine from "../services/ParticleEngine.js";
+
+/**
+ * ParticleCanvas Component
+ *
+ * PROPS:
+ * @param {Array} effects - Queued effects [{id, name, origin?}]
+ * @param {Function} onEffectsStarted - Called with the ids handed to the engine
+ */
+function ParticleCanvas({ effects, onEffectsStarted }) {
+  const canvasRef = useRef(null);
+  const engine = useRef(null);
+
+  // ===== CREATE ENGINE ON MOUNT =====
+  useEffect(() => {
+    engine.current = new ParticleEngine(canvasRef.current);
+    return () => engine.current.destroy();
+  }, []);
+
+  // ===== PLAY NEW EFFECTS =====
+  useEffect(() => {
+    if (effects.length === 0) return;
+
+    effects.forEach((effect) => {
+      engine.current.emit(effect.name, effect.origin);
+    });
+    onEffectsStarted(effects.map((effect) => effect.id));
+  }, [effects]);
+
+  // ===== RENDER =====
+  return (
+    <canvas ref={canvasRef} className="particle-canvas" aria-hidden="true" />
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default ParticleCanvas;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. REFS FOR DOM ACCESS:
+ *    <canvas ref={canvasRef}>
+ *    - canvasRef.current is the real <canvas> element
+ *    - Only available after mount (inside useEffect)
+ *
+ * 2. ANIMATING OUTSIDE REACT:
+ *    The engine redraws 60 times a second with requestAnimationFrame
+ *    - React only tells it WHAT to play, never renders each frame
+ *
+ * 3. STATE AS A QUEUE:
+ *    Effects wait in state until this component starts them,
+ *    then get removed - every effect plays exactly once
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .particle-canvas: Fixed, full-screen, ignores clicks
+ *
+ * ============================================
+ */
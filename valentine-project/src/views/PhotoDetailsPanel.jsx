@@ -0,0 +1,159 @@
+// ============================================
+// VIEW: PhotoDetailsPanel.jsx
+// ============================================
+// PURPOSE: Show & edit a photo's date taken, location, tags, private
+//          note and unlock time
+// USED BY: GalleryView.jsx (give it key={photo.id} so the form
+//          starts fresh for every photo)
+// ============================================
+
+import React, { useState } from "react";
+import { PhotoDetailsLimits } from "../models/ValentineModel.js";
+import { formatLocalDate } from "../models/Personalization.js";
+
+/**
+ * PhotoDetailsPanel Component
+ *
+ * PROPS:
+ * @param {Photo} photo - Photo on screen
+ * @param {Function} onSave - (photoId, {takenAt, location, tags, note,
+ *   unlockAt}) => boolean (false = invalid)
+ */
+function PhotoDetailsPanel({ photo, onSave }) {
+  // ===== LOCAL STATE =====
+  const [draft, setDraft] = useState(() => ({
+    takenAt: photo.takenAt,
+    location: photo.location,
+    tags: photo.tags.join(", "), // Edited as one comma-separated line
+    note: photo.note,
+    unlockAt: photo.unlockAt,
+  }));
+  const [status, setStatus] = useState(null); // 'saved' | 'error'
+
+  // ===== SUMMARY LINE =====
+  const summary = [
+    photo.takenAt && `📅 ${formatLocalDate(photo.takenAt)}`,
+    photo.location && `📍 ${photo.location}`,
+    photo.tags.map((tag) => `#${tag}`).join(" "),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  // ===== EVENT HANDLERS =====
+
+  const handleChange = (field) => (e) => {
+    setDraft({ ...draft, [field]: e.target.value });
+    setStatus(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const isSaved = onSave(photo.id, {
+      ...draft,
+      tags: draft.tags.split(","), // Cleaned up by the controller
+    });
+    setStatus(isSaved ? "saved" : "error");
+  };
+
+  // ===== RENDER =====
+  return (
+    <details className="photo-details">
+      <summary>{summary || "ℹ️ Add date, place & tags"}</summary>
+
+      <form onSubmit={handleSubmit} className="photo-details-form">
+        <label className="wizard-field">
+          Date taken
+          <input
+            type="date"
+            value={draft.takenAt}
+            onChange={handleChange("takenAt")}
+          />
+        </label>
+
+        <label className="wizard-field">
+          Where
+          <input
+            type="text"
+            value={draft.location}
+            onChange={handleChange("location")}
+            maxLength={PhotoDetailsLimits.locationMaxLength}
+            placeholder="e.g. Our first trip to Boracay"
+          />
+        </label>
+
+        <label className="wizard-field">
+          Tags
+          <input
+            type="text"
+            value={draft.tags}
+            onChange={handleChange("tags")}
+            placeholder="beach, sunset, anniversary"
+          />
+        </label>
+
+        <label className="wizard-field">
+          Private note
+          <textarea
+            value={draft.note}
+            onChange={handleChange("note")}
+            maxLength={PhotoDetailsLimits.noteMaxLength}
+            rows={3}
+            placeholder="Only you see this - never in captions or slideshows"
+          />
+        </label>
+
+        <label className="wizard-field">
+          Keep it a surprise until
+          <input
+            type="datetime-local"
+            value={draft.unlockAt}
+            onChange={handleChange("unlockAt")}
+          />
+        </label>
+
+        {status === "error" && (
+          <p className="pack-error" role="alert">
+            Couldn't save - check the date and keep to{" "}
+            {PhotoDetailsLimits.maxTags} short tags
+          </p>
+        )}
+
+        <button type="submit" className="btn btn-secondary">
+          {status === "saved" ? "✓ Saved" : "Save details"}
+        </button>
+      </form>
+    </details>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default PhotoDetailsPanel;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. RESETTING A FORM WITH key:
+ *    <PhotoDetailsPanel key={photo.id} ... />
+ *    - A new key = a new component = fresh useState
+ *    - No effect needed to copy props into state
+ *
+ * 2. HANDLER FACTORIES:
+ *    onChange={handleChange("location")}
+ *    - One function builds a handler per field
+ *
+ * 3. <input type="date"> / "datetime-local":
+ *    Values are always "YYYY-MM-DD" / "YYYY-MM-DDTHH:mm" (or "" when
+ *    cleared), whatever the reader's date format - what we store
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .photo-details: Collapsible panel under the photo
+ * - .photo-details-form: Date, place, tags, note & unlock fields
+ *
+ * ============================================
+ */
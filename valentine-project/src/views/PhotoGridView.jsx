@@ -0,0 +1,296 @@
+// ============================================
+// VIEW: PhotoGridView.jsx
+// ============================================
+// PURPOSE: Contact sheet - every photo as a thumbnail
+// FEATURES: Filters (all / favorites / most liked), sorting,
+//           tap to open, arrow-key navigation, virtualized scrolling
+// USES: useVirtualGrid hook (only on-screen rows are rendered)
+// ============================================
+
+import React, { useEffect, useRef, useState } from "react";
+import useVirtualGrid from "../hooks/useVirtualGrid.js";
+import { GRID_FILTERS, GRID_SORTS } from "../models/PhotoGrid.js";
+import { personalize } from "../models/Personalization.js";
+import { isLocked } from "../models/TimeLock.js";
+
+// Empty-filter messages
+const EMPTY_MESSAGES = {
+  all: "No photos yet! 📸",
+  favorites: "No favorites yet - tap ☆ on a photo you love",
+  mostLiked: "Nothing liked yet - double-tap a photo ❤️",
+};
+
+/**
+ * PhotoGridView Component
+ *
+ * PROPS:
+ * @param {GridEntry[]} entries - Filtered & sorted {photo, index}
+ * @param {GridOptions} gridOptions - {filter, sort}
+ * @param {number} currentIndex - Active photo (focused on open)
+ * @param {string|null} mostLikedPhotoId - Gets a 👑 badge
+ * @param {Profile} profile - Fills {name} etc. in captions
+ * @param {boolean} isBlurred - Blur thumbnails (after panic)
+ * @param {number} now - Current time (ms): time-locked photos show 🔒
+ * @param {Function} onOpenPhoto - (photoId) => open single-photo view
+ * @param {Function} onChangeOptions - ({filter?, sort?}) => void
+ * @param {Function} onOpenUpload - Open photo upload screen
+ * @param {Function} onClose - Go back
+ *
+ * KEYBOARD:
+ * - Arrows move between photos, Home/End jump to first/last
+ * - Enter/Space opens the focused photo
+ */
+function PhotoGridView({
+  entries,
+  gridOptions,
+  currentIndex,
+  mostLikedPhotoId,
+  profile,
+  isBlurred = false,
+  now,
+  onOpenPhoto,
+  onChangeOptions,
+  onOpenUpload,
+  onClose,
+}) {
+  const scrollRef = useRef(null);
+  const grid = useVirtualGrid(scrollRef, entries.length);
+
+  // ===== LOCAL STATE =====
+  // Roving focus: only one cell is in the Tab order at a time
+  const [focusIndex, setFocusIndex] = useState(() =>
+    Math.max(
+      0,
+      entries.findIndex((entry) => entry.index === currentIndex),
+    ),
+  );
+  const activeIndex = Math.min(focusIndex, entries.length - 1);
+
+  // Set by arrow keys: focus the cell once it has been rendered
+  const wantsFocus = useRef(false);
+
+  // ===== EFFECTS =====
+
+  /**
+   * Start scrolled to the photo we came from
+   */
+  const didInitialScroll = useRef(false);
+  useEffect(() => {
+    if (!grid.isMeasured || didInitialScroll.current) return;
+    didInitialScroll.current = true;
+    grid.scrollToIndex(activeIndex);
+  }, [grid.isMeasured]);
+
+  /**
+   * Move DOM focus to the active cell after keyboard navigation
+   * (it may only exist after the grid scrolled & re-rendered)
+   */
+  useEffect(() => {
+    if (!wantsFocus.current) return;
+    const cell = scrollRef.current?.querySelector(
+      `[data-position="${activeIndex}"]`,
+    );
+    if (cell) {
+      cell.focus({ preventScroll: true });
+      wantsFocus.current = false;
+    }
+  }, [activeIndex, grid.startIndex, grid.endIndex]);
+
+  // ===== EVENT HANDLERS =====
+
+  const moveFocus = (position) => {
+    const next = Math.max(0, Math.min(entries.length - 1, position));
+    wantsFocus.current = true;
+    setFocusIndex(next);
+    grid.scrollToIndex(next);
+  };
+
+  const handleKeyDown = (e) => {
+    const targets = {
+      ArrowRight: activeIndex + 1,
+      ArrowLeft: activeIndex - 1,
+      ArrowDown: activeIndex + grid.columns,
+      ArrowUp: activeIndex - grid.columns,
+      Home: 0,
+      End: entries.length - 1,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault(); // Don't scroll the page as well
+    moveFocus(targets[e.key]);
+  };
+
+  // New filter/sort = new list: start from the top
+  const changeOptions = (options) => {
+    onChangeOptions(options);
+    setFocusIndex(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="photo-grid-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2 className="photo-grid-heading">📇 Photos</h2>
+        <button
+          onClick={onOpenUpload}
+          className="btn btn-ghost"
+          aria-label="Upload photos">
+          📤
+        </button>
+      </header>
+
+      {/* FILTERS & SORT */}
+      <div className="photo-grid-toolbar">
+        <div className="photo-grid-filters" role="group" aria-label="Filter">
+          {Object.entries(GRID_FILTERS).map(([filter, label]) => (
+            <button
+              key={filter}
+              onClick={() => changeOptions({ filter })}
+              className={`btn btn-ghost ${gridOptions.filter === filter ? "active" : ""}`}
+              aria-pressed={gridOptions.filter === filter}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <select
+          className="photo-grid-sort"
+          value={gridOptions.sort}
+          onChange={(e) => changeOptions({ sort: e.target.value })}
+          aria-label="Sort photos">
+          {Object.entries(GRID_SORTS).map(([sort, label]) => (
+            <option key={sort} value={sort}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* GRID (scrolls; only visible rows are rendered) */}
+      <div className="photo-grid-scroll" ref={scrollRef}>
+        {entries.length === 0 ? (
+          <p className="photo-grid-empty">
+            {EMPTY_MESSAGES[gridOptions.filter]}
+          </p>
+        ) : (
+          <div
+            className="photo-grid-sizer"
+            style={{ height: grid.totalHeight }}>
+            <div
+              className="photo-grid"
+              role="group"
+              aria-label={`${entries.length} photos`}
+              onKeyDown={handleKeyDown}
+              style={{
+                transform: `translateY(${grid.offsetTop}px)`,
+                gridTemplateColumns: `repeat(${grid.columns}, 1fr)`,
+                gridAutoRows: grid.cellSize,
+                gap: grid.gap,
+              }}>
+              {entries
+                .slice(grid.startIndex, grid.endIndex)
+                .map(({ photo }, i) => {
+                  const position = grid.startIndex + i;
+                  const caption = personalize(photo.caption, profile);
+                  const isPhotoLocked = isLocked(photo.unlockAt, now);
+                  const label = isPhotoLocked
+                    ? "A surprise photo"
+                    : isBlurred
+                      ? "Hidden photo"
+                      : caption;
+
+                  return (
+                    <button
+                      key={photo.id}
+                      data-position={position}
+                      tabIndex={position === activeIndex ? 0 : -1}
+                      onFocus={() => setFocusIndex(position)}
+                      onClick={() => onOpenPhoto(photo.id)}
+                      className="grid-cell"
+                      aria-label={label}>
+                      {isPhotoLocked ? (
+                        <span className="locked-thumb" aria-hidden="true">
+                          🔒
+                        </span>
+                      ) : (
+                        <img
+                          src={photo.thumbnailUrl || photo.url}
+                          alt=""
+                          className={`grid-thumb ${isBlurred ? "blurred" : ""}`}
+                          loading="lazy"
+                          decoding="async"
+                          draggable={false}
+                        />
+                      )}
+                      <span className="grid-badges" aria-hidden="true">
+                        {photo.id === mostLikedPhotoId &&
+                          photo.likes > 0 &&
+                          "👑"}
+                        {photo.isFavorite && "⭐"}
+                        {photo.likes > 0 && ` ❤️${photo.likes}`}
+                      </span>
+                    </button>
+                  );
+                })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default PhotoGridView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. ROVING TABINDEX:
+ *    Only the active cell has tabIndex={0}, the rest -1
+ *    - Tab enters/leaves the grid in one step
+ *    - Arrow keys move around inside it
+ *
+ * 2. FOCUS + VIRTUALIZATION:
+ *    The next cell may not be rendered yet
+ *    - Scroll first, then focus it in an effect after re-render
+ *    - focus({ preventScroll: true }) so the browser doesn't jump
+ *
+ * 3. LAZY INITIAL STATE:
+ *    useState(() => entries.findIndex(...))
+ *    - The search only runs on the first render
+ *
+ * 4. aria-pressed:
+ *    Tells screen readers which filter button is switched on
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .photo-grid-view: Full-height column
+ * - .photo-grid-heading: Title in the header
+ * - .photo-grid-toolbar: Filter tabs + sort picker
+ * - .photo-grid-filters: Filter tab group (.active = selected)
+ * - .photo-grid-sort: Sort picker
+ * - .photo-grid-scroll: Scrolling area (fixed height!)
+ * - .photo-grid-sizer: Full-height spacer (keeps the scrollbar right)
+ * - .photo-grid: The rendered rows (CSS grid)
+ * - .photo-grid-empty: Nothing matches the filter
+ * - .grid-cell: Thumbnail button
+ * - .grid-thumb: Thumbnail image (.blurred after panic)
+ * - .locked-thumb: 🔒 in place of a time-locked photo
+ * - .grid-badges: 👑 ⭐ ❤️ overlay
+ *
+ * ============================================
+ */
@@ -0,0 +1,273 @@
+// ============================================
+// VIEW: QuizView.jsx
+// ============================================
+// PURPOSE: Play the multi-step quizzes from the active message pack
+// SCREENS: Pick a quiz → Questions (with replies) → Summary
+// ============================================
+
+import React, { useState } from "react";
+import { getAnswerResponse } from "../models/NaughtyMessages.js";
+import { personalize } from "../models/Personalization.js";
+import {
+  getCurrentQuestion,
+  getQuizProgress,
+  getQuizSummary,
+  isQuizFinished,
+} from "../models/QuizEngine.js";
+
+/**
+ * QuizView Component
+ *
+ * PROPS:
+ * @param {Quiz[]} quizzes - Quizzes in the active pack
+ * @param {QuizRun|null} activeQuiz - Run in progress (or just finished)
+ * @param {QuizRun[]} quizHistory - Finished runs
+ * @param {number} naughtyLevel - Current playfulness level (0-100)
+ * @param {Profile} profile - Fills {name} etc. in questions
+ * @param {Function} onStart - Start a quiz by id
+ * @param {Function} onAnswer - Answer the current question (option index)
+ * @param {Function} onQuit - Drop the current run (back to the quiz list)
+ * @param {Function} onClose - Leave the quiz view
+ */
+function QuizView({
+  quizzes,
+  activeQuiz,
+  quizHistory,
+  naughtyLevel,
+  profile,
+  onStart,
+  onAnswer,
+  onQuit,
+  onClose,
+}) {
+  // ===== LOCAL STATE =====
+  // The answer whose reply is on screen (before "Next")
+  const [lastAnswer, setLastAnswer] = useState(null);
+
+  // The run may belong to another pack's quiz - then show the list
+  const quiz = activeQuiz
+    ? quizzes.find((q) => q.id === activeQuiz.quizId)
+    : null;
+
+  // ===== EVENT HANDLERS =====
+
+  const handleStart = (quizId) => {
+    setLastAnswer(null);
+    onStart(quizId);
+  };
+
+  const handleAnswer = (question, option, index) => {
+    setLastAnswer({ question, option });
+    onAnswer(index);
+  };
+
+  const handleQuit = () => {
+    setLastAnswer(null);
+    onQuit();
+  };
+
+  // ===== RENDER HELPERS =====
+
+  const renderQuizList = () => (
+    <div className="quiz-list">
+      <h2 className="quiz-title">Pick a quiz 🧠</h2>
+
+      {quizzes.length === 0 && (
+        <p className="hint">This message pack has no quizzes yet</p>
+      )}
+
+      {quizzes.map((q) => {
+        const timesPlayed = quizHistory.filter(
+          (run) => run.quizId === q.id,
+        ).length;
+
+        return (
+          <button
+            key={q.id}
+            onClick={() => handleStart(q.id)}
+            className="quiz-list-item">
+            <span className="quiz-list-title">{q.title}</span>
+            {q.description && (
+              <span className="hint">
+                {personalize(q.description, profile)}
+              </span>
+            )}
+            <span className="hint">
+              {q.questions.length} questions
+              {timesPlayed > 0 && ` · played ${timesPlayed}×`}
+            </span>
+          </button>
+        );
+      })}
+    </div>
+  );
+
+  const renderQuestion = () => {
+    const question = getCurrentQuestion(quiz, activeQuiz);
+    const progress = getQuizProgress(quiz, activeQuiz);
+
+    return (
+      <>
+        <div className="quiz-progress">
+          <span className="meter-label">
+            Question {progress.answered + 1} of {progress.total}
+          </span>
+          <div className="meter-bar">
+            <div
+              className="meter-fill"
+              style={{ width: `${progress.percent}%` }}
+            />
+          </div>
+        </div>
+
+        <div className="question-card fade-in" key={question.id}>
+          <h3 className="question-text">
+            {personalize(question.question, profile)}
+          </h3>
+          <div className="answer-options">
+            {question.options.map((option, index) => (
+              <button
+                key={index}
+                onClick={() => handleAnswer(question, option, index)}
+                className="btn btn-option">
+                {personalize(option.label, profile)}
+              </button>
+            ))}
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  const renderReply = () => (
+    <div className="question-card fade-in">
+      <p className="hint">
+        {personalize(lastAnswer.question.question, profile)}
+      </p>
+      <p className="quiz-picked">
+        {personalize(lastAnswer.option.label, profile)}
+      </p>
+      <p className="answer-response">
+        {personalize(getAnswerResponse(lastAnswer.option), profile)}
+      </p>
+      <button onClick={() => setLastAnswer(null)} className="btn btn-primary">
+        {isQuizFinished(activeQuiz) ? "See Results ✨" : "Next →"}
+      </button>
+    </div>
+  );
+
+  const renderSummary = () => {
+    const summary = getQuizSummary(quiz, activeQuiz);
+
+    return (
+      <div className="quiz-summary fade-in">
+        <h2 className="quiz-title">{quiz.title}</h2>
+        <p className="quiz-total">
+          Naughty meter {summary.totalDelta >= 0 ? "+" : ""}
+          {summary.totalDelta} 🔥
+        </p>
+
+        <ol className="quiz-answers">
+          {summary.answers.map(({ question, option, naughtyDelta }) => (
+            <li key={question.id} className="quiz-answer">
+              <span className="hint">
+                {personalize(question.question, profile)}
+              </span>
+              <span>
+                {personalize(option.label, profile)}{" "}
+                <span className="quiz-delta">
+                  ({naughtyDelta >= 0 ? "+" : ""}
+                  {naughtyDelta})
+                </span>
+              </span>
+            </li>
+          ))}
+        </ol>
+
+        <div className="quiz-actions">
+          <button
+            onClick={() => handleStart(quiz.id)}
+            className="btn btn-primary">
+            🔁 Play Again
+          </button>
+          <button onClick={handleQuit} className="btn btn-secondary">
+            🧠 Other Quizzes
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  /**
+   * Pick the screen for the current run
+   */
+  const renderContent = () => {
+    if (!quiz) return renderQuizList();
+    if (lastAnswer) return renderReply();
+    if (isQuizFinished(activeQuiz)) return renderSummary();
+    return renderQuestion();
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="quiz-view">
+      {/* HEADER */}
+      <header className="card-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+
+        <span className="meter-value">{naughtyLevel}% 🔥</span>
+
+        {quiz && !isQuizFinished(activeQuiz) && (
+          <button onClick={handleQuit} className="btn btn-ghost">
+            ✕ Quit
+          </button>
+        )}
+      </header>
+
+      <div className="card-container">{renderContent()}</div>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default QuizView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. GAME LOGIC OUTSIDE THE VIEW:
+ *    QuizEngine.js decides the next question, progress & summary
+ *    - The view only renders what the engine returns
+ *    - Branching quizzes need no extra view code
+ *
+ * 2. GLOBAL VS LOCAL STATE:
+ *    activeQuiz (global) - survives refresh, you can resume a quiz
+ *    lastAnswer (local) - only the reply currently on screen
+ *
+ * 3. RENDER HELPERS:
+ *    renderQuestion(), renderSummary(), ...
+ *    - One function per screen keeps the JSX readable
+ *    - renderContent() picks which one to show
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .quiz-view: Main container
+ * - .quiz-list / .quiz-list-item: Quiz picker
+ * - .quiz-progress: Progress bar above each question
+ * - .quiz-picked: The answer you chose
+ * - .quiz-summary / .quiz-answers / .quiz-answer: Results screen
+ * - .quiz-total / .quiz-delta: Naughty meter changes
+ * - .quiz-actions: Play again / other quizzes
+ *
+ * ============================================
+ */
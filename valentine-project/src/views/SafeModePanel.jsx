@@ -0,0 +1,126 @@
+// ============================================
+// VIEW: SafeModePanel.jsx
+// ============================================
+// PURPOSE: Turn safe mode on (pick a tier + PIN) or off (enter PIN)
+// USED BY: HomePage.jsx
+// ============================================
+
+import React, { useState } from "react";
+import { MESSAGE_TIERS } from "../models/MessagePacks.js";
+import { TIER_LABELS, isValidPin } from "../models/SafeMode.js";
+
+/**
+ * SafeModePanel Component
+ *
+ * PROPS:
+ * @param {SafeModeSettings} safeMode - {enabled, maxTier, pinHash}
+ * @param {Function} onEnable - (maxTier, pin) => boolean
+ * @param {Function} onDisable - (pin) => boolean (false = wrong PIN)
+ */
+function SafeModePanel({ safeMode, onEnable, onDisable }) {
+  // ===== LOCAL STATE =====
+  const [maxTier, setMaxTier] = useState(safeMode.maxTier);
+  const [pin, setPin] = useState("");
+  const [error, setError] = useState(null);
+
+  // ===== EVENT HANDLERS =====
+
+  const handlePinChange = (e) => {
+    setPin(e.target.value.replace(/\D/g, "")); // Digits only
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (safeMode.enabled) {
+      if (!onDisable(pin)) setError("Wrong PIN");
+    } else if (!isValidPin(pin)) {
+      setError("PIN must be 4-8 digits");
+    } else {
+      onEnable(maxTier, pin);
+    }
+    setPin("");
+  };
+
+  // ===== RENDER =====
+  return (
+    <details className="safe-mode-panel">
+      <summary>
+        {safeMode.enabled
+          ? `🔒 Safe mode on (${TIER_LABELS[safeMode.maxTier]})`
+          : "🔓 Safe mode"}
+      </summary>
+
+      <form onSubmit={handleSubmit} className="safe-mode-form">
+        {!safeMode.enabled && (
+          <label className="wizard-field">
+            Spiciest content allowed
+            <select
+              value={maxTier}
+              onChange={(e) => setMaxTier(e.target.value)}>
+              {MESSAGE_TIERS.map((tier) => (
+                <option key={tier} value={tier}>
+                  {TIER_LABELS[tier]}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label className="wizard-field">
+          {safeMode.enabled ? "PIN to unlock" : "Choose a PIN"}
+          <input
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={pin}
+            onChange={handlePinChange}
+            maxLength={8}
+            placeholder="••••"
+          />
+        </label>
+
+        {error && (
+          <p className="pack-error" role="alert">
+            {error}
+          </p>
+        )}
+
+        <button type="submit" className="btn btn-secondary">
+          {safeMode.enabled ? "Unlock" : "Lock"}
+        </button>
+
+        <p className="hint">
+          Press Esc or tap with three fingers to hide the app
+        </p>
+      </form>
+    </details>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default SafeModePanel;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. <details> / <summary>:
+ *    Native collapsible section - no state needed to open/close
+ *
+ * 2. SANITIZING INPUT AS YOU TYPE:
+ *    value.replace(/\D/g, "") keeps only digits
+ *    - inputMode="numeric" shows the number pad on phones
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .safe-mode-panel: Collapsible container
+ * - .safe-mode-form: Tier picker + PIN
+ *
+ * ============================================
+ */
@@ -0,0 +1,82 @@
+// ============================================
+// VIEW: SealedMessages.jsx
+// ============================================
+// PURPOSE: Messages that open on a date - a countdown until then,
+//          the message itself afterwards
+// USED BY: HomePage.jsx (written in TimeLockPanel.jsx)
+// ============================================
+
+import React from "react";
+import { isLocked } from "../models/TimeLock.js";
+import { personalize } from "../models/Personalization.js";
+import CountdownView from "./CountdownView.jsx";
+
+/**
+ * SealedMessages Component
+ *
+ * PROPS:
+ * @param {TimedMessage[]} messages
+ * @param {Profile} profile - Fills {name} etc.
+ * @param {number} now - Current time (ms) from useTimeLocks
+ * @param {Clock} clock - Ticks the countdowns
+ */
+function SealedMessages({ messages, profile, now, clock }) {
+  if (messages.length === 0) return null;
+
+  return (
+    <ul className="sealed-messages">
+      {messages.map((message) => {
+        const title = personalize(message.title, profile);
+
+        return (
+          <li key={message.id} className="sealed-message">
+            {isLocked(message.unlockAt, now) ? (
+              <CountdownView
+                title={title}
+                unlockAt={message.unlockAt}
+                clock={clock}
+              />
+            ) : (
+              // Remounts when the countdown is replaced: fades in once
+              <div className="sealed-message-open fade-in">
+                <h3>{title}</h3>
+                <p className="sealed-message-text">
+                  {personalize(message.text, profile)}
+                </p>
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default SealedMessages;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. RETURNING null:
+ *    A component can render nothing - the parent doesn't need an
+ *    extra "are there any messages?" check
+ *
+ * 2. CSS ANIMATION ON MOUNT:
+ *    The open message is a NEW element when the countdown ends,
+ *    so its fade-in animation plays right then
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .sealed-messages: List on the home page
+ * - .sealed-message: One message (countdown or open)
+ * - .sealed-message-open: The revealed message
+ * - .sealed-message-text: Its text (keeps line breaks)
+ *
+ * ============================================
+ */
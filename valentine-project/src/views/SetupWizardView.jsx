@@ -0,0 +1,229 @@
+// ============================================
+// VIEW: SetupWizardView.jsx
+// ============================================
+// PURPOSE: First-run questions that personalize every message
+// STEPS: Their name → Your name → Anniversary → Pronouns → Preview
+// ============================================
+
+import React, { useState } from "react";
+import {
+  PRONOUN_SETS,
+  PROFILE_NAME_MAX_LENGTH,
+  personalize,
+} from "../models/Personalization.js";
+
+/**
+ * Wizard steps
+ * Each step lists the profile fields it edits (for the "Next" check)
+ */
+const STEPS = [
+  { id: "recipient", title: "Who is this for? 💕", fields: ["recipientName"] },
+  { id: "sender", title: "And who are you? 😏", fields: ["senderName"] },
+  { id: "anniversary", title: "When did it all start? 📅", fields: [] },
+  { id: "pronouns", title: "How should we refer to them?", fields: [] },
+  { id: "preview", title: "Looking good! ✨", fields: [] },
+];
+
+// Sample shown on the last step so it's clear what the answers do
+const PREVIEW_TEMPLATE =
+  "Happy Valentine's Day, {nickname}! {daysTogether} days together and I'd choose {them} again every single one. — {sender}";
+
+/**
+ * SetupWizardView Component
+ *
+ * PROPS:
+ * @param {Profile} profile - Current profile (empty on first run)
+ * @param {Function} onSave - Save the finished profile
+ * @param {Function} onSkip - Close without saving (uses generic names)
+ */
+function SetupWizardView({ profile, onSave, onSkip }) {
+  // ===== LOCAL STATE =====
+  // Edit a draft copy - nothing is saved until the last step
+  const [draft, setDraft] = useState(profile);
+  const [stepIndex, setStepIndex] = useState(0);
+
+  const step = STEPS[stepIndex];
+  const isLastStep = stepIndex === STEPS.length - 1;
+
+  // Required fields on this step must be filled before "Next"
+  const canContinue = step.fields.every((field) => draft[field].trim());
+
+  // ===== EVENT HANDLERS =====
+
+  const updateField = (field) => (e) => {
+    setDraft((prevDraft) => ({ ...prevDraft, [field]: e.target.value }));
+  };
+
+  const handleNext = (e) => {
+    e.preventDefault(); // Enter key submits the form
+    if (!canContinue) return;
+    if (isLastStep) {
+      onSave(draft);
+    } else {
+      setStepIndex(stepIndex + 1);
+    }
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="setup-wizard">
+      {/* PROGRESS DOTS */}
+      <div
+        className="wizard-progress"
+        aria-label={`Step ${stepIndex + 1} of ${STEPS.length}`}>
+        {STEPS.map((s, index) => (
+          <span
+            key={s.id}
+            className={`wizard-dot ${index <= stepIndex ? "active" : ""}`}
+          />
+        ))}
+      </div>
+
+      <form
+        className="wizard-card fade-in"
+        key={step.id}
+        onSubmit={handleNext}>
+        <h2 className="wizard-title">{step.title}</h2>
+
+        {/* STEP 1: RECIPIENT */}
+        {step.id === "recipient" && (
+          <>
+            <label className="wizard-field">
+              Their name
+              <input
+                type="text"
+                value={draft.recipientName}
+                onChange={updateField("recipientName")}
+                maxLength={PROFILE_NAME_MAX_LENGTH}
+                placeholder="e.g. Maria"
+                autoFocus
+              />
+            </label>
+            <label className="wizard-field">
+              Nickname (optional)
+              <input
+                type="text"
+                value={draft.nickname}
+                onChange={updateField("nickname")}
+                maxLength={PROFILE_NAME_MAX_LENGTH}
+                placeholder="e.g. Babe, Love, Honey"
+              />
+            </label>
+          </>
+        )}
+
+        {/* STEP 2: SENDER */}
+        {step.id === "sender" && (
+          <label className="wizard-field">
+            Your name
+            <input
+              type="text"
+              value={draft.senderName}
+              onChange={updateField("senderName")}
+              maxLength={PROFILE_NAME_MAX_LENGTH}
+              placeholder="e.g. Juan"
+              autoFocus
+            />
+          </label>
+        )}
+
+        {/* STEP 3: ANNIVERSARY */}
+        {step.id === "anniversary" && (
+          <label className="wizard-field">
+            Anniversary (optional)
+            <input
+              type="date"
+              value={draft.anniversary}
+              onChange={updateField("anniversary")}
+            />
+            <span className="hint">Used for "days together" counters</span>
+          </label>
+        )}
+
+        {/* STEP 4: PRONOUNS */}
+        {step.id === "pronouns" && (
+          <div className="answer-options" role="radiogroup">
+            {Object.entries(PRONOUN_SETS).map(([key, set]) => (
+              <button
+                key={key}
+                type="button"
+                role="radio"
+                aria-checked={draft.pronouns === key}
+                onClick={() => setDraft({ ...draft, pronouns: key })}
+                className={`btn btn-option ${
+                  draft.pronouns === key ? "selected" : ""
+                }`}>
+                {set.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* STEP 5: PREVIEW */}
+        {step.id === "preview" && (
+          <p className="naughty-message">
+            {personalize(PREVIEW_TEMPLATE, draft)}
+          </p>
+        )}
+
+        {/* NAVIGATION */}
+        <div className="wizard-actions">
+          {stepIndex > 0 ? (
+            <button
+              type="button"
+              onClick={() => setStepIndex(stepIndex - 1)}
+              className="btn btn-ghost">
+              ← Back
+            </button>
+          ) : (
+            <button type="button" onClick={onSkip} className="btn btn-ghost">
+              Skip
+            </button>
+          )}
+
+          <button
+            type="submit"
+            disabled={!canContinue}
+            className="btn btn-primary">
+            {isLastStep ? "Finish 💖" : "Next →"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default SetupWizardView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DRAFT STATE:
+ *    useState(profile) copies the prop once
+ *    - Edits stay local until "Finish"
+ *    - Skipping/closing leaves the saved profile untouched
+ *
+ * 2. CURRIED HANDLERS:
+ *    updateField("nickname") returns (e) => {...}
+ *    - One function handles every text input
+ *
+ * 3. KEY TO RESET ANIMATION:
+ *    <form key={step.id}>
+ *    - New key = new element, so .fade-in replays each step
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .setup-wizard: Main container
+ * - .wizard-progress / .wizard-dot: Step indicator
+ * - .wizard-card: Step content
+ * - .wizard-field: Label + input
+ * - .wizard-actions: Back/Next buttons
+ *
+ * ============================================
+ */
@@ -0,0 +1,229 @@
+// ============================================
+// VIEW: SlideshowView.jsx
+// ============================================
+// PURPOSE: Gallery as a picture frame - leave it running at dinner
+// FEATURES: Timed autoplay, crossfade / slide / Ken Burns transitions,
+//           shuffle, fading captions, fullscreen, screen kept awake
+// USES: useSlideshow, useFullscreen, useWakeLock hooks
+// ============================================
+
+import React, { useEffect, useRef, useState } from "react";
+import useSlideshow from "../hooks/useSlideshow.js";
+import useFullscreen from "../hooks/useFullscreen.js";
+import useWakeLock from "../hooks/useWakeLock.js";
+import {
+  SLIDESHOW_INTERVALS,
+  SLIDESHOW_RESUME_DELAY,
+  SLIDESHOW_TRANSITIONS,
+} from "../models/Slideshow.js";
+import { personalize } from "../models/Personalization.js";
+import { formatUnlockAt, isLocked } from "../models/TimeLock.js";
+
+// Keep in sync with the slide animations in App.css
+const TRANSITION_MS = 1000;
+
+// Ken Burns zooms toward a different corner on each photo
+const KEN_BURNS_ORIGINS = [
+  "center",
+  "top left",
+  "bottom right",
+  "top right",
+  "bottom left",
+];
+
+/**
+ * SlideshowView Component
+ *
+ * PROPS:
+ * @param {Photo[]} photos - All photos (not empty)
+ * @param {number} currentIndex - Photo on screen
+ * @param {Profile} profile - Fills {name} etc. in captions
+ * @param {SlideshowSettings} settings - {interval, transition, shuffle}
+ * @param {Function} onAdvance - Show the next photo (in order or shuffled)
+ * @param {Function} onChangeSettings - (Partial<SlideshowSettings>) => void
+ * @param {Function} onExit - Back to the normal gallery
+ * @param {number} now - Current time (ms): time-locked photos show 🔒
+ *
+ * CONTROLS:
+ * - Hidden while playing; any touch/key pauses and shows them
+ * - Playing starts again after SLIDESHOW_RESUME_DELAY of quiet
+ */
+function SlideshowView({
+  photos,
+  currentIndex,
+  profile,
+  settings,
+  onAdvance,
+  onChangeSettings,
+  onExit,
+  now,
+}) {
+  const stageRef = useRef(null);
+  const photo = photos[currentIndex];
+
+  const { isPaused } = useSlideshow(onAdvance, {
+    interval: settings.interval,
+    resumeDelay: SLIDESHOW_RESUME_DELAY,
+    restartKey: photo.id,
+  });
+  const fullscreen = useFullscreen(stageRef);
+  useWakeLock(true); // Whole slideshow, paused or not
+
+  // ===== TRANSITION LAYERS =====
+  // The old photo stays underneath while the new one animates in
+  const [shown, setShown] = useState({ photo, index: currentIndex });
+  const [outgoing, setOutgoing] = useState(null);
+
+  // Photo changed: adjust state during render (no blank frame between)
+  if (shown.photo.id !== photo.id) {
+    setOutgoing(shown);
+    setShown({ photo, index: currentIndex });
+  }
+
+  // Drop the old layer once the transition is over
+  // (a timer, not animationend: reduced-motion users get no animation)
+  useEffect(() => {
+    if (!outgoing) return;
+    const timer = setTimeout(() => setOutgoing(null), TRANSITION_MS);
+    return () => clearTimeout(timer);
+  }, [outgoing]);
+
+  // ===== RENDER HELPERS =====
+
+  /**
+   * One photo layer
+   * @param {{photo: Photo, index: number}} layer
+   * @param {string} state - 'entering' | 'leaving'
+   */
+  const renderSlide = ({ photo: slidePhoto, index }, state) =>
+    isLocked(slidePhoto.unlockAt, now) ? (
+      <div
+        key={`${state}-${slidePhoto.id}`}
+        className={`slide slide-locked ${state}`}
+        aria-hidden="true">
+        🔒
+      </div>
+    ) : (
+      <img
+        key={`${state}-${slidePhoto.id}`}
+        src={slidePhoto.url}
+        srcSet={slidePhoto.srcSet}
+        sizes="100vw"
+        alt="" // The caption below is the description
+        className={`slide ${state}`}
+        style={{
+          transformOrigin:
+            KEN_BURNS_ORIGINS[index % KEN_BURNS_ORIGINS.length],
+        }}
+        draggable={false}
+      />
+    );
+
+  // ===== RENDER =====
+  return (
+    <div
+      ref={stageRef}
+      className={`slideshow transition-${settings.transition} ${isPaused ? "paused" : ""}`}
+      style={{ "--slide-duration": `${settings.interval}ms` }}>
+      {/* PHOTOS */}
+      {outgoing && renderSlide(outgoing, "leaving")}
+      {renderSlide({ photo, index: currentIndex }, "entering")}
+
+      {/* CAPTION (fades in after the photo) */}
+      <p key={`caption-${photo.id}`} className="slideshow-caption">
+        {isLocked(photo.unlockAt, now)
+          ? `🔒 A surprise - opens ${formatUnlockAt(photo.unlockAt)}`
+          : personalize(photo.caption, profile)}
+      </p>
+
+      {/* CONTROLS (shown while paused) */}
+      <div className="slideshow-controls" aria-hidden={!isPaused}>
+        <span className="slideshow-status">
+          {isPaused ? "⏸ Paused - plays again in a moment" : "▶ Playing"}
+        </span>
+
+        <select
+          value={settings.transition}
+          onChange={(e) => onChangeSettings({ transition: e.target.value })}
+          aria-label="Transition">
+          {Object.entries(SLIDESHOW_TRANSITIONS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={settings.interval}
+          onChange={(e) =>
+            onChangeSettings({ interval: Number(e.target.value) })
+          }
+          aria-label="Time per photo">
+          {SLIDESHOW_INTERVALS.map((interval) => (
+            <option key={interval} value={interval}>
+              {interval / 1000}s
+            </option>
+          ))}
+        </select>
+
+        <button
+          onClick={() => onChangeSettings({ shuffle: !settings.shuffle })}
+          className={`btn btn-ghost ${settings.shuffle ? "active" : ""}`}
+          aria-pressed={settings.shuffle}>
+          🔀 Shuffle
+        </button>
+
+        {fullscreen.isSupported && (
+          <button onClick={fullscreen.toggle} className="btn btn-ghost">
+            {fullscreen.isFullscreen ? "↙ Exit fullscreen" : "⛶ Fullscreen"}
+          </button>
+        )}
+
+        <button onClick={onExit} className="btn btn-secondary">
+          ✕ Stop
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default SlideshowView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. STATE UPDATES DURING RENDER:
+ *    if (shown.photo.id !== photo.id) setShown(...)
+ *    - React re-renders right away, before painting
+ *    - Used for state derived from a prop change
+ *    - An effect would paint one frame without the old photo
+ *
+ * 2. CSS CUSTOM PROPERTIES FROM REACT:
+ *    style={{ "--slide-duration": "5000ms" }}
+ *    - The Ken Burns zoom lasts exactly as long as the photo
+ *
+ * 3. KEYS RESTART ANIMATIONS:
+ *    A new key = a new element = its CSS animation plays again
+ *    - Used for each photo and its caption
+ *
+ * 4. aria-hidden:
+ *    Controls are faded out while playing; screen readers skip them
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .slideshow: Full-screen black stage (.paused = controls visible)
+ * - .transition-crossfade / .transition-slide / .transition-kenBurns
+ * - .slide: Photo layer (.entering = new photo, .leaving = old photo)
+ * - .slide-locked: 🔒 layer standing in for a time-locked photo
+ * - .slideshow-caption: Caption that fades in
+ * - .slideshow-controls: Settings bar (visible while paused)
+ * - .slideshow-status: "Playing" / "Paused" text
+ *
+ * ============================================
+ */
@@ -0,0 +1,191 @@
+// ============================================
+// VIEW: TimeLockPanel.jsx
+// ============================================
+// PURPOSE: Set up time-locked content - write sealed messages and
+//          lock whole views until a date
+// USED BY: HomePage.jsx (photos are locked from the gallery's
+//          photo details)
+// ============================================
+
+import React, { useState } from "react";
+import {
+  LOCKABLE_VIEWS,
+  TimedMessageLimits,
+  formatUnlockAt,
+  getNextValentinesDay,
+} from "../models/TimeLock.js";
+import { personalize } from "../models/Personalization.js";
+
+/**
+ * TimeLockPanel Component
+ *
+ * PROPS:
+ * @param {TimedMessage[]} timedMessages - Sealed messages
+ * @param {Object} viewLocks - View name → unlockAt
+ * @param {Profile} profile - Fills {name} etc. in titles
+ * @param {number} now - Current time (ms), for the default date
+ * @param {Function} onAddMessage - ({title, text, unlockAt}) =>
+ *   TimedMessage|null
+ * @param {Function} onRemoveMessage - (messageId) => void
+ * @param {Function} onSetViewLock - (view, unlockAt) => boolean
+ */
+function TimeLockPanel({
+  timedMessages,
+  viewLocks,
+  profile,
+  now,
+  onAddMessage,
+  onRemoveMessage,
+  onSetViewLock,
+}) {
+  // ===== LOCAL STATE =====
+  const [draft, setDraft] = useState(() => ({
+    title: "",
+    text: "",
+    unlockAt: getNextValentinesDay(now),
+  }));
+  const [error, setError] = useState(null);
+
+  const isFull = timedMessages.length >= TimedMessageLimits.maxMessages;
+
+  // ===== EVENT HANDLERS =====
+
+  const handleChange = (field) => (e) => {
+    setDraft({ ...draft, [field]: e.target.value });
+    setError(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onAddMessage(draft)) {
+      setDraft({ ...draft, title: "", text: "" }); // Keep the date
+    } else {
+      setError("Give it a title, a message and an opening time");
+    }
+  };
+
+  // ===== RENDER =====
+  return (
+    <details className="time-lock-panel">
+      <summary>⏳ Sealed messages & time locks</summary>
+
+      {/* SEALED MESSAGES */}
+      {timedMessages.length > 0 && (
+        <ul className="time-lock-list">
+          {timedMessages.map((message) => (
+            <li key={message.id}>
+              <span>
+                {personalize(message.title, profile)}
+                <span className="hint">
+                  {" "}
+                  {message.unlockAt
+                    ? `opens ${formatUnlockAt(message.unlockAt)}`
+                    : "always open"}
+                </span>
+              </span>
+              <button
+                onClick={() => onRemoveMessage(message.id)}
+                className="btn btn-ghost"
+                aria-label={`Delete ${message.title}`}>
+                🗑
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!isFull && (
+        <form onSubmit={handleSubmit} className="time-lock-form">
+          <label className="wizard-field">
+            Title (shown on the countdown)
+            <input
+              type="text"
+              value={draft.title}
+              onChange={handleChange("title")}
+              maxLength={TimedMessageLimits.titleMaxLength}
+              placeholder="💌 A letter for {name}"
+            />
+          </label>
+
+          <label className="wizard-field">
+            Message
+            <textarea
+              value={draft.text}
+              onChange={handleChange("text")}
+              maxLength={TimedMessageLimits.textMaxLength}
+              rows={4}
+            />
+          </label>
+
+          <label className="wizard-field">
+            Opens at
+            <input
+              type="datetime-local"
+              value={draft.unlockAt}
+              onChange={handleChange("unlockAt")}
+            />
+          </label>
+
+          {error && (
+            <p className="pack-error" role="alert">
+              {error}
+            </p>
+          )}
+
+          <button type="submit" className="btn btn-secondary">
+            💌 Seal message
+          </button>
+        </form>
+      )}
+
+      {/* WHOLE VIEWS */}
+      <fieldset className="time-lock-views">
+        <legend>Lock pages until</legend>
+        {Object.entries(LOCKABLE_VIEWS).map(([view, label]) => (
+          <label key={view} className="wizard-field">
+            {label}
+            <input
+              type="datetime-local"
+              value={viewLocks[view] ?? ""}
+              onChange={(e) => onSetViewLock(view, e.target.value)}
+            />
+          </label>
+        ))}
+        <p className="hint">Clear a date to unlock the page</p>
+      </fieldset>
+    </details>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default TimeLockPanel;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. <input type="datetime-local">:
+ *    Its value is "YYYY-MM-DDTHH:mm" in the reader's own timezone
+ *    - Exactly the format TimeLock.js stores, no conversion needed
+ *    - Clearing it gives ""
+ *
+ * 2. <fieldset> + <legend>:
+ *    Groups related inputs under one caption for screen readers
+ *
+ * 3. KEEPING PART OF A FORM:
+ *    After sealing, the title & text reset but the date stays -
+ *    handy when writing several messages for the same day
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .time-lock-panel: Collapsible container
+ * - .time-lock-list: Sealed messages with delete buttons
+ * - .time-lock-form: New sealed message
+ * - .time-lock-views: One date per lockable page
+ *
+ * ============================================
+ */
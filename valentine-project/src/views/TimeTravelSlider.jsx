@@ -0,0 +1,82 @@
+// ============================================
+// VIEW: TimeTravelSlider.jsx
+// ============================================
+// PURPOSE: Debug panel slider that replays the app up to any action
+// Development only: the action history (store/history.js) doesn't
+// exist in production builds
+// ============================================
+
+import React, { useSyncExternalStore } from "react";
+import { ACTION_LABELS } from "../models/ActionLog.js";
+
+/**
+ * Debug label for an action, e.g. "like @ 14:02:31"
+ * @param {Action} action
+ * @returns {string}
+ */
+const describeAction = (action) => {
+  const time = new Date(action.timestamp).toLocaleTimeString();
+  return `${ACTION_LABELS[action.type] ?? action.type} @ ${time}`;
+};
+
+/**
+ * TimeTravelSlider Component
+ *
+ * PROPS:
+ * @param {ActionHistory} history - From the store (store/history.js)
+ * @param {Function} onTravel - (position) => void
+ */
+function TimeTravelSlider({ history, onTravel }) {
+  // Its own subscription: some actions (e.g. syncDecks) are recorded
+  // without changing the state App renders from
+  const { actions, position, minPosition } = useSyncExternalStore(
+    history.subscribe,
+    history.getSnapshot,
+  );
+
+  if (actions.length === 0) return null;
+
+  // ===== RENDER =====
+  return (
+    <label>
+      Action {position}/{actions.length}
+      {position > 0 && ` · ${describeAction(actions[position - 1])}`}
+      <input
+        type="range"
+        min={minPosition} // Not before the saved state loaded
+        max={actions.length}
+        value={position}
+        onChange={(e) => onTravel(Number(e.target.value))}
+      />
+    </label>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default TimeTravelSlider;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. REPLAYING A PURE REDUCER:
+ *    Every state is initialState plus the actions so far, so any
+ *    past state can be rebuilt: actions.slice(0, n).reduce(...)
+ *    The slider starts after the saved state loaded - before that
+ *    there's only the empty initial state, not the user's data
+ *
+ * 2. useSyncExternalStore FOR NON-REACT DATA:
+ *    The history lives outside React (in a store middleware); the
+ *    slider subscribes to it directly, like useValentineStore does
+ *    for the store itself
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .debug-panel label / input[type="range"]: Styled by the panel
+ *
+ * ============================================
+ */
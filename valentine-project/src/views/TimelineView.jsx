@@ -0,0 +1,219 @@
+// ============================================
+// VIEW: TimelineView.jsx
+// ============================================
+// PURPOSE: "Our story" - every photo in date order, month by month,
+//          with anniversaries & "X days together" milestones
+// DATA: selectTimeline (models/Timeline.js)
+// ============================================
+
+import React from "react";
+import { formatGroupLabel, UNDATED_GROUP } from "../models/Timeline.js";
+import { formatLocalDate, personalize } from "../models/Personalization.js";
+import { isLocked } from "../models/TimeLock.js";
+
+/**
+ * TimelineView Component
+ *
+ * PROPS:
+ * @param {TimelineGroup[]} groups - Months, oldest first
+ * @param {Profile} profile - Anniversary = day 1; fills {name} etc.
+ * @param {boolean} isBlurred - Blur photos & hide words (after panic)
+ * @param {number} now - Current time (ms): time-locked photos show 🔒
+ * @param {Function} onOpenPhoto - (photoId) => open it in the gallery
+ * @param {Function} onOpenSetup - Set the anniversary
+ * @param {Function} onClose - Go back
+ */
+function TimelineView({
+  groups,
+  profile,
+  isBlurred = false,
+  now,
+  onOpenPhoto,
+  onOpenSetup,
+  onClose,
+}) {
+  const hasStartDate = Boolean(formatLocalDate(profile.anniversary));
+
+  // ===== RENDER HELPERS =====
+
+  /**
+   * "💞 123 days together" (nothing before the start date)
+   * @param {number|null} days
+   */
+  const renderDaysTogether = (days) =>
+    days !== null && (
+      <span className="timeline-days">
+        💞 {days === 1 ? "1 day" : `${days} days`} together
+      </span>
+    );
+
+  /**
+   * @param {TimelineEntry} entry - A milestone
+   */
+  const renderMilestone = (entry) => (
+    <li key={entry.label} className="timeline-entry milestone">
+      <span className="timeline-icon" aria-hidden="true">
+        {entry.icon}
+      </span>
+      <div className="timeline-info">
+        <h4 className="timeline-title">{entry.label}</h4>
+        <span className="timeline-date">{formatLocalDate(entry.date)}</span>
+        {renderDaysTogether(entry.daysTogether)}
+      </div>
+    </li>
+  );
+
+  /**
+   * @param {TimelineEntry} entry - A photo
+   */
+  const renderPhoto = ({ photo, date, daysTogether }) => {
+    const caption = personalize(photo.caption, profile);
+    const isPhotoLocked = isLocked(photo.unlockAt, now);
+    const label = isPhotoLocked
+      ? "Open: a surprise photo"
+      : isBlurred
+        ? "Hidden photo"
+        : `Open: ${caption}`;
+
+    return (
+      <li key={photo.id} className="timeline-entry">
+        <button
+          onClick={() => onOpenPhoto(photo.id)}
+          className="timeline-photo"
+          aria-label={label}>
+          {isPhotoLocked ? (
+            <span className="locked-thumb" aria-hidden="true">
+              🔒
+            </span>
+          ) : (
+            <img
+              src={photo.thumbnailUrl || photo.url}
+              alt=""
+              className={`timeline-thumb ${isBlurred ? "blurred" : ""}`}
+              loading="lazy"
+              decoding="async"
+              draggable={false}
+            />
+          )}
+        </button>
+        <div className="timeline-info">
+          {date && (
+            <span className="timeline-date">{formatLocalDate(date)}</span>
+          )}
+          {renderDaysTogether(daysTogether)}
+          {!isBlurred && !isPhotoLocked && (
+            <>
+              <p className="timeline-caption">{caption}</p>
+              {photo.location && (
+                <span className="timeline-location">📍 {photo.location}</span>
+              )}
+              {photo.note && (
+                <p className="timeline-note">🔒 {photo.note}</p>
+              )}
+            </>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  // ===== RENDER =====
+  return (
+    <div className="timeline-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2 className="timeline-heading">📖 Our Story</h2>
+        <span />
+      </header>
+
+      {/* NO START DATE: milestones need one */}
+      {!hasStartDate && (
+        <p className="timeline-hint">
+          Add the day you got together to count the days & celebrate
+          milestones{" "}
+          <button onClick={onOpenSetup} className="btn btn-ghost">
+            ✏️ Personalize
+          </button>
+        </p>
+      )}
+
+      {groups.length === 0 ? (
+        <p className="photo-grid-empty">No photos yet! 📸</p>
+      ) : (
+        groups.map((group) => (
+          <section key={group.key} className="timeline-month">
+            <h3 className="timeline-month-heading">
+              {formatGroupLabel(group.key)}
+            </h3>
+            {group.key === UNDATED_GROUP && (
+              <p className="hint">
+                Set a date taken under a photo in the gallery to place it
+              </p>
+            )}
+            <ol className="timeline-list">
+              {group.entries.map((entry) =>
+                entry.type === "milestone"
+                  ? renderMilestone(entry)
+                  : renderPhoto(entry),
+              )}
+            </ol>
+          </section>
+        ))
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default TimelineView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DERIVED DATA LIVES OUTSIDE THE VIEW:
+ *    Grouping, sorting & milestones are in models/Timeline.js
+ *    - Plain functions: easy to reason about, no React needed
+ *    - A memoized selector only rebuilds them when photos or the
+ *      anniversary change
+ *
+ * 2. RENDER HELPERS:
+ *    renderMilestone / renderPhoto keep the JSX readable
+ *    - They're plain functions, not components: no hooks inside
+ *
+ * 3. <ol> FOR ORDERED CONTENT:
+ *    A timeline has a meaningful order, so screen readers should
+ *    announce "item 3 of 7" - that's what <ol> gives them
+ *
+ * 4. FRAGMENTS:
+ *    <>...</> groups elements without adding a wrapper <div>
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .timeline-view: Page container
+ * - .timeline-heading: Title in the header
+ * - .timeline-hint: "Add the day you got together" prompt
+ * - .timeline-month: One month (section)
+ * - .timeline-month-heading: "February 2024"
+ * - .timeline-list: The month's entries (with the vertical line)
+ * - .timeline-entry: One row (.milestone = anniversary/day count)
+ * - .timeline-icon: Milestone emoji
+ * - .timeline-photo / .timeline-thumb: Photo button & thumbnail
+ *   (.blurred after panic)
+ * - .locked-thumb: 🔒 in place of a time-locked photo
+ * - .timeline-info: Text next to the photo/icon
+ * - .timeline-title / .timeline-date / .timeline-days: Text parts
+ * - .timeline-caption / .timeline-location / .timeline-note: Photo text
+ *
+ * ============================================
+ */
@@ -0,0 +1,124 @@
+// ============================================
+// VIEW: TrophyView.jsx
+// ============================================
+// PURPOSE: Trophy page - every achievement, locked or unlocked
+// FEATURES: Unlock dates, progress bars for counter achievements
+// ============================================
+
+import React from "react";
+import {
+  ACHIEVEMENTS,
+  getAchievementProgress,
+} from "../models/Achievements.js";
+
+/**
+ * TrophyView Component
+ *
+ * PROPS:
+ * @param {Object} achievements - Unlocked id → unlock timestamp
+ * @param {Object} stats - Action counters (for progress bars)
+ * @param {Function} onClose - Go back
+ */
+function TrophyView({ achievements, stats, onClose }) {
+  const unlockedCount = ACHIEVEMENTS.filter(
+    (achievement) => achievements[achievement.id],
+  ).length;
+
+  // ===== RENDER =====
+  return (
+    <div className="trophy-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2 className="trophy-heading">🏆 Trophies</h2>
+        <span className="photo-counter">
+          {unlockedCount} / {ACHIEVEMENTS.length}
+        </span>
+      </header>
+
+      {/* ACHIEVEMENT LIST */}
+      <ul className="trophy-list">
+        {ACHIEVEMENTS.map((achievement) => {
+          const unlockedAt = achievements[achievement.id];
+          const progress = getAchievementProgress(achievement, { stats });
+
+          return (
+            <li
+              key={achievement.id}
+              className={`trophy ${unlockedAt ? "unlocked" : "locked"}`}>
+              <span className="trophy-icon" aria-hidden="true">
+                {unlockedAt ? achievement.icon : "🔒"}
+              </span>
+
+              <div className="trophy-info">
+                <h3 className="trophy-title">{achievement.title}</h3>
+                <p className="hint">{achievement.description}</p>
+
+                {unlockedAt ? (
+                  <p className="trophy-date">
+                    Unlocked {new Date(unlockedAt).toLocaleDateString()}
+                  </p>
+                ) : (
+                  progress && (
+                    <div
+                      className="meter-bar"
+                      role="progressbar"
+                      aria-valuemin={0}
+                      aria-valuemax={progress.goal}
+                      aria-valuenow={progress.current}>
+                      <div
+                        className="meter-fill"
+                        style={{
+                          width: `${(progress.current / progress.goal) * 100}%`,
+                        }}
+                      />
+                    </div>
+                  )
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default TrophyView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. DATA-DRIVEN UI:
+ *    The page just maps over ACHIEVEMENTS
+ *    - New achievements show up here automatically
+ *
+ * 2. NESTED CONDITIONALS:
+ *    unlocked ? date : (progress && bar)
+ *    - Keep them shallow; extract a component if they grow
+ *
+ * 3. ACCESSIBLE PROGRESS:
+ *    role="progressbar" + aria-valuenow/max
+ *    - Screen readers announce "3 of 10"
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .trophy-view: Main container
+ * - .trophy-list: List of achievements
+ * - .trophy (.locked/.unlocked): One achievement
+ * - .trophy-heading: Page title
+ * - .trophy-icon, .trophy-info, .trophy-title, .trophy-date
+ *
+ * ============================================
+ */
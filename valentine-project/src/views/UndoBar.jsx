@@ -0,0 +1,74 @@
+// ============================================
+// VIEW: UndoBar.jsx
+// ============================================
+// PURPOSE: Floating undo / redo buttons ("↶ Undo reset")
+// Hidden until there is something to undo or redo
+// ============================================
+
+import React from "react";
+import {
+  ACTION_LABELS,
+  getRedoAction,
+  getUndoAction,
+} from "../models/ActionLog.js";
+
+/**
+ * UndoBar Component
+ *
+ * PROPS:
+ * @param {ActionLog} actionLog - From state
+ * @param {Function} onUndo
+ * @param {Function} onRedo
+ */
+function UndoBar({ actionLog, onUndo, onRedo }) {
+  const undoAction = getUndoAction(actionLog);
+  const redoAction = getRedoAction(actionLog);
+
+  if (!undoAction && !redoAction) return null;
+
+  // ===== RENDER =====
+  return (
+    <div className="undo-bar" role="toolbar" aria-label="Undo and redo">
+      <button
+        onClick={onUndo}
+        disabled={!undoAction}
+        className="btn btn-ghost"
+        title="Undo (Ctrl+Z)">
+        ↶ Undo{undoAction && ` ${ACTION_LABELS[undoAction.type] ?? ""}`}
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!redoAction}
+        className="btn btn-ghost"
+        title="Redo (Ctrl+Shift+Z)">
+        ↷ Redo
+      </button>
+    </div>
+  );
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default UndoBar;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. RETURNING NULL:
+ *    A component can render nothing: if (...) return null;
+ *    - Hooks (if any) must still come before the early return
+ *
+ * 2. DERIVED DATA:
+ *    The labels come straight from the log in props
+ *    - No local state to keep in sync
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .undo-bar: Small floating toolbar (bottom right)
+ *
+ * ============================================
+ */
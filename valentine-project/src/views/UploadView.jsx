@@ -0,0 +1,379 @@
+// ============================================
+// VIEW: UploadView.jsx
+// ============================================
+// PURPOSE: Add photos to the gallery without touching code
+// FEATURES: File picker, drag & drop, multi-select, captions, progress
+// USES: services/imagePipeline.js (resize, re-encode, strip EXIF)
+// ============================================
+
+import React, { useState, useRef, useEffect } from "react";
+import {
+  ValidationRules,
+  Transformers,
+  UploadLimits,
+} from "../models/ValentineModel.js";
+import { processImage } from "../services/imagePipeline.js";
+
+/**
+ * UploadView Component
+ *
+ * PROPS:
+ * @param {Function} onAddPhoto - Adds {url, caption, takenAt,
+ *   ...variants}, returns the photo or null
+ * @param {Function} onDone - Go to the gallery after uploading
+ * @param {Function} onClose - Return to gallery without uploading
+ *
+ * FLOW:
+ * 1. Pick or drop one or more image files
+ * 2. Write a caption for each (optional)
+ * 3. Press "Add to Gallery" - files are processed one by one
+ *    (upright, downscaled, EXIF/GPS removed, thumbnail + placeholder)
+ * 4. Each file shows its own progress or error
+ */
+function UploadView({ onAddPhoto, onDone, onClose }) {
+  // ===== LOCAL STATE =====
+  // items: [{ key, file, previewUrl, caption, status, progress, error }]
+  // status: 'pending' | 'reading' | 'done' | 'error'
+  const [items, setItems] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [batchKeys, setBatchKeys] = useState([]); // Items in the current upload run
+
+  const fileInputRef = useRef(null);
+
+  // Keep latest items for the unmount cleanup below
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+
+  /**
+   * Release preview object URLs when leaving the screen
+   */
+  useEffect(() => {
+    return () => {
+      itemsRef.current.forEach((item) => URL.revokeObjectURL(item.previewUrl));
+    };
+  }, []);
+
+  // ===== HELPERS =====
+
+  /**
+   * Update a single item by key
+   */
+  const updateItem = (key, changes) => {
+    setItems((prevItems) =>
+      prevItems.map((item) =>
+        item.key === key ? { ...item, ...changes } : item,
+      ),
+    );
+  };
+
+  /**
+   * Turn picked/dropped files into upload items
+   * Files that fail the basic checks are listed with their error right away
+   */
+  const addFiles = (fileList) => {
+    const newItems = Array.from(fileList).map((file, index) => {
+      let error = null;
+      if (!ValidationRules.isImageFile(file)) {
+        error = "Not a supported image (use JPG, PNG, GIF or WebP)";
+      } else if (!ValidationRules.isWithinUploadLimit(file)) {
+        error = `Too big (max ${formatSize(UploadLimits.maxFileSize)})`;
+      }
+
+      return {
+        key: `${file.name}-${file.lastModified}-${Date.now()}-${index}`,
+        file,
+        previewUrl: error ? "" : URL.createObjectURL(file),
+        caption: "",
+        status: error ? "error" : "pending",
+        progress: 0,
+        error,
+      };
+    });
+
+    setItems((prevItems) => [...prevItems, ...newItems]);
+  };
+
+  const removeItem = (key) => {
+    const item = items.find((i) => i.key === key);
+    if (item?.previewUrl) URL.revokeObjectURL(item.previewUrl);
+    setItems((prevItems) => prevItems.filter((i) => i.key !== key));
+  };
+
+  // ===== EVENT HANDLERS =====
+
+  const handleFileChange = (e) => {
+    addFiles(e.target.files);
+    e.target.value = ""; // Allow picking the same file again
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault(); // Required, otherwise the browser opens the file
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (isUploading) return;
+    addFiles(e.dataTransfer.files);
+  };
+
+  /**
+   * Process & add every pending file, one at a time
+   * Sequential on purpose: keeps memory low on phones
+   */
+  const handleUpload = async () => {
+    const pending = items.filter((item) => item.status === "pending");
+    if (pending.length === 0) return;
+
+    setIsUploading(true);
+    setBatchKeys(pending.map((item) => item.key));
+
+    for (const item of pending) {
+      updateItem(item.key, { status: "reading", progress: 0 });
+
+      try {
+        const images = await processImage(item.file, {}, (progress) =>
+          updateItem(item.key, { progress }),
+        );
+
+        const photo = onAddPhoto({
+          ...images,
+          caption: Transformers.sanitizeCaption(item.caption),
+        });
+
+        if (photo) {
+          updateItem(item.key, { status: "done", progress: 1 });
+        } else {
+          updateItem(item.key, {
+            status: "error",
+            error: "This photo couldn't be added",
+          });
+        }
+      } catch (error) {
+        console.error(`Failed to process "${item.file.name}":`, error);
+        updateItem(item.key, {
+          status: "error",
+          error: "Couldn't read this photo",
+        });
+      }
+    }
+
+    setIsUploading(false);
+  };
+
+  // ===== DERIVED DATA =====
+  const pendingCount = items.filter((i) => i.status === "pending").length;
+  const doneCount = items.filter((i) => i.status === "done").length;
+  const errorCount = items.filter((i) => i.status === "error").length;
+  const batchItems = items.filter((i) => batchKeys.includes(i.key));
+  const overallProgress =
+    batchItems.reduce((sum, i) => {
+      if (i.status === "reading") return sum + i.progress;
+      return sum + (i.status === "pending" ? 0 : 1);
+    }, 0) / Math.max(batchItems.length, 1);
+
+  // ===== RENDER =====
+  return (
+    <div className="upload-view">
+      {/* HEADER */}
+      <header className="gallery-header">
+        <button
+          onClick={onClose}
+          className="btn btn-ghost"
+          disabled={isUploading}
+          aria-label="Go back">
+          ← Back
+        </button>
+        <h2 className="upload-title">Add Photos 📸</h2>
+        <span className="photo-counter">{items.length} selected</span>
+      </header>
+
+      {/* DROP ZONE */}
+      <div
+        className={`drop-zone ${isDragging ? "dragging" : ""}`}
+        onDragOver={handleDragOver}
+        onDragEnter={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}>
+        <p className="drop-zone-text">Drag & drop photos here</p>
+        <p className="hint">or</p>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="btn btn-secondary"
+          disabled={isUploading}>
+          Choose Photos
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={UploadLimits.acceptedTypes.join(",")}
+          multiple
+          onChange={handleFileChange}
+          className="visually-hidden"
+        />
+      </div>
+
+      {/* OVERALL PROGRESS */}
+      {isUploading && (
+        <div className="meter-bar upload-progress" aria-label="Upload progress">
+          <div
+            className="meter-fill"
+            style={{ width: `${Math.round(overallProgress * 100)}%` }}
+          />
+        </div>
+      )}
+
+      {/* FILE LIST */}
+      <ul className="upload-list">
+        {items.map((item) => (
+          <li key={item.key} className={`upload-item ${item.status}`}>
+            {item.previewUrl ? (
+              <img
+                src={item.previewUrl}
+                alt={item.file.name}
+                className="upload-thumb"
+              />
+            ) : (
+              <div className="upload-thumb placeholder">🚫</div>
+            )}
+
+            <div className="upload-details">
+              <span className="upload-name">{item.file.name}</span>
+
+              {item.status === "pending" && (
+                <input
+                  type="text"
+                  value={item.caption}
+                  maxLength={200}
+                  placeholder="Write a caption (optional) 💕"
+                  onChange={(e) =>
+                    updateItem(item.key, { caption: e.target.value })
+                  }
+                  className="caption-input"
+                />
+              )}
+
+              {item.status === "reading" && (
+                <div className="meter-bar">
+                  <div
+                    className="meter-fill"
+                    style={{ width: `${Math.round(item.progress * 100)}%` }}
+                  />
+                </div>
+              )}
+
+              {item.status === "done" && (
+                <span className="upload-status">✅ Added</span>
+              )}
+
+              {item.status === "error" && (
+                <span className="upload-error">⚠️ {item.error}</span>
+              )}
+            </div>
+
+            {(item.status === "pending" || item.status === "error") && (
+              <button
+                onClick={() => removeItem(item.key)}
+                className="btn btn-ghost"
+                disabled={isUploading}
+                aria-label={`Remove ${item.file.name}`}>
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* ACTIONS */}
+      <div className="upload-actions">
+        {doneCount > 0 && !isUploading && (
+          <p className="upload-summary">
+            {doneCount} added{errorCount > 0 ? ` • ${errorCount} failed` : ""}
+          </p>
+        )}
+
+        <button
+          onClick={handleUpload}
+          className="btn btn-primary"
+          disabled={isUploading || pendingCount === 0}>
+          {isUploading
+            ? "Adding..."
+            : `Add ${pendingCount || ""} to Gallery 💕`}
+        </button>
+
+        {doneCount > 0 && !isUploading && (
+          <button onClick={onDone} className="btn btn-secondary">
+            View Gallery →
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Format bytes as a short human-readable size
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+// ============================================
+// EXPORT
+// ============================================
+export default UploadView;
+
+/**
+ * ============================================
+ * LEARNING NOTES
+ * ============================================
+ *
+ * 1. FILE INPUTS:
+ *    <input type="file" multiple accept="image/*" />
+ *    - multiple: lets the user pick several files at once
+ *    - e.target.files is a FileList (use Array.from to map it)
+ *    - Reset e.target.value so the same file can be picked twice
+ *
+ * 2. DRAG & DROP:
+ *    - onDragOver MUST call e.preventDefault() or drop never fires
+ *    - Dropped files live in e.dataTransfer.files
+ *
+ * 3. OBJECT URLS:
+ *    URL.createObjectURL(file) gives an instant preview
+ *    - Always URL.revokeObjectURL() when done (frees memory)
+ *
+ * 4. ASYNC LOOPS:
+ *    for (const item of items) { await read(item) }
+ *    - Runs one file at a time (forEach doesn't wait for await)
+ *
+ * 5. PROCESSING ON THE DEVICE:
+ *    Photos are shrunk before they are stored, not after
+ *    - A 5MB phone photo becomes a few hundred KB
+ *    - Nothing is uploaded anywhere - it all happens in the browser
+ *
+ * ============================================
+ *
+ * CSS CLASSES TO STYLE:
+ * - .upload-view: Main container
+ * - .drop-zone / .drop-zone.dragging: Drop target
+ * - .upload-progress: Overall progress bar
+ * - .upload-list / .upload-item: File rows
+ * - .upload-thumb: Preview image
+ * - .caption-input: Caption text field
+ * - .upload-error: Per-file error text
+ * - .upload-actions: Bottom buttons
+ *
+ * ============================================
+ */
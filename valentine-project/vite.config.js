@@ -1,11 +1,15 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import photoManifest from "./plugins/photoManifest.js";
 
 // VITE CONFIG
 // Purpose: Configure how Vite bundles and serves your application
 // Vite is a modern build tool that's FAST (uses native ES modules)
 export default defineConfig({
-  plugins: [react()], // Enables React Fast Refresh (hot reload without losing state)
+  plugins: [
+    react(), // Enables React Fast Refresh (hot reload without losing state)
+    photoManifest(), // Bundles src/assets/photos ("virtual:photo-manifest")
+  ],
 
   // Base path for deployment (change if hosting in subfolder)
   base: "./",